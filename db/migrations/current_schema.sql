@@ -12,6 +12,11 @@ CREATE TABLE public.users (
   created_at timestamptz DEFAULT now(),
   updated_at timestamptz DEFAULT now(),
   full_name text,
+  approval_reason text,
+  reviewed_by uuid,
+  reviewed_at timestamptz,
+  disabled_at timestamptz,
+  disabled_reason text,
   CONSTRAINT users_pkey PRIMARY KEY (id),
   CONSTRAINT users_id_fkey FOREIGN KEY (id) REFERENCES auth.users(id)
 );
@@ -63,6 +68,67 @@ CREATE TABLE public.companies (
   -- id is set via BEFORE INSERT trigger to match auth.uid()
 );
 
+-- List ordering (name, then id) for page and cursor pagination
+CREATE INDEX students_full_name_id_idx ON public.students (full_name, id);
+CREATE INDEX companies_company_name_id_idx ON public.companies (company_name, id);
+
+-- Realtime UPDATE payloads carry the full old row (not just the primary key),
+-- so realtimeService can tell which columns changed, e.g. to only re-run
+-- saved searches when a student's visibility or employment status changes
+ALTER TABLE public.students REPLICA IDENTITY FULL;
+ALTER TABLE public.companies REPLICA IDENTITY FULL;
+
+-- Facet counts for GET /api/students?facets=true (studentService.getFacets):
+-- one grouped count over the students matching the list filters that the
+-- viewer may see. Visibility and filters mirror studentService.applyVisibility
+-- and applyListFilters; skills are canonicalized by the caller.
+CREATE OR REPLACE FUNCTION public.student_facets(
+  viewer_id uuid,
+  viewer_role text,
+  statuses text[] DEFAULT '{}',
+  universities text[] DEFAULT '{}',
+  majors text[] DEFAULT '{}',
+  industries text[] DEFAULT '{}',
+  batches text[] DEFAULT '{}',
+  employment_statuses text[] DEFAULT '{}',
+  skills text[] DEFAULT '{}',
+  skills_all boolean DEFAULT false
+) RETURNS TABLE (facet text, name text, count bigint)
+LANGUAGE sql STABLE
+AS $$
+  WITH matching AS (
+    SELECT s.*
+    FROM public.students s
+    WHERE (
+        viewer_role = 'admin'
+        OR s.id = viewer_id
+        OR (s.is_visible AND (viewer_role = 'student' OR s.employment_status IS DISTINCT FROM 'Employed'))
+      )
+      AND (cardinality(statuses) = 0 OR s.status ILIKE ANY (ARRAY(SELECT '%' || v || '%' FROM unnest(statuses) v)))
+      AND (cardinality(universities) = 0 OR s.university_institution ILIKE ANY (ARRAY(SELECT '%' || v || '%' FROM unnest(universities) v)))
+      AND (cardinality(majors) = 0 OR s.program_major ILIKE ANY (ARRAY(SELECT '%' || v || '%' FROM unnest(majors) v)))
+      AND (cardinality(industries) = 0 OR s.preferred_industry ILIKE ANY (ARRAY(SELECT '%' || v || '%' FROM unnest(industries) v)))
+      AND (cardinality(batches) = 0 OR s.batch = ANY (batches))
+      AND (cardinality(employment_statuses) = 0 OR viewer_role IS DISTINCT FROM 'admin' OR s.employment_status = ANY (employment_statuses))
+      AND (cardinality(skills) = 0 OR CASE
+        WHEN skills_all THEN s.tech_stack_skills ILIKE ALL (ARRAY(SELECT '%' || v || '%' FROM unnest(skills) v))
+        ELSE s.tech_stack_skills ILIKE ANY (ARRAY(SELECT '%' || v || '%' FROM unnest(skills) v))
+      END)
+  ),
+  facet_values AS (
+    SELECT id, 'universities' AS facet, university_institution AS value FROM matching
+    UNION ALL SELECT id, 'majors', program_major FROM matching
+    UNION ALL SELECT id, 'batches', batch FROM matching
+    UNION ALL SELECT id, 'preferredIndustries', unnest(string_to_array(preferred_industry, ',')) FROM matching
+    UNION ALL SELECT id, 'skills', unnest(string_to_array(tech_stack_skills, ',')) FROM matching
+    UNION ALL SELECT id, 'employmentStatuses', employment_status FROM matching WHERE viewer_role = 'admin'
+  )
+  SELECT facet, name, count(DISTINCT id)
+  FROM (SELECT id, facet, btrim(regexp_replace(value, '\s+', ' ', 'g')) AS name FROM facet_values) v
+  WHERE name <> ''
+  GROUP BY facet, name;
+$$;
+
 -- Note: The relationship is established by matching the UUID:
 -- students.id = users.id (for student profiles)
 -- companies.id = users.id (for company profiles)
@@ -131,9 +197,14 @@ CREATE TABLE public.migration_log (
   error_message text,
   created_at timestamptz DEFAULT now(),
   completed_at timestamptz,
-  CONSTRAINT migration_log_pkey PRIMARY KEY (id)
+  -- Spreadsheet imports (importService): the migration_progress row of the import
+  progress_id integer,
+  CONSTRAINT migration_log_pkey PRIMARY KEY (id),
+  CONSTRAINT migration_log_progress_id_fkey FOREIGN KEY (progress_id) REFERENCES public.migration_progress(id)
 );
 
+CREATE INDEX migration_log_progress_id_idx ON public.migration_log (progress_id, source_id);
+
 -- Additional tables (from actual database)
 CREATE TABLE public.file_metadata (
   id bigint GENERATED ALWAYS AS IDENTITY NOT NULL CHECK (id > 0),
@@ -148,12 +219,56 @@ CREATE TABLE public.file_metadata (
   updated_at timestamptz DEFAULT now(),
   student_id uuid,
   company_id uuid,
+  -- Text extracted from CVs (PDF/DOCX) at upload, for search, matching and skill suggestions
+  extracted_text text,
+  extracted_skills text,
+  text_extraction_status text CHECK (text_extraction_status = ANY (ARRAY['extracted'::text, 'empty'::text, 'unsupported'::text, 'failed'::text])),
+  text_extracted_at timestamptz,
+  -- Processed photos and logos: one row per WebP variant, variants point to their `full` row
+  variant text CHECK (variant = ANY (ARRAY['thumbnail'::text, 'card'::text, 'full'::text])),
+  parent_id bigint,
+  -- Malware scan at upload; quarantined files sit in the private file-quarantine bucket until an admin releases or purges them
+  scan_status text NOT NULL DEFAULT 'unscanned' CHECK (scan_status = ANY (ARRAY['clean'::text, 'unscanned'::text, 'quarantined'::text, 'released'::text])),
+  scan_result text,
+  scanner text,
+  scanned_at timestamptz,
+  original_bucket text,
+  -- CV and logo version marked as current; older versions can be restored.
+  -- Only the current CV is served and indexed (see "File Versions" in
+  -- docs/DEPLOYMENT.md for rows uploaded before versioning)
+  is_current boolean NOT NULL DEFAULT false,
   CONSTRAINT file_metadata_pkey PRIMARY KEY (id),
+  CONSTRAINT file_metadata_parent_id_fkey FOREIGN KEY (parent_id) REFERENCES public.file_metadata(id) ON DELETE CASCADE,
   CONSTRAINT file_metadata_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(id),
   CONSTRAINT file_metadata_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.students(id),
   CONSTRAINT file_metadata_company_id_fkey FOREIGN KEY (company_id) REFERENCES public.companies(id)
 );
 
+CREATE INDEX file_metadata_student_cv_idx ON public.file_metadata (student_id, created_at DESC) WHERE file_type = 'cv';
+CREATE INDEX file_metadata_parent_id_idx ON public.file_metadata (parent_id);
+CREATE INDEX file_metadata_quarantined_idx ON public.file_metadata (created_at DESC) WHERE scan_status = 'quarantined';
+CREATE INDEX file_metadata_versions_idx ON public.file_metadata (student_id, company_id, file_type, created_at DESC) WHERE parent_id IS NULL;
+
+-- Signed CV URLs issued to anyone other than the student. student-cvs is a
+-- private bucket and students.cv_upload holds the storage location
+-- (student-cvs/<path>), not a URL: see "Private CV Bucket" in docs/DEPLOYMENT.md
+CREATE TABLE public.cv_downloads (
+  id bigint GENERATED ALWAYS AS IDENTITY NOT NULL,
+  student_id uuid NOT NULL,
+  file_id bigint,
+  viewer_id uuid NOT NULL,
+  viewer_role text NOT NULL,
+  ip_address inet,
+  user_agent text,
+  downloaded_at timestamptz DEFAULT now(),
+  CONSTRAINT cv_downloads_pkey PRIMARY KEY (id),
+  CONSTRAINT cv_downloads_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.students(id) ON DELETE CASCADE,
+  CONSTRAINT cv_downloads_file_id_fkey FOREIGN KEY (file_id) REFERENCES public.file_metadata(id) ON DELETE SET NULL,
+  CONSTRAINT cv_downloads_viewer_id_fkey FOREIGN KEY (viewer_id) REFERENCES public.users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX cv_downloads_student_id_idx ON public.cv_downloads (student_id, downloaded_at DESC);
+
 CREATE TABLE public.auth_audit_logs (
   id uuid NOT NULL DEFAULT gen_random_uuid(),
   user_id uuid,
@@ -168,13 +283,19 @@ CREATE TABLE public.auth_audit_logs (
   CONSTRAINT auth_audit_logs_user_id_fkey FOREIGN KEY (user_id) REFERENCES auth.users(id)
 );
 
+-- Failed-login lockout lookups (loginProtectionService)
+CREATE INDEX auth_audit_logs_email_idx ON public.auth_audit_logs ((metadata->>'email'), created_at DESC);
+CREATE INDEX auth_audit_logs_failed_login_ip_idx ON public.auth_audit_logs (ip_address, created_at DESC) WHERE action IN ('login', 'login_2fa') AND success = false;
+-- Sessions that passed 2FA (twoFactorService.isSessionVerified)
+CREATE INDEX auth_audit_logs_session_idx ON public.auth_audit_logs (user_id, session_id) WHERE action IN ('login', '2fa_enable') AND success = true;
+
 CREATE TABLE public.crud_logs (
   id bigint GENERATED ALWAYS AS IDENTITY NOT NULL,
   timestamp timestamptz DEFAULT now(),
   user_id uuid,
   user_email text,
-  operation text CHECK (operation = ANY (ARRAY['CREATE'::text, 'UPDATE'::text, 'DELETE'::text)),
-  resource_type text CHECK (resource_type = ANY (ARRAY['student'::text, 'company'::text, 'user'::text, 'file'::text)),
+  operation text CHECK (operation = ANY (ARRAY['CREATE'::text, 'UPDATE'::text, 'DELETE'::text, 'EXPORT'::text, 'IMPORT'::text)),
+  resource_type text CHECK (resource_type = ANY (ARRAY['student'::text, 'company'::text, 'user'::text, 'file'::text, 'job_posting'::text, 'application'::text, 'skill'::text, 'shortlist'::text, 'message'::text, 'saved_search'::text)),
   resource_id uuid,
   old_values jsonb,
   new_values jsonb,
@@ -197,3 +318,205 @@ CREATE TABLE public.migration_progress (
   details jsonb,
   CONSTRAINT migration_progress_pkey PRIMARY KEY (id)
 );
+
+CREATE TABLE public.job_postings (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  company_id uuid NOT NULL,
+  title text NOT NULL,
+  description text NOT NULL,
+  required_skills text,
+  location text,
+  remote_mode text NOT NULL CHECK (remote_mode = ANY (ARRAY['onsite'::text, 'remote'::text, 'hybrid'::text])),
+  employment_type text NOT NULL CHECK (employment_type = ANY (ARRAY['full-time'::text, 'part-time'::text, 'contract'::text, 'internship'::text])),
+  status text NOT NULL DEFAULT 'draft'::text CHECK (status = ANY (ARRAY['draft'::text, 'open'::text, 'closed'::text])),
+  application_deadline timestamptz,
+  start_date date,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CONSTRAINT job_postings_pkey PRIMARY KEY (id),
+  CONSTRAINT job_postings_company_id_fkey FOREIGN KEY (company_id) REFERENCES public.companies(id) ON DELETE CASCADE
+);
+
+CREATE INDEX job_postings_company_id_idx ON public.job_postings (company_id);
+CREATE INDEX job_postings_status_idx ON public.job_postings (status, created_at DESC);
+
+CREATE TABLE public.applications (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL,
+  company_id uuid NOT NULL,
+  job_posting_id uuid,
+  stage text NOT NULL DEFAULT 'applied'::text CHECK (stage = ANY (ARRAY['applied'::text, 'screening'::text, 'interview'::text, 'offer'::text, 'hired'::text, 'rejected'::text])),
+  source text NOT NULL CHECK (source = ANY (ARRAY['student'::text, 'company'::text])),
+  cover_note text,
+  created_by uuid,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CONSTRAINT applications_pkey PRIMARY KEY (id),
+  CONSTRAINT applications_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.students(id) ON DELETE CASCADE,
+  CONSTRAINT applications_company_id_fkey FOREIGN KEY (company_id) REFERENCES public.companies(id) ON DELETE CASCADE,
+  CONSTRAINT applications_job_posting_id_fkey FOREIGN KEY (job_posting_id) REFERENCES public.job_postings(id) ON DELETE SET NULL,
+  CONSTRAINT applications_created_by_fkey FOREIGN KEY (created_by) REFERENCES public.users(id)
+);
+
+CREATE INDEX applications_student_id_idx ON public.applications (student_id);
+CREATE INDEX applications_company_id_idx ON public.applications (company_id, stage);
+
+CREATE TABLE public.application_stage_history (
+  id bigint GENERATED ALWAYS AS IDENTITY NOT NULL,
+  application_id uuid NOT NULL,
+  from_stage text,
+  to_stage text NOT NULL,
+  changed_by uuid,
+  note text,
+  created_at timestamptz DEFAULT now(),
+  CONSTRAINT application_stage_history_pkey PRIMARY KEY (id),
+  CONSTRAINT application_stage_history_application_id_fkey FOREIGN KEY (application_id) REFERENCES public.applications(id) ON DELETE CASCADE,
+  CONSTRAINT application_stage_history_changed_by_fkey FOREIGN KEY (changed_by) REFERENCES public.users(id)
+);
+
+CREATE INDEX application_stage_history_application_id_idx ON public.application_stage_history (application_id, created_at);
+
+CREATE TABLE public.skills (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  canonical_name text NOT NULL UNIQUE,
+  category text NOT NULL CHECK (category = ANY (ARRAY['frontend'::text, 'backend'::text, 'mobile'::text, 'data'::text, 'devops'::text, 'cloud'::text, 'design'::text, 'testing'::text, 'other'::text])),
+  aliases text[] NOT NULL DEFAULT '{}'::text[],
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CONSTRAINT skills_pkey PRIMARY KEY (id)
+);
+
+CREATE TABLE public.shortlists (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  company_id uuid NOT NULL,
+  name text NOT NULL,
+  description text,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CONSTRAINT shortlists_pkey PRIMARY KEY (id),
+  CONSTRAINT shortlists_company_id_name_key UNIQUE (company_id, name),
+  CONSTRAINT shortlists_company_id_fkey FOREIGN KEY (company_id) REFERENCES public.companies(id) ON DELETE CASCADE
+);
+
+CREATE TABLE public.shortlist_entries (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  shortlist_id uuid NOT NULL,
+  student_id uuid NOT NULL,
+  note text,
+  position integer NOT NULL DEFAULT 0,
+  flag text CHECK (flag = ANY (ARRAY['employed'::text])),
+  flagged_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CONSTRAINT shortlist_entries_pkey PRIMARY KEY (id),
+  CONSTRAINT shortlist_entries_shortlist_id_student_id_key UNIQUE (shortlist_id, student_id),
+  CONSTRAINT shortlist_entries_shortlist_id_fkey FOREIGN KEY (shortlist_id) REFERENCES public.shortlists(id) ON DELETE CASCADE,
+  CONSTRAINT shortlist_entries_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.students(id) ON DELETE CASCADE
+);
+
+CREATE INDEX shortlist_entries_student_id_idx ON public.shortlist_entries (student_id);
+
+-- Student searches saved by companies for new-match email digests
+CREATE TABLE public.saved_searches (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  company_id uuid NOT NULL,
+  name text NOT NULL,
+  query text,
+  filters jsonb NOT NULL DEFAULT '{}'::jsonb,
+  match text NOT NULL DEFAULT 'all' CHECK (match = ANY (ARRAY['all'::text, 'any'::text])),
+  alerts_enabled boolean NOT NULL DEFAULT true,
+  last_run_at timestamptz,
+  last_notified_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CONSTRAINT saved_searches_pkey PRIMARY KEY (id),
+  CONSTRAINT saved_searches_company_id_name_key UNIQUE (company_id, name),
+  CONSTRAINT saved_searches_company_id_fkey FOREIGN KEY (company_id) REFERENCES public.companies(id) ON DELETE CASCADE
+);
+
+-- Every student a saved search has matched; notified_at is null until the
+-- student has been sent in a digest (set at once for the baseline on save)
+CREATE TABLE public.saved_search_matches (
+  saved_search_id uuid NOT NULL,
+  student_id uuid NOT NULL,
+  matched_at timestamptz DEFAULT now(),
+  notified_at timestamptz,
+  CONSTRAINT saved_search_matches_pkey PRIMARY KEY (saved_search_id, student_id),
+  CONSTRAINT saved_search_matches_saved_search_id_fkey FOREIGN KEY (saved_search_id) REFERENCES public.saved_searches(id) ON DELETE CASCADE,
+  CONSTRAINT saved_search_matches_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.students(id) ON DELETE CASCADE
+);
+
+CREATE INDEX saved_search_matches_pending_idx ON public.saved_search_matches (saved_search_id) WHERE notified_at IS NULL;
+
+CREATE TABLE public.conversations (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  company_id uuid NOT NULL,
+  student_id uuid NOT NULL,
+  last_message_at timestamptz,
+  last_message_preview text,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CONSTRAINT conversations_pkey PRIMARY KEY (id),
+  CONSTRAINT conversations_company_id_student_id_key UNIQUE (company_id, student_id),
+  CONSTRAINT conversations_company_id_fkey FOREIGN KEY (company_id) REFERENCES public.companies(id) ON DELETE CASCADE,
+  CONSTRAINT conversations_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.students(id) ON DELETE CASCADE
+);
+
+CREATE INDEX conversations_student_id_idx ON public.conversations (student_id, last_message_at DESC);
+
+CREATE TABLE public.messages (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  conversation_id uuid NOT NULL,
+  sender_id uuid NOT NULL,
+  body text NOT NULL CHECK (char_length(body) <= 5000),
+  read_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  CONSTRAINT messages_pkey PRIMARY KEY (id),
+  CONSTRAINT messages_conversation_id_fkey FOREIGN KEY (conversation_id) REFERENCES public.conversations(id) ON DELETE CASCADE,
+  CONSTRAINT messages_sender_id_fkey FOREIGN KEY (sender_id) REFERENCES public.users(id)
+);
+
+CREATE INDEX messages_conversation_id_idx ON public.messages (conversation_id, created_at DESC);
+CREATE INDEX messages_unread_idx ON public.messages (conversation_id) WHERE read_at IS NULL;
+
+CREATE TABLE public.invites (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  token_hash text NOT NULL,
+  email text,
+  role text NOT NULL DEFAULT 'admin' CHECK (role = ANY (ARRAY['student'::text, 'company'::text, 'admin'::text])),
+  created_by uuid NOT NULL,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz,
+  used_by uuid,
+  revoked_at timestamptz,
+  revoked_by uuid,
+  created_at timestamptz DEFAULT now(),
+  CONSTRAINT invites_pkey PRIMARY KEY (id),
+  CONSTRAINT invites_token_hash_key UNIQUE (token_hash),
+  CONSTRAINT invites_created_by_fkey FOREIGN KEY (created_by) REFERENCES auth.users(id),
+  CONSTRAINT invites_used_by_fkey FOREIGN KEY (used_by) REFERENCES auth.users(id),
+  CONSTRAINT invites_revoked_by_fkey FOREIGN KEY (revoked_by) REFERENCES auth.users(id)
+);
+
+CREATE INDEX invites_created_at_idx ON public.invites (created_at DESC);
+
+CREATE TABLE public.user_two_factor (
+  user_id uuid NOT NULL,
+  secret text NOT NULL,
+  enabled_at timestamptz,
+  backup_codes text[] NOT NULL DEFAULT '{}'::text[],
+  last_used_step bigint,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CONSTRAINT user_two_factor_pkey PRIMARY KEY (user_id),
+  CONSTRAINT user_two_factor_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE public.two_factor_policies (
+  role text NOT NULL CHECK (role = ANY (ARRAY['student'::text, 'company'::text, 'admin'::text])),
+  required boolean NOT NULL DEFAULT false,
+  updated_by uuid,
+  updated_at timestamptz DEFAULT now(),
+  CONSTRAINT two_factor_policies_pkey PRIMARY KEY (role),
+  CONSTRAINT two_factor_policies_updated_by_fkey FOREIGN KEY (updated_by) REFERENCES auth.users(id)
+);
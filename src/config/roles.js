@@ -49,6 +49,42 @@ module.exports = {
           own: false,
           description: 'View all company profiles'
         },
+        {
+          resource: 'students',
+          action: 'recommendations',
+          own: true,
+          description: 'View company recommendations for own profile'
+        },
+        {
+          resource: 'files',
+          action: 'upload',
+          own: true,
+          description: 'Upload own CV and profile photo'
+        },
+        {
+          resource: 'files',
+          action: 'read',
+          own: true,
+          description: 'View own CV and profile photo'
+        },
+        {
+          resource: 'files',
+          action: 'download',
+          own: true,
+          description: 'Download own CV'
+        },
+        {
+          resource: 'files',
+          action: 'delete',
+          own: true,
+          description: 'Delete own CV and profile photo'
+        },
+        {
+          resource: 'jobs',
+          action: 'read',
+          own: false,
+          description: 'View job postings'
+        },
         {
           resource: 'lookup',
           action: 'read',
@@ -92,6 +128,66 @@ module.exports = {
           own: true,
           description: 'Delete own company profile'
         },
+        {
+          resource: 'companies',
+          action: 'recommendations',
+          own: true,
+          description: 'View student recommendations for own company'
+        },
+        {
+          resource: 'students',
+          action: 'export',
+          own: false,
+          description: 'Export the student directory as CSV or Excel'
+        },
+        {
+          resource: 'files',
+          action: 'upload',
+          own: true,
+          description: 'Upload own company logo'
+        },
+        {
+          resource: 'files',
+          action: 'read',
+          own: true,
+          description: 'View own company logo'
+        },
+        {
+          resource: 'files',
+          action: 'download',
+          own: false,
+          description: 'Download CVs of visible students who are open to work (approved companies)'
+        },
+        {
+          resource: 'files',
+          action: 'delete',
+          own: true,
+          description: 'Delete own company logo'
+        },
+        {
+          resource: 'jobs',
+          action: 'read',
+          own: false,
+          description: 'View job postings'
+        },
+        {
+          resource: 'jobs',
+          action: 'create',
+          own: true,
+          description: 'Post jobs for own company'
+        },
+        {
+          resource: 'jobs',
+          action: 'update',
+          own: true,
+          description: 'Update own company job postings'
+        },
+        {
+          resource: 'jobs',
+          action: 'delete',
+          own: true,
+          description: 'Delete own company job postings'
+        },
         {
           resource: 'lookup',
           action: 'read',
@@ -153,6 +249,90 @@ module.exports = {
           own: false,
           description: 'Delete any company profile'
         },
+        {
+          resource: 'students',
+          action: 'approve',
+          own: false,
+          description: 'Bulk approve student profiles'
+        },
+        {
+          resource: 'students',
+          action: 'recommendations',
+          own: false,
+          description: 'View company recommendations for any student'
+        },
+        {
+          resource: 'companies',
+          action: 'approve',
+          own: false,
+          description: 'Bulk approve company profiles'
+        },
+        {
+          resource: 'companies',
+          action: 'recommendations',
+          own: false,
+          description: 'View student recommendations for any company'
+        },
+        {
+          resource: 'students',
+          action: 'export',
+          own: false,
+          description: 'Export the student directory as CSV or Excel'
+        },
+        {
+          resource: 'companies',
+          action: 'export',
+          own: false,
+          description: 'Export the company directory as CSV or Excel'
+        },
+        {
+          resource: 'files',
+          action: 'upload',
+          own: false,
+          description: 'Upload files to any profile'
+        },
+        {
+          resource: 'files',
+          action: 'read',
+          own: false,
+          description: 'View files of any profile'
+        },
+        {
+          resource: 'files',
+          action: 'download',
+          own: false,
+          description: 'Download any CV'
+        },
+        {
+          resource: 'files',
+          action: 'delete',
+          own: false,
+          description: 'Delete files from any profile'
+        },
+        {
+          resource: 'jobs',
+          action: 'read',
+          own: false,
+          description: 'View all job postings'
+        },
+        {
+          resource: 'jobs',
+          action: 'create',
+          own: false,
+          description: 'Post jobs for any company'
+        },
+        {
+          resource: 'jobs',
+          action: 'update',
+          own: false,
+          description: 'Update any job posting'
+        },
+        {
+          resource: 'jobs',
+          action: 'delete',
+          own: false,
+          description: 'Delete any job posting'
+        },
         {
           resource: 'lookup',
           action: 'read',
@@ -196,6 +376,14 @@ module.exports = {
       name: 'Company Profiles',
       description: 'Company profile data'
     },
+    files: {
+      name: 'Profile Files',
+      description: 'CVs, profile photos and company logos'
+    },
+    jobs: {
+      name: 'Job Postings',
+      description: 'Job postings published by companies'
+    },
     lookup: {
       name: 'Reference Data',
       description: 'Lookup/reference data (universities, industries, etc.)'
@@ -213,7 +401,11 @@ module.exports = {
     delete: 'Delete resource',
     cache_clear: 'Clear cache',
     cache_status: 'View cache status',
-    approve: 'Approve user account'
+    approve: 'Approve user account or profiles',
+    upload: 'Upload file',
+    recommendations: 'View match recommendations',
+    export: 'Export resource as a spreadsheet',
+    download: 'Download a private file through a signed URL'
   }
 };
 
@@ -273,6 +465,20 @@ function getUserPermissions(user) {
   return getPermissionsForRole(user.role);
 }
 
+/**
+ * Get a role's permissions as a resource -> action -> scope map,
+ * where scope is 'own' (only the user's own resources) or 'any'
+ * @param {string} roleName - Name of the role
+ * @returns {Object} e.g. { students: { read: 'any', update: 'own' } }
+ */
+function getPermissionMatrix(roleName) {
+  return getPermissionsForRole(roleName).reduce((matrix, permission) => {
+    matrix[permission.resource] = matrix[permission.resource] || {};
+    matrix[permission.resource][permission.action] = permission.own ? 'own' : 'any';
+    return matrix;
+  }, {});
+}
+
 /**
  * Check if a user has a specific permission
  * @param {Object} user - User object
@@ -293,4 +499,5 @@ function userHasPermission(user, resource, action, context = {}) {
 module.exports.checkPermission = checkPermission;
 module.exports.getPermissionsForRole = getPermissionsForRole;
 module.exports.getUserPermissions = getUserPermissions;
+module.exports.getPermissionMatrix = getPermissionMatrix;
 module.exports.userHasPermission = userHasPermission;
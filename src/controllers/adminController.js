@@ -1,5 +1,8 @@
 const logService = require("../services/logService");
 
+// Resource types accepted by the crud_logs.resource_type check constraint
+const RESOURCE_TYPES = ['student', 'company', 'user', 'file', 'job_posting', 'application', 'skill', 'shortlist', 'message', 'saved_search'];
+
 /**
  * Admin Controller
  * Handles admin-only operations including CRUD logs query
@@ -9,8 +12,8 @@ class AdminController {
    * Get CRUD logs with filtering
    * Query parameters:
    * - userId: Filter by user ID
-   * - operation: Filter by operation type (CREATE, UPDATE, DELETE)
-   * - resourceType: Filter by resource type (student, company)
+   * - operation: Filter by operation type (CREATE, UPDATE, DELETE, EXPORT, IMPORT)
+   * - resourceType: Filter by resource type (see RESOURCE_TYPES)
    * - resourceId: Filter by resource ID
    * - success: Filter by success status (true, false)
    * - startDate: Start date (ISO string)
@@ -42,18 +45,18 @@ class AdminController {
       };
 
       // Validate operation type
-      if (filters.operation && !['CREATE', 'UPDATE', 'DELETE'].includes(filters.operation)) {
+      if (filters.operation && !['CREATE', 'UPDATE', 'DELETE', 'EXPORT', 'IMPORT'].includes(filters.operation)) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid operation type. Must be CREATE, UPDATE, or DELETE.'
+          message: 'Invalid operation type. Must be CREATE, UPDATE, DELETE, EXPORT, or IMPORT.'
         });
       }
 
       // Validate resource type
-      if (filters.resourceType && !['student', 'company', 'user', 'file'].includes(filters.resourceType)) {
+      if (filters.resourceType && !RESOURCE_TYPES.includes(filters.resourceType)) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid resource type. Must be student, company, user, or file.'
+          message: `Invalid resource type. Must be one of: ${RESOURCE_TYPES.join(', ')}.`
         });
       }
 
@@ -0,0 +1,99 @@
+const applicationService = require('../services/applicationService');
+
+class ApplicationController {
+  async getApplications(req, res, next) {
+    try {
+      const filters = {
+        stage: req.query.stage,
+        jobPostingId: req.query.jobPostingId,
+        studentId: req.query.studentId,
+        companyId: req.query.companyId,
+        page: req.query.page,
+        limit: req.query.limit
+      };
+
+      // Remove undefined filters
+      Object.keys(filters).forEach(key => {
+        if (filters[key] === undefined) {
+          delete filters[key];
+        }
+      });
+
+      const result = await applicationService.getApplications(filters, req.user);
+
+      res.status(200).json({
+        success: true,
+        message: 'Applications retrieved successfully',
+        data: result.applications,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getApplicationById(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const application = await applicationService.getApplicationById(id, req.user);
+
+      if (!application) {
+        return res.status(404).json({
+          success: false,
+          message: 'Application not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Application retrieved successfully',
+        data: application
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async createApplication(req, res, next) {
+    try {
+      const application = await applicationService.createApplication(req.body, req);
+
+      res.status(201).json({
+        success: true,
+        message: application.source === 'company'
+          ? 'Student invited successfully'
+          : 'Application submitted successfully',
+        data: application
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async changeStage(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { stage, note } = req.body;
+
+      const application = await applicationService.changeStage(id, stage, note, req);
+
+      if (!application) {
+        return res.status(404).json({
+          success: false,
+          message: 'Application not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `Application moved to ${stage}`,
+        data: application
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ApplicationController();
@@ -1,11 +1,149 @@
 const authService = require("../services/authService");
 const studentService = require("../services/studentService");
 const companyService = require("../services/companyService");
+const twoFactorService = require("../services/twoFactorService");
+
+const getBearerToken = (req) => (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+
+const LOGOUT_MESSAGES = {
+  local: "Logged out successfully",
+  others: "Logged out of all other sessions",
+  global: "Logged out of all sessions",
+};
+
+/**
+ * Shared handler for logout, logout-others and logout-all
+ */
+async function endSessions(req, res, next, scope) {
+  try {
+    const token = getBearerToken(req);
+
+    // Extract additional context for audit logging
+    const userAgent = req.headers['user-agent'] || null;
+    const ipAddress = req.ip || req.connection.remoteAddress || null;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: "Authorization token is required",
+        error: "Missing token",
+        data: null,
+      });
+    }
+
+    const response = await authService.logOut(token, userAgent, ipAddress, scope);
+
+    return res.status(200).json({
+      success: true,
+      message: LOGOUT_MESSAGES[scope],
+      data: {
+        sessionId: response.sessionId,
+        scope: response.scope,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Fetch the signed-in user's role and profile and build the login
+ * response body
+ */
+async function buildLoginData(session, user) {
+  // Get the user ID from the auth response
+  const userId = user.id;
+
+  // Fetch user's role and profile data
+  const { supabase } = require('../db');
+  const { data: userData, error: userError } = await supabase
+    .from('users')
+    .select('role')
+    .eq('id', userId)
+    .single();
+
+  if (userError || !userData) {
+    console.error('[ERROR] Failed to fetch user data:', userError);
+  }
+
+  let profile = null;
+
+  // Fetch profile data based on role
+  if (userData?.role === 'student') {
+    const { data: studentData, error: studentError } = await supabase
+      .from('students')
+      .select(`
+        id,
+        full_name,
+        status,
+        employment_status,
+        university_institution,
+        program_major,
+        preferred_industry,
+        tech_stack_skills,
+        self_introduction,
+        cv_upload,
+        profile_photo,
+        linkedin,
+        portfolio_link,
+        phone_number,
+        email_address,
+        batch,
+        timestamp
+      `)
+      .eq('id', userId)
+      .single();
+
+    if (!studentError && studentData) {
+      profile = studentService.transformStudentData(studentData);
+
+      // Inject email from auth context if not in database (for existing students)
+      if (!profile.email && user.email) {
+        profile.email = user.email;
+      }
+    }
+  } else if (userData?.role === 'company') {
+    const { data: companyData, error: companyError } = await supabase
+      .from('companies')
+      .select(`
+        id,
+        company_name,
+        company_summary_description,
+        industry_sector,
+        company_website_link,
+        company_logo,
+        tech_roles_interest,
+        preferred_skillsets,
+        contact_person_name,
+        contact_email,
+        contact_phone_number,
+        email_address,
+        contact_info_visible,
+        timestamp
+      `)
+      .eq('id', userId)
+      .single();
+
+    if (!companyError && companyData) {
+      profile = companyService.transformCompanyData(companyData, userId, userData.role);
+    }
+  }
+
+  return {
+    access_token: session.access_token,
+    refresh_token: session.refresh_token, // Supabase's built-in refresh token
+    expires_in: session.expires_in || 3600, // 1 hour (Supabase default)
+    user,
+    token_type: 'bearer',
+    profile: profile
+  };
+}
 
 class AuthController {
   async register(req, res, next) {
     try {
-      const { fullName, email, password, role } = req.body;
+      const { fullName, email, password, role, inviteToken } = req.body;
 
       // Extract context for audit logging
       const userAgent = req.headers['user-agent'] || null;
@@ -24,7 +162,8 @@ class AuthController {
         password,
         role,
         userAgent,
-        ipAddress
+        ipAddress,
+        inviteToken
       );
 
       return res.status(201).json({
@@ -65,127 +204,149 @@ class AuthController {
       // - refresh_token: automatic renewal
       // - session management: built-in
 
-      // Get the user ID from the auth response
-      const userId = response.user.id;
+      // With 2FA enabled or required for the role, hold the session until
+      // the second factor is verified at /api/auth/2fa/login
+      const role = await authService.getUserRole(response.user);
+      if (!role) {
+        throw new Error('Failed to fetch user role');
+      }
 
-      // Fetch user's role and profile data
-      const { supabase } = require('../db');
-      const { data: userData, error: userError } = await supabase
-        .from('users')
-        .select('role')
-        .eq('id', userId)
-        .single();
+      const twoFactor = await twoFactorService.getStatus(response.user.id, role);
+      const pendingTwoFactor = twoFactor.enabled || twoFactor.required;
 
-      if (userError || !userData) {
-        console.error('[ERROR] Failed to fetch user data:', userError);
-      }
+      await authService.recordLogin(response.user, response.session, { pendingTwoFactor, userAgent, ipAddress });
+
+      if (pendingTwoFactor) {
+        const challengeToken = twoFactorService.createLoginChallenge({
+          session: response.session,
+          user: response.user,
+          role,
+          enrollmentRequired: !twoFactor.enabled
+        });
 
-      let profile = null;
-
-      // Fetch profile data based on role
-      if (userData?.role === 'student') {
-        const { data: studentData, error: studentError } = await supabase
-          .from('students')
-          .select(`
-            id,
-            full_name,
-            status,
-            employment_status,
-            university_institution,
-            program_major,
-            preferred_industry,
-            tech_stack_skills,
-            self_introduction,
-            cv_upload,
-            profile_photo,
-            linkedin,
-            portfolio_link,
-            phone_number,
-            email_address,
-            batch,
-            timestamp
-          `)
-          .eq('id', userId)
-          .single();
-
-        if (!studentError && studentData) {
-          profile = studentService.transformStudentData(studentData);
-
-          // Inject email from auth context if not in database (for existing students)
-          if (!profile.email && response.user.email) {
-            profile.email = response.user.email;
+        return res.status(200).json({
+          success: true,
+          message: twoFactor.enabled
+            ? "Two-factor authentication required"
+            : "Two-factor authentication must be set up to sign in",
+          data: {
+            twoFactorRequired: true,
+            enrollmentRequired: !twoFactor.enabled,
+            challengeToken,
+            expires_in: twoFactorService.CHALLENGE_TTL_SECONDS
           }
-        }
-      } else if (userData?.role === 'company') {
-        const { data: companyData, error: companyError } = await supabase
-          .from('companies')
-          .select(`
-            id,
-            company_name,
-            company_summary_description,
-            industry_sector,
-            company_website_link,
-            company_logo,
-            tech_roles_interest,
-            preferred_skillsets,
-            contact_person_name,
-            contact_email,
-            contact_phone_number,
-            email_address,
-            contact_info_visible,
-            timestamp
-          `)
-          .eq('id', userId)
-          .single();
-
-        if (!companyError && companyData) {
-          profile = companyService.transformCompanyData(companyData, userId, userData.role);
-        }
+        });
       }
 
       return res.status(200).json({
         success: true,
         message: "Login successful",
-        data: {
-          access_token: response.session.access_token,
-          refresh_token: response.session.refresh_token, // Supabase's built-in refresh token
-          expires_in: response.session.expires_in || 3600, // 1 hour (Supabase default)
-          user: response.user,
-          token_type: 'bearer',
-          profile: profile
-        }
+        data: await buildLoginData(response.session, response.user)
       });
     } catch (error) {
+      // Account or IP locked out after repeated failures
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/2fa/login/setup
+   * Enrollment details for a login challenge whose role requires 2FA
+   * but who has not set it up yet
+   */
+  async setupLoginTwoFactor(req, res, next) {
+    try {
+      const enrollment = await twoFactorService.startLoginEnrollment(req.body.challengeToken, {
+        userAgent: req.headers['user-agent'] || null,
+        ipAddress: req.ip || req.connection.remoteAddress || null
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: "Scan the QR code with your authenticator app, then enter a code to sign in",
+        data: enrollment
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/2fa/login
+   * Answer a login challenge with a TOTP code or backup code
+   */
+  async verifyLoginTwoFactor(req, res, next) {
+    try {
+      const { challengeToken, code, backupCode } = req.body;
+
+      const result = await twoFactorService.completeLoginChallenge(challengeToken, { code, backupCode }, {
+        userAgent: req.headers['user-agent'] || null,
+        ipAddress: req.ip || req.connection.remoteAddress || null
+      });
+
+      const data = await buildLoginData(result.session, result.user);
+
+      return res.status(200).json({
+        success: true,
+        message: "Login successful",
+        // Only present when this login completed a required enrollment
+        data: result.backupCodes ? { ...data, backupCodes: result.backupCodes } : data
+      });
+    } catch (error) {
+      // Account locked after repeated wrong codes
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
       next(error);
     }
   }
 
   async logout(req, res, next) {
+    return endSessions(req, res, next, 'local');
+  }
+
+  /**
+   * POST /api/auth/logout-others
+   * Revoke every session except the caller's
+   */
+  async logoutOthers(req, res, next) {
+    return endSessions(req, res, next, 'others');
+  }
+
+  /**
+   * POST /api/auth/logout-all
+   * Revoke every session, including the caller's
+   */
+  async logoutAll(req, res, next) {
+    return endSessions(req, res, next, 'global');
+  }
+
+  /**
+   * POST /api/auth/refresh
+   * Exchange a refresh token for a new access token
+   */
+  async refresh(req, res, next) {
     try {
-      const authHeader = req.headers.authorization || "";
-      const token = authHeader.replace(/^Bearer\s+/i, "");
+      const { refresh_token } = req.body;
 
-      // Extract additional context for audit logging
+      // Extract context for audit logging
       const userAgent = req.headers['user-agent'] || null;
       const ipAddress = req.ip || req.connection.remoteAddress || null;
 
-      if (!token) {
-        return res.status(400).json({
-          success: false,
-          message: "Authorization token is required",
-          error: "Missing token",
-          data: null,
-        });
-      }
-
-      const response = await authService.logOut(token, userAgent, ipAddress);
+      const response = await authService.refreshSession(refresh_token, userAgent, ipAddress);
 
       return res.status(200).json({
         success: true,
-        message: "Logged out successfully",
+        message: "Token refreshed successfully",
         data: {
-          sessionId: response.sessionId,
-          timestamp: new Date().toISOString()
+          access_token: response.session.access_token,
+          refresh_token: response.session.refresh_token, // Rotated: the old refresh token is no longer valid
+          expires_in: response.session.expires_in || 3600,
+          user: response.user,
+          token_type: 'bearer'
         }
       });
     } catch (error) {
@@ -193,6 +354,25 @@ class AuthController {
     }
   }
 
+  /**
+   * GET /api/auth/sessions
+   * List the caller's active sessions (device, IP, last seen)
+   */
+  async getSessions(req, res, next) {
+    try {
+      const currentSessionId = authService.getSessionId(getBearerToken(req));
+      const sessions = await authService.getActiveSessions(req.user.id, currentSessionId);
+
+      return res.status(200).json({
+        success: true,
+        message: "Sessions retrieved successfully",
+        data: sessions
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async getMyProfile(req, res, next) {
     try {
       const authHeader = req.headers.authorization || "";
@@ -2,6 +2,9 @@ const { supabase } = require('../db');
 const studentService = require('../services/studentService');
 const companyService = require('../services/companyService');
 const fileService = require('../services/fileService');
+const cvTextService = require('../services/cvTextService');
+const cvAccessService = require('../services/cvAccessService');
+const { getPermissionsForRole, getPermissionMatrix } = require('../config/roles');
 
 /**
  * Get current user's profile
@@ -189,11 +192,17 @@ const uploadCV = async (req, res, next) => {
       throw new Error('Failed to update student record with CV URL');
     }
 
+    // Skills found in the CV that the profile does not list yet
+    const suggestedSkills = await cvTextService.suggestSkills(userId, fileRecord.extractedSkills)
+      .catch(() => []);
+
     res.json({
       success: true,
       message: 'CV uploaded successfully',
       data: {
-        file: fileRecord
+        // CVs are private; the stored URL is not a working link
+        file: { ...fileRecord, url: cvAccessService.downloadPath(userId) },
+        suggestedSkills
       }
     });
   } catch (error) {
@@ -201,6 +210,62 @@ const uploadCV = async (req, res, next) => {
   }
 };
 
+/**
+ * Skills found in the logged-in student's current CV that are not in their
+ * tech stack yet
+ */
+const getCvSkillSuggestions = async (req, res, next) => {
+  try {
+    const result = await cvTextService.getSkillSuggestions(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'CV skill suggestions retrieved successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add picked CV skill suggestions to the current student's tech stack
+ */
+const acceptCvSkillSuggestions = async (req, res, next) => {
+  try {
+    const result = await cvTextService.acceptSkillSuggestions(req.user.id, req.body.skills, req);
+
+    res.json({
+      success: true,
+      message: `Added ${result.added.length} skill(s) to your tech stack`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Companies that downloaded the current student's CV, newest first
+ */
+const getCvViews = async (req, res, next) => {
+  try {
+    const result = await cvAccessService.getCvViews(req.user.id, {
+      page: req.query.page,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      message: 'CV views retrieved successfully',
+      data: result.views,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Upload profile photo for current student user
  */
@@ -329,10 +394,37 @@ const uploadLogo = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the current user's permissions from the RBAC matrix in config/roles.js
+ * so the frontend can hide actions the user cannot perform.
+ * `matrix` maps resource -> action -> 'own' | 'any'
+ */
+const getPermissions = async (req, res, next) => {
+  try {
+    const role = req.user.role;
+
+    res.json({
+      success: true,
+      message: 'Permissions retrieved successfully',
+      data: {
+        role,
+        permissions: getPermissionsForRole(role),
+        matrix: getPermissionMatrix(role)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getProfile,
+  getPermissions,
   updateProfile,
   uploadCV,
+  getCvSkillSuggestions,
+  acceptCvSkillSuggestions,
+  getCvViews,
   uploadPhoto,
   uploadLogo
 };
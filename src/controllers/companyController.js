@@ -1,5 +1,6 @@
 const companyService = require('../services/companyService');
-const authService = require('../services/authService');
+const matchingService = require('../services/matchingService');
+const exportService = require('../services/exportService');
 const { supabase } = require('../db');
 
 class CompanyController {
@@ -9,7 +10,8 @@ class CompanyController {
         industry: req.query.industry,
         techRole: req.query.techRole,
         page: req.query.page,
-        limit: req.query.limit
+        limit: req.query.limit,
+        cursor: req.query.cursor
       };
 
       // Remove undefined filters
@@ -33,6 +35,36 @@ class CompanyController {
     }
   }
 
+  async exportCompanies(req, res, next) {
+    try {
+      const filters = {
+        industry: req.query.industry,
+        techRole: req.query.techRole
+      };
+
+      // Remove undefined filters
+      Object.keys(filters).forEach(key => {
+        if (filters[key] === undefined) {
+          delete filters[key];
+        }
+      });
+
+      await exportService.exportDirectory(res, {
+        entity: 'companies',
+        format: req.query.format || 'csv',
+        filters,
+        req
+      });
+    } catch (error) {
+      // Once the file has started streaming the status line is gone;
+      // cut the connection so the client sees an incomplete download
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      next(error);
+    }
+  }
+
   async getCompanyById(req, res, next) {
     try {
       const { id } = req.params;
@@ -88,13 +120,18 @@ class CompanyController {
       });
 
       const currentUser = req.user;
-      const companies = await companyService.searchCompanies(q.trim(), filters, currentUser);
+      const result = await companyService.searchCompanies(q.trim(), filters, currentUser, {
+        page: req.query.page,
+        limit: req.query.limit,
+        match: req.query.match
+      });
 
       res.status(200).json({
         success: true,
         message: 'Companies found',
-        data: companies,
-        total: companies.length
+        data: result.companies,
+        pagination: result.pagination,
+        total: result.pagination.total
       });
     } catch (error) {
       next(error);
@@ -242,10 +279,9 @@ class CompanyController {
         });
       }
 
-      // Authorization check: user must be admin or own the resource
+      // Ownership is enforced by requirePermission on the route
       const currentUser = req.user;
 
-      // Check if user is admin or owns this company
       const company = await companyService.getCompanyById(id, currentUser);
       if (!company) {
         return res.status(404).json({
@@ -254,26 +290,6 @@ class CompanyController {
         });
       }
 
-      // Allow if admin or if user owns this company
-      const isOwner = company.id === currentUser.id;
-
-      // If not owner, check if user is admin
-      if (!isOwner) {
-        const { data: userData } = await supabase
-          .from('users')
-          .select('role')
-          .eq('id', currentUser.id)
-          .single();
-
-        if (!userData || userData.role !== 'admin') {
-          return res.status(403).json({
-            success: false,
-            message: 'You can only update your own company profile',
-            data: null
-          });
-        }
-      }
-
       const patchedCompany = await companyService.patchCompany(id, patchData, req);
 
       res.status(200).json({
@@ -297,11 +313,9 @@ class CompanyController {
         });
       }
 
-      // Authorization check: user must be admin or own the resource
+      // Ownership is enforced by requirePermission on the route
       const currentUser = req.user;
-      const userRole = await authService.getUserRole(currentUser);
 
-      // Check if user is admin or owns this company
       const company = await companyService.getCompanyById(id, currentUser);
       if (!company) {
         return res.status(404).json({
@@ -310,18 +324,6 @@ class CompanyController {
         });
       }
 
-      // Allow if admin or if user owns this company
-      const isOwner = company.id === currentUser.id;
-      const isAdmin = userRole === 'admin';
-
-      if (!isOwner && !isAdmin) {
-        return res.status(403).json({
-          success: false,
-          message: 'You can only delete your own company profile',
-          data: null
-        });
-      }
-
       const result = await companyService.deleteCompany(id, req);
 
       res.status(200).json({
@@ -346,24 +348,40 @@ class CompanyController {
         });
       }
 
-      // Authorization check: only admin can bulk approve
+      const result = await companyService.bulkApproveCompanies(companyIds, isVisible, req);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getRecommendedStudents(req, res, next) {
+    try {
+      const { id } = req.params;
       const currentUser = req.user;
-      const userRole = await authService.getUserRole(currentUser);
 
-      if (userRole !== 'admin') {
-        return res.status(403).json({
+      const result = await matchingService.getRecommendedStudents(id, {
+        limit: req.query.limit,
+        includeCv: req.query.includeCv === 'true'
+      }, currentUser);
+
+      if (!result) {
+        return res.status(404).json({
           success: false,
-          message: 'Only admin users can bulk approve companies',
-          data: null
+          message: 'Company not found'
         });
       }
 
-      const result = await companyService.bulkApproveCompanies(companyIds, isVisible, req);
-
       res.status(200).json({
         success: true,
-        message: result.message,
-        data: result
+        message: 'Recommended students retrieved successfully',
+        data: result.recommendations,
+        total: result.recommendations.length
       });
     } catch (error) {
       next(error);
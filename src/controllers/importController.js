@@ -0,0 +1,94 @@
+const importService = require('../services/importService');
+
+/**
+ * Import Controller
+ * Admin bulk imports of students and companies under /api/admin/imports
+ */
+class ImportController {
+  /**
+   * POST /api/admin/imports/:entity
+   * Multipart form with a CSV or XLSX `file`; `?dryRun=true` only validates
+   * and previews the rows
+   */
+  async importFile(req, res, next) {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'A CSV or XLSX file is required',
+          data: null
+        });
+      }
+
+      const { entity } = req.params;
+      const dryRun = req.query.dryRun === 'true';
+
+      const result = await importService.importFile(entity, req.file, { dryRun }, req);
+
+      if (!dryRun && !result.imported) {
+        return res.status(400).json({
+          success: false,
+          message: `Import rejected: ${result.summary.invalid} of ${result.summary.total} rows are invalid`,
+          data: result
+        });
+      }
+
+      res.status(dryRun ? 200 : 201).json({
+        success: true,
+        message: dryRun ? 'Import preview generated' : 'Import completed',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/admin/imports
+   * Query parameters: entity, status, page, limit
+   */
+  async getImports(req, res, next) {
+    try {
+      const result = await importService.getImports({
+        entity: req.query.entity,
+        status: req.query.status,
+        page: req.query.page,
+        limit: req.query.limit
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Imports retrieved successfully',
+        data: result.imports,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getImportById(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const result = await importService.getImportById(id);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Import not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Import retrieved successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ImportController();
@@ -0,0 +1,75 @@
+const inviteService = require('../services/inviteService');
+
+/**
+ * Invite Controller
+ * Admin-issued registration invites under /api/admin/invites
+ */
+class InviteController {
+  /**
+   * POST /api/admin/invites
+   * Body: role (default admin), email (optional binding), expiresInHours (default 72)
+   * The raw token is only returned in this response
+   */
+  async createInvite(req, res, next) {
+    try {
+      const invite = await inviteService.createInvite(req.body || {}, req);
+
+      res.status(201).json({
+        success: true,
+        message: 'Invite created successfully',
+        data: invite
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/admin/invites
+   * Query parameters: status, role, page, limit
+   */
+  async getInvites(req, res, next) {
+    try {
+      const result = await inviteService.getInvites({
+        status: req.query.status,
+        role: req.query.role,
+        page: req.query.page,
+        limit: req.query.limit
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Invites retrieved successfully',
+        data: result.invites,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async revokeInvite(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const invite = await inviteService.revokeInvite(id, req);
+
+      if (!invite) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invite not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Invite revoked successfully',
+        data: invite
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new InviteController();
@@ -0,0 +1,185 @@
+const jobPostingService = require('../services/jobPostingService');
+const { supabase } = require('../db');
+
+class JobPostingController {
+  async getJobs(req, res, next) {
+    try {
+      const filters = {
+        q: req.query.q,
+        skill: req.query.skill,
+        location: req.query.location,
+        remoteMode: req.query.remoteMode,
+        employmentType: req.query.employmentType,
+        status: req.query.status,
+        companyId: req.query.companyId,
+        page: req.query.page,
+        limit: req.query.limit
+      };
+
+      // Remove undefined filters
+      Object.keys(filters).forEach(key => {
+        if (filters[key] === undefined) {
+          delete filters[key];
+        }
+      });
+
+      const result = await jobPostingService.getAllJobs(filters, req.user);
+
+      res.status(200).json({
+        success: true,
+        message: 'Job postings retrieved successfully',
+        data: result.jobs,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getCompanyJobs(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const filters = {
+        q: req.query.q,
+        skill: req.query.skill,
+        location: req.query.location,
+        remoteMode: req.query.remoteMode,
+        employmentType: req.query.employmentType,
+        status: req.query.status,
+        page: req.query.page,
+        limit: req.query.limit
+      };
+
+      // Remove undefined filters
+      Object.keys(filters).forEach(key => {
+        if (filters[key] === undefined) {
+          delete filters[key];
+        }
+      });
+
+      const result = await jobPostingService.getCompanyJobs(id, filters, req.user);
+
+      res.status(200).json({
+        success: true,
+        message: 'Job postings retrieved successfully',
+        data: result.jobs,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getJobById(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const job = await jobPostingService.getJobById(id, req.user);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job posting not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Job posting retrieved successfully',
+        data: job
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async createJob(req, res, next) {
+    try {
+      // Ownership is checked by requirePermission('jobs', 'create') on the route
+      const { id: companyId } = req.params;
+
+      const { data: company, error } = await supabase
+        .from('companies')
+        .select('id')
+        .eq('id', companyId)
+        .single();
+
+      if (error || !company) {
+        return res.status(404).json({
+          success: false,
+          message: 'Company not found'
+        });
+      }
+
+      const newJob = await jobPostingService.createJob(companyId, req.body, req);
+
+      res.status(201).json({
+        success: true,
+        message: 'Job posting created successfully',
+        data: newJob
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async patchJob(req, res, next) {
+    try {
+      const { id } = req.params;
+      const patchData = req.body;
+
+      // Validate that patch data is not empty
+      if (!patchData || Object.keys(patchData).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No fields provided for partial update'
+        });
+      }
+
+      // Ownership is checked by requirePermission('jobs', 'update') on the route
+      const updatedJob = await jobPostingService.patchJob(id, patchData, req);
+
+      if (!updatedJob) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job posting not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Job posting updated successfully',
+        data: updatedJob
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async deleteJob(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      // Ownership is checked by requirePermission('jobs', 'delete') on the route
+      const result = await jobPostingService.deleteJob(id, req);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job posting not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Job posting deleted successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new JobPostingController();
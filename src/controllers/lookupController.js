@@ -168,19 +168,6 @@ class LookupController {
    */
   async clearCache(req, res, next) {
     try {
-      // Check for admin key (simplified admin check)
-      const adminKey = req.headers['x-admin-key'];
-      const expectedKey = process.env.ADMIN_API_KEY;
-
-      if (!adminKey || adminKey !== expectedKey) {
-        return res.status(403).json({
-          success: false,
-          message: 'Admin access required',
-          data: null,
-          timestamp: new Date().toISOString()
-        });
-      }
-
       lookupService.clearCache();
 
       res.status(200).json({
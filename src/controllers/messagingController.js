@@ -0,0 +1,188 @@
+const messagingService = require('../services/messagingService');
+
+/**
+ * Messaging Controller
+ * Conversations between company and student users, plus the admin moderation view
+ */
+class MessagingController {
+  async getConversations(req, res, next) {
+    try {
+      const filters = {
+        page: req.query.page,
+        limit: req.query.limit
+      };
+
+      const result = await messagingService.getConversations(filters, req.user);
+
+      res.status(200).json({
+        success: true,
+        message: 'Conversations retrieved successfully',
+        data: result.conversations,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getUnreadCount(req, res, next) {
+    try {
+      const unread = await messagingService.getUnreadCount(req.user);
+
+      res.status(200).json({
+        success: true,
+        message: 'Unread count retrieved successfully',
+        data: unread
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async startConversation(req, res, next) {
+    try {
+      const result = await messagingService.startConversation(req.body, req);
+
+      res.status(result.created ? 201 : 200).json({
+        success: true,
+        message: 'Message sent successfully',
+        data: {
+          conversation: result.conversation,
+          message: result.message
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getMessages(req, res, next) {
+    try {
+      const { id } = req.params;
+      const filters = {
+        page: req.query.page,
+        limit: req.query.limit
+      };
+
+      const result = await messagingService.getMessages(id, filters, req.user);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Conversation not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Messages retrieved successfully',
+        data: {
+          conversation: result.conversation,
+          messages: result.messages
+        },
+        pagination: result.pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async sendMessage(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const message = await messagingService.sendMessage(id, req.body.body, req);
+
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          message: 'Conversation not found'
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Message sent successfully',
+        data: message
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async markAsRead(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const result = await messagingService.markAsRead(id, req.user);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Conversation not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Conversation marked as read',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/admin/conversations
+   */
+  async getAllConversations(req, res, next) {
+    try {
+      const filters = {
+        companyId: req.query.companyId,
+        studentId: req.query.studentId,
+        page: req.query.page,
+        limit: req.query.limit
+      };
+
+      const result = await messagingService.getAllConversations(filters);
+
+      res.status(200).json({
+        success: true,
+        message: 'Conversations retrieved successfully',
+        data: result.conversations,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/admin/messages/:id
+   */
+  async deleteMessage(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const result = await messagingService.deleteMessage(id, req);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Message not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Message deleted successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new MessagingController();
@@ -0,0 +1,84 @@
+const malwareScanService = require('../services/malwareScanService');
+
+/**
+ * Quarantine Controller
+ * Admin review of uploads flagged by the malware scanner under /api/admin/quarantine
+ */
+class QuarantineController {
+  /**
+   * GET /api/admin/quarantine
+   * Query parameters: page, limit
+   */
+  async getQuarantinedFiles(req, res, next) {
+    try {
+      const result = await malwareScanService.getQuarantinedFiles({
+        page: req.query.page,
+        limit: req.query.limit
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Quarantined files retrieved successfully',
+        data: result.files,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/admin/quarantine/:id/release
+   * Marks a flagged file as a false positive and stores it for its owner
+   */
+  async releaseFile(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const result = await malwareScanService.releaseFile(id, req);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quarantined file not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'File released from quarantine',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/admin/quarantine/:id
+   */
+  async purgeFile(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const result = await malwareScanService.purgeFile(id, req);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quarantined file not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Quarantined file deleted permanently',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new QuarantineController();
@@ -0,0 +1,61 @@
+const savedSearchService = require('../services/savedSearchService');
+
+/**
+ * Saved Search Controller
+ * Student searches saved by the current company user for new-match digests
+ */
+class SavedSearchController {
+  async getSavedSearches(req, res, next) {
+    try {
+      const savedSearches = await savedSearchService.getSavedSearches(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Saved searches retrieved successfully',
+        data: savedSearches,
+        total: savedSearches.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async createSavedSearch(req, res, next) {
+    try {
+      const savedSearch = await savedSearchService.createSavedSearch(req.body, req);
+
+      res.status(201).json({
+        success: true,
+        message: 'Search saved successfully',
+        data: savedSearch
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async deleteSavedSearch(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const result = await savedSearchService.deleteSavedSearch(id, req);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Saved search not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Saved search deleted successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new SavedSearchController();
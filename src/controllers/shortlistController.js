@@ -0,0 +1,199 @@
+const shortlistService = require('../services/shortlistService');
+
+/**
+ * Shortlist Controller
+ * Named lists of saved candidates for the current company user
+ */
+class ShortlistController {
+  async getShortlists(req, res, next) {
+    try {
+      const shortlists = await shortlistService.getShortlists(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Shortlists retrieved successfully',
+        data: shortlists,
+        total: shortlists.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getShortlistById(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const shortlist = await shortlistService.getShortlistById(id, req.user.id);
+
+      if (!shortlist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shortlist not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Shortlist retrieved successfully',
+        data: shortlist
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async createShortlist(req, res, next) {
+    try {
+      const shortlist = await shortlistService.createShortlist(req.body, req);
+
+      res.status(201).json({
+        success: true,
+        message: 'Shortlist created successfully',
+        data: shortlist
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async updateShortlist(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const shortlist = await shortlistService.updateShortlist(id, req.body, req);
+
+      if (!shortlist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shortlist not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Shortlist updated successfully',
+        data: shortlist
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async deleteShortlist(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const result = await shortlistService.deleteShortlist(id, req);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shortlist not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Shortlist deleted successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async addEntry(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const entry = await shortlistService.addEntry(id, req.body, req.user);
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shortlist not found'
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Student added to shortlist',
+        data: entry
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async updateEntry(req, res, next) {
+    try {
+      const { id, studentId } = req.params;
+
+      const entry = await shortlistService.updateEntry(id, studentId, req.body, req.user);
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shortlist entry not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Shortlist entry updated successfully',
+        data: entry
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async removeEntry(req, res, next) {
+    try {
+      const { id, studentId } = req.params;
+
+      const result = await shortlistService.removeEntry(id, studentId, req.user);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shortlist entry not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Student removed from shortlist',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async reorderEntries(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const shortlist = await shortlistService.reorderEntries(id, req.body.studentIds, req.user);
+
+      if (!shortlist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shortlist not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Shortlist reordered successfully',
+        data: shortlist
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ShortlistController();
@@ -0,0 +1,134 @@
+const skillTaxonomyService = require('../services/skillTaxonomyService');
+const { SKILL_CATEGORIES } = require('../services/skillTaxonomyService');
+
+/**
+ * Skill Controller
+ * Public taxonomy listing and admin management of canonical skills
+ */
+class SkillController {
+  /**
+   * GET /api/skills
+   * List canonical skills, optionally filtered by category or name
+   */
+  async getSkills(req, res, next) {
+    try {
+      const filters = {
+        category: req.query.category,
+        q: req.query.q
+      };
+
+      const skills = await skillTaxonomyService.getSkills(filters);
+
+      res.status(200).json({
+        success: true,
+        message: 'Skills retrieved successfully',
+        data: skills,
+        categories: SKILL_CATEGORIES,
+        total: skills.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/admin/skills
+   */
+  async createSkill(req, res, next) {
+    try {
+      const skill = await skillTaxonomyService.createSkill(req.body, req);
+
+      res.status(201).json({
+        success: true,
+        message: 'Skill created successfully',
+        data: skill
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PATCH /api/admin/skills/:id
+   */
+  async updateSkill(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      if (!req.body || Object.keys(req.body).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No fields provided for partial update'
+        });
+      }
+
+      const skill = await skillTaxonomyService.updateSkill(id, req.body, req);
+
+      if (!skill) {
+        return res.status(404).json({
+          success: false,
+          message: 'Skill not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Skill updated successfully',
+        data: skill
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/admin/skills/:id
+   */
+  async deleteSkill(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const result = await skillTaxonomyService.deleteSkill(id, req);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Skill not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Skill deleted successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/admin/skills/unmapped
+   * Free-text skills that do not map onto the taxonomy, for triage
+   */
+  async getUnmappedSkills(req, res, next) {
+    try {
+      const { limit = 100 } = req.query;
+
+      const unmapped = await skillTaxonomyService.getUnmappedSkills();
+      const data = unmapped.slice(0, parseInt(limit));
+
+      res.status(200).json({
+        success: true,
+        message: 'Unmapped skills retrieved successfully',
+        data,
+        count: data.length,
+        totalAvailable: unmapped.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new SkillController();
@@ -1,5 +1,6 @@
 const studentService = require('../services/studentService');
-const authService = require('../services/authService');
+const matchingService = require('../services/matchingService');
+const exportService = require('../services/exportService');
 const { supabase } = require('../db');
 
 class StudentController {
@@ -11,8 +12,13 @@ class StudentController {
         major: req.query.major,
         industry: req.query.industry,
         skills: req.query.skills,
+        skillsMode: req.query.skillsMode,
+        batch: req.query.batch,
+        employmentStatus: req.query.employmentStatus,
+        facets: req.query.facets === 'true' ? true : undefined,
         page: req.query.page,
-        limit: req.query.limit
+        limit: req.query.limit,
+        cursor: req.query.cursor
       };
 
       // Remove undefined filters
@@ -29,13 +35,50 @@ class StudentController {
         success: true,
         message: 'Students retrieved successfully',
         data: result.students,
-        pagination: result.pagination
+        pagination: result.pagination,
+        ...(result.facets && { facets: result.facets })
       });
     } catch (error) {
       next(error);
     }
   }
 
+  async exportStudents(req, res, next) {
+    try {
+      const filters = {
+        status: req.query.status,
+        university: req.query.university,
+        major: req.query.major,
+        industry: req.query.industry,
+        skills: req.query.skills,
+        skillsMode: req.query.skillsMode,
+        batch: req.query.batch,
+        employmentStatus: req.query.employmentStatus
+      };
+
+      // Remove undefined filters
+      Object.keys(filters).forEach(key => {
+        if (filters[key] === undefined) {
+          delete filters[key];
+        }
+      });
+
+      await exportService.exportDirectory(res, {
+        entity: 'students',
+        format: req.query.format || 'csv',
+        filters,
+        req
+      });
+    } catch (error) {
+      // Once the file has started streaming the status line is gone;
+      // cut the connection so the client sees an incomplete download
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      next(error);
+    }
+  }
+
   async getStudentById(req, res, next) {
     try {
       const { id } = req.params;
@@ -89,6 +132,16 @@ class StudentController {
         });
       }
 
+      // CV content is for recruiters; students search profiles only
+      const includeCv = req.query.includeCv === 'true';
+      if (includeCv && !['company', 'admin'].includes(req.user?.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only companies and admins can search CV content',
+          data: null
+        });
+      }
+
       const filters = {
         status: req.query.status,
         university: req.query.university,
@@ -104,13 +157,19 @@ class StudentController {
         }
       });
 
-      const students = await studentService.searchStudents(q.trim(), filters, req.user);
+      const result = await studentService.searchStudents(q.trim(), filters, req.user, {
+        page: req.query.page,
+        limit: req.query.limit,
+        match: req.query.match,
+        includeCv
+      });
 
       res.status(200).json({
         success: true,
         message: 'Students found',
-        data: students,
-        total: students.length
+        data: result.students,
+        pagination: result.pagination,
+        total: result.pagination.total
       });
     } catch (error) {
       next(error);
@@ -329,10 +388,9 @@ class StudentController {
         });
       }
 
-      // Authorization check: user must be admin or own the resource
+      // Ownership is enforced by requirePermission on the route
       const currentUser = req.user;
 
-      // Check if user is admin or owns this student profile
       const student = await studentService.getStudentById(id, currentUser);
       if (!student) {
         return res.status(404).json({
@@ -342,26 +400,6 @@ class StudentController {
         });
       }
 
-      // Allow if admin or if user owns this student profile
-      const isOwner = student.id === currentUser.id;
-
-      // If not owner, check if user is admin
-      if (!isOwner) {
-        const { data: userData } = await supabase
-          .from('users')
-          .select('role')
-          .eq('id', currentUser.id)
-          .single();
-
-        if (!userData || userData.role !== 'admin') {
-          return res.status(403).json({
-            success: false,
-            message: 'You can only update your own student profile',
-            data: null
-          });
-        }
-      }
-
       const patchedStudent = await studentService.patchStudent(id, patchData, req);
 
       res.status(200).json({
@@ -386,11 +424,9 @@ class StudentController {
         });
       }
 
-      // Authorization check: user must be admin or own the resource
+      // Ownership is enforced by requirePermission on the route
       const currentUser = req.user;
-      const userRole = await authService.getUserRole(currentUser);
 
-      // Check if user is admin or owns this student profile
       const student = await studentService.getStudentById(id, currentUser);
       if (!student) {
         return res.status(404).json({
@@ -400,18 +436,6 @@ class StudentController {
         });
       }
 
-      // Allow if admin or if user owns this student profile
-      const isOwner = student.id === currentUser.id;
-      const isAdmin = userRole === 'admin';
-
-      if (!isOwner && !isAdmin) {
-        return res.status(403).json({
-          success: false,
-          message: 'You can only delete your own student profile',
-          data: null
-        });
-      }
-
       const result = await studentService.deleteStudent(id, req);
 
       res.status(200).json({
@@ -436,30 +460,42 @@ class StudentController {
         });
       }
 
-      // Authorization check: only admin can bulk approve
+      const result = await studentService.bulkApproveStudents(studentIds, isVisible, req);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getRecommendedCompanies(req, res, next) {
+    try {
+      const { id } = req.params;
       const currentUser = req.user;
-      const userRole = await authService.getUserRole(currentUser);
 
-      if (userRole !== 'admin') {
-        return res.status(403).json({
+      const result = await matchingService.getRecommendedCompanies(id, { limit: req.query.limit }, currentUser);
+
+      if (!result) {
+        return res.status(404).json({
           success: false,
-          message: 'Only admin users can bulk approve students',
-          data: null
+          message: 'Student not found'
         });
       }
 
-      const result = await studentService.bulkApproveStudents(studentIds, isVisible, req);
-
       res.status(200).json({
         success: true,
-        message: result.message,
-        data: result
+        message: 'Recommended companies retrieved successfully',
+        data: result.recommendations,
+        total: result.recommendations.length
       });
     } catch (error) {
       next(error);
     }
   }
-
 }
 
 module.exports = new StudentController();
\ No newline at end of file
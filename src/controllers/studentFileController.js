@@ -5,6 +5,9 @@
  */
 
 const fileService = require('../services/fileService');
+const cvTextService = require('../services/cvTextService');
+const cvAccessService = require('../services/cvAccessService');
+const fileVersionService = require('../services/fileVersionService');
 const { supabase } = require('../db');
 
 class StudentFileController {
@@ -30,10 +33,10 @@ class StudentFileController {
 
       const studentId = id;
 
-      // Get student to verify ownership
+      // Get student to verify it exists
       const { data: student, error: studentError } = await supabase
         .from('students')
-        .select('id, cv_upload')
+        .select('id')
         .eq('id', studentId)
         .single();
 
@@ -47,20 +50,6 @@ class StudentFileController {
         });
       }
 
-      // Check authorization: Student can only upload to own profile, admin can upload to any
-      const isAdmin = req.user.role === 'admin';
-      const isOwner = student.id === userId;
-
-      if (!isOwner && !isAdmin) {
-        return res.status(403).json({
-          success: false,
-          error: {
-            code: 'FORBIDDEN',
-            message: 'You can only upload files to your own student profile'
-          }
-        });
-      }
-
       const file = req.file;
 
       if (!file) {
@@ -81,36 +70,7 @@ class StudentFileController {
         studentId: studentId
       });
 
-      // If student already has a CV, extract the file ID from old URL and delete it
-      if (student.cv_upload) {
-        try {
-          // Extract old file path from the current CV URL
-          const oldUrl = student.cv_upload;
-          const oldPathMatch = oldUrl.match(/\/student-cvs\/(.+)$/);
-
-          if (oldPathMatch && oldPathMatch[1]) {
-            const oldFilePath = oldPathMatch[1];
-
-            // Find the old file in metadata
-            const { data: oldFile } = await supabase
-              .from('file_metadata')
-              .select('id, path')
-              .eq('bucket', 'student-cvs')
-              .eq('path', oldFilePath)
-              .eq('student_id', studentId)
-              .single();
-
-            if (oldFile) {
-              // Delete old file (ignore errors to not fail the upload if old file cleanup fails)
-              console.log('Deleting old CV file:', oldFile.path);
-              await fileService.deleteFile(oldFile.id, userId);
-            }
-          }
-        } catch (error) {
-          console.warn('Failed to delete old CV file:', error.message);
-          // Continue with upload even if old file deletion fails
-        }
-      }
+      // Earlier CVs stay as versions (fileVersionService), up to the retention limit
 
       // Update student record with new CV URL
       const { error: updateError } = await supabase
@@ -133,6 +93,10 @@ class StudentFileController {
         });
       }
 
+      // Skills found in the CV that the profile does not list yet
+      const suggestedSkills = await cvTextService.suggestSkills(studentId, fileRecord.extractedSkills)
+        .catch(() => []);
+
       res.status(201).json({
         success: true,
         message: 'CV uploaded successfully',
@@ -140,12 +104,15 @@ class StudentFileController {
           studentId: studentId,
           cv: {
             id: fileRecord.id,
-            url: fileRecord.url,
+            url: cvAccessService.downloadPath(studentId),
             originalName: fileRecord.originalName,
             size: fileRecord.size,
             mimeType: fileRecord.mimeType,
+            textExtractionStatus: fileRecord.textExtractionStatus,
+            extractedSkills: fileRecord.extractedSkills,
             uploadedAt: fileRecord.createdAt
-          }
+          },
+          suggestedSkills
         }
       });
     } catch (error) {
@@ -176,7 +143,7 @@ class StudentFileController {
 
       const studentId = id;
 
-      // Get student to verify ownership
+      // Get student to verify it exists
       const { data: student, error: studentError } = await supabase
         .from('students')
         .select('id, profile_photo')
@@ -193,20 +160,6 @@ class StudentFileController {
         });
       }
 
-      // Check authorization
-      const isAdmin = req.user.role === 'admin';
-      const isOwner = student.id === userId;
-
-      if (!isOwner && !isAdmin) {
-        return res.status(403).json({
-          success: false,
-          error: {
-            code: 'FORBIDDEN',
-            message: 'You can only upload files to your own student profile'
-          }
-        });
-      }
-
       const file = req.file;
 
       if (!file) {
@@ -289,6 +242,7 @@ class StudentFileController {
             originalName: fileRecord.originalName,
             size: fileRecord.size,
             mimeType: fileRecord.mimeType,
+            variants: fileRecord.variants,
             uploadedAt: fileRecord.createdAt
           }
         }
@@ -321,7 +275,7 @@ class StudentFileController {
 
       const studentId = id;
 
-      // Get student to verify ownership
+      // Get student to verify it exists
       const { data: student, error: studentError } = await supabase
         .from('students')
         .select('id, cv_upload')
@@ -338,20 +292,6 @@ class StudentFileController {
         });
       }
 
-      // Check authorization
-      const isAdmin = req.user.role === 'admin';
-      const isOwner = student.id === userId;
-
-      if (!isOwner && !isAdmin) {
-        return res.status(403).json({
-          success: false,
-          error: {
-            code: 'FORBIDDEN',
-            message: 'You can only delete files from your own student profile'
-          }
-        });
-      }
-
       if (!student.cv_upload) {
         return res.status(404).json({
           success: false,
@@ -362,12 +302,15 @@ class StudentFileController {
         });
       }
 
-      // Find and delete the CV file from metadata
+      // Delete the current CV version so none is left current; earlier
+      // versions stay restorable
       const { data: files, error: fetchError } = await supabase
         .from('file_metadata')
         .select('id, path, bucket')
         .eq('student_id', studentId)
-        .eq('file_type', 'cv');
+        .eq('file_type', 'cv')
+        .eq('is_current', true)
+        .is('parent_id', null);
 
       if (fetchError) {
         return res.status(500).json({
@@ -395,8 +338,9 @@ class StudentFileController {
         });
       }
 
-      // Delete the file
-      await fileService.deleteFile(files[0].id, userId);
+      for (const file of files) {
+        await fileService.deleteFile(file.id, userId);
+      }
 
       // Update student record to remove CV URL
       await supabase
@@ -439,7 +383,7 @@ class StudentFileController {
 
       const studentId = id;
 
-      // Get student to verify ownership
+      // Get student to verify it exists
       const { data: student, error: studentError } = await supabase
         .from('students')
         .select('id, profile_photo')
@@ -456,20 +400,6 @@ class StudentFileController {
         });
       }
 
-      // Check authorization
-      const isAdmin = req.user.role === 'admin';
-      const isOwner = student.id === userId;
-
-      if (!isOwner && !isAdmin) {
-        return res.status(403).json({
-          success: false,
-          error: {
-            code: 'FORBIDDEN',
-            message: 'You can only delete files from your own student profile'
-          }
-        });
-      }
-
       if (!student.profile_photo) {
         return res.status(404).json({
           success: false,
@@ -485,7 +415,8 @@ class StudentFileController {
         .from('file_metadata')
         .select('id, path, bucket')
         .eq('student_id', studentId)
-        .eq('file_type', 'photo');
+        .eq('file_type', 'photo')
+        .is('parent_id', null);
 
       if (fetchError) {
         return res.status(500).json({
@@ -536,13 +467,14 @@ class StudentFileController {
   }
 
   /**
-   * Get CV info for a student
+   * Get a short-lived signed download URL for a student's CV
    * GET /api/students/:id/cv
+   * Admins, the student and approved companies (student visible and open
+   * to work) only; downloads by others are recorded for the student
    */
   async getCV(req, res, next) {
     try {
       const { id } = req.params;
-      const userId = req.user.id;
 
       // Validate student ID
       if (!id) {
@@ -557,14 +489,9 @@ class StudentFileController {
 
       const studentId = id;
 
-      // Get student to verify ownership
-      const { data: student, error: studentError } = await supabase
-        .from('students')
-        .select('id')
-        .eq('id', studentId)
-        .single();
+      const result = await cvAccessService.getCvDownload(studentId, req);
 
-      if (studentError || !student) {
+      if (!result) {
         return res.status(404).json({
           success: false,
           error: {
@@ -574,44 +501,103 @@ class StudentFileController {
         });
       }
 
-      // Check authorization
-      const isAdmin = req.user.role === 'admin';
-      const isOwner = student.id === userId;
+      if (!result.cv) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NO_CV',
+            message: 'No CV found for this student'
+          }
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'CV retrieved successfully',
+        data: {
+          studentId: studentId,
+          cv: result.cv
+        }
+      });
+    } catch (error) {
+      console.error('Get CV error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get the CV version history of a student, newest first
+   * GET /api/students/:id/cv/versions
+   */
+  async getCVVersions(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      // Get student to verify it exists
+      const { data: student, error: studentError } = await supabase
+        .from('students')
+        .select('id')
+        .eq('id', id)
+        .single();
 
-      if (!isOwner && !isAdmin) {
-        return res.status(403).json({
+      if (studentError || !student) {
+        return res.status(404).json({
           success: false,
           error: {
-            code: 'FORBIDDEN',
-            message: 'You can only view files from your own student profile'
+            code: 'STUDENT_NOT_FOUND',
+            message: 'Student not found'
           }
         });
       }
 
-      // Get CV file metadata
-      const files = await fileService.getStudentFiles(studentId, userId);
-      const cvFile = files.find(f => f.fileType === 'cv');
+      const result = await fileVersionService.getVersions('cv', id);
+
+      res.status(200).json({
+        success: true,
+        message: 'CV versions retrieved successfully',
+        data: {
+          studentId: id,
+          maxVersions: result.maxVersions,
+          versions: result.versions
+        }
+      });
+    } catch (error) {
+      console.error('Get CV versions error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Make an earlier CV version the student's current CV
+   * POST /api/students/:id/cv/versions/:versionId/restore
+   */
+  async restoreCVVersion(req, res, next) {
+    try {
+      const { id, versionId } = req.params;
+
+      const version = await fileVersionService.restoreVersion('cv', id, versionId, req);
 
-      if (!cvFile) {
+      if (!version) {
         return res.status(404).json({
           success: false,
           error: {
-            code: 'NO_CV',
-            message: 'No CV found for this student'
+            code: 'VERSION_NOT_FOUND',
+            message: 'CV version not found'
           }
         });
       }
 
       res.status(200).json({
         success: true,
-        message: 'CV retrieved successfully',
+        message: 'CV version restored successfully',
         data: {
-          studentId: studentId,
-          cv: cvFile
+          studentId: id,
+          url: cvAccessService.downloadPath(id),
+          version
         }
       });
     } catch (error) {
-      console.error('Get CV error:', error);
+      console.error('Restore CV version error:', error);
       next(error);
     }
   }
@@ -638,7 +624,7 @@ class StudentFileController {
 
       const studentId = id;
 
-      // Get student to verify ownership
+      // Get student to verify it exists
       const { data: student, error: studentError } = await supabase
         .from('students')
         .select('id')
@@ -655,20 +641,6 @@ class StudentFileController {
         });
       }
 
-      // Check authorization
-      const isAdmin = req.user.role === 'admin';
-      const isOwner = student.id === userId;
-
-      if (!isOwner && !isAdmin) {
-        return res.status(403).json({
-          success: false,
-          error: {
-            code: 'FORBIDDEN',
-            message: 'You can only view files from your own student profile'
-          }
-        });
-      }
-
       // Get photo file metadata
       const files = await fileService.getStudentFiles(studentId, userId);
       const photoFile = files.find(f => f.fileType === 'photo');
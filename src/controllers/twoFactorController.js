@@ -0,0 +1,146 @@
+const twoFactorService = require('../services/twoFactorService');
+
+/**
+ * Audit context for two-factor operations
+ */
+const getContext = (req) => ({
+  userAgent: req.headers['user-agent'] || null,
+  ipAddress: req.ip || req.connection.remoteAddress || null,
+  sessionId: req.sessionId || null
+});
+
+/**
+ * Two-Factor Controller
+ * The signed-in user's own 2FA settings under /api/auth/2fa, and the
+ * per-role policies under /api/admin/2fa/policies. The login challenge
+ * endpoints live in authController next to login.
+ */
+class TwoFactorController {
+  /**
+   * GET /api/auth/2fa/status
+   */
+  async getStatus(req, res, next) {
+    try {
+      const status = await twoFactorService.getStatus(req.user.id, req.user.role);
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor status retrieved successfully',
+        data: status
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/2fa/enroll
+   * Returns a new secret, its otpauth:// URL and a QR code (data URL)
+   */
+  async enroll(req, res, next) {
+    try {
+      const enrollment = await twoFactorService.startEnrollment(req.user, getContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then verify a code to finish',
+        data: enrollment
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/2fa/verify
+   * Body: code. Activates 2FA and returns the backup codes (shown once)
+   */
+  async verify(req, res, next) {
+    try {
+      const result = await twoFactorService.confirmEnrollment(req.user.id, req.body.code, getContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/2fa/backup-codes
+   * Body: code. Replaces every backup code
+   */
+  async regenerateBackupCodes(req, res, next) {
+    try {
+      const result = await twoFactorService.regenerateBackupCodes(req.user.id, req.body.code, getContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Backup codes regenerated, previous codes no longer work',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/2fa/disable
+   * Body: password, and code or backupCode
+   */
+  async disable(req, res, next) {
+    try {
+      const { password, code, backupCode } = req.body;
+
+      await twoFactorService.disable(req.user, { password, code, backupCode }, getContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication disabled',
+        data: null
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/admin/2fa/policies
+   */
+  async getPolicies(req, res, next) {
+    try {
+      const policies = await twoFactorService.getPolicies();
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor policies retrieved successfully',
+        data: policies
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PUT /api/admin/2fa/policies/:role
+   * Body: required
+   */
+  async updatePolicy(req, res, next) {
+    try {
+      const policy = await twoFactorService.setPolicy(req.params.role, req.body.required, req);
+
+      res.status(200).json({
+        success: true,
+        message: `Two-factor authentication is now ${policy.required ? 'required' : 'optional'} for ${policy.role} accounts`,
+        data: policy
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new TwoFactorController();
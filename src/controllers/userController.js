@@ -0,0 +1,213 @@
+const userService = require('../services/userService');
+
+// Parse "true"/"false" query values, leaving anything else undefined
+const parseBoolean = (value) => (value === undefined ? undefined : value === 'true');
+
+/**
+ * User Controller
+ * Admin management of user accounts under /api/admin/users
+ */
+class UserController {
+  /**
+   * GET /api/admin/users
+   * Query parameters: role, approved, profileCompleted, disabled,
+   * createdFrom, createdTo, q, page, limit
+   */
+  async getUsers(req, res, next) {
+    try {
+      const filters = {
+        role: req.query.role,
+        approved: parseBoolean(req.query.approved),
+        profileCompleted: parseBoolean(req.query.profileCompleted),
+        disabled: parseBoolean(req.query.disabled),
+        createdFrom: req.query.createdFrom,
+        createdTo: req.query.createdTo,
+        q: req.query.q,
+        page: req.query.page,
+        limit: req.query.limit
+      };
+
+      const result = await userService.getUsers(filters);
+
+      res.status(200).json({
+        success: true,
+        message: 'Users retrieved successfully',
+        data: result.users,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/admin/users/:id
+   * User account with profile and recent auth audit events
+   */
+  async getUserById(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const user = await userService.getUserById(id, { auditLimit: req.query.auditLimit });
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'User retrieved successfully',
+        data: user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async approveUser(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const user = await userService.approveUser(id, req.body?.reason, req);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'User approved successfully',
+        data: user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async rejectUser(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const user = await userService.rejectUser(id, req.body.reason, req);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'User rejected successfully',
+        data: user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async changeRole(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const user = await userService.changeRole(id, req.body.role, req);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `User role changed to ${user.role}`,
+        data: user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async disableUser(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const user = await userService.disableUser(id, req.body?.reason, req);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'User disabled successfully',
+        data: user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async enableUser(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const user = await userService.enableUser(id, req);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'User enabled successfully',
+        data: user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/admin/users/:id/unlock
+   * Body: ipAddress (optional, also unlock that client IP)
+   */
+  async unlockUser(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const lockout = await userService.unlockUser(id, req.body?.ipAddress || null, req);
+
+      if (!lockout) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Sign-in lockout cleared',
+        data: lockout
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new UserController();
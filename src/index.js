@@ -10,11 +10,22 @@ const helmet = require("helmet");
 const compression = require("compression");
 const { testConnection } = require("./db");
 const { realtimeService } = require("./services/realtimeService");
+const searchIndexService = require("./services/searchIndexService");
+const savedSearchService = require("./services/savedSearchService");
+const malwareScanService = require("./services/malwareScanService");
 const crudLogger = require("./middlewares/crudLogger");
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind Render's proxy the socket address is the proxy's; trust its
+// X-Forwarded-For so req.ip (rate limits, login lockout) is the client's.
+// TRUST_PROXY is Express's "trust proxy" setting: a hop count, or addresses
+const trustProxy = process.env.TRUST_PROXY || (process.env.NODE_ENV === "production" ? "1" : "false");
+if (trustProxy !== "false") {
+  app.set("trust proxy", /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 // Security middleware with cross-origin resource policy for images
 app.use(
   helmet({
@@ -82,6 +93,7 @@ app.get("/health/realtime", (req, res) => {
   res.status(200).json({
     status: realtimeStatus.isConnected ? "OK" : "ERROR",
     realtime: realtimeStatus,
+    searchIndex: searchIndexService.getStatus(),
     message: realtimeStatus.isConnected
       ? "Realtime database change detection is active"
       : "Realtime database change detection is not active",
@@ -97,6 +109,9 @@ const lookupRoutes = require("./routes/lookup");
 const authRoutes = require("./routes/auth");
 const authMeRoutes = require("./routes/authMe");
 const adminRoutes = require("./routes/admin");
+const jobRoutes = require("./routes/jobs");
+const applicationRoutes = require("./routes/applications");
+const conversationRoutes = require("./routes/conversations");
 
 // Import middleware
 const {
@@ -113,6 +128,8 @@ app.get("/api", (req, res) => {
       health: "/health",
       companies: "/api/companies",
       students: "/api/students",
+      jobs: "/api/jobs",
+      applications: "/api/applications",
       industries: "/api/industries",
       universities: "/api/universities",
       majors: "/api/majors",
@@ -131,17 +148,42 @@ app.get("/api/docs", (req, res) => {
     baseUrl: `${req.protocol}://${req.get("host")}/api`,
     endpoints: {
       companies: {
-        "GET /companies": "List companies with filtering and pagination",
+        "GET /companies": "List companies with filtering and page or cursor pagination",
         "GET /companies/:id": "Get company by ID",
         "POST /companies": "Create new company (admin only)",
         "PUT /companies/:id": "Update company (admin only)",
         "DELETE /companies/:id": "Delete company (admin only)",
         "GET /companies/stats": "Get company statistics",
-        "POST /companies/search": "Advanced company search",
+        "GET /companies/export": "Export filtered companies as CSV or XLSX (admin only; format=csv|xlsx)",
+        "GET /companies/search": "Ranked full-text company search (q, phrases, prefix, typos; page/limit)",
         "POST /companies/validate-logo": "Validate company logo upload",
+        "GET /companies/:id/recommended-students":
+          "Students ranked by skill/industry match, includeCv counts CV skills (company owner or admin)",
+        "GET /companies/:id/jobs": "List job postings for a company",
+        "POST /companies/:id/jobs": "Create job posting (company owner or admin)",
+      },
+      jobs: {
+        "GET /jobs": "List open job postings with filtering and pagination",
+        "GET /jobs/:id": "Get job posting by ID",
+        "PATCH /jobs/:id": "Update job posting (company owner or admin)",
+        "DELETE /jobs/:id": "Delete job posting (company owner or admin)",
+      },
+      applications: {
+        "GET /applications": "List own applications (student), candidates (company) or all (admin)",
+        "GET /applications/:id": "Get application with stage history",
+        "POST /applications": "Apply to a company/posting (student) or invite a student (company)",
+        "PATCH /applications/:id/stage": "Move application to another stage (company owner or admin)",
+      },
+      conversations: {
+        "GET /conversations": "List own conversations with unread counts (approved company/student)",
+        "GET /conversations/unread-count": "Total unread messages",
+        "POST /conversations": "Start a conversation with a first message (rate limited)",
+        "GET /conversations/:id/messages": "Get messages in a conversation",
+        "POST /conversations/:id/messages": "Send a message (rate limited)",
+        "POST /conversations/:id/read": "Mark conversation as read",
       },
       students: {
-        "GET /students": "List students with filtering and pagination",
+        "GET /students": "List students with multi-value facet filters, facet counts and page or cursor pagination",
         "GET /students/:id": "Get student by ID",
         "POST /students": "Create new student (admin only)",
         "PUT /students/:id": "Update student (admin only)",
@@ -149,9 +191,13 @@ app.get("/api/docs", (req, res) => {
         "GET /students/stats": "Get student statistics",
         "GET /students/featured": "Get featured students",
         "GET /students/status-options": "Get student status options",
-        "POST /students/search": "Advanced student search",
+        "GET /students/export": "Export filtered students as CSV or XLSX (admin and company; format=csv|xlsx)",
+        "GET /students/search":
+          "Ranked full-text student search (q, phrases, prefix, typos; page/limit; includeCv for companies/admins)",
         "POST /students/validate-cv": "Validate student CV upload",
         "POST /students/validate-photo": "Validate student photo upload",
+        "GET /students/:id/recommended-companies":
+          "Companies ranked by skill/industry match (student owner or admin)",
       },
       lookup: {
         "GET /lookup/all": "Get all lookup data",
@@ -176,18 +222,70 @@ app.get("/api/docs", (req, res) => {
         "GET /popular/tech-roles": "Get popular tech roles",
         "GET /popular/tech-skills": "Get popular tech skills",
         "GET /popular/preferred-industries": "Get popular preferred industries",
+        "GET /skills": "Get canonical skill taxonomy with categories and aliases",
         "POST /cache/clear": "Clear lookup cache (admin only)",
-        "GET /cache/status": "Get cache status",
+        "GET /cache/status": "Get cache status (admin only)",
       },
     },
     auth: {
-      "POST /register": "Register student/company account",
+      "POST /register": "Register student/company account (admin requires inviteToken)",
       "POST /login": "Log in using student/company account",
       "POST /logout": "Log out user (client side)",
+      "POST /logout-others": "Revoke all other sessions",
+      "POST /logout-all": "Revoke all sessions",
+      "POST /refresh": "Exchange refresh_token for a new access token",
+      "GET /sessions": "List active sessions (user agent, IP, last seen)",
+      "POST /2fa/login": "Finish login with a 2FA code or backup code (challengeToken)",
+      "POST /2fa/login/setup": "Enroll in 2FA during login when the role requires it",
+      "GET /2fa/status": "Get your 2FA status",
+      "POST /2fa/enroll": "Start 2FA enrollment (secret + QR code)",
+      "POST /2fa/verify": "Activate 2FA with a first code; returns backup codes",
+      "POST /2fa/backup-codes": "Replace backup codes",
+      "POST /2fa/disable": "Turn 2FA off (password + code)",
       "GET /me": "Get logged in user profile",
+      "GET /me/permissions": "Get role permissions from the RBAC matrix",
+      "GET /me/cv/views": "List companies that downloaded your CV (student only)",
+      "GET /me/shortlists": "List saved-candidate shortlists (company only)",
+      "POST /me/shortlists": "Create shortlist (company only)",
+      "GET /me/shortlists/:id": "Get shortlist with entries (company only)",
+      "PATCH /me/shortlists/:id": "Rename shortlist (company only)",
+      "DELETE /me/shortlists/:id": "Delete shortlist (company only)",
+      "POST /me/shortlists/:id/entries": "Add student with optional note (company only)",
+      "PUT /me/shortlists/:id/entries/order": "Reorder shortlisted students (company only)",
+      "PATCH /me/shortlists/:id/entries/:studentId": "Update note on a shortlisted student (company only)",
+      "DELETE /me/shortlists/:id/entries/:studentId": "Remove student from shortlist (company only)",
+      "GET /me/saved-searches": "List saved student searches (company only)",
+      "POST /me/saved-searches": "Save a student search for new-match digests (company only)",
+      "DELETE /me/saved-searches/:id": "Delete saved search (company only)",
     },
     admin: {
       note: "Admin operations require X-Admin-Key header with valid API key",
+      "GET /admin/users": "List users (role, approved, profileCompleted, disabled, createdFrom/To, q)",
+      "GET /admin/users/:id": "Get user with profile, login lockout state and recent auth audit events",
+      "POST /admin/users/:id/approve": "Approve user account",
+      "POST /admin/users/:id/reject": "Reject user account with a reason",
+      "PATCH /admin/users/:id/role": "Change user role",
+      "POST /admin/users/:id/disable": "Disable user account",
+      "POST /admin/users/:id/enable": "Re-enable user account",
+      "POST /admin/users/:id/unlock": "Clear sign-in lockout (optional ipAddress)",
+      "POST /admin/invites": "Create single-use registration invite (role, email, expiresInHours)",
+      "GET /admin/invites": "List invites (status, role)",
+      "DELETE /admin/invites/:id": "Revoke unused invite",
+      "POST /admin/imports/:entity": "Import students or companies from a CSV/XLSX file (multipart 'file'; dryRun=true to preview)",
+      "GET /admin/imports": "List imports (entity, status)",
+      "GET /admin/imports/:id": "Get import progress and failed rows",
+      "GET /admin/quarantine": "List uploads quarantined by the malware scanner",
+      "POST /admin/quarantine/:id/release": "Release a quarantined file to its owner",
+      "DELETE /admin/quarantine/:id": "Permanently delete a quarantined file",
+      "GET /admin/2fa/policies": "Get per-role 2FA policies",
+      "PUT /admin/2fa/policies/:role": "Require or relax 2FA for a role",
+      "GET /admin/skills/unmapped": "Free-text skills not mapped to the taxonomy",
+      "POST /admin/skills": "Create canonical skill",
+      "PATCH /admin/skills/:id": "Update canonical skill, category or aliases",
+      "DELETE /admin/skills/:id": "Delete canonical skill",
+      "GET /admin/conversations": "List all conversations for moderation",
+      "GET /admin/conversations/:id/messages": "Read a conversation for moderation",
+      "DELETE /admin/messages/:id": "Remove a message",
     },
   });
 });
@@ -195,6 +293,9 @@ app.get("/api/docs", (req, res) => {
 // Mount API routes
 app.use("/api/companies", companyRoutes);
 app.use("/api/students", studentRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/applications", applicationRoutes);
+app.use("/api/conversations", conversationRoutes);
 app.use("/api/auth", authRoutes);
 app.use("/api/auth/me", authMeRoutes);
 app.use("/api", lookupRoutes);
@@ -209,6 +310,9 @@ app.use(errorHandler);
 // Start server
 const startServer = async () => {
   try {
+    // Refuse to start without a malware scanner configured (production)
+    malwareScanService.getScanner();
+
     // Test database connection
     const dbConnected = await testConnection();
 
@@ -222,6 +326,9 @@ const startServer = async () => {
       );
     }
 
+    // Run saved search digests on a schedule
+    savedSearchService.startScheduler();
+
     // Start Express server
     await new Promise((resolve, reject) => {
       const server = app.listen(PORT, () => {
@@ -241,6 +348,8 @@ const startServer = async () => {
 
 // Handle graceful shutdown
 process.on("SIGTERM", async () => {
+  savedSearchService.stopScheduler();
+
   // Cleanup realtime subscriptions
   try {
     await realtimeService.cleanup();
@@ -255,6 +364,8 @@ process.on("SIGTERM", async () => {
 });
 
 process.on("SIGINT", async () => {
+  savedSearchService.stopScheduler();
+
   // Cleanup realtime subscriptions
   try {
     await realtimeService.cleanup();
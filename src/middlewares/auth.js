@@ -7,9 +7,13 @@
  *
  * The middleware expects an `Authorization` header with a Bearer token.
  * Uses Supabase's built-in JWT verification for reliability and security.
+ * Users with 2FA enabled or required must use a session whose sign-in
+ * passed the second factor (see twoFactorService.isSessionVerified).
  */
 
 const { supabase } = require("../db");
+const authService = require("../services/authService");
+const twoFactorService = require("../services/twoFactorService");
 
 /**
  * Create an Express middleware that validates a Bearer token using Supabase Auth.
@@ -58,10 +62,20 @@ function JWTAuth(required = true) {
       try {
         const { data: userData, error: userError } = await supabase
           .from("users")
-          .select("role")
+          .select("role, disabled_at")
           .eq("id", data.user.id)
           .single();
 
+        // Disabled accounts are rejected even while their token is still valid
+        if (!userError && userData?.disabled_at) {
+          if (required)
+            return res
+              .status(403)
+              .json({ success: false, message: "This account has been disabled" });
+          req.user = null;
+          return next();
+        }
+
         if (!userError && userData && userData.role) {
           // Add the role from database to req.user
           req.user.role = userData.role;
@@ -78,6 +92,20 @@ function JWTAuth(required = true) {
         // Continue without role - endpoints will handle accordingly
       }
 
+      // A token from signing in at Supabase directly skips 2FA and the
+      // login lockout; only sessions started through /api/auth/login qualify
+      req.sessionId = authService.getSessionId(token);
+      if (!(await twoFactorService.isSessionVerified(req.user, req.sessionId))) {
+        if (required)
+          return res.status(401).json({
+            success: false,
+            message: "Two-factor authentication required, please sign in again",
+          });
+        req.user = null;
+        req.sessionId = null;
+        return next();
+      }
+
       return next();
     } catch (err) {
       console.error("[ERROR] verifyJWT Middleware:", err);
@@ -1,3 +1,17 @@
+/**
+ * Error with an HTTP status code.
+ * Services throw this for business rule violations (conflicts, forbidden
+ * actions, invalid state changes) so the global handler can answer with a
+ * 4xx instead of a 500.
+ */
+class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+  }
+}
+
 const notFoundHandler = (req, res, next) => {
   res.status(404).json({
     success: false,
@@ -7,7 +21,7 @@ const notFoundHandler = (req, res, next) => {
 };
 
 const errorHandler = (err, req, res, next) => {
-  const statusCode = res.statusCode === 200 ? 500 : res.statusCode;
+  const statusCode = err.statusCode || (res.statusCode === 200 ? 500 : res.statusCode);
 
   console.error(`[ERROR] ${statusCode} - ${err.message}`);
 
@@ -15,11 +29,12 @@ const errorHandler = (err, req, res, next) => {
     success: false,
     message: err.message,
     data: null,
-    ...(process.env.NODE_ENV !== 'production' && { stack: err.stack })
+    ...(process.env.NODE_ENV !== 'production' && !err.statusCode && { stack: err.stack })
   });
 };
 
 module.exports = {
+  HttpError,
   notFoundHandler,
   errorHandler,
 };
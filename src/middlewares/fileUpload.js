@@ -2,6 +2,9 @@
  * File Upload Middleware
  * Reusable multer configuration for different file types
  * Handles CV and photo uploads with validation
+ *
+ * The client-supplied MIME type is only a claim: after multer has read the
+ * file, its first bytes are checked against the signature of that type.
  */
 
 const multer = require('multer');
@@ -10,6 +13,100 @@ const multer = require('multer');
 // This allows us to process files in memory before uploading to Supabase
 const memoryStorage = multer.memoryStorage();
 
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+const OLE2_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+
+// Text formats are sniffed on their first bytes only
+const TEXT_SNIFF_LENGTH = 8192;
+
+const textHead = (buffer) => buffer.subarray(0, TEXT_SNIFF_LENGTH).toString('utf8').replace(/^\uFEFF/, '');
+
+// Binary files contain NUL bytes early on; text (CSV, plain text, SVG) never does
+const isText = (buffer) => !buffer.subarray(0, TEXT_SNIFF_LENGTH).includes(0);
+
+// ZIP entry names are stored uncompressed, so the OOXML part folder shows
+const zipContains = (buffer, entryPrefix) =>
+  startsWith(buffer, ZIP_SIGNATURE) && buffer.includes(Buffer.from(entryPrefix));
+
+/**
+ * Content checks per MIME type, with the name used in error messages
+ */
+const SIGNATURES = {
+  'application/pdf': {
+    label: 'PDF document',
+    matches: (buffer) => startsWith(buffer, [0x25, 0x50, 0x44, 0x46, 0x2d]) // %PDF-
+  },
+  'application/msword': {
+    label: 'Word document',
+    matches: (buffer) => startsWith(buffer, OLE2_SIGNATURE)
+  },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+    label: 'Word document',
+    matches: (buffer) => zipContains(buffer, 'word/')
+  },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {
+    label: 'Excel workbook',
+    matches: (buffer) => zipContains(buffer, 'xl/')
+  },
+  'image/jpeg': {
+    label: 'JPEG image',
+    matches: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff])
+  },
+  'image/png': {
+    label: 'PNG image',
+    matches: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+  },
+  'image/webp': {
+    label: 'WebP image',
+    matches: (buffer) => startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && // RIFF
+      startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8) // WEBP
+  },
+  'image/svg+xml': {
+    label: 'SVG image',
+    // Optional XML declaration, comments and doctype, then the <svg> root
+    matches: (buffer) => isText(buffer) &&
+      /^\s*(<\?xml[^>]*\?>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>\s*)*<svg[\s>]/i.test(textHead(buffer))
+  },
+  'text/csv': {
+    label: 'CSV file',
+    matches: isText
+  },
+  'text/plain': {
+    label: 'text file',
+    matches: isText
+  }
+};
+SIGNATURES['image/jpg'] = SIGNATURES['image/jpeg'];
+SIGNATURES['application/csv'] = SIGNATURES['text/csv'];
+// What Windows browsers send for CSV files
+SIGNATURES['application/vnd.ms-excel'] = SIGNATURES['text/csv'];
+
+/**
+ * Check an uploaded file's content against its claimed MIME type
+ * @param {Object} file - Multer file with buffer
+ * @returns {Error|null} INVALID_FILE_TYPE or EMPTY_FILE error, or null when the content matches
+ */
+const checkFileContent = (file) => {
+  if (!file.buffer || file.buffer.length === 0) {
+    const error = new Error('File is empty');
+    error.code = 'EMPTY_FILE';
+    return error;
+  }
+
+  const signature = SIGNATURES[file.mimetype];
+  if (signature && !signature.matches(file.buffer)) {
+    const error = new Error(`Invalid file type: content is not a valid ${signature.label} (${file.mimetype})`);
+    error.code = 'INVALID_FILE_TYPE';
+    return error;
+  }
+
+  return null;
+};
+
 /**
  * Create a custom upload middleware with specific configuration
  * @param {Object} options - Configuration options
@@ -19,7 +116,7 @@ const memoryStorage = multer.memoryStorage();
  * @returns {Function} - Multer middleware function
  */
 const createUploadMiddleware = ({ allowedTypes, maxSize, fieldName }) => {
-  return multer({
+  const upload = multer({
     storage: memoryStorage,
     limits: {
       fileSize: maxSize,
@@ -54,6 +151,16 @@ const createUploadMiddleware = ({ allowedTypes, maxSize, fieldName }) => {
       cb(null, true);
     }
   }).single(fieldName);
+
+  // The buffer only exists once multer is done, so sniff the content here
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err) return next(err);
+
+      const contentError = req.file ? checkFileContent(req.file) : null;
+      next(contentError || undefined);
+    });
+  };
 };
 
 // Pre-configured upload middlewares
@@ -100,6 +207,20 @@ const uploadLogo = createUploadMiddleware({
   fieldName: 'file'
 });
 
+// Spreadsheet Upload Middleware (admin imports)
+// Allowed types: CSV, XLSX (browsers on Windows send CSV as application/vnd.ms-excel)
+// Max size: 5MB
+const uploadSpreadsheet = createUploadMiddleware({
+  allowedTypes: [
+    'text/csv',
+    'application/csv',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  ],
+  maxSize: 5 * 1024 * 1024, // 5MB
+  fieldName: 'file'
+});
+
 // Generic file upload middleware (flexible, for future use)
 const uploadGeneric = createUploadMiddleware({
   allowedTypes: [
@@ -212,6 +333,7 @@ module.exports = {
   uploadCV,
   uploadPhoto,
   uploadLogo,
+  uploadSpreadsheet,
   uploadGeneric,
   handleUploadError
 };
@@ -9,8 +9,12 @@ class RateLimiter {
     this.maxRequests = options.maxRequests || 100; // Limit each IP to 100 requests per windowMs
     this.skipSuccessfulRequests = options.skipSuccessfulRequests || false;
     this.message = options.message || 'Too many requests, please try again later.';
+    // Key requests by client IP unless a custom key (e.g. user ID) is given
+    this.keyGenerator = options.keyGenerator || ((req) =>
+      req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for']
+    );
 
-    // Store requests by IP address
+    // Store requests by key (IP address by default)
     this.requests = new Map();
 
     // Clean up old entries periodically
@@ -42,7 +46,7 @@ class RateLimiter {
    */
   middleware() {
     return (req, res, next) => {
-      const ip = req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for'];
+      const ip = this.keyGenerator(req);
       const now = Date.now();
 
       // Get existing requests for this IP
@@ -120,11 +124,29 @@ const forgotPasswordLimiter = createRateLimiter({
   message: 'Too many password reset requests from this IP, please try again in 1 hour.'
 });
 
+// Per-user limit on sending messages; must run after requireAuth
+const messageLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000, // 60 minutes
+  maxRequests: 60, // 60 messages per hour per user
+  keyGenerator: (req) => `user:${req.user?.id || req.ip}`,
+  message: 'Too many messages sent, please try again later.'
+});
+
+// Per-user limit on spreadsheet exports, which read a whole directory; must run after requireAuth
+const exportLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000, // 60 minutes
+  maxRequests: 20, // 20 exports per hour per user
+  keyGenerator: (req) => `user:${req.user?.id || req.ip}`,
+  message: 'Too many exports, please try again later.'
+});
+
 module.exports = {
   RateLimiter,
   createRateLimiter,
   defaultLimiter,
   imageProxyLimiter,
   apiLimiter,
-  forgotPasswordLimiter
+  forgotPasswordLimiter,
+  messageLimiter,
+  exportLimiter
 };
\ No newline at end of file
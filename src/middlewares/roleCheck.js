@@ -162,6 +162,117 @@ function checkPermission(resource, action, options = {}) {
   };
 }
 
+/**
+ * Permission middleware that enforces the full RBAC matrix in config/roles.js,
+ * including `own` permissions.
+ *
+ * Usage:
+ *  const { requirePermission, ownerFromParam } = require('./middlewares/roleCheck');
+ *  // any student profile
+ *  router.get('/students/:id', requireAuth, requirePermission('students', 'read'), handler);
+ *  // admins: any profile, students: only their own
+ *  router.patch('/students/:id', requireAuth,
+ *    requirePermission('students', 'update', { ownerResolver: ownerFromParam('id') }), handler);
+ *
+ * When the caller's permission is limited to their own resources, ownerResolver
+ * returns the id of the user who owns the target resource (may be async);
+ * a null result answers 404. Routes that can only ever act on the caller's own
+ * resource (e.g. creating their own profile) may omit it.
+ *
+ * The matched permission is attached as req.permission.
+ *
+ * @param {string} resource - Resource being accessed
+ * @param {string} action - Action being performed
+ * @param {{ ownerResolver?: (req) => (string|null|Promise<string|null>), message?: string }} [options]
+ * @returns {(req,res,next)=>void}
+ */
+function requirePermission(resource, action, options = {}) {
+  const message = options.message || `Forbidden: insufficient permissions for ${action} on ${resource}`;
+  const { roles, checkPermission: findPermission, userHasPermission } = require("../config/roles");
+
+  const forbidden = (res, msg = message) => res.status(403).json({
+    success: false,
+    message: msg,
+    error: msg,
+    data: null,
+  });
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: "Authentication required",
+          error: "Authentication required",
+          data: null,
+        });
+      }
+
+      // requireAuth copies the role from public.users onto req.user; when that
+      // lookup failed req.user.role is still Supabase's "authenticated"
+      let role = req.user.role;
+      if (!roles[role]) {
+        const { data, error } = await supabase
+          .from("users")
+          .select("role")
+          .eq("id", req.user.id)
+          .single();
+
+        if (error || !data) {
+          console.error("[ERROR] Error fetching user role:", error);
+          return forbidden(res, "Unable to verify permissions");
+        }
+        role = data.role;
+      }
+
+      const permission = findPermission(role, resource, action);
+      if (!permission) {
+        return forbidden(res);
+      }
+
+      if (permission.own && options.ownerResolver) {
+        const resourceUserId = await options.ownerResolver(req);
+
+        if (!resourceUserId) {
+          return res.status(404).json({
+            success: false,
+            message: "Resource not found",
+            error: "Resource not found",
+            data: null,
+          });
+        }
+
+        const isOwner = userHasPermission({ role }, resource, action, {
+          userId: req.user.id,
+          resourceUserId,
+        });
+
+        if (!isOwner) {
+          return forbidden(res, options.message || `Forbidden: ${action} on ${resource} is limited to your own resources`);
+        }
+      }
+
+      req.permission = permission;
+      return next();
+    } catch (err) {
+      console.error("[ERROR] Error during permission check:", err?.message || err);
+      return res.status(500).json({
+        success: false,
+        message: "Authorization error",
+        error: err?.message || "Authorization error",
+        data: null,
+      });
+    }
+  };
+}
+
+/**
+ * Owner resolver for profile-scoped routes: student and company profile ids
+ * are the owning user's id, so the route parameter is the owner
+ * @param {string} [param='id']
+ */
+const ownerFromParam = (param = "id") => (req) => req.params[param] || null;
+
 // Convenience middlewares
 module.exports = roleCheck;
 module.exports.requireRole = (r, opts) => roleCheck(r, opts);
@@ -169,3 +280,5 @@ module.exports.requireAdmin = roleCheck(["admin"]);
 module.exports.requireCompany = roleCheck(["company"]);
 module.exports.requireStudent = roleCheck(["student"]);
 module.exports.checkPermission = checkPermission;
+module.exports.requirePermission = requirePermission;
+module.exports.ownerFromParam = ownerFromParam;
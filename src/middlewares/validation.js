@@ -29,7 +29,23 @@ const validateRequest = (schema) => {
 };
 
 const validatePagination = (req, res, next) => {
-  const { page, limit } = req.query;
+  const { page, limit, cursor } = req.query;
+
+  if (cursor !== undefined && page !== undefined) {
+    return res.status(400).json({
+      success: false,
+      message: 'Use either page or cursor, not both',
+      data: null
+    });
+  }
+
+  if (cursor !== undefined && (typeof cursor !== 'string' || cursor.length > 500)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Cursor must be a single value from a previous nextCursor',
+      data: null
+    });
+  }
 
   if (page && (isNaN(page) || parseInt(page) < 1)) {
     return res.status(400).json({
@@ -50,16 +66,42 @@ const validatePagination = (req, res, next) => {
   next();
 };
 
-const validateCompanyId = (req, res, next) => {
-  const { id } = req.params;
+// UUID v4 regex pattern
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+/**
+ * Require a route parameter to be a UUID
+ * @param {string} name - Route parameter, e.g. 'id' or 'studentId'
+ * @param {string} label - What the ID identifies, for the error message
+ */
+const validateUuidParam = (name, label) => (req, res, next) => {
+  const value = req.params[name];
+
+  if (!value || !UUID_REGEX.test(value)) {
+    return res.status(400).json({
+      success: false,
+      message: `Valid ${label} ID (UUID) is required`,
+      data: null
+    });
+  }
+
+  next();
+};
 
-  // UUID v4 regex pattern
-  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+/**
+ * Require a route parameter to be a positive integer, for tables with
+ * integer IDs
+ * @param {string} name - Route parameter
+ * @param {string} label - What the ID identifies, for the error message
+ * @param {number} [max] - Largest valid ID (2147483647 for integer columns)
+ */
+const validateIntegerParam = (name, label, max = Number.MAX_SAFE_INTEGER) => (req, res, next) => {
+  const value = req.params[name];
 
-  if (!id || !uuidRegex.test(id)) {
+  if (!value || !/^[1-9][0-9]*$/.test(value) || Number(value) > max) {
     return res.status(400).json({
       success: false,
-      message: 'Valid company ID (UUID) is required',
+      message: `Valid ${label} ID (positive integer) is required`,
       data: null
     });
   }
@@ -67,16 +109,26 @@ const validateCompanyId = (req, res, next) => {
   next();
 };
 
-const validateStudentId = (req, res, next) => {
-  const { id } = req.params;
+const validateCompanyId = validateUuidParam('id', 'company');
 
-  // UUID v4 regex pattern
-  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const validateStudentId = validateUuidParam('id', 'student');
 
-  if (!id || !uuidRegex.test(id)) {
+const validateImportRequest = (req, res, next) => {
+  const { entity } = req.params;
+  const { dryRun } = req.query;
+
+  if (!['students', 'companies'].includes(entity)) {
     return res.status(400).json({
       success: false,
-      message: 'Valid student ID (UUID) is required',
+      message: 'Import entity must be "students" or "companies"',
+      data: null
+    });
+  }
+
+  if (dryRun !== undefined && !['true', 'false'].includes(dryRun)) {
+    return res.status(400).json({
+      success: false,
+      message: 'dryRun must be "true" or "false"',
       data: null
     });
   }
@@ -103,6 +155,58 @@ const validateSearchQuery = (req, res, next) => {
     });
   }
 
+  if (req.query.match && !['all', 'any'].includes(req.query.match)) {
+    return res.status(400).json({
+      success: false,
+      message: 'match must be "all" or "any"',
+      data: null
+    });
+  }
+
+  if (req.query.includeCv && !['true', 'false'].includes(req.query.includeCv)) {
+    return res.status(400).json({
+      success: false,
+      message: 'includeCv must be "true" or "false"',
+      data: null
+    });
+  }
+
+  next();
+};
+
+const validateStudentFilters = (req, res, next) => {
+  const { skillsMode, facets } = req.query;
+
+  if (skillsMode && !['all', 'any'].includes(skillsMode)) {
+    return res.status(400).json({
+      success: false,
+      message: 'skillsMode must be "all" or "any"',
+      data: null
+    });
+  }
+
+  if (facets && !['true', 'false'].includes(facets)) {
+    return res.status(400).json({
+      success: false,
+      message: 'facets must be "true" or "false"',
+      data: null
+    });
+  }
+
+  next();
+};
+
+const validateExportFormat = (req, res, next) => {
+  const { format } = req.query;
+
+  if (format !== undefined && !['csv', 'xlsx'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: 'format must be "csv" or "xlsx"',
+      data: null
+    });
+  }
+
   next();
 };
 
@@ -154,9 +258,14 @@ const sanitizeInput = (req, res, next) => {
 module.exports = {
   validateRequest,
   validatePagination,
+  validateUuidParam,
+  validateIntegerParam,
   validateCompanyId,
   validateStudentId,
+  validateImportRequest,
   validateSearchQuery,
+  validateStudentFilters,
+  validateExportFormat,
   validateStudentStatus,
   sanitizeInput
 };
\ No newline at end of file
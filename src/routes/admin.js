@@ -1,8 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
+const skillController = require('../controllers/skillController');
+const messagingController = require('../controllers/messagingController');
+const userController = require('../controllers/userController');
+const inviteController = require('../controllers/inviteController');
+const importController = require('../controllers/importController');
+const twoFactorController = require('../controllers/twoFactorController');
+const quarantineController = require('../controllers/quarantineController');
 const { requireAuth } = require('../middlewares/auth');
 const { requireAdmin } = require('../middlewares/roleCheck');
+const {
+  validateRequest,
+  validatePagination,
+  validateImportRequest,
+  validateUuidParam,
+  validateIntegerParam
+} = require('../middlewares/validation');
+const { noCache } = require('../middlewares/cacheHeaders');
+const { uploadSpreadsheet, handleUploadError } = require('../middlewares/fileUpload');
+const { skillSchemas, messagingSchemas, userSchemas, inviteSchemas, importSchemas, twoFactorSchemas } = require('../validators/schemas');
 
 // All admin routes require authentication
 router.use(requireAuth);
@@ -16,4 +33,82 @@ router.get('/logs/request/:requestId', requireAdmin, adminController.getLogsByRe
 // Get log statistics (admin only)
 router.get('/logs/stats', requireAdmin, adminController.getLogStats);
 
+// List users with role/approval/profile/date filters (admin only)
+router.get('/users', requireAdmin, noCache, validatePagination, validateRequest(userSchemas.list), userController.getUsers);
+
+// Get user with profile and recent auth audit events (admin only)
+router.get('/users/:id', requireAdmin, noCache, validateUuidParam('id', 'user'), userController.getUserById);
+
+// Approve user account (admin only)
+router.post('/users/:id/approve', requireAdmin, validateUuidParam('id', 'user'), validateRequest(userSchemas.approve), userController.approveUser);
+
+// Reject user account with a reason (admin only)
+router.post('/users/:id/reject', requireAdmin, validateUuidParam('id', 'user'), validateRequest(userSchemas.reject), userController.rejectUser);
+
+// Change user role (admin only)
+router.patch('/users/:id/role', requireAdmin, validateUuidParam('id', 'user'), validateRequest(userSchemas.changeRole), userController.changeRole);
+
+// Disable user account (admin only)
+router.post('/users/:id/disable', requireAdmin, validateUuidParam('id', 'user'), validateRequest(userSchemas.disable), userController.disableUser);
+
+// Re-enable a disabled user account (admin only)
+router.post('/users/:id/enable', requireAdmin, validateUuidParam('id', 'user'), userController.enableUser);
+
+// Clear a sign-in lockout after repeated failed logins (admin only)
+router.post('/users/:id/unlock', requireAdmin, validateUuidParam('id', 'user'), validateRequest(userSchemas.unlock), userController.unlockUser);
+
+// Create single-use registration invite (admin only)
+router.post('/invites', requireAdmin, noCache, validateRequest(inviteSchemas.create), inviteController.createInvite);
+
+// List invites with status/role filters (admin only)
+router.get('/invites', requireAdmin, noCache, validatePagination, validateRequest(inviteSchemas.list), inviteController.getInvites);
+
+// Revoke unused invite (admin only)
+router.delete('/invites/:id', requireAdmin, validateUuidParam('id', 'invite'), inviteController.revokeInvite);
+
+// Import students or companies from a CSV/XLSX file, or preview with ?dryRun=true (admin only)
+router.post('/imports/:entity', requireAdmin, noCache, validateImportRequest, uploadSpreadsheet, handleUploadError, importController.importFile);
+
+// List imports with entity/status filters (admin only)
+router.get('/imports', requireAdmin, noCache, validatePagination, validateRequest(importSchemas.list), importController.getImports);
+
+// Get import progress and failed rows (admin only)
+router.get('/imports/:id', requireAdmin, noCache, validateIntegerParam('id', 'import', 2147483647), importController.getImportById);
+
+// List uploads quarantined by the malware scanner (admin only)
+router.get('/quarantine', requireAdmin, noCache, validatePagination, quarantineController.getQuarantinedFiles);
+
+// Release a false positive to its owner (admin only)
+router.post('/quarantine/:id/release', requireAdmin, validateIntegerParam('id', 'file'), quarantineController.releaseFile);
+
+// Permanently delete a quarantined file (admin only)
+router.delete('/quarantine/:id', requireAdmin, validateIntegerParam('id', 'file'), quarantineController.purgeFile);
+
+// Get per-role two-factor policies (admin only)
+router.get('/2fa/policies', requireAdmin, noCache, twoFactorController.getPolicies);
+
+// Require or stop requiring two-factor authentication for a role (admin only)
+router.put('/2fa/policies/:role', requireAdmin, validateRequest(twoFactorSchemas.updatePolicy), twoFactorController.updatePolicy);
+
+// Get free-text skills that are not mapped to the taxonomy (admin only)
+router.get('/skills/unmapped', requireAdmin, skillController.getUnmappedSkills);
+
+// Create canonical skill (admin only)
+router.post('/skills', requireAdmin, validateRequest(skillSchemas.create), skillController.createSkill);
+
+// Update canonical skill, category or aliases (admin only)
+router.patch('/skills/:id', requireAdmin, validateUuidParam('id', 'skill'), validateRequest(skillSchemas.update), skillController.updateSkill);
+
+// Delete canonical skill (admin only)
+router.delete('/skills/:id', requireAdmin, validateUuidParam('id', 'skill'), skillController.deleteSkill);
+
+// List all conversations for moderation (admin only)
+router.get('/conversations', requireAdmin, noCache, validatePagination, validateRequest(messagingSchemas.adminList), messagingController.getAllConversations);
+
+// Read any conversation for moderation (admin only)
+router.get('/conversations/:id/messages', requireAdmin, noCache, validateUuidParam('id', 'conversation'), validatePagination, validateRequest(messagingSchemas.list), messagingController.getMessages);
+
+// Remove an abusive message (admin only)
+router.delete('/messages/:id', requireAdmin, validateUuidParam('id', 'message'), messagingController.deleteMessage);
+
 module.exports = router;
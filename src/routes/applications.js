@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const applicationController = require('../controllers/applicationController');
+const { applicationSchemas } = require('../validators/schemas');
+const {
+  validateRequest,
+  validatePagination,
+  sanitizeInput,
+  validateUuidParam
+} = require('../middlewares/validation');
+const { noCache } = require('../middlewares/cacheHeaders');
+const { requireAuth } = require('../middlewares/auth');
+const roleCheck = require('../middlewares/roleCheck');
+
+// Apply sanitization middleware to all routes
+router.use(sanitizeInput);
+
+// Applications are private per user - never cache
+router.use(noCache);
+
+// GET /api/applications - List applications visible to the current user
+router.get(
+  '/',
+  requireAuth,
+  roleCheck(['admin', 'student', 'company']),
+  validatePagination,
+  validateRequest(applicationSchemas.list),
+  applicationController.getApplications
+);
+
+// GET /api/applications/:id - Get application with stage history
+router.get(
+  '/:id',
+  requireAuth,
+  roleCheck(['admin', 'student', 'company']),
+  validateUuidParam('id', 'application'),
+  applicationController.getApplicationById
+);
+
+// POST /api/applications - Student applies or company invites a student
+router.post(
+  '/',
+  requireAuth,
+  roleCheck(['admin', 'student', 'company']),
+  validateRequest(applicationSchemas.create),
+  applicationController.createApplication
+);
+
+// PATCH /api/applications/:id/stage - Move application to another stage
+router.patch(
+  '/:id/stage',
+  requireAuth,
+  roleCheck(['admin', 'company']),
+  validateUuidParam('id', 'application'),
+  validateRequest(applicationSchemas.changeStage),
+  applicationController.changeStage
+);
+
+module.exports = router;
@@ -3,10 +3,12 @@ const router = express.Router();
 const rateLimit = require("express-rate-limit");
 
 const authController = require("../controllers/authController");
+const twoFactorController = require("../controllers/twoFactorController");
 const { sanitizeInput, validateRequest } = require("../middlewares/validation");
-const { authSchemas } = require("../validators/schemas");
+const { authSchemas, twoFactorSchemas } = require("../validators/schemas");
 const { requireAuth, requireApproval } = require("../middlewares/auth");
 const { forgotPasswordLimiter } = require("../middlewares/rateLimiter");
+const { noCache } = require("../middlewares/cacheHeaders");
 
 // Rate limiter for logout endpoint - prevent abuse
 const logoutLimiter = rateLimit({
@@ -22,6 +24,49 @@ const logoutLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Rate limiter for login - per-account and per-IP lockout is handled in
+// authService.signIn; this caps raw request volume
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // 30 login attempts per window per IP
+  message: {
+    success: false,
+    message: "Too many login attempts, please try again later",
+    error: "Rate limit exceeded",
+    data: null,
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiter for token refresh - clients refresh about once an hour per session
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // 30 refresh attempts per window per IP
+  message: {
+    success: false,
+    message: "Too many token refresh attempts, please try again later",
+    error: "Rate limit exceeded",
+    data: null,
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiter for two-factor codes - a 6-digit code must not be guessable
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 code attempts per window per IP
+  message: {
+    success: false,
+    message: "Too many two-factor attempts, please try again later",
+    error: "Rate limit exceeded",
+    data: null,
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 router.use(sanitizeInput);
 
 router.post(
@@ -30,10 +75,79 @@ router.post(
   authController.register
 );
 
-router.post("/login", validateRequest(authSchemas.login), authController.login);
+router.post("/login", loginLimiter, validateRequest(authSchemas.login), authController.login);
+
+// Enrollment details when the role requires 2FA and the user has none yet
+router.post(
+  "/2fa/login/setup",
+  twoFactorLimiter,
+  noCache,
+  validateRequest(twoFactorSchemas.loginSetup),
+  authController.setupLoginTwoFactor
+);
+
+// Finish a login that returned twoFactorRequired with a TOTP or backup code
+router.post(
+  "/2fa/login",
+  twoFactorLimiter,
+  validateRequest(twoFactorSchemas.login),
+  authController.verifyLoginTwoFactor
+);
+
+// Caller's two-factor status
+router.get("/2fa/status", requireAuth, noCache, twoFactorController.getStatus);
+
+// Start enrollment: new secret and QR code
+router.post("/2fa/enroll", requireAuth, noCache, twoFactorController.enroll);
+
+// Confirm enrollment with a first code; returns backup codes
+router.post(
+  "/2fa/verify",
+  requireAuth,
+  twoFactorLimiter,
+  noCache,
+  validateRequest(twoFactorSchemas.verify),
+  twoFactorController.verify
+);
+
+// Replace backup codes
+router.post(
+  "/2fa/backup-codes",
+  requireAuth,
+  twoFactorLimiter,
+  noCache,
+  validateRequest(twoFactorSchemas.regenerateBackupCodes),
+  twoFactorController.regenerateBackupCodes
+);
+
+// Turn 2FA off (password and code required)
+router.post(
+  "/2fa/disable",
+  requireAuth,
+  twoFactorLimiter,
+  validateRequest(twoFactorSchemas.disable),
+  twoFactorController.disable
+);
 
 router.post("/logout", requireAuth, logoutLimiter, authController.logout);
 
+// Revoke every other session, keeping the caller signed in
+router.post("/logout-others", requireAuth, logoutLimiter, authController.logoutOthers);
+
+// Revoke every session, including the caller's
+router.post("/logout-all", requireAuth, logoutLimiter, authController.logoutAll);
+
+// Exchange a refresh token for a new access token (no bearer token: it may have expired)
+router.post(
+  "/refresh",
+  refreshLimiter,
+  validateRequest(authSchemas.refresh),
+  authController.refresh
+);
+
+// List the caller's active sessions
+router.get("/sessions", requireAuth, noCache, authController.getSessions);
+
 router.post(
   "/forgot-password",
   forgotPasswordLimiter.middleware(),
@@ -1,11 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const authMeController = require('../controllers/authMeController');
+const shortlistController = require('../controllers/shortlistController');
+const savedSearchController = require('../controllers/savedSearchController');
 const { requireAuth, requireApproval, optionalApproval } = require('../middlewares/auth');
 const roleCheck = require('../middlewares/roleCheck');
-const { uploadCV, uploadPhoto, uploadLogo } = require('../middlewares/fileUpload');
-const { validateRequest } = require('../middlewares/validation');
-const { companySchemas, studentSchemas } = require('../validators/schemas');
+const { uploadCV, uploadPhoto, uploadLogo, handleUploadError } = require('../middlewares/fileUpload');
+const { validateRequest, validatePagination, validateUuidParam } = require('../middlewares/validation');
+const { noCache } = require('../middlewares/cacheHeaders');
+const { companySchemas, studentSchemas, shortlistSchemas, savedSearchSchemas, skillSchemas } = require('../validators/schemas');
 
 // GET /api/auth/me/profile - Get current user's profile
 router.get('/profile',
@@ -15,6 +18,13 @@ router.get('/profile',
   authMeController.getProfile
 );
 
+// GET /api/auth/me/permissions - Get current user's role permissions (RBAC matrix)
+router.get('/permissions',
+  requireAuth,
+  noCache,
+  authMeController.getPermissions
+);
+
 // PATCH /api/auth/me/profile - Update current user's profile (partial update only)
 // Apply appropriate schema based on user role (detected in controller)
 router.patch('/profile',
@@ -40,15 +50,46 @@ router.post('/cv',
   requireApproval,
   roleCheck(['student']),
   uploadCV,
+  handleUploadError,
   authMeController.uploadCV
 );
 
+// GET /api/auth/me/cv/skill-suggestions - Skills found in the current CV that the profile does not list (students only)
+router.get('/cv/skill-suggestions',
+  requireAuth,
+  requireApproval,
+  roleCheck(['student']),
+  noCache,
+  authMeController.getCvSkillSuggestions
+);
+
+// POST /api/auth/me/cv/skill-suggestions - Add picked suggestions to the tech stack (students only)
+router.post('/cv/skill-suggestions',
+  requireAuth,
+  requireApproval,
+  roleCheck(['student']),
+  noCache,
+  validateRequest(skillSchemas.acceptSuggestions),
+  authMeController.acceptCvSkillSuggestions
+);
+
+// GET /api/auth/me/cv/views - Companies that downloaded the CV, newest first (students only)
+router.get('/cv/views',
+  requireAuth,
+  requireApproval,
+  roleCheck(['student']),
+  noCache,
+  validatePagination,
+  authMeController.getCvViews
+);
+
 // POST /api/auth/me/photo - Upload profile photo (students only)
 router.post('/photo',
   requireAuth,
   requireApproval,
   roleCheck(['student']),
   uploadPhoto,
+  handleUploadError,
   authMeController.uploadPhoto
 );
 
@@ -58,7 +99,132 @@ router.post('/logo',
   requireApproval,
   roleCheck(['company']),
   uploadLogo,
+  handleUploadError,
   authMeController.uploadLogo
 );
 
+// GET /api/auth/me/shortlists - List the company's shortlists (companies only)
+router.get('/shortlists',
+  requireAuth,
+  requireApproval,
+  roleCheck(['company']),
+  noCache,
+  shortlistController.getShortlists
+);
+
+// POST /api/auth/me/shortlists - Create a named shortlist (companies only)
+router.post('/shortlists',
+  requireAuth,
+  requireApproval,
+  roleCheck(['company']),
+  noCache,
+  validateRequest(shortlistSchemas.create),
+  shortlistController.createShortlist
+);
+
+// GET /api/auth/me/shortlists/:id - Get shortlist with its entries (companies only)
+router.get('/shortlists/:id',
+  requireAuth,
+  requireApproval,
+  roleCheck(['company']),
+  noCache,
+  validateUuidParam('id', 'shortlist'),
+  shortlistController.getShortlistById
+);
+
+// PATCH /api/auth/me/shortlists/:id - Rename shortlist or update description (companies only)
+router.patch('/shortlists/:id',
+  requireAuth,
+  requireApproval,
+  roleCheck(['company']),
+  noCache,
+  validateUuidParam('id', 'shortlist'),
+  validateRequest(shortlistSchemas.update),
+  shortlistController.updateShortlist
+);
+
+// DELETE /api/auth/me/shortlists/:id - Delete shortlist and its entries (companies only)
+router.delete('/shortlists/:id',
+  requireAuth,
+  requireApproval,
+  roleCheck(['company']),
+  noCache,
+  validateUuidParam('id', 'shortlist'),
+  shortlistController.deleteShortlist
+);
+
+// POST /api/auth/me/shortlists/:id/entries - Add a student to a shortlist (companies only)
+router.post('/shortlists/:id/entries',
+  requireAuth,
+  requireApproval,
+  roleCheck(['company']),
+  noCache,
+  validateUuidParam('id', 'shortlist'),
+  validateRequest(shortlistSchemas.addEntry),
+  shortlistController.addEntry
+);
+
+// PUT /api/auth/me/shortlists/:id/entries/order - Reorder shortlisted students (companies only)
+router.put('/shortlists/:id/entries/order',
+  requireAuth,
+  requireApproval,
+  roleCheck(['company']),
+  noCache,
+  validateUuidParam('id', 'shortlist'),
+  validateRequest(shortlistSchemas.reorder),
+  shortlistController.reorderEntries
+);
+
+// PATCH /api/auth/me/shortlists/:id/entries/:studentId - Update the note on a shortlisted student (companies only)
+router.patch('/shortlists/:id/entries/:studentId',
+  requireAuth,
+  requireApproval,
+  roleCheck(['company']),
+  noCache,
+  validateUuidParam('id', 'shortlist'),
+  validateUuidParam('studentId', 'student'),
+  validateRequest(shortlistSchemas.updateEntry),
+  shortlistController.updateEntry
+);
+
+// DELETE /api/auth/me/shortlists/:id/entries/:studentId - Remove a student from a shortlist (companies only)
+router.delete('/shortlists/:id/entries/:studentId',
+  requireAuth,
+  requireApproval,
+  roleCheck(['company']),
+  noCache,
+  validateUuidParam('id', 'shortlist'),
+  validateUuidParam('studentId', 'student'),
+  shortlistController.removeEntry
+);
+
+// GET /api/auth/me/saved-searches - List the company's saved student searches (companies only)
+router.get('/saved-searches',
+  requireAuth,
+  requireApproval,
+  roleCheck(['company']),
+  noCache,
+  savedSearchController.getSavedSearches
+);
+
+// POST /api/auth/me/saved-searches - Save a student search for new-match digests (companies only)
+router.post('/saved-searches',
+  requireAuth,
+  requireApproval,
+  roleCheck(['company']),
+  noCache,
+  validateRequest(savedSearchSchemas.create),
+  savedSearchController.createSavedSearch
+);
+
+// DELETE /api/auth/me/saved-searches/:id - Delete a saved search and stop its alerts (companies only)
+router.delete('/saved-searches/:id',
+  requireAuth,
+  requireApproval,
+  roleCheck(['company']),
+  noCache,
+  validateUuidParam('id', 'saved search'),
+  savedSearchController.deleteSavedSearch
+);
+
 module.exports = router;
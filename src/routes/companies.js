@@ -2,23 +2,27 @@ const express = require('express');
 const router = express.Router();
 const companyController = require('../controllers/companyController');
 const companyFileController = require('../controllers/companyFileController');
+const jobPostingController = require('../controllers/jobPostingController');
 const { validateRequest } = require('../middlewares/validation');
-const { companySchemas } = require('../validators/schemas');
+const { companySchemas, jobPostingSchemas } = require('../validators/schemas');
 const {
   validatePagination,
   validateCompanyId,
+  validateIntegerParam,
   validateSearchQuery,
+  validateExportFormat,
   sanitizeInput
 } = require('../middlewares/validation');
 const {
   listCacheHeaders,
   resourceCacheHeaders,
-  cacheStatsHeaders
+  cacheStatsHeaders,
+  noCache
 } = require('../middlewares/cacheHeaders');
 const { requireAuth } = require('../middlewares/auth');
-const roleCheck = require('../middlewares/roleCheck');
-const { requireAdmin } = require('../middlewares/roleCheck');
+const { requirePermission, ownerFromParam } = require('../middlewares/roleCheck');
 const { uploadLogo, handleUploadError } = require('../middlewares/fileUpload');
+const { exportLimiter } = require('../middlewares/rateLimiter');
 
 // Apply sanitization middleware to all routes
 router.use(sanitizeInput);
@@ -30,17 +34,28 @@ router.use(cacheStatsHeaders);
 router.get(
   '/',
   requireAuth,
-  roleCheck(['admin', 'student', 'company']),
+  requirePermission('companies', 'read'),
   listCacheHeaders,
   validatePagination,
   companyController.getCompanies
 );
 
+// GET /api/companies/export - Export the filtered company list as CSV or XLSX
+router.get(
+  '/export',
+  requireAuth,
+  requirePermission('companies', 'export'),
+  exportLimiter.middleware(),
+  noCache,
+  validateExportFormat,
+  companyController.exportCompanies
+);
+
 // GET /api/companies/search - Search companies
 router.get(
   '/search',
   requireAuth,
-  roleCheck(['admin', 'student', 'company']),
+  requirePermission('companies', 'read'),
   listCacheHeaders,
   validateSearchQuery,
   validatePagination,
@@ -57,15 +72,25 @@ router.get('/tech-roles', companyController.getTechRoles);
 router.get(
   '/stats',
   requireAuth,
-  roleCheck(['admin', 'student', 'company']),
+  requirePermission('companies', 'read'),
   companyController.getCompanyStats
 );
 
+// GET /api/companies/:id/recommended-students - Students ranked by skill and industry match
+router.get(
+  '/:id/recommended-students',
+  requireAuth,
+  requirePermission('companies', 'recommendations', { ownerResolver: ownerFromParam('id') }),
+  noCache,
+  validateCompanyId,
+  companyController.getRecommendedStudents
+);
+
 // GET /api/companies/:id - Get company by ID
 router.get(
   '/:id',
   requireAuth,
-  roleCheck(['admin', 'student', 'company']),
+  requirePermission('companies', 'read'),
   resourceCacheHeaders,
   validateCompanyId,
   companyController.getCompanyById
@@ -75,7 +100,7 @@ router.get(
 router.post(
   '/',
   requireAuth,
-  roleCheck(['admin', 'company']),
+  requirePermission('companies', 'create'),
   validateRequest(companySchemas.create),
   companyController.createCompany
 );
@@ -84,7 +109,7 @@ router.post(
 router.patch(
   '/:id',
   requireAuth,
-  roleCheck(['admin', 'company']),
+  requirePermission('companies', 'update', { ownerResolver: ownerFromParam('id') }),
   validateCompanyId,
   validateRequest(companySchemas.update),
   companyController.patchCompany
@@ -94,7 +119,7 @@ router.patch(
 router.delete(
   '/:id',
   requireAuth,
-  roleCheck(['admin', 'company']),
+  requirePermission('companies', 'delete', { ownerResolver: ownerFromParam('id') }),
   validateCompanyId,
   companyController.deleteCompany
 );
@@ -103,7 +128,7 @@ router.delete(
 router.post(
   '/bulk-approve',
   requireAuth,
-  requireAdmin,
+  requirePermission('companies', 'approve'),
   companyController.bulkApproveCompanies
 );
 
@@ -113,7 +138,7 @@ router.post(
 router.post(
   '/:id/logo',
   requireAuth,
-  roleCheck(['admin', 'company']),
+  requirePermission('files', 'upload', { ownerResolver: ownerFromParam('id') }),
   validateCompanyId,
   uploadLogo,
   handleUploadError,
@@ -124,7 +149,7 @@ router.post(
 router.delete(
   '/:id/logo',
   requireAuth,
-  roleCheck(['admin', 'company']),
+  requirePermission('files', 'delete', { ownerResolver: ownerFromParam('id') }),
   validateCompanyId,
   companyFileController.deleteLogo
 );
@@ -133,9 +158,53 @@ router.delete(
 router.get(
   '/:id/logo',
   requireAuth,
-  roleCheck(['admin', 'student', 'company']),
+  requirePermission('files', 'read', { ownerResolver: ownerFromParam('id') }),
   validateCompanyId,
   companyFileController.getLogo
 );
 
+// GET /api/companies/:id/logo/versions - Get logo version history
+router.get(
+  '/:id/logo/versions',
+  requireAuth,
+  requirePermission('files', 'read', { ownerResolver: ownerFromParam('id') }),
+  noCache,
+  validateCompanyId,
+  companyFileController.getLogoVersions
+);
+
+// POST /api/companies/:id/logo/versions/:versionId/restore - Restore an earlier logo
+router.post(
+  '/:id/logo/versions/:versionId/restore',
+  requireAuth,
+  requirePermission('files', 'upload', { ownerResolver: ownerFromParam('id') }),
+  validateCompanyId,
+  validateIntegerParam('versionId', 'version'),
+  companyFileController.restoreLogoVersion
+);
+
+// ============== JOB POSTING ROUTES ==============
+
+// GET /api/companies/:id/jobs - List job postings for a company
+router.get(
+  '/:id/jobs',
+  requireAuth,
+  requirePermission('jobs', 'read'),
+  listCacheHeaders,
+  validateCompanyId,
+  validatePagination,
+  validateRequest(jobPostingSchemas.list),
+  jobPostingController.getCompanyJobs
+);
+
+// POST /api/companies/:id/jobs - Create job posting for a company
+router.post(
+  '/:id/jobs',
+  requireAuth,
+  requirePermission('jobs', 'create', { ownerResolver: ownerFromParam('id') }),
+  validateCompanyId,
+  validateRequest(jobPostingSchemas.create),
+  jobPostingController.createJob
+);
+
 module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const messagingController = require('../controllers/messagingController');
+const { messagingSchemas } = require('../validators/schemas');
+const {
+  validateRequest,
+  validatePagination,
+  sanitizeInput,
+  validateUuidParam
+} = require('../middlewares/validation');
+const { noCache } = require('../middlewares/cacheHeaders');
+const { requireAuth, requireApproval } = require('../middlewares/auth');
+const { messageLimiter } = require('../middlewares/rateLimiter');
+const roleCheck = require('../middlewares/roleCheck');
+
+// Apply sanitization middleware to all routes
+router.use(sanitizeInput);
+
+// Conversations are private per user - never cache
+router.use(noCache);
+
+// Only approved company and student accounts can message
+router.use(requireAuth, requireApproval, roleCheck(['company', 'student']));
+
+// GET /api/conversations - List own conversations with unread counts
+router.get(
+  '/',
+  validatePagination,
+  validateRequest(messagingSchemas.list),
+  messagingController.getConversations
+);
+
+// GET /api/conversations/unread-count - Total unread messages
+router.get('/unread-count', messagingController.getUnreadCount);
+
+// POST /api/conversations - Start (or continue) a conversation with a first message
+router.post(
+  '/',
+  messageLimiter.middleware(),
+  validateRequest(messagingSchemas.startConversation),
+  messagingController.startConversation
+);
+
+// GET /api/conversations/:id/messages - Get messages in a conversation
+router.get(
+  '/:id/messages',
+  validateUuidParam('id', 'conversation'),
+  validatePagination,
+  validateRequest(messagingSchemas.list),
+  messagingController.getMessages
+);
+
+// POST /api/conversations/:id/messages - Send a message
+router.post(
+  '/:id/messages',
+  validateUuidParam('id', 'conversation'),
+  messageLimiter.middleware(),
+  validateRequest(messagingSchemas.sendMessage),
+  messagingController.sendMessage
+);
+
+// POST /api/conversations/:id/read - Mark messages from the other participant as read
+router.post(
+  '/:id/read',
+  validateUuidParam('id', 'conversation'),
+  messagingController.markAsRead
+);
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const jobPostingController = require('../controllers/jobPostingController');
+const jobPostingService = require('../services/jobPostingService');
+const { jobPostingSchemas } = require('../validators/schemas');
+const {
+  validateRequest,
+  validatePagination,
+  sanitizeInput,
+  validateUuidParam
+} = require('../middlewares/validation');
+const {
+  listCacheHeaders,
+  resourceCacheHeaders,
+  cacheStatsHeaders
+} = require('../middlewares/cacheHeaders');
+const { requireAuth } = require('../middlewares/auth');
+const { requirePermission } = require('../middlewares/roleCheck');
+
+// Job postings are owned by their company, whose id is the owning user's id
+const jobOwner = (req) => jobPostingService.getCompanyId(req.params.id);
+
+// Apply sanitization middleware to all routes
+router.use(sanitizeInput);
+
+// Apply cache statistics headers to all routes
+router.use(cacheStatsHeaders);
+
+// GET /api/jobs - List open job postings across all companies
+router.get(
+  '/',
+  requireAuth,
+  requirePermission('jobs', 'read'),
+  listCacheHeaders,
+  validatePagination,
+  validateRequest(jobPostingSchemas.list),
+  jobPostingController.getJobs
+);
+
+// GET /api/jobs/:id - Get job posting by ID
+router.get(
+  '/:id',
+  requireAuth,
+  requirePermission('jobs', 'read'),
+  resourceCacheHeaders,
+  validateUuidParam('id', 'job posting'),
+  jobPostingController.getJobById
+);
+
+// PATCH /api/jobs/:id - Update job posting (partial update only)
+router.patch(
+  '/:id',
+  requireAuth,
+  validateUuidParam('id', 'job posting'),
+  requirePermission('jobs', 'update', { ownerResolver: jobOwner }),
+  validateRequest(jobPostingSchemas.update),
+  jobPostingController.patchJob
+);
+
+// DELETE /api/jobs/:id - Delete job posting
+router.delete(
+  '/:id',
+  requireAuth,
+  validateUuidParam('id', 'job posting'),
+  requirePermission('jobs', 'delete', { ownerResolver: jobOwner }),
+  jobPostingController.deleteJob
+);
+
+module.exports = router;
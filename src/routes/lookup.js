@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const lookupController = require('../controllers/lookupController');
+const skillController = require('../controllers/skillController');
 const { validateSearchQuery, sanitizeInput } = require('../middlewares/validation');
 const { staticCacheHeaders, popularCacheHeaders, listCacheHeaders, cacheStatsHeaders } = require('../middlewares/cacheHeaders');
 const { requireAuth } = require('../middlewares/auth');
+const { requirePermission } = require('../middlewares/roleCheck');
 
 // Apply sanitization middleware to all routes
 router.use(sanitizeInput);
@@ -47,16 +49,22 @@ router.get('/popular/majors', popularCacheHeaders, lookupController.getPopularMa
  */
 router.get('/popular/preferred-industries', popularCacheHeaders, lookupController.getPopularPreferredIndustries);
 
+/**
+ * GET /api/skills
+ * Get the canonical skill taxonomy (name, category, aliases)
+ */
+router.get('/skills', popularCacheHeaders, skillController.getSkills);
+
 /**
  * POST /api/cache/clear
  * Clear lookup cache (admin only)
  */
-router.post('/cache/clear', requireAuth, lookupController.clearCache);
+router.post('/cache/clear', requireAuth, requirePermission('lookup', 'cache_clear'), lookupController.clearCache);
 
 /**
  * GET /api/cache/status
- * Get cache status
+ * Get cache status (admin only)
  */
-router.get('/cache/status', requireAuth, lookupController.getCacheStatus);
+router.get('/cache/status', requireAuth, requirePermission('lookup', 'cache_status'), lookupController.getCacheStatus);
 
 module.exports = router;
@@ -7,18 +7,22 @@ const { studentSchemas } = require("../validators/schemas");
 const {
   validatePagination,
   validateStudentId,
+  validateIntegerParam,
   validateSearchQuery,
+  validateStudentFilters,
+  validateExportFormat,
   sanitizeInput,
 } = require("../middlewares/validation");
 const {
   listCacheHeaders,
   resourceCacheHeaders,
   cacheStatsHeaders,
+  noCache,
 } = require("../middlewares/cacheHeaders");
 const { requireAuth } = require("../middlewares/auth");
-const roleCheck = require("../middlewares/roleCheck");
-const { requireAdmin } = require("../middlewares/roleCheck");
+const { requirePermission, ownerFromParam } = require("../middlewares/roleCheck");
 const { uploadCV, uploadPhoto, handleUploadError } = require("../middlewares/fileUpload");
+const { exportLimiter } = require("../middlewares/rateLimiter");
 
 // Apply sanitization middleware to all routes
 router.use(sanitizeInput);
@@ -30,16 +34,30 @@ router.use(cacheStatsHeaders);
 router.get(
   "/",
   requireAuth,
-  roleCheck(['admin', 'student', 'company']),
+  requirePermission("students", "read"),
   listCacheHeaders,
   validatePagination,
+  validateStudentFilters,
   studentController.getStudents
 );
 
+// GET /api/students/export - Export the filtered student list as CSV or XLSX
+router.get(
+  "/export",
+  requireAuth,
+  requirePermission("students", "export"),
+  exportLimiter.middleware(),
+  noCache,
+  validateExportFormat,
+  validateStudentFilters,
+  studentController.exportStudents
+);
+
 // GET /api/students/search - Search students
 router.get(
   "/search",
   requireAuth,
+  requirePermission("students", "read"),
   listCacheHeaders,
   validateSearchQuery,
   validatePagination,
@@ -50,6 +68,7 @@ router.get(
 router.get(
   "/status/:status",
   requireAuth,
+  requirePermission("students", "read"),
   listCacheHeaders,
   studentController.getStudentsByStatus
 );
@@ -70,15 +89,25 @@ router.get("/skills", studentController.getSkills);
 router.get(
   "/stats",
   requireAuth,
-  roleCheck(['admin', 'student', 'company']),
+  requirePermission("students", "read"),
   studentController.getStudentStats
 );
 
+// GET /api/students/:id/recommended-companies - Companies ranked by skill and industry match
+router.get(
+  "/:id/recommended-companies",
+  requireAuth,
+  requirePermission("students", "recommendations", { ownerResolver: ownerFromParam("id") }),
+  noCache,
+  validateStudentId,
+  studentController.getRecommendedCompanies
+);
+
 // GET /api/students/:id - Get student by ID
 router.get(
   "/:id",
   requireAuth,
-  roleCheck(['admin', 'student', 'company']),
+  requirePermission("students", "read"),
   resourceCacheHeaders,
   validateStudentId,
   studentController.getStudentById
@@ -88,7 +117,7 @@ router.get(
 router.post(
   "/",
   requireAuth,
-  roleCheck(['admin', 'student']),
+  requirePermission("students", "create"),
   validateRequest(studentSchemas.create),
   studentController.createStudent
 );
@@ -97,7 +126,7 @@ router.post(
 router.patch(
   "/:id",
   requireAuth,
-  roleCheck(['admin', 'student']),
+  requirePermission("students", "update", { ownerResolver: ownerFromParam("id") }),
   validateStudentId,
   validateRequest(studentSchemas.update),
   studentController.patchStudent
@@ -107,7 +136,7 @@ router.patch(
 router.delete(
   "/:id",
   requireAuth,
-  roleCheck(['admin', 'student']),
+  requirePermission("students", "delete", { ownerResolver: ownerFromParam("id") }),
   validateStudentId,
   studentController.deleteStudent
 );
@@ -116,7 +145,7 @@ router.delete(
 router.post(
   "/bulk-approve",
   requireAuth,
-  requireAdmin,
+  requirePermission("students", "approve"),
   studentController.bulkApproveStudents
 );
 
@@ -126,7 +155,7 @@ router.post(
 router.post(
   "/:id/cv",
   requireAuth,
-  roleCheck(['admin', 'student']),
+  requirePermission("files", "upload", { ownerResolver: ownerFromParam("id") }),
   validateStudentId,
   uploadCV,
   handleUploadError,
@@ -137,7 +166,7 @@ router.post(
 router.post(
   "/:id/photo",
   requireAuth,
-  roleCheck(['admin', 'student']),
+  requirePermission("files", "upload", { ownerResolver: ownerFromParam("id") }),
   validateStudentId,
   uploadPhoto,
   handleUploadError,
@@ -148,7 +177,7 @@ router.post(
 router.delete(
   "/:id/cv",
   requireAuth,
-  roleCheck(['admin', 'student']),
+  requirePermission("files", "delete", { ownerResolver: ownerFromParam("id") }),
   validateStudentId,
   studentFileController.deleteCV
 );
@@ -157,25 +186,46 @@ router.delete(
 router.delete(
   "/:id/photo",
   requireAuth,
-  roleCheck(['admin', 'student']),
+  requirePermission("files", "delete", { ownerResolver: ownerFromParam("id") }),
   validateStudentId,
   studentFileController.deletePhoto
 );
 
-// GET /api/students/:id/cv - Get CV info
+// GET /api/students/:id/cv - Get a short-lived signed CV download URL
 router.get(
   "/:id/cv",
   requireAuth,
-  roleCheck(['admin', 'student', 'company']),
+  requirePermission("files", "download", { ownerResolver: ownerFromParam("id") }),
+  noCache,
   validateStudentId,
   studentFileController.getCV
 );
 
+// GET /api/students/:id/cv/versions - Get CV version history
+router.get(
+  "/:id/cv/versions",
+  requireAuth,
+  requirePermission("files", "read", { ownerResolver: ownerFromParam("id") }),
+  noCache,
+  validateStudentId,
+  studentFileController.getCVVersions
+);
+
+// POST /api/students/:id/cv/versions/:versionId/restore - Restore an earlier CV
+router.post(
+  "/:id/cv/versions/:versionId/restore",
+  requireAuth,
+  requirePermission("files", "upload", { ownerResolver: ownerFromParam("id") }),
+  validateStudentId,
+  validateIntegerParam("versionId", "version"),
+  studentFileController.restoreCVVersion
+);
+
 // GET /api/students/:id/photo - Get photo info
 router.get(
   "/:id/photo",
   requireAuth,
-  roleCheck(['admin', 'student', 'company']),
+  requirePermission("files", "read", { ownerResolver: ownerFromParam("id") }),
   validateStudentId,
   studentFileController.getPhoto
 );
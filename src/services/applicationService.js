@@ -0,0 +1,512 @@
+const { supabase } = require('../db');
+const logService = require('./logService');
+const { HttpError } = require('../middlewares/error-handler');
+const studentService = require('./studentService');
+const companyService = require('./companyService');
+const jobPostingService = require('./jobPostingService');
+const notificationService = require('./notificationService');
+
+const APPLICATION_FIELDS = `
+  id,
+  student_id,
+  company_id,
+  job_posting_id,
+  stage,
+  source,
+  cover_note,
+  created_by,
+  created_at,
+  updated_at,
+  students (
+    full_name,
+    university_institution,
+    program_major,
+    tech_stack_skills,
+    profile_photo
+  ),
+  companies (
+    company_name,
+    company_logo
+  ),
+  job_postings (
+    title,
+    status
+  )
+`;
+
+const STAGES = ['applied', 'screening', 'interview', 'offer', 'hired', 'rejected'];
+
+// Allowed stage transitions. Stages may be skipped forward, any open
+// application can be rejected, and hired/rejected are final.
+const STAGE_TRANSITIONS = {
+  applied: ['screening', 'interview', 'offer', 'hired', 'rejected'],
+  screening: ['interview', 'offer', 'hired', 'rejected'],
+  interview: ['offer', 'hired', 'rejected'],
+  offer: ['hired', 'rejected'],
+  hired: [],
+  rejected: []
+};
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+class ApplicationService {
+  /**
+   * List applications visible to the current user:
+   * students see their own, companies see candidates for their own
+   * company and postings, admins see everything.
+   */
+  async getApplications(filters = {}, currentUser) {
+    try {
+      let query = supabase
+        .from('applications')
+        .select(APPLICATION_FIELDS, { count: 'exact' });
+
+      if (currentUser.role === 'student') {
+        query = query.eq('student_id', currentUser.id);
+      } else if (currentUser.role === 'company') {
+        query = query.eq('company_id', currentUser.id);
+      } else if (currentUser.role !== 'admin') {
+        throw new HttpError(403, 'Forbidden: insufficient role');
+      }
+
+      if (filters.stage) {
+        query = query.eq('stage', filters.stage);
+      }
+
+      if (filters.jobPostingId) {
+        query = query.eq('job_posting_id', filters.jobPostingId);
+      }
+
+      if (filters.studentId) {
+        query = query.eq('student_id', filters.studentId);
+      }
+
+      if (filters.companyId) {
+        query = query.eq('company_id', filters.companyId);
+      }
+
+      const page = parseInt(filters.page) || 1;
+      const limit = parseInt(filters.limit) || 20;
+      const offset = (page - 1) * limit;
+
+      query = query
+        .order('updated_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      const { data, error, count } = await query;
+
+      if (error) {
+        console.error('[ERROR] Failed to fetch applications:', error.message);
+        throw new Error('Failed to fetch applications');
+      }
+
+      return {
+        applications: data.map(application => this.transformApplicationData(application)),
+        pagination: {
+          page,
+          limit,
+          total: count || 0,
+          totalPages: Math.ceil((count || 0) / limit)
+        }
+      };
+    } catch (error) {
+      console.error('[ERROR] ApplicationService.getApplications:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single application with its stage history.
+   * Returns null when the application does not exist or is not visible to the user.
+   */
+  async getApplicationById(id, currentUser) {
+    try {
+      const { data, error } = await supabase
+        .from('applications')
+        .select(APPLICATION_FIELDS)
+        .eq('id', id)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // Application not found
+        }
+        console.error('[ERROR] Failed to fetch application:', error.message);
+        throw new Error('Failed to fetch application');
+      }
+
+      if (!this.canView(data, currentUser)) {
+        return null;
+      }
+
+      const history = await this.getStageHistory(id);
+
+      return {
+        ...this.transformApplicationData(data),
+        history
+      };
+    } catch (error) {
+      console.error('[ERROR] ApplicationService.getApplicationById:', error.message);
+      throw error;
+    }
+  }
+
+  async getStageHistory(applicationId) {
+    const { data, error } = await supabase
+      .from('application_stage_history')
+      .select('id, from_stage, to_stage, changed_by, note, created_at')
+      .eq('application_id', applicationId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('[ERROR] Failed to fetch application history:', error.message);
+      throw new Error('Failed to fetch application history');
+    }
+
+    return data.map(entry => ({
+      id: entry.id,
+      fromStage: entry.from_stage,
+      toStage: entry.to_stage,
+      changedBy: entry.changed_by,
+      note: entry.note,
+      createdAt: entry.created_at
+    }));
+  }
+
+  /**
+   * Create an application.
+   * Students apply for themselves; companies invite a student to their own
+   * company; admins may create either on behalf of both parties.
+   */
+  async createApplication(applicationData, req) {
+    const currentUser = req.user;
+
+    try {
+      const { jobPostingId = null, coverNote = null } = applicationData;
+      let studentId;
+      let companyId;
+      let source;
+
+      if (currentUser.role === 'student') {
+        studentId = currentUser.id;
+        companyId = applicationData.companyId || null;
+        source = 'student';
+      } else if (currentUser.role === 'company') {
+        studentId = applicationData.studentId;
+        companyId = currentUser.id;
+        source = 'company';
+      } else {
+        studentId = applicationData.studentId;
+        companyId = applicationData.companyId || null;
+        source = applicationData.source || 'company';
+      }
+
+      if (!studentId) {
+        throw new HttpError(400, 'studentId is required');
+      }
+
+      // Resolve the company from the posting when one is given
+      if (jobPostingId) {
+        const job = await jobPostingService.getJobById(jobPostingId, currentUser);
+
+        if (!job) {
+          throw new HttpError(404, 'Job posting not found');
+        }
+
+        if (companyId && companyId !== job.companyId) {
+          throw new HttpError(400, 'Job posting does not belong to this company');
+        }
+
+        if (currentUser.role === 'student' && !job.isAcceptingApplications) {
+          throw new HttpError(400, 'This job posting is not accepting applications');
+        }
+
+        companyId = job.companyId;
+      }
+
+      if (!companyId) {
+        throw new HttpError(400, 'companyId or jobPostingId is required');
+      }
+
+      const company = await companyService.getCompanyById(companyId, currentUser);
+      if (!company) {
+        throw new HttpError(404, 'Company not found');
+      }
+
+      // Reuse the company-facing student visibility rules: hidden or employed
+      // students are not returned and therefore cannot enter a pipeline
+      const student = await studentService.getStudentById(studentId, { id: companyId, role: 'company' });
+      if (!student) {
+        throw new HttpError(
+          source === 'company' ? 404 : 400,
+          source === 'company'
+            ? 'Student is not available for invitations'
+            : 'Your profile must be visible and open to work to apply'
+        );
+      }
+
+      await this.assertNoDuplicate(studentId, companyId, jobPostingId);
+
+      const { data, error } = await supabase
+        .from('applications')
+        .insert([{
+          student_id: studentId,
+          company_id: companyId,
+          job_posting_id: jobPostingId,
+          stage: 'applied',
+          source,
+          cover_note: coverNote,
+          created_by: currentUser.id
+        }])
+        .select(APPLICATION_FIELDS)
+        .single();
+
+      if (error) {
+        console.error('[ERROR] Failed to create application:', error.message);
+        throw new Error(`Failed to create application: ${error.message}`);
+      }
+
+      await this.recordStageChange(data.id, null, 'applied', currentUser.id, source === 'company' ? 'Invited by company' : null);
+
+      // Log successful CREATE operation
+      await logService.logCreate({
+        userId: currentUser.id,
+        userEmail: currentUser.email,
+        resourceType: 'application',
+        resourceId: data.id,
+        newValues: this.stripJoins(data),
+        request: req,
+        routePath: req.path
+      });
+
+      // Let the company know about new applications (not their own invitations)
+      if (source === 'student') {
+        this.notifyCompany(data);
+      }
+
+      return this.transformApplicationData(data);
+    } catch (error) {
+      // Log failed CREATE operation
+      await logService.logError({
+        userId: currentUser?.id,
+        userEmail: currentUser?.email,
+        resourceType: 'application',
+        resourceId: null,
+        operation: 'CREATE',
+        errorMessage: error.message,
+        request: req,
+        routePath: req.path,
+        newValues: applicationData
+      });
+
+      console.error('[ERROR] ApplicationService.createApplication:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Move an application to a new stage, recording the transition in the
+   * stage history and crud_logs
+   */
+  async changeStage(id, toStage, note, req) {
+    const currentUser = req.user;
+
+    try {
+      const { data: oldData, error: fetchError } = await supabase
+        .from('applications')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (fetchError) {
+        if (fetchError.code === 'PGRST116') {
+          return null; // Application not found
+        }
+        console.error('[ERROR] Failed to fetch application:', fetchError.message);
+        throw new Error('Failed to fetch application');
+      }
+
+      if (!this.canView(oldData, currentUser)) {
+        return null;
+      }
+
+      if (!this.canManage(oldData, currentUser)) {
+        throw new HttpError(403, 'Only the company or an admin can change the application stage');
+      }
+
+      const fromStage = oldData.stage;
+      if (!STAGE_TRANSITIONS[fromStage]?.includes(toStage)) {
+        throw new HttpError(400, `Cannot move application from "${fromStage}" to "${toStage}"`);
+      }
+
+      const { data, error } = await supabase
+        .from('applications')
+        .update({ stage: toStage, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('stage', fromStage) // Guard against concurrent transitions
+        .select(APPLICATION_FIELDS)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          throw new HttpError(409, 'Application stage was changed by another request, please retry');
+        }
+        console.error('[ERROR] Failed to update application stage:', error.message);
+        throw new Error(`Failed to update application stage: ${error.message}`);
+      }
+
+      await this.recordStageChange(id, fromStage, toStage, currentUser.id, note);
+
+      // Log successful UPDATE operation
+      await logService.logUpdate({
+        userId: currentUser.id,
+        userEmail: currentUser.email,
+        resourceType: 'application',
+        resourceId: id,
+        oldValues: oldData,
+        newValues: this.stripJoins(data),
+        request: req,
+        routePath: req.path
+      });
+
+      const history = await this.getStageHistory(id);
+
+      return {
+        ...this.transformApplicationData(data),
+        history
+      };
+    } catch (error) {
+      // Log failed UPDATE operation
+      await logService.logError({
+        userId: currentUser?.id,
+        userEmail: currentUser?.email,
+        resourceType: 'application',
+        resourceId: typeof id === 'string' && UUID_REGEX.test(id) ? id : null,
+        operation: 'UPDATE',
+        errorMessage: error.message,
+        request: req,
+        routePath: req.path,
+        newValues: { stage: toStage, note }
+      });
+
+      console.error('[ERROR] ApplicationService.changeStage:', error.message);
+      throw error;
+    }
+  }
+
+  async recordStageChange(applicationId, fromStage, toStage, changedBy, note = null) {
+    const { error } = await supabase
+      .from('application_stage_history')
+      .insert([{
+        application_id: applicationId,
+        from_stage: fromStage,
+        to_stage: toStage,
+        changed_by: changedBy,
+        note: note || null
+      }]);
+
+    if (error) {
+      console.error('[ERROR] Failed to record application stage change:', error.message);
+      throw new Error('Failed to record application stage change');
+    }
+  }
+
+  /**
+   * Email the company's contact address about a new application.
+   * Runs in the background; failures are logged and never surface to the caller.
+   */
+  async notifyCompany(application) {
+    try {
+      const { data: company, error } = await supabase
+        .from('companies')
+        .select('company_name, contact_email, email_address')
+        .eq('id', application.company_id)
+        .single();
+
+      if (error) {
+        console.error('[ERROR] Failed to fetch company for notification:', error.message);
+        return;
+      }
+
+      await notificationService.notifyNewApplication(company.contact_email || company.email_address, {
+        companyName: company.company_name,
+        studentName: application.students?.full_name,
+        jobTitle: application.job_postings?.title,
+        coverNote: application.cover_note
+      });
+    } catch (error) {
+      console.error('[ERROR] ApplicationService.notifyCompany:', error.message);
+    }
+  }
+
+  async assertNoDuplicate(studentId, companyId, jobPostingId) {
+    let query = supabase
+      .from('applications')
+      .select('id')
+      .eq('student_id', studentId)
+      .eq('company_id', companyId)
+      .not('stage', 'in', '(hired,rejected)');
+
+    query = jobPostingId
+      ? query.eq('job_posting_id', jobPostingId)
+      : query.is('job_posting_id', null);
+
+    const { data, error } = await query.limit(1);
+
+    if (error) {
+      console.error('[ERROR] Failed to check for duplicate application:', error.message);
+      throw new Error('Failed to check for duplicate application');
+    }
+
+    if (data && data.length > 0) {
+      throw new HttpError(409, 'An active application already exists for this student');
+    }
+  }
+
+  canView(application, currentUser) {
+    if (!currentUser) return false;
+    if (currentUser.role === 'admin') return true;
+    if (currentUser.role === 'student') return application.student_id === currentUser.id;
+    if (currentUser.role === 'company') return application.company_id === currentUser.id;
+    return false;
+  }
+
+  canManage(application, currentUser) {
+    if (!currentUser) return false;
+    if (currentUser.role === 'admin') return true;
+    return currentUser.role === 'company' && application.company_id === currentUser.id;
+  }
+
+  // Remove joined relations before writing row snapshots to the audit log
+  stripJoins(application) {
+    const { students, companies, job_postings, ...row } = application;
+    return row;
+  }
+
+  transformApplicationData(application) {
+    return {
+      id: application.id,
+      studentId: application.student_id,
+      studentName: application.students?.full_name || null,
+      university: application.students?.university_institution || null,
+      major: application.students?.program_major || null,
+      techStack: application.students?.tech_stack_skills || null,
+      profilePhoto: application.students?.profile_photo || null,
+      companyId: application.company_id,
+      companyName: application.companies?.company_name || null,
+      companyLogo: application.companies?.company_logo || null,
+      jobPostingId: application.job_posting_id,
+      jobTitle: application.job_postings?.title || null,
+      stage: application.stage,
+      source: application.source,
+      coverNote: application.cover_note,
+      createdBy: application.created_by,
+      createdAt: application.created_at,
+      updatedAt: application.updated_at
+    };
+  }
+}
+
+module.exports = new ApplicationService();
+module.exports.STAGES = STAGES;
+module.exports.STAGE_TRANSITIONS = STAGE_TRANSITIONS;
@@ -1,4 +1,15 @@
 const { supabase } = require("../db");
+const notificationService = require("./notificationService");
+const inviteService = require("./inviteService");
+const loginProtectionService = require("./loginProtectionService");
+const { normalizeEmail } = loginProtectionService;
+const { HttpError } = require("../middlewares/error-handler");
+
+// Sessions not seen (login or token refresh) for this long are not listed as active
+const SESSION_LOOKBACK_DAYS = 30;
+
+// Tries at recording which account used an invite, one second apart
+const INVITE_COMPLETE_ATTEMPTS = 3;
 
 class AuthService {
   constructor() {}
@@ -133,11 +144,17 @@ class AuthService {
    * @param {string} password - User's password
    * @param {string} userAgent - Optional User-Agent header for audit logging
    * @param {string} ipAddress - Optional IP address for audit logging
-   * @returns {Promise<Object>} - Contains the session + user data
+   * @returns {Promise<Object>} - Contains the session + user data; the caller
+   *   records the sign-in with recordLogin once it knows whether a second
+   *   factor is still needed
    * @throws {Error} If email or password is wrong
+   * @throws {HttpError} 429 while the account or IP is locked out
    */
   async signIn(email, password, userAgent = null, ipAddress = null) {
     try {
+      // Locked accounts and IPs are rejected before the password is checked
+      await loginProtectionService.assertNotLocked(email, ipAddress, userAgent);
+
       const { data, error } = await supabase.auth.signInWithPassword({
         email,
         password,
@@ -153,27 +170,12 @@ class AuthService {
           ipAddress,
           userAgent,
           errorMessage: error.message,
-          metadata: { email }
+          metadata: { email: normalizeEmail(email) }
         });
 
         throw new Error(error.message);
       }
 
-      // Log successful login
-      if (data?.user?.id) {
-        const sessionId = data.session?.access_token?.split('.')[0] || 'unknown';
-
-        await this.logAuditEvent({
-          userId: data.user.id,
-          action: 'login',
-          sessionId,
-          success: true,
-          ipAddress,
-          userAgent,
-          metadata: { email }
-        });
-      }
-
       return data;
     } catch (error) {
       console.error("[ERROR] AuthService.signIn:", error?.message);
@@ -181,6 +183,27 @@ class AuthService {
     }
   }
 
+  /**
+   * Record a successful sign-in. While the second factor is pending the
+   * event is `login_pending_2fa`; `login` is only written once sign-in is
+   * complete, so held sessions are not listed as active and a correct
+   * password alone does not reset the account's failed attempts.
+   * @param {Object} user - Supabase user
+   * @param {Object} session - Supabase session of the sign-in
+   * @param {{pendingTwoFactor?:boolean, userAgent?:string, ipAddress?:string}} [context]
+   */
+  async recordLogin(user, session, { pendingTwoFactor = false, userAgent = null, ipAddress = null } = {}) {
+    await this.logAuditEvent({
+      userId: user.id,
+      action: pendingTwoFactor ? 'login_pending_2fa' : 'login',
+      sessionId: this.getSessionId(session?.access_token) || 'unknown',
+      success: true,
+      ipAddress,
+      userAgent,
+      metadata: { email: normalizeEmail(user.email) }
+    });
+  }
+
   /**
    * Sign up using Supabase Auth API with audit logging
    *
@@ -191,10 +214,14 @@ class AuthService {
    * @param {string} role - User's role ("student", "company", "admin")
    * @param {string} userAgent - Optional User-Agent header for audit logging
    * @param {string} ipAddress - Optional IP address for audit logging
+   * @param {string} inviteToken - Invite issued by an admin; required for admin accounts
    * @returns {Promise<Object>} - Auth response with user info
    * @throws {Error} If registration fails or data is incomplete
+   * @throws {HttpError} 403 for admin registration without an invite, 400 for an invalid invite
    */
-  async signUp(email, fullName, password, role, userAgent = null, ipAddress = null) {
+  async signUp(email, fullName, password, role, userAgent = null, ipAddress = null, inviteToken = null) {
+    let invite = null;
+
     try {
       if (!email || !password || !fullName) {
         await this.logAuditEvent({
@@ -214,6 +241,13 @@ class AuthService {
         role = "student";
       }
 
+      // Admin accounts are invite-only; an invite must match the requested role
+      if (inviteToken) {
+        invite = await inviteService.claimInvite(inviteToken, email, role);
+      } else if (role === "admin") {
+        throw new HttpError(403, "Admin accounts can only be created with an invite");
+      }
+
       const { data, error } = await supabase.auth.signUp({
         email,
         password,
@@ -249,6 +283,23 @@ class AuthService {
           metadata: { email, role, fullName }
         });
 
+        if (invite) {
+          const recorded = await this.recordInviteUse(invite.id, data.user.id);
+          await this.logAuditEvent({
+            userId: data.user.id,
+            action: 'invite_accept',
+            success: true,
+            ipAddress,
+            userAgent,
+            metadata: {
+              inviteId: invite.id,
+              role,
+              createdBy: invite.created_by,
+              ...(!recorded && { usedByRecorded: false })
+            }
+          });
+        }
+
         // EMAIL SYNC: Check if profile exists with this email and sync IDs
         try {
           if (role === 'student') {
@@ -301,6 +352,13 @@ class AuthService {
 
       return response;
     } catch (error) {
+      // Give the invite back so the user can retry after fixing the error.
+      // Nothing after the account is created throws, so an account never
+      // outlives its released invite
+      if (invite) {
+        await inviteService.releaseInvite(invite.id);
+      }
+
       // Log error if not already logged
       if (!error.message?.includes("required")) {
         await this.logAuditEvent({
@@ -318,6 +376,27 @@ class AuthService {
     }
   }
 
+  /**
+   * Record the account that used an invite. The account already exists and
+   * the invite stays claimed (used_at) either way, so a failure is retried
+   * and logged rather than undoing the registration.
+   * @returns {Promise<boolean>} Whether used_by was recorded
+   */
+  async recordInviteUse(inviteId, userId) {
+    for (let attempt = 1; attempt <= INVITE_COMPLETE_ATTEMPTS; attempt++) {
+      try {
+        await inviteService.completeInvite(inviteId, userId);
+        return true;
+      } catch (error) {
+        if (attempt === INVITE_COMPLETE_ATTEMPTS) {
+          console.error(`[ERROR] Invite ${inviteId} used by ${userId} but not recorded after ${attempt} attempts:`, error.message);
+          return false;
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+
   /**
    * Secure logout with proper session invalidation and audit trail
    * Uses Supabase Auth to validate token and invalidate session
@@ -326,10 +405,12 @@ class AuthService {
    * @param {string} token - The JWT access token from the authorization header
    * @param {string} userAgent - Optional User-Agent header for audit logging
    * @param {string} ipAddress - Optional IP address for audit logging
+   * @param {string} scope - "local" (this session), "others" (every other session)
+   *   or "global" (every session)
    * @returns {Promise<Object>} - Contains success status, session ID, and timestamp
    * @throws {Error} If token is missing, invalid, or logout fails
    */
-  async logOut(token, userAgent = null, ipAddress = null) {
+  async logOut(token, userAgent = null, ipAddress = null, scope = 'local') {
     const transaction = {
       user: null,
       sessionId: null,
@@ -357,7 +438,7 @@ class AuthService {
       }
 
       const user = authData.user;
-      const sessionId = authData.session?.access_token?.split('.')[0] || 'unknown';
+      const sessionId = this.getSessionId(token) || 'unknown';
 
       transaction.user = user;
       transaction.sessionId = sessionId;
@@ -370,31 +451,24 @@ class AuthService {
         success: true,
         ipAddress,
         userAgent,
-        metadata: { logoutInitiated: true }
+        metadata: { logoutInitiated: true, scope }
       });
 
       transaction.auditLogId = auditLogId;
 
-      // Step 3: Sign out using the session's refresh token
-      // This properly invalidates the session and all associated tokens
-      if (authData.session?.refresh_token) {
-        const { error: signOutError } = await supabase.auth.signOut(
-          authData.session.refresh_token
-        );
+      // Step 3: Revoke the session(s) in Supabase Auth. This invalidates the
+      // refresh tokens; access tokens already issued stay valid until they expire
+      const { error: signOutError } = await supabase.auth.admin.signOut(token, scope);
 
-        if (signOutError) {
-          console.warn("[WARN] Session sign-out warning:", signOutError.message);
-        } else {
-          console.log(`[AUTH] Successfully signed out session for user ${user.id}`);
+      if (signOutError) {
+        // Ending this session is best effort (the client drops its tokens anyway),
+        // but the caller must know when other sessions were not revoked
+        if (scope !== 'local') {
+          throw new Error(`Failed to sign out sessions: ${signOutError.message}`);
         }
+        console.warn("[WARN] Session sign-out warning:", signOutError.message);
       } else {
-        // Fallback: Use admin signOut for all sessions
-        console.log(`[AUTH] No refresh token found, using admin signOut for user ${user.id}`);
-        const { error: adminSignOutError } = await supabase.auth.admin.signOut(user.id);
-
-        if (adminSignOutError) {
-          console.warn("[WARN] Admin sign-out warning:", adminSignOutError.message);
-        }
+        console.log(`[AUTH] Successfully signed out ${scope} session(s) for user ${user.id}`);
       }
 
       // Step 4: Update audit log with success
@@ -403,6 +477,7 @@ class AuthService {
           success: true,
           metadata: {
             logoutCompleted: true,
+            scope,
             timestamp: new Date().toISOString()
           }
         });
@@ -415,6 +490,7 @@ class AuthService {
         success: true,
         message: "Logged out successfully",
         sessionId,
+        scope,
         userId: user.id
       };
 
@@ -428,8 +504,16 @@ class AuthService {
           ipAddress,
           userAgent,
           errorMessage: error.message,
-          metadata: { errorStack: error.stack }
+          metadata: { scope, errorStack: error.stack }
         });
+
+        // The pending entry logged in step 2 would otherwise read as a completed logout
+        if (transaction.auditLogId) {
+          await this.updateAuditLog(transaction.auditLogId, {
+            success: false,
+            metadata: { scope, logoutCompleted: false }
+          });
+        }
       }
 
       console.error("[ERROR] AuthService.logOut:", error?.message);
@@ -437,6 +521,139 @@ class AuthService {
     }
   }
 
+  /**
+   * Exchange a refresh token for a new session with audit logging
+   *
+   * @async
+   * @param {string} refreshToken - Refresh token returned by login or a previous refresh
+   * @param {string} userAgent - Optional User-Agent header for audit logging
+   * @param {string} ipAddress - Optional IP address for audit logging
+   * @returns {Promise<Object>} - Contains the new session + user data
+   * @throws {HttpError} 401 if the refresh token is invalid, expired or revoked
+   */
+  async refreshSession(refreshToken, userAgent = null, ipAddress = null) {
+    try {
+      const { data, error } = await supabase.auth.refreshSession({ refresh_token: refreshToken });
+
+      if (error || !data?.session) {
+        console.error("[ERROR] Token refresh failed:", error?.message);
+
+        await this.logAuditEvent({
+          action: 'token_refresh',
+          success: false,
+          ipAddress,
+          userAgent,
+          errorMessage: error?.message || 'No session returned'
+        });
+
+        throw new HttpError(401, "Invalid or expired refresh token");
+      }
+
+      await this.logAuditEvent({
+        userId: data.user?.id,
+        action: 'token_refresh',
+        sessionId: this.getSessionId(data.session.access_token) || 'unknown',
+        success: true,
+        ipAddress,
+        userAgent
+      });
+
+      return data;
+    } catch (error) {
+      console.error("[ERROR] AuthService.refreshSession:", error?.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's active sessions, derived from auth_audit_logs:
+   * a session starts at login, is seen again on every token refresh and ends
+   * at its own logout or at a later "others"/"global" logout. Sessions not
+   * seen for SESSION_LOOKBACK_DAYS are treated as expired.
+   *
+   * @async
+   * @param {string} userId - User to list sessions for
+   * @param {string} currentSessionId - Session of the caller, flagged as `current`
+   * @returns {Promise<Array<Object>>} - Sessions, most recently seen first
+   */
+  async getActiveSessions(userId, currentSessionId = null) {
+    try {
+      const since = new Date(Date.now() - SESSION_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+      const { data: logs, error } = await supabase
+        .from('auth_audit_logs')
+        .select('action, session_id, ip_address, user_agent, metadata, created_at')
+        .eq('user_id', userId)
+        .eq('success', true)
+        .in('action', ['login', 'token_refresh', 'logout'])
+        .gte('created_at', since)
+        .order('created_at', { ascending: false })
+        .limit(1000);
+
+      if (error) {
+        console.error("[ERROR] Failed to fetch auth audit logs:", error.message);
+        throw new Error("Failed to fetch sessions");
+      }
+
+      const sessions = new Map();
+
+      // Replay oldest first
+      for (const log of logs.reverse()) {
+        const sessionId = log.session_id && log.session_id !== 'unknown' ? log.session_id : null;
+
+        if (log.action === 'logout') {
+          const scope = log.metadata?.scope || 'local';
+
+          if (scope === 'global') {
+            sessions.clear();
+          } else if (scope === 'others') {
+            for (const id of sessions.keys()) {
+              if (id !== sessionId) sessions.delete(id);
+            }
+          } else if (sessionId) {
+            sessions.delete(sessionId);
+          }
+          continue;
+        }
+
+        if (!sessionId) continue;
+
+        const existing = sessions.get(sessionId);
+        sessions.set(sessionId, {
+          sessionId,
+          userAgent: log.user_agent,
+          ipAddress: log.ip_address,
+          signedInAt: existing?.signedInAt || log.created_at,
+          lastSeenAt: log.created_at
+        });
+      }
+
+      return [...sessions.values()]
+        .map(session => ({ ...session, current: session.sessionId === currentSessionId }))
+        .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+    } catch (error) {
+      console.error("[ERROR] AuthService.getActiveSessions:", error?.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Read the Supabase session id (`session_id` claim) from an access token.
+   * The token is not verified here; callers pass tokens that Supabase issued
+   * or already verified.
+   *
+   * @param {string} accessToken - JWT access token
+   * @returns {string|null} - Session id, or null if the token cannot be decoded
+   */
+  getSessionId(accessToken) {
+    try {
+      const payload = JSON.parse(Buffer.from(accessToken.split('.')[1], 'base64url').toString());
+      return payload.session_id || null;
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Log authentication events to audit trail
    *
@@ -665,7 +882,7 @@ class AuthService {
       }
 
       // Update the user's password using admin API
-      const { error: updateError } = await supabase.auth.admin.updateUserById(
+      const { data: updated, error: updateError } = await supabase.auth.admin.updateUserById(
         userId,
         { password: newPassword }
       );
@@ -697,6 +914,9 @@ class AuthService {
       // Clear user cache
       await this.clearUserCache(userId);
 
+      // Security notice to the account owner (sent in the background)
+      notificationService.notifyPasswordChanged(updated?.user?.email);
+
       return {
         success: true,
         message: "Password reset successfully"
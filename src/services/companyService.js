@@ -1,61 +1,58 @@
 const { supabase } = require('../db');
 const { responseCache } = require('./responseCacheService');
 const logService = require('./logService');
+const skillTaxonomyService = require('./skillTaxonomyService');
+const notificationService = require('./notificationService');
+const searchIndexService = require('./searchIndexService');
+const imageService = require('./imageService');
+const paginationService = require('./paginationService');
+
+const LIST_FIELDS = `
+  id,
+  company_name,
+  company_summary_description,
+  industry_sector,
+  company_website_link,
+  company_logo,
+  tech_roles_interest,
+  preferred_skillsets,
+  contact_person_name,
+  contact_email,
+  contact_phone_number,
+  contact_info_visible,
+  email_address,
+  is_visible
+`;
+
+// Rows per export batch; cursor pages fetch one extra row to detect more,
+// so this must stay below the API's 1000-row response cap
+const STREAM_BATCH_SIZE = 500;
 
 class CompanyService {
   async getAllCompanies(filters = {}, currentUser = null) {
     try {
+      // Visibility and contact details depend on the viewer, so cache per viewer
+      const cacheFilters = {
+        ...filters,
+        currentUserId: currentUser?.id || 'anonymous'
+      };
+
       // Check cache first for list responses
       const cacheKey = 'getAllCompanies';
-      const cachedResponse = responseCache.getAPIResponse(cacheKey, filters);
+      const cachedResponse = responseCache.getAPIResponse(cacheKey, cacheFilters);
 
       if (cachedResponse) {
         return cachedResponse.data;
       }
 
+      const paging = paginationService.parse(filters);
+
       let query = supabase
         .from('companies')
-        .select(`
-          id,
-          company_name,
-          company_summary_description,
-          industry_sector,
-          company_website_link,
-          company_logo,
-          tech_roles_interest,
-          preferred_skillsets,
-          contact_person_name,
-          contact_email,
-          contact_phone_number,
-          contact_info_visible,
-          email_address,
-          is_visible
-        `, { count: 'exact' });
-
-      // Apply filters
-      if (filters.industry) {
-        query = query.ilike('industry_sector', `%${filters.industry}%`);
-      }
-
-      if (filters.techRole) {
-        query = query.ilike('tech_roles_interest', `%${filters.techRole}%`);
-      }
-
-      // Filter out invisible companies - only show visible ones
-      // Exception: Admin can see all companies (including invisible for soft delete)
-      const isAdmin = currentUser && currentUser.role === 'admin';
-      if (!isAdmin) {
-        query = query.eq('is_visible', true);
-      }
-
-      // Apply pagination
-      const page = parseInt(filters.page) || 1;
-      const limit = parseInt(filters.limit) || 20;
-      const offset = (page - 1) * limit;
+        .select(LIST_FIELDS, paging.mode === 'page' ? { count: 'exact' } : undefined);
 
-      query = query
-        .range(offset, offset + limit - 1)
-        .order('company_name');
+      query = this.applyListFilters(query, filters, currentUser);
+      query = paginationService.apply(query, 'company_name', paging);
 
       const { data, error, count } = await query;
 
@@ -64,21 +61,18 @@ class CompanyService {
         throw new Error('Failed to fetch companies');
       }
 
+      const { rows, pagination } = paginationService.buildPage(data, 'company_name', paging, count);
+
       // Transform data to camelCase for API consistency (excluding phone numbers for public API)
-      const transformedData = data.map(company => this.transformCompanyDataPublic(company, currentUser?.role, currentUser?.id));
+      const transformedData = rows.map(company => this.transformCompanyDataPublic(company, currentUser?.role, currentUser?.id));
 
       const response = {
         companies: transformedData,
-        pagination: {
-          page,
-          limit,
-          total: count || 0,
-          totalPages: Math.ceil((count || 0) / limit)
-        }
+        pagination
       };
 
       // Cache the response
-      responseCache.setAPIResponse(cacheKey, filters, response);
+      responseCache.setAPIResponse(cacheKey, cacheFilters, response);
 
       return response;
     } catch (error) {
@@ -87,6 +81,69 @@ class CompanyService {
     }
   }
 
+  /**
+   * Apply the list filters and visibility rules to a companies query
+   * @param {Object} query - Supabase query builder
+   * @param {Object} filters - industry, techRole (substring match)
+   * @param {Object|null} currentUser
+   * @returns {Object} The filtered query
+   */
+  applyListFilters(query, filters = {}, currentUser = null) {
+    if (filters.industry) {
+      query = query.ilike('industry_sector', `%${filters.industry}%`);
+    }
+
+    if (filters.techRole) {
+      query = query.ilike('tech_roles_interest', `%${filters.techRole}%`);
+    }
+
+    // Filter out invisible companies - only show visible ones
+    // Exception: Admin can see all companies (including invisible for soft delete)
+    if (currentUser?.role !== 'admin') {
+      query = query.eq('is_visible', true);
+    }
+
+    return query;
+  }
+
+  /**
+   * Every company matching the list filters, in list order, one batch at a
+   * time; for exports too large to hold in memory
+   * @param {Object} filters - Same filters as getAllCompanies
+   * @param {Object|null} currentUser
+   * @yields {Array<Object>} Companies as in GET /api/companies, plus
+   *   `contactPhone` for admins
+   */
+  async *streamCompanies(filters = {}, currentUser = null) {
+    const isAdmin = currentUser?.role === 'admin';
+    let paging = { mode: 'cursor', limit: STREAM_BATCH_SIZE, after: null };
+
+    while (true) {
+      const query = paginationService.apply(
+        this.applyListFilters(supabase.from('companies').select(LIST_FIELDS), filters, currentUser),
+        'company_name',
+        paging
+      );
+
+      const { data, error } = await query;
+
+      if (error) {
+        console.error('[ERROR] Failed to fetch companies:', error.message);
+        throw new Error('Failed to fetch companies');
+      }
+
+      const { rows, pagination } = paginationService.buildPage(data, 'company_name', paging);
+
+      yield rows.map(company => ({
+        ...this.transformCompanyDataPublic(company, currentUser?.role, currentUser?.id),
+        ...(isAdmin && { contactPhone: company['contact_phone_number'] })
+      }));
+
+      if (!pagination.hasMore) return;
+      paging = { ...paging, after: paginationService.decodeCursor(pagination.nextCursor) };
+    }
+  }
+
   async getCompanyById(id, currentUser = null) {
     try {
       // Check cache first for individual company
@@ -145,74 +202,47 @@ class CompanyService {
     }
   }
 
-  async searchCompanies(searchTerm, filters = {}, currentUser = null) {
+  /**
+   * Ranked full-text search over the in-memory search index
+   * @param {string} searchTerm - Terms and "quoted phrases"
+   * @param {Object} filters - industry, techRole (substring match)
+   * @param {Object} currentUser - Viewer, for visibility rules
+   * @param {Object} options - page, limit, match ('all' | 'any')
+   * @returns {Promise<{companies: Array, pagination: Object}>} Companies best match first,
+   *   each with `relevance: { score, matchedFields }`
+   */
+  async searchCompanies(searchTerm, filters = {}, currentUser = null, options = {}) {
     try {
-      // Parse multiple search terms
-      const searchTerms = searchTerm.split(/\s+/).filter(term => term.length > 0);
-
-      if (searchTerms.length === 0) {
-        return [];
-      }
-
-      let query = supabase
-        .from('companies')
-        .select(`
-          id,
-          company_name,
-          company_summary_description,
-          industry_sector,
-          company_website_link,
-          company_logo,
-          tech_roles_interest,
-          preferred_skillsets,
-          contact_person_name,
-          contact_email,
-          contact_phone_number,
-          contact_info_visible,
-          email_address,
-          is_visible
-        `);
-
-      // Build dynamic OR conditions for multiple search terms
-      const fields = ['company_name', 'company_summary_description', 'industry_sector', 'tech_roles_interest'];
-      const orConditions = [];
-
-      for (const term of searchTerms) {
-        for (const field of fields) {
-          orConditions.push(`${field}.ilike.%${term}%`);
-        }
-      }
+      const isAdmin = currentUser && currentUser.role === 'admin';
 
-      query = query.or(orConditions.join(','));
+      const contains = (value, filter) =>
+        String(value || '').toLowerCase().includes(String(filter).toLowerCase());
 
-      // Apply additional filters
-      if (filters.industry) {
-        query = query.ilike('industry_sector', `%${filters.industry}%`);
-      }
+      const filter = (company) => {
+        // Filter out invisible companies - only show visible ones in search
+        // Exception: Admin can see invisible companies
+        if (!isAdmin && company.is_visible !== true) return false;
 
-      if (filters.techRole) {
-        query = query.ilike('tech_roles_interest', `%${filters.techRole}%`);
-      }
+        if (filters.industry && !contains(company.industry_sector, filters.industry)) return false;
+        if (filters.techRole && !contains(company.tech_roles_interest, filters.techRole)) return false;
 
-      // Filter out invisible companies - only show visible ones in search
-      // Exception: Admin can see invisible companies
-      const isAdmin = currentUser && currentUser.role === 'admin';
-      if (!isAdmin) {
-        query = query.eq('is_visible', true);
-      }
-
-      const { data, error } = await query
-        .order('company_name')
-        .limit(50); // Limit search results
+        return true;
+      };
 
-      if (error) {
-        console.error('[ERROR] Failed to search companies - Supabase error:', error);
-        throw new Error(`Database search failed: ${error.message}`);
-      }
+      const { results, pagination } = await searchIndexService.search('companies', searchTerm, {
+        filter,
+        match: options.match,
+        page: options.page,
+        limit: options.limit
+      });
 
-      const transformedResults = data.map(company => this.transformCompanyDataPublic(company, currentUser?.role, currentUser?.id));
-      // console.log(`[DEBUG] Search for "${searchTerm}" returned ${transformedResults.length} results`);
-      return transformedResults;
+      return {
+        companies: results.map(({ record, score, matchedFields }) => ({
+          ...this.transformCompanyDataPublic(record, currentUser?.role, currentUser?.id),
+          relevance: { score, matchedFields }
+        })),
+        pagination
+      };
     } catch (error) {
       console.error('[ERROR] CompanyService.searchCompanies:', error.message);
       throw error;
@@ -312,6 +342,9 @@ class CompanyService {
 
   async createCompany(companyData, req = null) {
     try {
+      // Make sure free-text skills can be mapped onto the canonical taxonomy
+      await skillTaxonomyService.ensureLoaded();
+
       // Transform camelCase input to snake_case for database
       const dbData = this.transformCompanyDataForDB(companyData);
 
@@ -394,6 +427,9 @@ class CompanyService {
         .eq('id', id)
         .single();
 
+      // Make sure free-text skills can be mapped onto the canonical taxonomy
+      await skillTaxonomyService.ensureLoaded();
+
       // Transform camelCase input to snake_case for database
       const dbData = this.transformCompanyDataForDB(updateData);
       console.log('[DEBUG CompanyService.updateCompany] Transformed data for DB:', dbData);
@@ -488,6 +524,9 @@ class CompanyService {
       console.log('[DEBUG] Patch data:', JSON.stringify(patchData, null, 2));
       console.log('[DEBUG] Current user:', req?.user?.id);
 
+      // Make sure free-text skills can be mapped onto the canonical taxonomy
+      await skillTaxonomyService.ensureLoaded();
+
       // Transform camelCase input to snake_case for database (partial update)
       const dbData = this.transformCompanyDataForDBPartial(patchData);
 
@@ -704,10 +743,11 @@ class CompanyService {
 
       console.log('[DEBUG] Update data:', updateData);
 
-      // First, get count of companies that will be updated
-      const { count: totalCount, error: countError } = await supabase
+      // First, get count of companies that will be updated (and their current
+      // visibility, so only actual changes trigger a notification)
+      const { data: existing, count: totalCount, error: countError } = await supabase
         .from('companies')
-        .select('*', { count: 'exact', head: true })
+        .select('id, is_visible', { count: 'exact' })
         .in('id', companyIds);
 
       if (countError) {
@@ -719,7 +759,7 @@ class CompanyService {
         .from('companies')
         .update(updateData)
         .in('id', companyIds)
-        .select('id, "company_name", is_visible');
+        .select('id, "company_name", contact_email, email_address, is_visible');
 
       if (error) {
         console.error('[ERROR] Failed to bulk update companies:', error.message);
@@ -758,6 +798,14 @@ class CompanyService {
       // Clear cache
       responseCache.clearByTable('companies');
 
+      // Email companies whose visibility changed; sent in the background so a
+      // slow mail server does not hold up the response
+      const previouslyVisible = new Map((existing || []).map(row => [row.id, row['is_visible']]));
+      const recipients = (data || [])
+        .filter(c => previouslyVisible.get(c.id) !== c['is_visible'])
+        .map(c => ({ email: c.contact_email || c.email_address, name: c['company_name'] }));
+      notificationService.notifyVisibilityChange(recipients, visibleValue, 'company');
+
       console.log('[DEBUG] === BULK APPROVE COMPANIES SUCCESS ===');
 
       return {
@@ -827,7 +875,7 @@ class CompanyService {
       'company_website_link': companyData.companyWebsite || companyData.website || null,
       'company_logo': companyData.companyLogo || companyData.logo || null,
       'tech_roles_interest': this.deduplicateCommaSeparated(companyData.techRoles),
-      'preferred_skillsets': this.deduplicateCommaSeparated(companyData.preferredSkillsets),
+      'preferred_skillsets': skillTaxonomyService.canonicalizeList(companyData.preferredSkillsets),
       'contact_person_name': companyData.contactPersonName || companyData.contactPerson || null,
       'contact_email': companyData.contactEmailAddress || companyData.contactEmail || null,
       'contact_phone_number': companyData.contactPhoneNumber || companyData.contactPhone || null,
@@ -886,7 +934,7 @@ class CompanyService {
     if (patchData.preferredSkillsets !== undefined) {
       // Ensure skillsets is always a string to avoid JSON conflicts
       // Also deduplicate values to prevent duplicates like "React, Vue, React"
-      dbData['preferred_skillsets'] = patchData.preferredSkillsets ? this.deduplicateCommaSeparated(String(patchData.preferredSkillsets)) : null;
+      dbData['preferred_skillsets'] = patchData.preferredSkillsets ? skillTaxonomyService.canonicalizeList(String(patchData.preferredSkillsets)) : null;
     }
     if (patchData.contactPersonName !== undefined) {
       dbData['contact_person_name'] = patchData.contactPersonName || null;
@@ -948,6 +996,7 @@ class CompanyService {
       industry: company['industry_sector'],
       website: company['company_website_link'],
       logo: company['company_logo'],
+      logoVariants: imageService.variantUrls(company['company_logo']),
       techRoles: company['tech_roles_interest'],
       preferredSkillsets: company['preferred_skillsets'],
       contactPerson: company['contact_person_name'],
@@ -990,6 +1039,7 @@ class CompanyService {
       industry: company['industry_sector'],
       website: company['company_website_link'],
       logo: company['company_logo'],
+      logoVariants: imageService.variantUrls(company['company_logo']),
       techRoles: company['tech_roles_interest'],
       preferredSkillsets: company['preferred_skillsets'],
       contactPerson: company['contact_person_name'],
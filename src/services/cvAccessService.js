@@ -0,0 +1,304 @@
+/**
+ * CV Access Service
+ * CVs live in the private `student-cvs` bucket and are only handed out as
+ * short-lived signed URLs, to the viewers the visibility rules allow:
+ * - admins
+ * - the student themselves
+ * - approved companies, when the student is visible and open to work
+ *
+ * Every download by someone other than the student is recorded in
+ * cv_downloads, so students can see which companies viewed their CV.
+ */
+
+const { supabase } = require('../db');
+const { HttpError } = require('../middlewares/error-handler');
+const imageService = require('./imageService');
+
+const CV_BUCKET = 'student-cvs';
+
+// Long enough to start the download, short enough that a shared link is useless
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.CV_SIGNED_URL_TTL_SECONDS) || 300;
+
+// Matches CVs stored in our bucket, as opposed to external links (Google Drive, ...):
+// the storage location `student-cvs/<path>`, or a public URL saved before
+// the bucket was made private
+const STORED_CV_URL = /(?:^|\/)student-cvs\/(.+)$/;
+
+class CvAccessService {
+  /**
+   * API path that issues signed URLs for a student's CV
+   */
+  downloadPath(studentId) {
+    return `/api/students/${studentId}/cv`;
+  }
+
+  /**
+   * The cvUpload value shown in API responses: uploaded CVs point to the
+   * download endpoint instead of the storage object, external links are
+   * returned as they are
+   * @param {Object} student - Raw student row with id and cv_upload
+   */
+  publicCvUrl(student) {
+    const url = student['cv_upload'];
+    if (!url) return null;
+
+    return STORED_CV_URL.test(url) ? this.downloadPath(student.id) : url;
+  }
+
+  /**
+   * Whether a viewer may download a student's CV
+   * @param {Object} student - Raw student row (id, is_visible, employment_status)
+   * @param {Object} viewer - Current user with id and role
+   * @returns {Promise<{allowed:boolean, visible:boolean, reason?:string}>}
+   *   `visible` is false when the viewer may not know the student exists
+   */
+  async checkAccess(student, viewer) {
+    if (viewer.role === 'admin' || student.id === viewer.id) {
+      return { allowed: true, visible: true };
+    }
+
+    // Same rule as the company-facing student list
+    const listed = student['is_visible'] === true && student['employment_status'] !== 'Employed';
+
+    if (viewer.role !== 'company') {
+      return { allowed: false, visible: student['is_visible'] === true, reason: 'Only companies can download other students\' CVs' };
+    }
+
+    if (!listed) {
+      return { allowed: false, visible: false };
+    }
+
+    if (student['employment_status'] !== 'Open to work') {
+      return { allowed: false, visible: true, reason: 'This student is not open to work' };
+    }
+
+    const { data, error } = await supabase
+      .from('users')
+      .select('approved')
+      .eq('id', viewer.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[ERROR] Failed to check company approval:', error.message);
+      throw new Error('Failed to check company approval');
+    }
+
+    if (!data || data.approved === false) {
+      return { allowed: false, visible: true, reason: 'Your account is pending admin approval' };
+    }
+
+    return { allowed: true, visible: true };
+  }
+
+  /**
+   * Issue a signed URL for a student's current CV and record the download
+   * @param {string} studentId
+   * @param {Object} req - Express request; req.user is the viewer
+   * @returns {Promise<Object|null>} null when the student does not exist or
+   *   is hidden from the viewer; `{ cv: null }` when there is no CV
+   * @throws {HttpError} 403 when the viewer can see the student but not the CV
+   */
+  async getCvDownload(studentId, req) {
+    const viewer = req.user;
+
+    try {
+      const { data: student, error: studentError } = await supabase
+        .from('students')
+        .select('id, is_visible, employment_status, cv_upload')
+        .eq('id', studentId)
+        .single();
+
+      if (studentError) {
+        if (studentError.code === 'PGRST116') {
+          return null; // Student not found
+        }
+        console.error('[ERROR] Failed to fetch student:', studentError.message);
+        throw new Error('Failed to fetch student');
+      }
+
+      const access = await this.checkAccess(student, viewer);
+      if (!access.visible) {
+        return null;
+      }
+      if (!access.allowed) {
+        throw new HttpError(403, access.reason);
+      }
+
+      const file = await this.getCurrentCvFile(student);
+
+      if (!file) {
+        // Links to CVs hosted elsewhere are not ours to sign
+        const external = student['cv_upload'] && !STORED_CV_URL.test(student['cv_upload']);
+        return {
+          cv: external
+            ? { url: student['cv_upload'], external: true, expiresAt: null }
+            : null
+        };
+      }
+
+      const { data, error } = await supabase.storage
+        .from(file.bucket)
+        .createSignedUrl(file.path, SIGNED_URL_TTL_SECONDS, { download: file.original_name });
+
+      if (error) {
+        console.error('[ERROR] Failed to sign CV URL:', error.message);
+        throw new Error(`Failed to generate signed URL: ${error.message}`);
+      }
+
+      if (viewer.id !== student.id) {
+        await this.logDownload(student.id, file.id, req);
+      }
+
+      return {
+        cv: {
+          id: file.id,
+          url: data.signedUrl,
+          external: false,
+          expiresAt: new Date(Date.now() + SIGNED_URL_TTL_SECONDS * 1000).toISOString(),
+          originalName: file.original_name,
+          mimeType: file.mime_type,
+          size: file.size,
+          uploadedAt: file.created_at
+        }
+      };
+    } catch (error) {
+      console.error('[ERROR] CvAccessService.getCvDownload:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * The file_metadata row of the student's current CV; null when the
+   * profile has no CV, links to one hosted elsewhere, or no version is
+   * marked current
+   */
+  async getCurrentCvFile(student) {
+    const match = (student['cv_upload'] || '').match(STORED_CV_URL);
+    if (!match) {
+      return null;
+    }
+
+    const { data, error } = await supabase
+      .from('file_metadata')
+      .select('id, bucket, path, original_name, mime_type, size, created_at')
+      .eq('student_id', student.id)
+      .eq('file_type', 'cv')
+      .eq('bucket', CV_BUCKET)
+      .eq('is_current', true)
+      .neq('scan_status', 'quarantined')
+      .limit(1);
+
+    if (error) {
+      console.error('[ERROR] Failed to fetch CV metadata:', error.message);
+      throw new Error('Failed to fetch CV');
+    }
+
+    return data[0] || null;
+  }
+
+  /**
+   * Record a CV download; failures are logged, not thrown, like the CRUD logs
+   */
+  async logDownload(studentId, fileId, req) {
+    try {
+      const { error } = await supabase
+        .from('cv_downloads')
+        .insert({
+          student_id: studentId,
+          file_id: fileId,
+          viewer_id: req.user.id,
+          viewer_role: req.user.role,
+          ip_address: req.ip || null,
+          user_agent: req.headers?.['user-agent'] || null
+        });
+
+      if (error) {
+        console.error('[ERROR] Failed to log CV download:', error.message);
+      }
+    } catch (error) {
+      console.error('[ERROR] CvAccessService.logDownload:', error.message);
+    }
+  }
+
+  /**
+   * Companies that downloaded a student's CV, newest first
+   * @param {string} studentId
+   * @param {Object} filters - page, limit
+   * @returns {Promise<{views:Array, pagination:Object}>}
+   */
+  async getCvViews(studentId, filters = {}) {
+    try {
+      const page = parseInt(filters.page) || 1;
+      const limit = parseInt(filters.limit) || 20;
+      const offset = (page - 1) * limit;
+
+      const { data, error, count } = await supabase
+        .from('cv_downloads')
+        .select('id, viewer_id, file_id, downloaded_at', { count: 'exact' })
+        .eq('student_id', studentId)
+        .eq('viewer_role', 'company')
+        .order('downloaded_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        console.error('[ERROR] Failed to fetch CV downloads:', error.message);
+        throw new Error('Failed to fetch CV views');
+      }
+
+      const companyIds = [...new Set(data.map(download => download.viewer_id))];
+      let companies = [];
+
+      if (companyIds.length > 0) {
+        const { data: companyData, error: companyError } = await supabase
+          .from('companies')
+          .select('id, company_name, company_logo')
+          .in('id', companyIds);
+
+        if (companyError) {
+          console.error('[ERROR] Failed to fetch companies for CV views:', companyError.message);
+          throw new Error('Failed to fetch CV views');
+        }
+
+        companies = companyData;
+      }
+
+      const companiesById = new Map(companies.map(company => [company.id, company]));
+
+      return {
+        views: data.map(download => this.transformViewData(download, companiesById.get(download.viewer_id))),
+        pagination: {
+          page,
+          limit,
+          total: count || 0,
+          totalPages: Math.ceil((count || 0) / limit)
+        }
+      };
+    } catch (error) {
+      console.error('[ERROR] CvAccessService.getCvViews:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * @param {Object} download - cv_downloads row
+   * @param {Object|undefined} company - Viewer's company row; undefined when
+   *   the company profile has since been deleted
+   */
+  transformViewData(download, company) {
+    return {
+      id: download.id,
+      company: company
+        ? {
+          id: company.id,
+          name: company['company_name'],
+          logo: company['company_logo'],
+          logoVariants: imageService.variantUrls(company['company_logo'])
+        }
+        : null,
+      fileId: download.file_id,
+      downloadedAt: download.downloaded_at
+    };
+  }
+}
+
+module.exports = new CvAccessService();
@@ -0,0 +1,286 @@
+/**
+ * CV Text Service
+ * Extracts plain text from uploaded PDF and DOCX CVs, in process and without
+ * any external service, and finds taxonomy skills in it. The text and skills
+ * are stored on the CV's file_metadata row; companies and admins can search
+ * CV content (searchIndexService) and count CV skills in matching
+ * (matchingService), and students get the skills their profile is missing
+ * as suggestions.
+ */
+
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const { supabase } = require('../db');
+const { HttpError } = require('../middlewares/error-handler');
+const skillTaxonomyService = require('./skillTaxonomyService');
+const searchIndexService = require('./searchIndexService');
+const { quoteFilterValue } = require('./paginationService');
+
+const EXTRACTORS = {
+  'application/pdf': async (buffer) => (await pdfParse(buffer)).text,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+    async (buffer) => (await mammoth.extractRawText({ buffer })).value
+};
+
+// Keeps the stored text and the search index bounded for very long CVs
+const MAX_TEXT_LENGTH = 100000;
+const EXTRACTION_TIMEOUT_MS = 15000;
+const LOOKUP_BATCH_SIZE = 200;
+
+/**
+ * Collapse whitespace and drop characters Postgres text columns reject
+ */
+const cleanText = (text) => String(text || '')
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, ' ')
+  .replace(/[ \t]+/g, ' ')
+  .replace(/\s*\n\s*/g, '\n')
+  .trim()
+  .slice(0, MAX_TEXT_LENGTH);
+
+const splitSkills = (value) => String(value || '')
+  .split(',')
+  .map(skill => skill.trim())
+  .filter(Boolean);
+
+class CvTextService {
+  /**
+   * Extract text and skills from an uploaded CV. Never throws: a CV that
+   * cannot be read is still stored, just without searchable content.
+   * @param {Object} file - Multer file (buffer, mimetype)
+   * @returns {Promise<{status:'extracted'|'empty'|'unsupported'|'failed', text:string|null, skills:string[]}>}
+   */
+  async extract(file) {
+    const extractor = EXTRACTORS[file.mimetype];
+
+    if (!extractor) {
+      return { status: 'unsupported', text: null, skills: [] };
+    }
+
+    let timer;
+    try {
+      const raw = await Promise.race([
+        extractor(file.buffer),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error('Text extraction timed out')), EXTRACTION_TIMEOUT_MS);
+        })
+      ]);
+
+      const text = cleanText(raw);
+      if (!text) {
+        // Typically a scanned PDF with no text layer
+        return { status: 'empty', text: null, skills: [] };
+      }
+
+      await skillTaxonomyService.ensureLoaded();
+
+      return {
+        status: 'extracted',
+        text,
+        skills: skillTaxonomyService.findInText(text)
+      };
+    } catch (error) {
+      console.error('[ERROR] CvTextService.extract:', error.message);
+      return { status: 'failed', text: null, skills: [] };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Current CV of a student; null when none is marked current (e.g. after
+   * the CV was deleted), earlier versions are not used
+   * @returns {Promise<Object|null>} file_metadata row
+   */
+  async getCurrentCv(studentId) {
+    const { data, error } = await supabase
+      .from('file_metadata')
+      .select('id, original_name, extracted_text, extracted_skills, text_extraction_status, created_at')
+      .eq('student_id', studentId)
+      .eq('file_type', 'cv')
+      .eq('is_current', true)
+      .neq('scan_status', 'quarantined')
+      .limit(1);
+
+    if (error) {
+      console.error('[ERROR] Failed to fetch CV metadata:', error.message);
+      throw new Error('Failed to fetch CV');
+    }
+
+    return data[0] || null;
+  }
+
+  /**
+   * Skills found in each student's current CV
+   * @param {string[]} studentIds
+   * @returns {Promise<Map<string, string[]>>}
+   */
+  async getCvSkills(studentIds) {
+    const skillsByStudent = new Map();
+
+    for (let i = 0; i < studentIds.length; i += LOOKUP_BATCH_SIZE) {
+      const { data, error } = await supabase
+        .from('file_metadata')
+        .select('student_id, extracted_skills')
+        .eq('file_type', 'cv')
+        .eq('is_current', true)
+        .in('student_id', studentIds.slice(i, i + LOOKUP_BATCH_SIZE))
+        .not('extracted_skills', 'is', null);
+
+      if (error) {
+        console.error('[ERROR] Failed to fetch CV skills:', error.message);
+        throw new Error('Failed to fetch CV skills');
+      }
+
+      data.forEach(row => skillsByStudent.set(row.student_id, splitSkills(row.extracted_skills)));
+    }
+
+    return skillsByStudent;
+  }
+
+  /**
+   * Students whose current CV mentions any of the skills
+   * @param {string[]} skills - Canonical names, as stored in extracted_skills
+   * @param {number} limit
+   * @returns {Promise<string[]>}
+   */
+  async findStudentsWithCvSkills(skills, limit) {
+    if (skills.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from('file_metadata')
+      .select('student_id')
+      .eq('file_type', 'cv')
+      .eq('is_current', true)
+      .or(skills.map(skill => `extracted_skills.ilike.${quoteFilterValue(`%${skill}%`)}`).join(','))
+      .order('student_id')
+      .limit(limit);
+
+    if (error) {
+      console.error('[ERROR] Failed to search CV skills:', error.message);
+      throw new Error('Failed to search CV skills');
+    }
+
+    return data.map(row => row.student_id);
+  }
+
+  /**
+   * CV skills the student does not list in tech_stack_skills yet
+   * @param {string} studentId
+   * @param {string[]|null} cvSkills - Skills of the CV; read from the current CV when omitted
+   * @returns {Promise<string[]>}
+   */
+  async suggestSkills(studentId, cvSkills = null) {
+    await skillTaxonomyService.ensureLoaded();
+
+    if (!cvSkills) {
+      const cv = await this.getCurrentCv(studentId);
+      cvSkills = splitSkills(cv?.extracted_skills);
+    }
+
+    if (cvSkills.length === 0) return [];
+
+    const { data: student, error } = await supabase
+      .from('students')
+      .select('tech_stack_skills')
+      .eq('id', studentId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return [];
+      }
+      console.error('[ERROR] Failed to fetch student skills:', error.message);
+      throw new Error('Failed to fetch student');
+    }
+
+    const listed = new Set(
+      splitSkills(student.tech_stack_skills).map(skill => skillTaxonomyService.canonicalize(skill).toLowerCase())
+    );
+
+    return cvSkills.filter(skill => !listed.has(skill.toLowerCase()));
+  }
+
+  /**
+   * Suggestions for the student's current CV, with the CV they came from
+   */
+  async getSkillSuggestions(studentId) {
+    try {
+      const cv = await this.getCurrentCv(studentId);
+
+      return {
+        cv: cv && this.transformCvData(cv),
+        suggestedSkills: cv ? await this.suggestSkills(studentId, splitSkills(cv.extracted_skills)) : []
+      };
+    } catch (error) {
+      console.error('[ERROR] CvTextService.getSkillSuggestions:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Add suggested CV skills to the student's tech stack
+   * @param {string} studentId
+   * @param {string[]} skills - Skills picked from the suggestions
+   * @param {Object} req
+   * @returns {Promise<{added:string[], techStack:string}>}
+   * @throws {HttpError} 400 when none of the skills is a current suggestion
+   */
+  async acceptSkillSuggestions(studentId, skills, req) {
+    const studentService = require('./studentService');
+
+    try {
+      const suggestions = await this.suggestSkills(studentId);
+      const picked = new Set(skills.map(skill => skillTaxonomyService.canonicalize(skill).toLowerCase()));
+      const added = suggestions.filter(skill => picked.has(skill.toLowerCase()));
+
+      if (added.length === 0) {
+        throw new HttpError(400, 'None of the given skills are suggestions from your CV');
+      }
+
+      const { data: student, error } = await supabase
+        .from('students')
+        .select('tech_stack_skills')
+        .eq('id', studentId)
+        .single();
+
+      if (error) {
+        console.error('[ERROR] Failed to fetch student skills:', error.message);
+        throw new Error('Failed to fetch student');
+      }
+
+      const techStack = [...splitSkills(student.tech_stack_skills), ...added].join(', ');
+      const updated = await studentService.patchStudent(studentId, { techStack }, req);
+
+      return { added, techStack: updated?.techStack ?? techStack };
+    } catch (error) {
+      console.error('[ERROR] CvTextService.acceptSkillSuggestions:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Point the search index at the student's current CV text, after a CV was
+   * uploaded, restored or deleted
+   */
+  async refreshSearchIndex(studentId) {
+    try {
+      const cv = await this.getCurrentCv(studentId);
+      searchIndexService.setField('students', studentId, 'cv_text', cv?.extracted_text || null);
+    } catch (error) {
+      // The periodic index reload picks the change up
+      console.error('[ERROR] CvTextService.refreshSearchIndex:', error.message);
+    }
+  }
+
+  transformCvData(cv) {
+    return {
+      id: cv.id,
+      originalName: cv.original_name,
+      textExtractionStatus: cv.text_extraction_status,
+      extractedSkills: splitSkills(cv.extracted_skills),
+      uploadedAt: cv.created_at
+    };
+  }
+}
+
+module.exports = new CvTextService();
@@ -0,0 +1,106 @@
+/**
+ * Email Transports
+ * Pluggable delivery backends for notificationService.
+ * Every transport exposes `name` and `async send({ from, to, subject, text, html })`.
+ *
+ * - smtp:    delivers through an SMTP server (nodemailer)
+ * - file:    writes each email as a JSON file, for local development and tests
+ * - console: prints each email to stdout
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+class SmtpTransport {
+  constructor(options = {}) {
+    this.name = 'smtp';
+    const nodemailer = require('nodemailer');
+
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port: options.port || 587,
+      secure: options.secure || false, // true for port 465
+      auth: options.user ? { user: options.user, pass: options.pass } : undefined
+    });
+  }
+
+  async send(email) {
+    const info = await this.transporter.sendMail(email);
+    return { messageId: info.messageId };
+  }
+}
+
+class FileTransport {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.directory = path.resolve(options.directory || 'tmp/emails');
+  }
+
+  async send(email) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    const filePath = path.join(this.directory, `${messageId}.json`);
+
+    await fs.writeFile(filePath, JSON.stringify({
+      messageId,
+      sentAt: new Date().toISOString(),
+      ...email
+    }, null, 2));
+
+    return { messageId, path: filePath };
+  }
+}
+
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(email) {
+    console.log('[EMAIL] ----------------------------------------');
+    console.log(`[EMAIL] From: ${email.from}`);
+    console.log(`[EMAIL] To: ${email.to}`);
+    console.log(`[EMAIL] Subject: ${email.subject}`);
+    console.log(`[EMAIL]\n${email.text}`);
+    console.log('[EMAIL] ----------------------------------------');
+
+    return { messageId: null };
+  }
+}
+
+/**
+ * Build a transport from environment variables.
+ * EMAIL_TRANSPORT selects smtp, file or console; when unset, SMTP is used if
+ * SMTP_HOST is configured and the console transport otherwise.
+ */
+function createTransportFromEnv(env = process.env) {
+  const name = (env.EMAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'console')).toLowerCase();
+
+  switch (name) {
+    case 'smtp':
+      if (!env.SMTP_HOST) {
+        throw new Error('SMTP_HOST is required for the smtp email transport');
+      }
+      return new SmtpTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS
+      });
+    case 'file':
+      return new FileTransport({ directory: env.EMAIL_FILE_DIR });
+    case 'console':
+      return new ConsoleTransport();
+    default:
+      throw new Error(`Unknown email transport "${name}". Use smtp, file or console.`);
+  }
+}
+
+module.exports = {
+  SmtpTransport,
+  FileTransport,
+  ConsoleTransport,
+  createTransportFromEnv
+};
@@ -0,0 +1,217 @@
+/**
+ * Export Service
+ * Streams the student and company directories to CSV or Excel (XLSX).
+ * Rows come from studentService.streamStudents and
+ * companyService.streamCompanies, so an export honours the same filters,
+ * visibility rules and field-level privacy as the list endpoints. Every
+ * export, completed or failed, is recorded in crud_logs.
+ */
+
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const logService = require('./logService');
+const studentService = require('./studentService');
+const companyService = require('./companyService');
+
+const FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv'
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  }
+};
+
+/**
+ * Exported columns, keyed by the fields of the public transforms. A column
+ * a row does not have (e.g. `phone` for non-admins) is left out entirely.
+ */
+const ENTITIES = {
+  students: {
+    resourceType: 'student',
+    sheetName: 'Students',
+    stream: (filters, currentUser) => studentService.streamStudents(filters, currentUser),
+    columns: [
+      { key: 'id', header: 'ID', width: 38 },
+      { key: 'fullName', header: 'Full Name', width: 28 },
+      { key: 'status', header: 'Status', width: 16 },
+      { key: 'employmentStatus', header: 'Employment Status', width: 18 },
+      { key: 'batch', header: 'Batch', width: 10 },
+      { key: 'university', header: 'University', width: 30 },
+      { key: 'major', header: 'Major', width: 24 },
+      { key: 'preferredIndustry', header: 'Preferred Industry', width: 24 },
+      { key: 'techStack', header: 'Tech Stack', width: 40 },
+      { key: 'email', header: 'Email', width: 30 },
+      { key: 'phone', header: 'Phone', width: 16, adminOnly: true },
+      { key: 'linkedin', header: 'LinkedIn', width: 30 },
+      { key: 'portfolioLink', header: 'Portfolio', width: 30 },
+      { key: 'cvUpload', header: 'CV', width: 30 },
+      { key: 'selfIntroduction', header: 'Self Introduction', width: 60 },
+      { key: 'completionRate', header: 'Profile Completion (%)', width: 12 },
+      { key: 'isVisible', header: 'Visible', width: 10, adminOnly: true },
+      { key: 'timestamp', header: 'Registered At', width: 24 }
+    ]
+  },
+  companies: {
+    resourceType: 'company',
+    sheetName: 'Companies',
+    stream: (filters, currentUser) => companyService.streamCompanies(filters, currentUser),
+    columns: [
+      { key: 'id', header: 'ID', width: 38 },
+      { key: 'companyName', header: 'Company Name', width: 28 },
+      { key: 'industry', header: 'Industry', width: 24 },
+      { key: 'website', header: 'Website', width: 30 },
+      { key: 'techRoles', header: 'Tech Roles', width: 30 },
+      { key: 'preferredSkillsets', header: 'Preferred Skillsets', width: 40 },
+      { key: 'companySummary', header: 'Summary', width: 60 },
+      { key: 'contactPerson', header: 'Contact Person', width: 24 },
+      { key: 'contactEmail', header: 'Contact Email', width: 30 },
+      { key: 'contactPhone', header: 'Contact Phone', width: 16, adminOnly: true },
+      { key: 'emailAddress', header: 'Account Email', width: 30 },
+      { key: 'completionRate', header: 'Profile Completion (%)', width: 12 },
+      { key: 'isVisible', header: 'Visible', width: 10, adminOnly: true }
+    ]
+  }
+};
+
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return value;
+};
+
+/**
+ * CSV field, quoted when needed. Text starting with a formula character is
+ * prefixed with a quote so spreadsheet apps do not evaluate it.
+ */
+const csvField = (value) => {
+  let text = String(cellValue(value));
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write with backpressure; stops waiting if the client goes away
+ */
+const write = async (stream, chunk) => {
+  if (stream.destroyed) {
+    throw new Error('Client disconnected during export');
+  }
+
+  if (!stream.write(chunk)) {
+    const controller = new AbortController();
+    try {
+      await Promise.race([
+        once(stream, 'drain', { signal: controller.signal }),
+        once(stream, 'close', { signal: controller.signal })
+      ]);
+    } finally {
+      controller.abort();
+    }
+  }
+};
+
+class ExportService {
+  getFormats() {
+    return Object.keys(FORMATS);
+  }
+
+  /**
+   * Stream a directory export to the response
+   * @param {Object} res - Express response
+   * @param {Object} options
+   * @param {'students'|'companies'} options.entity
+   * @param {'csv'|'xlsx'} options.format
+   * @param {Object} options.filters - Same filters as the list endpoint
+   * @param {Object} options.req - Request of the exporting user
+   * @returns {Promise<number>} Number of rows exported
+   */
+  async exportDirectory(res, { entity, format, filters, req }) {
+    const config = ENTITIES[entity];
+    const currentUser = req.user;
+    let rowCount = 0;
+
+    try {
+      const batches = config.stream(filters, currentUser);
+
+      // Fetch the first batch before any headers go out, so a failing query
+      // still gets a normal JSON error response
+      let batch = await batches.next();
+
+      const columns = config.columns.filter(column => !column.adminOnly || currentUser?.role === 'admin');
+      const date = new Date().toISOString().slice(0, 10);
+
+      res.setHeader('Content-Type', FORMATS[format].contentType);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="kada-${entity}-${date}.${FORMATS[format].extension}"`
+      );
+
+      if (format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+        const worksheet = workbook.addWorksheet(config.sheetName, {
+          views: [{ state: 'frozen', ySplit: 1 }]
+        });
+        worksheet.columns = columns.map(({ key, header, width }) => ({ key, header, width }));
+        worksheet.getRow(1).font = { bold: true };
+
+        for (; !batch.done; batch = await batches.next()) {
+          if (res.destroyed) {
+            throw new Error('Client disconnected during export');
+          }
+          for (const row of batch.value) {
+            worksheet.addRow(columns.map(column => cellValue(row[column.key]))).commit();
+            rowCount++;
+          }
+        }
+
+        worksheet.commit();
+        await workbook.commit();
+      } else {
+        // Byte order mark so Excel reads the CSV as UTF-8
+        await write(res, '\uFEFF' + columns.map(column => csvField(column.header)).join(',') + '\r\n');
+
+        for (; !batch.done; batch = await batches.next()) {
+          const lines = batch.value.map(row =>
+            columns.map(column => csvField(row[column.key])).join(',') + '\r\n'
+          );
+          await write(res, lines.join(''));
+          rowCount += lines.length;
+        }
+
+        res.end();
+      }
+
+      await logService.logExport({
+        userId: currentUser.id,
+        userEmail: currentUser.email,
+        resourceType: config.resourceType,
+        details: { format, filters, rowCount },
+        request: req,
+        routePath: req.path
+      });
+
+      return rowCount;
+    } catch (error) {
+      await logService.logExport({
+        userId: currentUser?.id,
+        userEmail: currentUser?.email,
+        resourceType: config.resourceType,
+        details: { format, filters, rowCount },
+        request: req,
+        routePath: req.path,
+        success: false,
+        errorMessage: error.message
+      });
+
+      console.error('[ERROR] ExportService.exportDirectory:', error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ExportService();
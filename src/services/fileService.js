@@ -5,6 +5,17 @@
  */
 
 const { supabase } = require('../db');
+const cvTextService = require('./cvTextService');
+const imageService = require('./imageService');
+const malwareScanService = require('./malwareScanService');
+const fileVersionService = require('./fileVersionService');
+
+// Stored as processed WebP variants (see imageService), never as uploaded
+const IMAGE_FILE_TYPES = ['photo', 'logo'];
+
+// Buckets without public access; their files are only served through
+// short-lived signed URLs (see cvAccessService)
+const PRIVATE_BUCKETS = ['student-cvs'];
 
 class FileService {
   /**
@@ -16,7 +27,15 @@ class FileService {
    * @param {string} options.fileType - File type ('cv', 'photo', 'logo', 'document')
    * @param {number} options.studentId - Student ID (optional, if attaching to student)
    * @param {number} options.companyId - Company ID (optional, if attaching to company)
-   * @returns {Object} - File metadata including ID, URL, and file info
+   * @param {Object} options.scan - Scan outcome to record instead of scanning
+   *   (used when an admin releases a quarantined file)
+   * @param {boolean} options.makeCurrent - For CVs and logos, whether the upload
+   *   becomes the current version (default true, see fileVersionService)
+   * @returns {Object} - File metadata including ID, URL, and file info. For
+   *   private buckets `url` is only the storage location (`bucket/path`, see
+   *   fileUrl), not a working link. CVs
+   *   also get their text extracted: `textExtractionStatus` and `extractedSkills`;
+   *   photos and logos are processed and return `variants`
    */
   async uploadFile(file, options) {
     try {
@@ -33,6 +52,22 @@ class FileService {
         throw new Error(`Invalid fileType. Must be one of: ${validFileTypes.join(', ')}`);
       }
 
+      // The uploaded bytes are scanned before anything is stored; flagged
+      // files are quarantined and rejected here
+      const scan = options.scan || await malwareScanService.scanUpload(file, options);
+      options = { ...options, scan };
+
+      // SVGs can carry scripts and external references; only a sanitized
+      // copy is processed or stored
+      if (file.mimetype === 'image/svg+xml') {
+        const buffer = imageService.sanitizeSvg(file.buffer);
+        file = { ...file, buffer, size: buffer.length };
+      }
+
+      if (IMAGE_FILE_TYPES.includes(fileType)) {
+        return await this.uploadImage(file, options);
+      }
+
       // Generate unique filename: {userId}/{timestamp}_{originalname}
       const timestamp = Date.now();
       const sanitizedFilename = this.sanitizeFilename(file.originalname, fileType);
@@ -61,10 +96,11 @@ class FileService {
 
       console.log('[' + new Date().toISOString() + '] Storage upload successful:', uploadData);
 
-      // Generate public URL
-      const { data: urlData } = supabase.storage
-        .from(bucket)
-        .getPublicUrl(fileName);
+      const url = this.fileUrl(bucket, fileName);
+
+      // CV text is extracted in process and stored with the metadata, so CV
+      // content becomes searchable; extraction failures do not fail the upload
+      const extraction = fileType === 'cv' ? await cvTextService.extract(file) : null;
 
       // Store metadata in file_metadata table
       console.log('[' + new Date().toISOString() + '] Inserting metadata:', {
@@ -76,7 +112,8 @@ class FileService {
         user_id: userId,
         student_id: studentId || null,
         company_id: companyId || null,
-        file_type: fileType
+        file_type: fileType,
+        text_extraction_status: extraction?.status || null
       });
 
       let metadata;
@@ -94,7 +131,12 @@ class FileService {
             user_id: userId,
             student_id: studentId || null,
             company_id: companyId || null,
-            file_type: fileType
+            file_type: fileType,
+            extracted_text: extraction?.text || null,
+            extracted_skills: extraction?.skills.length ? extraction.skills.join(', ') : null,
+            text_extraction_status: extraction?.status || null,
+            text_extracted_at: extraction ? new Date().toISOString() : null,
+            ...this.scanColumns(scan)
           })
           .select()
           .single();
@@ -118,19 +160,33 @@ class FileService {
         throw new Error(`Failed to store file metadata: ${metadataError.message || metadataError}`);
       }
 
-      console.log('[' + new Date().toISOString() + '] Metadata insert successful:', metadata);
+      console.log('[' + new Date().toISOString() + '] Metadata insert successful:', {
+        ...metadata,
+        extracted_text: metadata.extracted_text ? `${metadata.extracted_text.length} characters` : null
+      });
+
+      if (fileVersionService.isVersioned(fileType) && options.makeCurrent !== false) {
+        await fileVersionService.addVersion(metadata);
+      }
+
+      if (extraction && metadata.student_id) {
+        await cvTextService.refreshSearchIndex(metadata.student_id);
+      }
 
       return {
         id: metadata.id,
         bucket: metadata.bucket,
         path: metadata.path,
-        url: urlData.publicUrl,
+        url,
         originalName: metadata.original_name,
         mimeType: metadata.mime_type,
         size: metadata.size,
         fileType: metadata.file_type,
         studentId: metadata.student_id,
         companyId: metadata.company_id,
+        textExtractionStatus: metadata.text_extraction_status,
+        extractedSkills: extraction ? extraction.skills : undefined,
+        scanStatus: metadata.scan_status,
         createdAt: metadata.created_at
       };
     } catch (error) {
@@ -139,6 +195,145 @@ class FileService {
     }
   }
 
+  /**
+   * Upload a photo or logo as square WebP variants (thumbnail, card, full).
+   * The `full` variant is the main file_metadata row; the other variants
+   * are rows pointing to it through parent_id.
+   * @param {Object} file - File object from multer
+   * @param {Object} options - Same options as uploadFile
+   * @returns {Object} - Metadata of the `full` variant plus `variants` by name
+   */
+  async uploadImage(file, options) {
+    const { bucket, userId, fileType, studentId, companyId, scan } = options;
+
+    // Logos are padded rather than cropped so no lettering is cut off
+    const variants = await imageService.processImage(file.buffer, {
+      fit: fileType === 'logo' ? 'contain' : 'cover'
+    });
+
+    const timestamp = Date.now();
+    const sanitizedFilename = this.sanitizeFilename(file.originalname, fileType).replace(/\.[^/.]+$/, '');
+    const basePath = `${userId}/${timestamp}_${sanitizedFilename}`;
+    const uploadedPaths = [];
+
+    const cleanup = async () => {
+      try {
+        await supabase.storage.from(bucket).remove(uploadedPaths);
+      } catch (deleteErr) {
+        console.error('[' + new Date().toISOString() + '] Failed to cleanup image variants:', deleteErr);
+      }
+    };
+
+    console.log('[' + new Date().toISOString() + '] Uploading image variants to storage:', {
+      bucket,
+      basePath,
+      originalSize: file.size,
+      variants: variants.map(({ name, size }) => ({ name, size }))
+    });
+
+    for (const variant of variants) {
+      const path = imageService.variantPath(basePath, variant.name);
+      const { error: uploadError } = await supabase.storage
+        .from(bucket)
+        .upload(path, variant.buffer, {
+          contentType: 'image/webp',
+          cacheControl: '31536000', // Paths are unique per upload, so cache for a year
+          upsert: false
+        });
+
+      if (uploadError) {
+        console.error('[' + new Date().toISOString() + '] File upload error:', uploadError);
+        await cleanup();
+        throw new Error(`Failed to upload file: ${uploadError.message}`);
+      }
+
+      uploadedPaths.push(path);
+    }
+
+    const rowFor = (variant, parentId = null) => ({
+      bucket,
+      path: imageService.variantPath(basePath, variant.name),
+      original_name: file.originalname,
+      mime_type: 'image/webp',
+      size: variant.size,
+      user_id: userId,
+      student_id: studentId || null,
+      company_id: companyId || null,
+      file_type: fileType,
+      variant: variant.name,
+      parent_id: parentId,
+      ...this.scanColumns(scan)
+    });
+
+    const full = variants.find(variant => variant.name === 'full');
+
+    const { data: metadata, error: metadataError } = await supabase
+      .from('file_metadata')
+      .insert(rowFor(full))
+      .select()
+      .single();
+
+    if (metadataError) {
+      console.error('[' + new Date().toISOString() + '] Metadata insert error:', metadataError);
+      await cleanup();
+      throw new Error(`Failed to store file metadata: ${metadataError.message}`);
+    }
+
+    const { error: variantsError } = await supabase
+      .from('file_metadata')
+      .insert(variants.filter(variant => variant !== full).map(variant => rowFor(variant, metadata.id)));
+
+    if (variantsError) {
+      console.error('[' + new Date().toISOString() + '] Metadata insert error:', variantsError);
+      await supabase.from('file_metadata').delete().eq('id', metadata.id);
+      await cleanup();
+      throw new Error(`Failed to store file metadata: ${variantsError.message}`);
+    }
+
+    if (fileVersionService.isVersioned(fileType) && options.makeCurrent !== false) {
+      await fileVersionService.addVersion(metadata);
+    }
+
+    const { data: urlData } = supabase.storage
+      .from(bucket)
+      .getPublicUrl(metadata.path);
+    const variantUrls = imageService.variantUrls(urlData.publicUrl);
+
+    return {
+      id: metadata.id,
+      bucket: metadata.bucket,
+      path: metadata.path,
+      url: urlData.publicUrl,
+      originalName: metadata.original_name,
+      mimeType: metadata.mime_type,
+      size: metadata.size,
+      fileType: metadata.file_type,
+      studentId: metadata.student_id,
+      companyId: metadata.company_id,
+      scanStatus: metadata.scan_status,
+      variants: Object.fromEntries(variants.map(variant => [variant.name, {
+        url: variantUrls[variant.name],
+        width: variant.width,
+        height: variant.height,
+        size: variant.size
+      }])),
+      createdAt: metadata.created_at
+    };
+  }
+
+  /**
+   * file_metadata columns recording a malware scan outcome
+   * @param {Object} scan - { status, scanner, result } from malwareScanService.scanUpload
+   */
+  scanColumns(scan) {
+    return {
+      scan_status: scan.status,
+      scan_result: scan.result || null,
+      scanner: scan.scanner || null,
+      scanned_at: scan.status === 'unscanned' ? null : new Date().toISOString()
+    };
+  }
+
   /**
    * Delete a file from storage and metadata
    * @param {number} fileId - File metadata ID
@@ -172,25 +367,7 @@ class FileService {
         throw new Error('Unauthorized: You can only delete your own files');
       }
 
-      // Delete file from storage
-      const { error: storageError } = await supabase.storage
-        .from(file.bucket)
-        .remove([file.path]);
-
-      if (storageError) {
-        console.error('Storage delete error:', storageError);
-        // Continue with metadata deletion even if storage delete fails
-      }
-
-      // Delete metadata from database
-      const { error: deleteError } = await supabase
-        .from('file_metadata')
-        .delete()
-        .eq('id', fileId);
-
-      if (deleteError) {
-        throw new Error(`Failed to delete file metadata: ${deleteError.message}`);
-      }
+      await this.removeFile(file);
 
       return {
         success: true,
@@ -203,6 +380,44 @@ class FileService {
     }
   }
 
+  /**
+   * Remove a file, its image variants and their metadata without an
+   * authorization check (callers check access, e.g. deleteFile)
+   * @param {Object} file - file_metadata row
+   */
+  async removeFile(file) {
+    // Image variants are deleted along with their main file
+    const { data: variants } = await supabase
+      .from('file_metadata')
+      .select('path')
+      .eq('parent_id', file.id);
+
+    // Delete file from storage
+    const { error: storageError } = await supabase.storage
+      .from(file.bucket)
+      .remove([file.path, ...(variants || []).map(variant => variant.path)]);
+
+    if (storageError) {
+      console.error('Storage delete error:', storageError);
+      // Continue with metadata deletion even if storage delete fails
+    }
+
+    // Delete metadata from database (variant rows cascade)
+    const { error: deleteError } = await supabase
+      .from('file_metadata')
+      .delete()
+      .eq('id', file.id);
+
+    if (deleteError) {
+      throw new Error(`Failed to delete file metadata: ${deleteError.message}`);
+    }
+
+    // A deleted current CV leaves no CV text in search
+    if (file.file_type === 'cv' && file.student_id) {
+      await cvTextService.refreshSearchIndex(file.student_id);
+    }
+  }
+
   /**
    * Get file metadata by ID
    * @param {number} fileId - File metadata ID
@@ -315,11 +530,14 @@ class FileService {
         throw new Error('Unauthorized: You can only access your own student profile files');
       }
 
-      // Get all files for this student
+      // Get all files for this student (image variants are listed with their main file,
+      // quarantined files only through the admin API)
       const { data: files, error } = await supabase
         .from('file_metadata')
         .select('*')
-        .eq('student_id', studentId);
+        .eq('student_id', studentId)
+        .is('parent_id', null)
+        .neq('scan_status', 'quarantined');
 
       if (error) {
         throw new Error(`Failed to fetch student files: ${error.message}`);
@@ -336,13 +554,15 @@ class FileService {
             id: file.id,
             bucket: file.bucket,
             path: file.path,
-            url: urlData.publicUrl,
+            url: this.isPrivateBucket(file.bucket) ? null : urlData.publicUrl,
             originalName: file.original_name,
             mimeType: file.mime_type,
             size: file.size,
             fileType: file.file_type,
             studentId: file.student_id,
             companyId: file.company_id,
+            isCurrent: file.is_current,
+            variants: imageService.variantUrls(urlData.publicUrl),
             createdAt: file.created_at
           };
         })
@@ -387,11 +607,14 @@ class FileService {
         throw new Error('Unauthorized: You can only access your own company profile files');
       }
 
-      // Get all files for this company
+      // Get all files for this company (image variants are listed with their main file,
+      // quarantined files only through the admin API)
       const { data: files, error } = await supabase
         .from('file_metadata')
         .select('*')
-        .eq('company_id', companyId);
+        .eq('company_id', companyId)
+        .is('parent_id', null)
+        .neq('scan_status', 'quarantined');
 
       if (error) {
         throw new Error(`Failed to fetch company files: ${error.message}`);
@@ -408,13 +631,15 @@ class FileService {
             id: file.id,
             bucket: file.bucket,
             path: file.path,
-            url: urlData.publicUrl,
+            url: this.isPrivateBucket(file.bucket) ? null : urlData.publicUrl,
             originalName: file.original_name,
             mimeType: file.mime_type,
             size: file.size,
             fileType: file.file_type,
             studentId: file.student_id,
             companyId: file.company_id,
+            isCurrent: file.is_current,
+            variants: imageService.variantUrls(urlData.publicUrl),
             createdAt: file.created_at
           };
         })
@@ -427,6 +652,23 @@ class FileService {
     }
   }
 
+  isPrivateBucket(bucket) {
+    return PRIVATE_BUCKETS.includes(bucket);
+  }
+
+  /**
+   * URL stored on profiles for a file: the public URL, or for private
+   * buckets only the storage location (`student-cvs/<path>`), which cannot
+   * be fetched; private files are served through signed URLs
+   */
+  fileUrl(bucket, path) {
+    if (this.isPrivateBucket(bucket)) {
+      return `${bucket}/${path}`;
+    }
+
+    return supabase.storage.from(bucket).getPublicUrl(path).data.publicUrl;
+  }
+
   /**
    * Sanitize filename to remove special characters and test prefixes
    * @param {string} filename - Original filename
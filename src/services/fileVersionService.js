@@ -0,0 +1,211 @@
+/**
+ * File Version Service
+ * CVs and company logos keep a version history in file_metadata: every
+ * upload is a new version, `is_current` marks the one on the profile
+ * (students.cv_upload / companies.company_logo), and older versions can be
+ * restored. Only the last FILE_VERSION_LIMIT versions are kept.
+ */
+
+const { supabase } = require('../db');
+const imageService = require('./imageService');
+const cvTextService = require('./cvTextService');
+
+// Versions kept per owner and file type, the current one included
+const MAX_VERSIONS = Math.max(parseInt(process.env.FILE_VERSION_LIMIT) || 5, 1);
+
+// Versioned file types, the column that owns them and the profile field
+// that points to the current version
+const VERSIONED_FILE_TYPES = {
+  cv: { ownerColumn: 'student_id', profileField: 'cvUpload' },
+  logo: { ownerColumn: 'company_id', profileField: 'logo' }
+};
+
+const VERSION_FIELDS = 'id, bucket, path, original_name, mime_type, size, file_type, student_id, company_id, is_current, scan_status, created_at';
+
+class FileVersionService {
+  isVersioned(fileType) {
+    return Boolean(VERSIONED_FILE_TYPES[fileType]);
+  }
+
+  /**
+   * Versions of an owner's file type; image variants and quarantined
+   * uploads are not versions
+   */
+  versionsQuery(fileType, ownerId, fields = VERSION_FIELDS) {
+    return supabase
+      .from('file_metadata')
+      .select(fields)
+      .eq(VERSIONED_FILE_TYPES[fileType].ownerColumn, ownerId)
+      .eq('file_type', fileType)
+      .is('parent_id', null)
+      .neq('scan_status', 'quarantined');
+  }
+
+  /**
+   * Make a newly uploaded file the current version and drop the versions
+   * beyond the retention limit. Retention failures are logged, not thrown,
+   * so they never fail the upload.
+   * @param {Object} file - file_metadata row of the new upload
+   */
+  async addVersion(file) {
+    const ownerId = file[VERSIONED_FILE_TYPES[file.file_type].ownerColumn];
+    if (!ownerId) return;
+
+    await this.setCurrent(file, ownerId);
+
+    try {
+      await this.applyRetention(file.file_type, ownerId);
+    } catch (error) {
+      console.error('[ERROR] FileVersionService.applyRetention:', error.message);
+    }
+  }
+
+  /**
+   * Mark one version as current and clear the marker on the others
+   */
+  async setCurrent(file, ownerId) {
+    const { error } = await supabase
+      .from('file_metadata')
+      .update({ is_current: true, updated_at: new Date().toISOString() })
+      .eq('id', file.id);
+
+    if (error) {
+      console.error('[ERROR] Failed to mark current file version:', error.message);
+      throw new Error(`Failed to update file version: ${error.message}`);
+    }
+
+    const { error: clearError } = await supabase
+      .from('file_metadata')
+      .update({ is_current: false, updated_at: new Date().toISOString() })
+      .eq(VERSIONED_FILE_TYPES[file.file_type].ownerColumn, ownerId)
+      .eq('file_type', file.file_type)
+      .eq('is_current', true)
+      .neq('id', file.id);
+
+    if (clearError) {
+      console.error('[ERROR] Failed to clear previous file version:', clearError.message);
+      throw new Error(`Failed to update file version: ${clearError.message}`);
+    }
+  }
+
+  /**
+   * Delete the oldest versions so that at most MAX_VERSIONS remain; the
+   * current version is always kept, even when it is an old one restored
+   */
+  async applyRetention(fileType, ownerId) {
+    const fileService = require('./fileService');
+
+    const { data, error } = await this.versionsQuery(fileType, ownerId)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to fetch file versions: ${error.message}`);
+    }
+
+    const current = data.filter(file => file.is_current);
+    const expired = data
+      .filter(file => !file.is_current)
+      .slice(Math.max(MAX_VERSIONS - current.length, 0));
+
+    for (const file of expired) {
+      console.log(`[FILES] Removing ${fileType} version ${file.id} beyond the limit of ${MAX_VERSIONS}`);
+      await fileService.removeFile(file);
+    }
+  }
+
+  /**
+   * Version history, newest first
+   * @returns {Promise<{versions:Array, maxVersions:number}>}
+   */
+  async getVersions(fileType, ownerId) {
+    try {
+      const { data, error } = await this.versionsQuery(fileType, ownerId)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false });
+
+      if (error) {
+        console.error('[ERROR] Failed to fetch file versions:', error.message);
+        throw new Error('Failed to fetch file versions');
+      }
+
+      return {
+        versions: data.map(file => this.transformVersionData(file)),
+        maxVersions: MAX_VERSIONS
+      };
+    } catch (error) {
+      console.error('[ERROR] FileVersionService.getVersions:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Make an earlier version current again and point the profile to it
+   * @param {string} fileType - 'cv' or 'logo'
+   * @param {string} ownerId - Student or company ID
+   * @param {number} versionId - file_metadata ID of the version
+   * @param {Object} req - Express request (for the profile update log)
+   * @returns {Promise<Object|null>} The restored version, or null when not found
+   */
+  async restoreVersion(fileType, ownerId, versionId, req) {
+    try {
+      const { data: file, error } = await this.versionsQuery(fileType, ownerId)
+        .eq('id', versionId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // Version not found
+        }
+        console.error('[ERROR] Failed to fetch file version:', error.message);
+        throw new Error('Failed to fetch file version');
+      }
+
+      await this.setCurrent(file, ownerId);
+
+      const fileService = require('./fileService');
+      const profileUpdate = {
+        [VERSIONED_FILE_TYPES[fileType].profileField]: fileService.fileUrl(file.bucket, file.path)
+      };
+
+      if (fileType === 'cv') {
+        const studentService = require('./studentService');
+        await studentService.patchStudent(ownerId, profileUpdate, req);
+        await cvTextService.refreshSearchIndex(ownerId);
+      } else {
+        const companyService = require('./companyService');
+        await companyService.patchCompany(ownerId, profileUpdate, req);
+      }
+
+      return this.transformVersionData({ ...file, is_current: true });
+    } catch (error) {
+      console.error('[ERROR] FileVersionService.restoreVersion:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * CV versions have no URL: CVs are private and downloaded through
+   * GET /api/students/:id/cv once restored
+   */
+  transformVersionData(file) {
+    const fileService = require('./fileService');
+    const url = fileService.isPrivateBucket(file.bucket)
+      ? null
+      : supabase.storage.from(file.bucket).getPublicUrl(file.path).data.publicUrl;
+
+    return {
+      id: file.id,
+      isCurrent: file.is_current === true,
+      url,
+      variants: imageService.variantUrls(url),
+      originalName: file.original_name,
+      mimeType: file.mime_type,
+      size: file.size,
+      scanStatus: file.scan_status,
+      uploadedAt: file.created_at
+    };
+  }
+}
+
+module.exports = new FileVersionService();
@@ -0,0 +1,219 @@
+/**
+ * Image Service
+ * Processes uploaded profile photos and company logos before they are
+ * stored: auto-orients from EXIF, drops all metadata (EXIF, GPS, ICC),
+ * makes the image square and renders it as WebP in several sizes, so list
+ * pages can load a small thumbnail instead of the multi-megabyte upload.
+ *
+ * SVGs are sanitized first (sanitizeSvg): they can carry scripts and
+ * references to external or local files.
+ */
+
+const sharp = require('sharp');
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+const { HttpError } = require('../middlewares/error-handler');
+
+/**
+ * Generated variants, square edge in pixels. `full` is the main file whose
+ * URL is stored on the profile (profile_photo / company_logo).
+ */
+const VARIANTS = {
+  thumbnail: 96,
+  card: 320,
+  full: 1024
+};
+
+const WEBP_QUALITY = 80;
+
+// Rejects decompression bombs (a tiny file that decodes to a huge bitmap)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// SVGs are rasterised at a density that renders them at least `full` size
+const SVG_BASE_DENSITY = 72;
+const SVG_MAX_DENSITY = 2400;
+
+const VARIANT_SUFFIX = /_full\.webp$/;
+
+// Elements that run code or embed other documents
+const FORBIDDEN_SVG_ELEMENTS = new Set([
+  'script', 'foreignobject', 'iframe', 'embed', 'object', 'audio', 'video', 'handler', 'listener'
+]);
+// Animations can rewrite attributes, e.g. set href to a javascript: URL
+const SVG_ANIMATION_ELEMENTS = new Set(['set', 'animate', 'animatemotion', 'animatetransform']);
+// References that stay inside the file: fragments and embedded raster images
+const SAFE_REFERENCE = /^\s*(#|data:image\/(png|jpeg|gif|webp);base64,)/i;
+
+const NODE_TYPES = {
+  ELEMENT: 1,
+  PROCESSING_INSTRUCTION: 7,
+  DOCUMENT_TYPE: 10
+};
+
+/**
+ * Drop @import rules and url(...) references that point outside the file
+ */
+const sanitizeCss = (css) => css
+  .replace(/@import[^;]*;?/gi, '')
+  .replace(/url\(\s*(['"]?)(.*?)\1\s*\)/gi, (match, quote, target) =>
+    SAFE_REFERENCE.test(target) ? match : 'none')
+  .replace(/expression\s*\(|javascript:/gi, '');
+
+/**
+ * Remove dangerous elements and attributes from an SVG subtree in place
+ */
+const sanitizeSvgNode = (node) => {
+  for (const child of Array.from(node.childNodes)) {
+    if (child.nodeType === NODE_TYPES.PROCESSING_INSTRUCTION || child.nodeType === NODE_TYPES.DOCUMENT_TYPE) {
+      node.removeChild(child);
+      continue;
+    }
+    if (child.nodeType !== NODE_TYPES.ELEMENT) continue;
+
+    const name = (child.localName || child.nodeName).toLowerCase();
+    const animatedAttribute = (child.getAttribute('attributeName') || '').toLowerCase();
+
+    if (FORBIDDEN_SVG_ELEMENTS.has(name) ||
+        (SVG_ANIMATION_ELEMENTS.has(name) && (/href$/.test(animatedAttribute) || animatedAttribute.startsWith('on')))) {
+      node.removeChild(child);
+      continue;
+    }
+
+    for (const attribute of Array.from(child.attributes)) {
+      const attributeName = (attribute.localName || attribute.name).toLowerCase();
+      const value = attribute.value;
+
+      if (attributeName.startsWith('on') ||
+          (attributeName === 'href' && !SAFE_REFERENCE.test(value)) ||
+          /javascript:/i.test(value)) {
+        child.removeAttributeNode(attribute);
+      } else if (/url\(|@import|expression\s*\(/i.test(value)) {
+        attribute.value = sanitizeCss(value);
+      }
+    }
+
+    if (name === 'style') {
+      child.textContent = sanitizeCss(child.textContent || '');
+    } else {
+      sanitizeSvgNode(child);
+    }
+  }
+};
+
+class ImageService {
+  getVariantNames() {
+    return Object.keys(VARIANTS);
+  }
+
+  /**
+   * Render the square WebP variants of an image
+   * @param {Buffer} buffer - Uploaded JPEG, PNG, WebP or SVG
+   * @param {Object} options
+   * @param {'cover'|'contain'} [options.fit='cover'] - Crop to the centre (photos) or
+   *   pad with transparency so nothing is cut off (logos)
+   * @returns {Promise<Array<{name:string, buffer:Buffer, width:number, height:number, size:number}>>}
+   * @throws {HttpError} 400 when the file is not a readable image
+   */
+  async processImage(buffer, { fit = 'cover' } = {}) {
+    try {
+      const metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+
+      if (!metadata.width || !metadata.height) {
+        throw new Error('Image has no dimensions');
+      }
+
+      const inputOptions = { limitInputPixels: MAX_INPUT_PIXELS };
+      let { width, height } = metadata;
+
+      if (metadata.format === 'svg') {
+        const scale = VARIANTS.full / Math.max(width, height);
+        inputOptions.density = Math.min(Math.max(SVG_BASE_DENSITY, SVG_BASE_DENSITY * scale), SVG_MAX_DENSITY);
+        width = Math.round(width * inputOptions.density / SVG_BASE_DENSITY);
+        height = Math.round(height * inputOptions.density / SVG_BASE_DENSITY);
+      }
+
+      // Square edge the source can fill without upscaling
+      const sourceEdge = fit === 'contain' ? Math.max(width, height) : Math.min(width, height);
+
+      // rotate() applies the EXIF orientation; output carries no metadata
+      // because withMetadata() is never called
+      const base = sharp(buffer, inputOptions).rotate();
+
+      const variants = [];
+      for (const [name, edge] of Object.entries(VARIANTS)) {
+        const size = Math.min(edge, sourceEdge);
+        const { data, info } = await base
+          .clone()
+          .resize(size, size, {
+            fit,
+            position: 'centre',
+            background: { r: 0, g: 0, b: 0, alpha: 0 }
+          })
+          .webp({ quality: WEBP_QUALITY })
+          .toBuffer({ resolveWithObject: true });
+
+        variants.push({ name, buffer: data, width: info.width, height: info.height, size: info.size });
+      }
+
+      return variants;
+    } catch (error) {
+      console.error('[ERROR] ImageService.processImage:', error.message);
+      throw new HttpError(400, 'Invalid or unsupported image file');
+    }
+  }
+
+  /**
+   * Sanitize an SVG: removes scripts and other active content, event
+   * handler attributes, javascript: URLs, doctypes (entity definitions) and
+   * any reference to a resource outside the file
+   * @param {Buffer} buffer - SVG source
+   * @returns {Buffer} Sanitized SVG
+   * @throws {HttpError} 400 when the file is not well-formed SVG
+   */
+  sanitizeSvg(buffer) {
+    try {
+      const fail = (message) => {
+        throw new Error(message);
+      };
+      const doc = new DOMParser({
+        errorHandler: { warning: () => {}, error: fail, fatalError: fail }
+      }).parseFromString(buffer.toString('utf8').replace(/^\uFEFF/, ''), 'image/svg+xml');
+
+      if (!doc.documentElement || doc.documentElement.localName !== 'svg') {
+        throw new Error('Root element is not <svg>');
+      }
+
+      // Covers the doctype and the <svg> root with all its descendants
+      sanitizeSvgNode(doc);
+
+      return Buffer.from(new XMLSerializer().serializeToString(doc), 'utf8');
+    } catch (error) {
+      console.error('[ERROR] ImageService.sanitizeSvg:', error.message);
+      throw new HttpError(400, 'Invalid SVG file');
+    }
+  }
+
+  /**
+   * Storage path of a variant
+   * @param {string} basePath - `{userId}/{timestamp}_{name}` without extension
+   */
+  variantPath(basePath, name) {
+    return `${basePath}_${name}.webp`;
+  }
+
+  /**
+   * Variant URLs for a stored photo or logo URL. Variants share the path of
+   * the `full` image apart from the suffix, so no lookup is needed.
+   * @param {string|null} url - profile_photo or company_logo
+   * @returns {{thumbnail:string, card:string, full:string}|null} null for images
+   *   uploaded before processing was added, or external URLs
+   */
+  variantUrls(url) {
+    if (!url || !VARIANT_SUFFIX.test(url)) return null;
+
+    return Object.fromEntries(
+      Object.keys(VARIANTS).map(name => [name, url.replace(VARIANT_SUFFIX, `_${name}.webp`)])
+    );
+  }
+}
+
+module.exports = new ImageService();
@@ -0,0 +1,692 @@
+/**
+ * Import Service
+ * Bulk import of students and companies from CSV or Excel (XLSX) files
+ * uploaded by admins. Columns are mapped onto the camelCase fields of
+ * studentSchemas.create / companySchemas.create and every row is validated
+ * with the same Joi schema before anything is written. Rows are upserted by
+ * email: a profile with the same email (case-insensitive) is updated,
+ * otherwise a new profile is created with a fresh ID that is re-keyed to the
+ * auth user when that person registers (see authService.signUp).
+ *
+ * Each import is one migration_progress row, kept up to date while it runs,
+ * and one migration_log row per spreadsheet row.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { Readable } = require('stream');
+const Joi = require('joi');
+const ExcelJS = require('exceljs');
+const { supabase } = require('../db');
+const { responseCache } = require('./responseCacheService');
+const { HttpError } = require('../middlewares/error-handler');
+const { studentSchemas, companySchemas } = require('../validators/schemas');
+const { quoteFilterValue } = require('./paginationService');
+const logService = require('./logService');
+const skillTaxonomyService = require('./skillTaxonomyService');
+const studentService = require('./studentService');
+const companyService = require('./companyService');
+
+const MAX_IMPORT_ROWS = 5000;
+const WRITE_BATCH_SIZE = 100;
+const LOOKUP_BATCH_SIZE = 100;
+const STEP_PREFIX = 'import_';
+
+const PROGRESS_FIELDS = 'id, step_name, status, started_at, completed_at, details';
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+/**
+ * Import settings per entity. `columns` maps each field to the header names
+ * it is recognised by, compared lowercased with everything but letters and
+ * digits removed, so "Full Name", "full_name" and "fullName" all match. The
+ * aliases cover the field names, the database columns and the headers of
+ * the CSV/XLSX exports.
+ */
+const ENTITIES = {
+  students: {
+    table: 'students',
+    resourceType: 'student',
+    emailField: 'email',
+    schema: studentSchemas.create.keys({
+      email: Joi.string().email().max(254).required().messages({
+        'string.email': 'Email must be a valid email',
+        'string.max': 'Email cannot exceed 254 characters',
+        'any.required': 'Email is required'
+      })
+    }),
+    columns: {
+      email: ['email', 'emailaddress'],
+      fullName: ['fullname', 'name'],
+      status: ['status'],
+      employmentStatus: ['employmentstatus'],
+      batch: ['batch'],
+      university: ['university', 'universityinstitution', 'institution'],
+      major: ['major', 'programmajor', 'program'],
+      preferredIndustry: ['preferredindustry', 'industry'],
+      techStack: ['techstack', 'techstackskills', 'skills'],
+      selfIntroduction: ['selfintroduction', 'introduction'],
+      cvUpload: ['cvupload', 'cv'],
+      profilePhoto: ['profilephoto', 'photo'],
+      linkedin: ['linkedin'],
+      portfolioLink: ['portfoliolink', 'portfolio'],
+      phoneNumber: ['phonenumber', 'phone'],
+      isVisible: ['isvisible', 'visible']
+    },
+    toCreateRecord: (data) => studentService.transformStudentDataForDB(data),
+    toUpdateRecord: (data) => studentService.transformStudentDataForDBPartial(data),
+    clearCache: () => responseCache.clearEmploymentStatusCache('Student import')
+  },
+  companies: {
+    table: 'companies',
+    resourceType: 'company',
+    emailField: 'emailAddress',
+    schema: companySchemas.create,
+    columns: {
+      emailAddress: ['emailaddress', 'email', 'accountemail'],
+      companyName: ['companyname', 'name'],
+      companySummary: ['companysummary', 'companysummarydescription', 'summary', 'description'],
+      industry: ['industry', 'industrysector'],
+      website: ['website', 'companywebsite', 'companywebsitelink'],
+      logo: ['logo', 'companylogo'],
+      techRoles: ['techroles', 'techrolesinterest'],
+      preferredSkillsets: ['preferredskillsets', 'skillsets', 'skills'],
+      contactPerson: ['contactperson', 'contactpersonname'],
+      contactEmail: ['contactemail', 'contactemailaddress'],
+      contactPhone: ['contactphone', 'contactphonenumber'],
+      contactInfoVisible: ['contactinfovisible', 'visiblecontactinfo'],
+      isVisible: ['isvisible', 'visible']
+    },
+    toCreateRecord: (data) => companyService.transformCompanyDataForDB(data),
+    toUpdateRecord: (data) => companyService.transformCompanyDataForDBPartial(data),
+    clearCache: () => responseCache.clearByTable('companies')
+  }
+};
+
+const BOOLEAN_FIELDS = ['isVisible', 'contactInfoVisible'];
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Yes/No style spreadsheet values to booleans; anything else is left for
+ * Joi to reject
+ */
+const parseBoolean = (value) => {
+  const text = value.toLowerCase();
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  return value;
+};
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+class ImportService {
+  /**
+   * Validate an uploaded spreadsheet and, unless it is a dry run, upsert its
+   * rows. A real import only runs when every row is valid; otherwise the
+   * preview is returned with `imported: false` and nothing is written.
+   * @param {'students'|'companies'} entity
+   * @param {Object} file - Multer file (buffer, originalname, mimetype)
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Only validate and preview
+   * @param {Object} req - Request of the importing admin
+   * @returns {Promise<Object>} Preview or import result with per-row outcomes
+   */
+  async importFile(entity, file, { dryRun = false } = {}, req) {
+    const config = ENTITIES[entity];
+    const format = this.detectFormat(file);
+    const { headers, rows } = await this.readSpreadsheet(file.buffer, format);
+
+    if (rows.length === 0) {
+      throw new HttpError(400, 'The file has no data rows');
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new HttpError(400, `Import files are limited to ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    const columns = this.mapColumns(headers, config);
+    const missing = this.getRequiredFields(config.schema).filter(field => !Object.values(columns.mapped).includes(field));
+
+    if (missing.length > 0) {
+      throw new HttpError(400, `Missing required columns: ${missing.join(', ')}`);
+    }
+
+    await skillTaxonomyService.ensureLoaded();
+
+    const results = this.validateRows(rows, columns, config);
+    await this.matchExistingProfiles(results, config);
+
+    const preview = {
+      entity,
+      fileName: file.originalname,
+      format,
+      dryRun,
+      columns: {
+        mapped: columns.mapped,
+        ignored: columns.ignored
+      },
+      summary: this.summarize(results),
+      rows: results.map(result => this.transformRowResult(result))
+    };
+
+    if (dryRun || preview.summary.invalid > 0) {
+      return { ...preview, imported: false };
+    }
+
+    return this.runImport(entity, config, results, preview, req);
+  }
+
+  /**
+   * CSV or XLSX, from the file extension, falling back to the MIME type
+   */
+  detectFormat(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+
+    if (extension === '.xlsx') return 'xlsx';
+    if (extension === '.csv') return 'csv';
+    if (file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') return 'xlsx';
+    if (['text/csv', 'application/csv'].includes(file.mimetype)) return 'csv';
+
+    throw new HttpError(400, 'Unsupported file format. Upload a .csv or .xlsx file');
+  }
+
+  /**
+   * Read the first worksheet. The first row holds the headers; values are
+   * read as the text shown in the cell, and empty rows are skipped.
+   * @returns {Promise<{headers: Array<string>, rows: Array<{rowNumber:number, cells:Array<string>}>}>}
+   */
+  async readSpreadsheet(buffer, format) {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+
+    try {
+      if (format === 'xlsx') {
+        await workbook.xlsx.load(buffer);
+        worksheet = workbook.worksheets[0];
+      } else {
+        // Drop the byte order mark Excel adds and detect ';' separated files
+        // saved by locales that use a decimal comma
+        const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+        const firstLine = text.slice(0, text.search(/\r?\n|$/));
+        const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+        worksheet = await workbook.csv.read(Readable.from([text]), {
+          // Keep every value as text so phone numbers keep their leading zero
+          map: value => value,
+          parserOptions: { delimiter }
+        });
+      }
+    } catch (error) {
+      console.error('[ERROR] ImportService.readSpreadsheet:', error.message);
+      throw new HttpError(400, `Could not read the ${format.toUpperCase()} file`);
+    }
+
+    if (!worksheet || worksheet.rowCount === 0) {
+      return { headers: [], rows: [] };
+    }
+
+    const headerRow = worksheet.getRow(1);
+    const headers = [];
+    for (let column = 1; column <= headerRow.cellCount; column++) {
+      headers.push(headerRow.getCell(column).text.trim());
+    }
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+
+      const cells = headers.map((header, index) => row.getCell(index + 1).text.trim());
+      if (cells.some(cell => cell !== '')) {
+        rows.push({ rowNumber, cells });
+      }
+    });
+
+    return { headers, rows };
+  }
+
+  /**
+   * Match spreadsheet headers to fields. The first column wins when several
+   * map to the same field; unmatched columns are reported and ignored.
+   * @returns {{mapped: Object<string,string>, ignored: Array<string>, byIndex: Array<string|null>}}
+   */
+  mapColumns(headers, config) {
+    const aliases = {};
+    Object.entries(config.columns).forEach(([field, names]) => {
+      names.forEach(name => {
+        if (!aliases[name]) aliases[name] = field;
+      });
+    });
+
+    const mapped = {};
+    const ignored = [];
+    const used = new Set();
+
+    const byIndex = headers.map(header => {
+      const field = aliases[normalizeHeader(header)];
+
+      if (!header || !field || used.has(field)) {
+        if (header) ignored.push(header);
+        return null;
+      }
+
+      used.add(field);
+      mapped[header] = field;
+      return field;
+    });
+
+    return { mapped, ignored, byIndex };
+  }
+
+  getRequiredFields(schema) {
+    const { keys } = schema.describe();
+    return Object.keys(keys).filter(key => keys[key].flags?.presence === 'required');
+  }
+
+  /**
+   * Build and validate each row. Empty cells are left out so optional fields
+   * may be blank; an email that appears twice fails the later row.
+   */
+  validateRows(rows, columns, config) {
+    const seenEmails = new Map();
+
+    return rows.map(({ rowNumber, cells }) => {
+      const data = {};
+      cells.forEach((cell, index) => {
+        const field = columns.byIndex[index];
+        if (!field || cell === '') return;
+        data[field] = BOOLEAN_FIELDS.includes(field) ? parseBoolean(cell) : cell;
+      });
+
+      if (typeof data[config.emailField] === 'string') {
+        data[config.emailField] = data[config.emailField].toLowerCase();
+      }
+
+      const { error, value } = config.schema.validate(data, { abortEarly: false });
+      const errors = error ? error.details.map(detail => detail.message) : [];
+      const email = data[config.emailField] || null;
+
+      if (email && seenEmails.has(email)) {
+        errors.push(`Duplicate email, already used on row ${seenEmails.get(email)}`);
+      } else if (email) {
+        seenEmails.set(email, rowNumber);
+      }
+
+      return { rowNumber, email, data, value, errors, action: null, id: null };
+    });
+  }
+
+  /**
+   * Look up existing profiles by email and decide per valid row whether it
+   * creates or updates a profile
+   */
+  async matchExistingProfiles(results, config) {
+    const emails = [...new Set(results.filter(result => result.email).map(result => result.email))];
+    const profilesByEmail = new Map();
+
+    for (const batch of chunk(emails, LOOKUP_BATCH_SIZE)) {
+      // ilike for a case-insensitive match; '_' and '%' may over-match, so the
+      // exact comparison happens below
+      const { data, error } = await supabase
+        .from(config.table)
+        .select('id, email_address')
+        .or(batch.map(email => `email_address.ilike.${quoteFilterValue(email)}`).join(','));
+
+      if (error) {
+        console.error('[ERROR] ImportService.matchExistingProfiles:', error.message);
+        throw new Error(`Failed to look up existing ${config.table}`);
+      }
+
+      data.forEach(profile => {
+        const email = String(profile.email_address || '').toLowerCase();
+        if (!batch.includes(email)) return;
+        profilesByEmail.set(email, [...(profilesByEmail.get(email) || []), profile.id]);
+      });
+    }
+
+    results.forEach(result => {
+      if (result.errors.length > 0) {
+        result.action = 'error';
+        return;
+      }
+
+      const ids = profilesByEmail.get(result.email) || [];
+
+      if (ids.length > 1) {
+        result.action = 'error';
+        result.errors.push(`${ids.length} existing profiles share this email; merge them before importing`);
+      } else if (ids.length === 1) {
+        result.action = 'update';
+        result.id = ids[0];
+      } else {
+        result.action = 'create';
+      }
+    });
+  }
+
+  /**
+   * Write the validated rows, tracking progress in migration_progress and
+   * each row in migration_log
+   */
+  async runImport(entity, config, results, preview, req) {
+    const currentUser = req.user;
+    const counts = { total: results.length, processed: 0, created: 0, updated: 0, failed: 0 };
+    const baseDetails = {
+      entity,
+      fileName: preview.fileName,
+      format: preview.format,
+      importedBy: currentUser.id,
+      importedByEmail: currentUser.email
+    };
+
+    const progress = await this.startProgress(entity, { ...baseDetails, ...counts });
+
+    try {
+      for (const batch of chunk(results, WRITE_BATCH_SIZE)) {
+        await this.createProfiles(batch.filter(result => result.action === 'create'), config);
+        await this.updateProfiles(batch.filter(result => result.action === 'update'), config);
+
+        batch.forEach(result => {
+          counts.processed++;
+          if (result.errors.length > 0) counts.failed++;
+          else if (result.action === 'create') counts.created++;
+          else counts.updated++;
+        });
+
+        await this.logRows(batch, progress.id, preview.fileName);
+        await this.updateProgress(progress.id, { details: { ...baseDetails, ...counts } });
+      }
+
+      await this.updateProgress(progress.id, {
+        status: counts.failed > 0 ? 'completed_with_errors' : 'completed',
+        completed_at: new Date().toISOString(),
+        details: { ...baseDetails, ...counts }
+      });
+
+      config.clearCache();
+
+      await logService.logImport({
+        userId: currentUser.id,
+        userEmail: currentUser.email,
+        resourceType: config.resourceType,
+        details: { importId: progress.id, ...baseDetails, ...counts },
+        request: req,
+        routePath: req.path
+      });
+
+      return {
+        ...preview,
+        imported: true,
+        importId: progress.id,
+        summary: { ...preview.summary, ...counts },
+        rows: results.map(result => this.transformRowResult(result))
+      };
+    } catch (error) {
+      await this.updateProgress(progress.id, {
+        status: 'failed',
+        completed_at: new Date().toISOString(),
+        details: { ...baseDetails, ...counts, error: error.message }
+      });
+
+      // Rows written before the failure are live
+      if (counts.created + counts.updated > 0) {
+        config.clearCache();
+      }
+
+      await logService.logImport({
+        userId: currentUser.id,
+        userEmail: currentUser.email,
+        resourceType: config.resourceType,
+        details: { importId: progress.id, ...baseDetails, ...counts },
+        request: req,
+        routePath: req.path,
+        success: false,
+        errorMessage: error.message
+      });
+
+      console.error('[ERROR] ImportService.runImport:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Insert new profiles in one statement; when that fails, retry row by row
+   * so one bad row does not fail the others
+   */
+  async createProfiles(results, config) {
+    if (results.length === 0) return;
+
+    const now = new Date().toISOString();
+    const records = results.map(result => {
+      result.id = crypto.randomUUID();
+      return { ...config.toCreateRecord({ ...result.value, id: result.id }), timestamp: now };
+    });
+
+    const { error } = await supabase.from(config.table).insert(records);
+    if (!error) return;
+
+    console.warn(`[WARN] ImportService.createProfiles: batch insert failed, retrying per row: ${error.message}`);
+
+    for (const [index, result] of results.entries()) {
+      const { error: rowError } = await supabase.from(config.table).insert([records[index]]);
+      if (rowError) {
+        result.errors.push(`Failed to create profile: ${rowError.message}`);
+        result.id = null;
+      }
+    }
+  }
+
+  /**
+   * Update matched profiles with the columns present in the row only, so
+   * blank cells and schema defaults do not overwrite existing values
+   */
+  async updateProfiles(results, config) {
+    for (const result of results) {
+      const changes = {};
+      Object.keys(result.data).forEach(field => {
+        changes[field] = result.value[field];
+      });
+
+      const { error } = await supabase
+        .from(config.table)
+        .update(config.toUpdateRecord(changes))
+        .eq('id', result.id);
+
+      if (error) {
+        result.errors.push(`Failed to update profile: ${error.message}`);
+      }
+    }
+  }
+
+  async logRows(results, progressId, fileName) {
+    const completedAt = new Date().toISOString();
+
+    const { error } = await supabase
+      .from('migration_log')
+      .insert(results.map(result => ({
+        migration_type: `import_${result.action}`,
+        source_table: fileName,
+        source_id: result.rowNumber,
+        target_user_id: result.id,
+        status: result.errors.length > 0 ? 'failed' : 'completed',
+        error_message: result.errors.length > 0 ? result.errors.join('; ') : null,
+        completed_at: completedAt,
+        progress_id: progressId
+      })));
+
+    if (error) {
+      // The rows are written; a missing log entry should not fail the import
+      console.error('[ERROR] ImportService.logRows:', error.message);
+    }
+  }
+
+  async startProgress(entity, details) {
+    const { data, error } = await supabase
+      .from('migration_progress')
+      .insert([{
+        step_name: `${STEP_PREFIX}${entity}`,
+        status: 'running',
+        details
+      }])
+      .select(PROGRESS_FIELDS)
+      .single();
+
+    if (error) {
+      console.error('[ERROR] ImportService.startProgress:', error.message);
+      throw new Error('Failed to start import');
+    }
+
+    return data;
+  }
+
+  async updateProgress(id, changes) {
+    const { error } = await supabase
+      .from('migration_progress')
+      .update(changes)
+      .eq('id', id);
+
+    if (error) {
+      console.error('[ERROR] ImportService.updateProgress:', error.message);
+    }
+  }
+
+  /**
+   * List imports, newest first
+   * @param {Object} filters - entity, status, page, limit
+   */
+  async getImports(filters = {}) {
+    try {
+      const page = parseInt(filters.page) || 1;
+      const limit = parseInt(filters.limit) || 20;
+      const offset = (page - 1) * limit;
+
+      let query = supabase
+        .from('migration_progress')
+        .select(PROGRESS_FIELDS, { count: 'exact' });
+
+      query = filters.entity
+        ? query.eq('step_name', `${STEP_PREFIX}${filters.entity}`)
+        : query.like('step_name', `${STEP_PREFIX}%`);
+
+      if (filters.status) {
+        query = query.eq('status', filters.status);
+      }
+
+      const { data, error, count } = await query
+        .order('started_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        console.error('[ERROR] Failed to fetch imports:', error.message);
+        throw new Error('Failed to fetch imports');
+      }
+
+      return {
+        imports: data.map(progress => this.transformImportData(progress)),
+        pagination: {
+          page,
+          limit,
+          total: count || 0,
+          totalPages: Math.ceil((count || 0) / limit)
+        }
+      };
+    } catch (error) {
+      console.error('[ERROR] ImportService.getImports:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an import with its failed rows
+   * @returns {Promise<Object|null>} Null when there is no such import
+   */
+  async getImportById(id) {
+    try {
+      const { data, error } = await supabase
+        .from('migration_progress')
+        .select(PROGRESS_FIELDS)
+        .eq('id', id)
+        .like('step_name', `${STEP_PREFIX}%`)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null;
+        }
+        console.error('[ERROR] Failed to fetch import:', error.message);
+        throw new Error('Failed to fetch import');
+      }
+
+      const { data: failedRows, error: rowsError } = await supabase
+        .from('migration_log')
+        .select('source_id, target_user_id, error_message')
+        .eq('progress_id', id)
+        .eq('status', 'failed')
+        .order('source_id', { ascending: true });
+
+      if (rowsError) {
+        console.error('[ERROR] Failed to fetch import rows:', rowsError.message);
+        throw new Error('Failed to fetch import');
+      }
+
+      return {
+        ...this.transformImportData(data),
+        failedRows: failedRows.map(row => ({
+          row: row.source_id,
+          id: row.target_user_id,
+          error: row.error_message
+        }))
+      };
+    } catch (error) {
+      console.error('[ERROR] ImportService.getImportById:', error.message);
+      throw error;
+    }
+  }
+
+  summarize(results) {
+    const summary = { total: results.length, valid: 0, invalid: 0, create: 0, update: 0 };
+
+    results.forEach(result => {
+      if (result.action === 'error') {
+        summary.invalid++;
+      } else {
+        summary.valid++;
+        summary[result.action]++;
+      }
+    });
+
+    return summary;
+  }
+
+  transformRowResult(result) {
+    return {
+      row: result.rowNumber,
+      email: result.email,
+      action: result.action,
+      id: result.id,
+      ...(result.errors.length > 0 && { errors: result.errors })
+    };
+  }
+
+  transformImportData(progress) {
+    const { entity, ...details } = progress.details || {};
+
+    return {
+      id: progress.id,
+      entity: entity || progress.step_name.slice(STEP_PREFIX.length),
+      status: progress.status,
+      startedAt: progress.started_at,
+      completedAt: progress.completed_at,
+      ...details
+    };
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const { supabase } = require('../db');
+const notificationService = require('./notificationService');
+const { HttpError } = require('../middlewares/error-handler');
+
+const INVITE_FIELDS = `
+  id,
+  email,
+  role,
+  created_by,
+  expires_at,
+  used_at,
+  used_by,
+  revoked_at,
+  revoked_by,
+  created_at
+`;
+
+const DEFAULT_EXPIRY_HOURS = 72;
+
+/**
+ * Invite Service
+ * Single-use, expiring registration invites issued by admins.
+ * Only a SHA-256 hash of each token is stored; the raw token is returned
+ * once when the invite is created.
+ */
+class InviteService {
+  /**
+   * Create an invite and, when an email is given, send it to that address
+   * @returns {Promise<Object>} Invite including the raw token and registration URL
+   */
+  async createInvite(inviteData, req) {
+    const currentUser = req.user;
+    const authService = require('./authService');
+
+    try {
+      const token = crypto.randomBytes(32).toString('base64url');
+      const hours = parseInt(inviteData.expiresInHours) || DEFAULT_EXPIRY_HOURS;
+      const email = inviteData.email ? inviteData.email.trim().toLowerCase() : null;
+
+      const { data, error } = await supabase
+        .from('invites')
+        .insert([{
+          token_hash: this.hashToken(token),
+          email,
+          role: inviteData.role || 'admin',
+          created_by: currentUser.id,
+          expires_at: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString()
+        }])
+        .select(INVITE_FIELDS)
+        .single();
+
+      if (error) {
+        console.error('[ERROR] Failed to create invite:', error.message);
+        throw new Error(`Failed to create invite: ${error.message}`);
+      }
+
+      await authService.logAuditEvent({
+        userId: currentUser.id,
+        action: 'invite_create',
+        ipAddress: req.ip || null,
+        userAgent: req.headers['user-agent'] || null,
+        metadata: { inviteId: data.id, role: data.role, email, expiresAt: data.expires_at }
+      });
+
+      const inviteUrl = this.buildInviteUrl(token);
+
+      if (email) {
+        notificationService.send('invitation', email, { role: data.role, inviteUrl, expiresAt: data.expires_at });
+      }
+
+      return {
+        ...this.transformInviteData(data),
+        token,
+        inviteUrl
+      };
+    } catch (error) {
+      await authService.logAuditEvent({
+        userId: currentUser?.id,
+        action: 'invite_create',
+        success: false,
+        ipAddress: req.ip || null,
+        userAgent: req.headers['user-agent'] || null,
+        errorMessage: error.message,
+        metadata: { role: inviteData.role, email: inviteData.email }
+      });
+
+      console.error('[ERROR] InviteService.createInvite:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List invites, newest first, optionally by status
+   */
+  async getInvites(filters = {}) {
+    try {
+      let query = supabase
+        .from('invites')
+        .select(INVITE_FIELDS, { count: 'exact' });
+
+      const now = new Date().toISOString();
+
+      switch (filters.status) {
+        case 'pending':
+          query = query.is('used_at', null).is('revoked_at', null).gt('expires_at', now);
+          break;
+        case 'used':
+          query = query.not('used_at', 'is', null);
+          break;
+        case 'revoked':
+          query = query.not('revoked_at', 'is', null);
+          break;
+        case 'expired':
+          query = query.is('used_at', null).is('revoked_at', null).lte('expires_at', now);
+          break;
+      }
+
+      if (filters.role) {
+        query = query.eq('role', filters.role);
+      }
+
+      const page = parseInt(filters.page) || 1;
+      const limit = parseInt(filters.limit) || 20;
+      const offset = (page - 1) * limit;
+
+      const { data, error, count } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        console.error('[ERROR] Failed to fetch invites:', error.message);
+        throw new Error('Failed to fetch invites');
+      }
+
+      return {
+        invites: data.map(invite => this.transformInviteData(invite)),
+        pagination: {
+          page,
+          limit,
+          total: count || 0,
+          totalPages: Math.ceil((count || 0) / limit)
+        }
+      };
+    } catch (error) {
+      console.error('[ERROR] InviteService.getInvites:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an unused invite
+   * @returns {Promise<Object|null>} Revoked invite, or null when not found
+   */
+  async revokeInvite(id, req) {
+    const currentUser = req.user;
+    const authService = require('./authService');
+
+    try {
+      const { data: invite, error: fetchError } = await supabase
+        .from('invites')
+        .select(INVITE_FIELDS)
+        .eq('id', id)
+        .single();
+
+      if (fetchError) {
+        if (fetchError.code === 'PGRST116') {
+          return null; // Invite not found
+        }
+        console.error('[ERROR] Failed to fetch invite:', fetchError.message);
+        throw new Error('Failed to fetch invite');
+      }
+
+      if (invite.used_at) {
+        throw new HttpError(409, 'Invite has already been used');
+      }
+
+      if (invite.revoked_at) {
+        throw new HttpError(409, 'Invite has already been revoked');
+      }
+
+      const { data, error } = await supabase
+        .from('invites')
+        .update({
+          revoked_at: new Date().toISOString(),
+          revoked_by: currentUser.id
+        })
+        .eq('id', id)
+        .is('used_at', null) // Guard against the invite being used concurrently
+        .select(INVITE_FIELDS)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          throw new HttpError(409, 'Invite has already been used');
+        }
+        console.error('[ERROR] Failed to revoke invite:', error.message);
+        throw new Error(`Failed to revoke invite: ${error.message}`);
+      }
+
+      await authService.logAuditEvent({
+        userId: currentUser.id,
+        action: 'invite_revoke',
+        ipAddress: req.ip || null,
+        userAgent: req.headers['user-agent'] || null,
+        metadata: { inviteId: id, role: data.role, email: data.email }
+      });
+
+      return this.transformInviteData(data);
+    } catch (error) {
+      console.error('[ERROR] InviteService.revokeInvite:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim an invite for a registration. The invite is marked used up front so
+   * two registrations cannot share one token; call completeInvite once the
+   * account exists, and releaseInvite if sign-up fails before that.
+   * @throws {HttpError} 400 when the token is unknown, used, revoked, expired,
+   *   or issued for a different email or role
+   */
+  async claimInvite(token, email, role) {
+    const { data: invite, error } = await supabase
+      .from('invites')
+      .select(INVITE_FIELDS)
+      .eq('token_hash', this.hashToken(token))
+      .maybeSingle();
+
+    if (error) {
+      console.error('[ERROR] Failed to fetch invite:', error.message);
+      throw new Error('Failed to verify invite');
+    }
+
+    if (!invite || invite.used_at || invite.revoked_at || new Date(invite.expires_at) <= new Date()) {
+      throw new HttpError(400, 'Invite is invalid or has expired');
+    }
+
+    if (invite.email && invite.email !== email.trim().toLowerCase()) {
+      throw new HttpError(400, 'Invite was issued for a different email address');
+    }
+
+    if (role && invite.role !== role) {
+      throw new HttpError(400, `Invite is for a ${invite.role} account`);
+    }
+
+    const { data: claimed, error: claimError } = await supabase
+      .from('invites')
+      .update({ used_at: new Date().toISOString() })
+      .eq('id', invite.id)
+      .is('used_at', null)
+      .is('revoked_at', null)
+      .select(INVITE_FIELDS)
+      .maybeSingle();
+
+    if (claimError) {
+      console.error('[ERROR] Failed to claim invite:', claimError.message);
+      throw new Error('Failed to verify invite');
+    }
+
+    if (!claimed) {
+      throw new HttpError(400, 'Invite is invalid or has expired');
+    }
+
+    return claimed;
+  }
+
+  async completeInvite(inviteId, userId) {
+    const { error } = await supabase
+      .from('invites')
+      .update({ used_by: userId })
+      .eq('id', inviteId);
+
+    if (error) {
+      console.error('[ERROR] Failed to record invite use:', error.message);
+      throw new Error('Failed to record invite use');
+    }
+  }
+
+  async releaseInvite(inviteId) {
+    const { error } = await supabase
+      .from('invites')
+      .update({ used_at: null })
+      .eq('id', inviteId)
+      .is('used_by', null);
+
+    if (error) {
+      console.error('[ERROR] Failed to release invite:', error.message);
+    }
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  buildInviteUrl(token) {
+    const frontendUrl = process.env.ALLOWED_ORIGINS?.split(',')[1]?.trim() || 'http://localhost:5173';
+    return `${frontendUrl}/register?invite=${token}`;
+  }
+
+  getStatus(invite) {
+    if (invite.used_at) return 'used';
+    if (invite.revoked_at) return 'revoked';
+    if (new Date(invite.expires_at) <= new Date()) return 'expired';
+    return 'pending';
+  }
+
+  transformInviteData(invite) {
+    return {
+      id: invite.id,
+      email: invite.email,
+      role: invite.role,
+      status: this.getStatus(invite),
+      createdBy: invite.created_by,
+      expiresAt: invite.expires_at,
+      usedAt: invite.used_at,
+      usedBy: invite.used_by,
+      revokedAt: invite.revoked_at,
+      revokedBy: invite.revoked_by,
+      createdAt: invite.created_at
+    };
+  }
+}
+
+module.exports = new InviteService();
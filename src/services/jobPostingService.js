@@ -0,0 +1,511 @@
+const { supabase } = require('../db');
+const { responseCache } = require('./responseCacheService');
+const logService = require('./logService');
+const companyService = require('./companyService');
+const { userHasPermission } = require('../config/roles');
+
+const JOB_POSTING_FIELDS = `
+  id,
+  company_id,
+  title,
+  description,
+  required_skills,
+  location,
+  remote_mode,
+  employment_type,
+  status,
+  application_deadline,
+  start_date,
+  created_at,
+  updated_at,
+  companies!inner (
+    company_name,
+    company_logo,
+    industry_sector,
+    is_visible
+  )
+`;
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+class JobPostingService {
+  /**
+   * List job postings across all companies.
+   * Non-admin viewers only see open postings from visible companies whose
+   * application deadline has not passed.
+   */
+  async getAllJobs(filters = {}, currentUser = null) {
+    try {
+      const isAdmin = currentUser && currentUser.role === 'admin';
+
+      // Visibility differs per role, so the role is part of the cache key
+      const cacheKey = 'getAllJobs';
+      const cacheParams = { ...filters, viewerRole: isAdmin ? 'admin' : 'public' };
+      const cachedResponse = responseCache.getAPIResponse(cacheKey, cacheParams);
+
+      if (cachedResponse) {
+        return cachedResponse.data;
+      }
+
+      let query = supabase
+        .from('job_postings')
+        .select(JOB_POSTING_FIELDS, { count: 'exact' });
+
+      if (isAdmin) {
+        if (filters.status) {
+          query = query.eq('status', filters.status);
+        }
+      } else {
+        query = query
+          .eq('status', 'open')
+          .eq('companies.is_visible', true)
+          .or(`application_deadline.is.null,application_deadline.gte.${new Date().toISOString()}`);
+      }
+
+      query = this.applyFilters(query, filters);
+
+      if (filters.companyId) {
+        query = query.eq('company_id', filters.companyId);
+      }
+
+      return await this.paginate(query, filters, cacheKey, cacheParams);
+    } catch (error) {
+      console.error('[ERROR] JobPostingService.getAllJobs:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List job postings for a single company.
+   * The owning company and admins see drafts and closed postings too.
+   */
+  async getCompanyJobs(companyId, filters = {}, currentUser = null) {
+    try {
+      const canUpdate = this.canUpdate(companyId, currentUser);
+
+      const cacheKey = 'getCompanyJobs';
+      const cacheParams = { ...filters, companyId, viewerRole: canUpdate ? 'owner' : 'public' };
+      const cachedResponse = responseCache.getAPIResponse(cacheKey, cacheParams);
+
+      if (cachedResponse) {
+        return cachedResponse.data;
+      }
+
+      let query = supabase
+        .from('job_postings')
+        .select(JOB_POSTING_FIELDS, { count: 'exact' })
+        .eq('company_id', companyId);
+
+      if (canUpdate) {
+        if (filters.status) {
+          query = query.eq('status', filters.status);
+        }
+      } else {
+        query = query
+          .eq('status', 'open')
+          .eq('companies.is_visible', true)
+          .or(`application_deadline.is.null,application_deadline.gte.${new Date().toISOString()}`);
+      }
+
+      query = this.applyFilters(query, filters);
+
+      return await this.paginate(query, filters, cacheKey, cacheParams);
+    } catch (error) {
+      console.error('[ERROR] JobPostingService.getCompanyJobs:', error.message);
+      throw error;
+    }
+  }
+
+  async getJobById(id, currentUser = null) {
+    try {
+      const cacheKey = 'getJobById';
+      const cachedResponse = responseCache.getAPIResponse(cacheKey, { id });
+
+      let data = cachedResponse ? cachedResponse.data : null;
+
+      if (!data) {
+        const { data: row, error } = await supabase
+          .from('job_postings')
+          .select(JOB_POSTING_FIELDS)
+          .eq('id', id)
+          .single();
+
+        if (error) {
+          if (error.code === 'PGRST116') {
+            return null; // Job posting not found
+          }
+          console.error('[ERROR] Failed to fetch job posting:', error.message);
+          throw new Error('Failed to fetch job posting');
+        }
+
+        data = row;
+
+        // Cache the raw row - visibility is decided per viewer below
+        responseCache.setAPIResponse(cacheKey, { id }, data);
+      }
+
+      if (!this.canUpdate(data.company_id, currentUser) && !this.isPubliclyVisible(data)) {
+        return null; // Hide drafts, closed and hidden-company postings from other users
+      }
+
+      return this.transformJobData(data);
+    } catch (error) {
+      console.error('[ERROR] JobPostingService.getJobById:', error.message);
+      throw error;
+    }
+  }
+
+  async createJob(companyId, jobData, req = null) {
+    try {
+      const dbData = this.transformJobDataForDB(jobData);
+      dbData.company_id = companyId;
+      dbData.status = dbData.status || 'draft';
+
+      const { data, error } = await supabase
+        .from('job_postings')
+        .insert([dbData])
+        .select(JOB_POSTING_FIELDS)
+        .single();
+
+      if (error) {
+        console.error('[ERROR] Failed to create job posting:', error.message);
+        throw new Error(`Failed to create job posting: ${error.message}`);
+      }
+
+      // Log successful CREATE operation
+      if (req) {
+        await logService.logCreate({
+          userId: req.user?.id,
+          userEmail: req.user?.email,
+          resourceType: 'job_posting',
+          resourceId: data.id,
+          newValues: this.stripJoins(data),
+          request: req,
+          routePath: req.path
+        });
+      }
+
+      // Clear cache to ensure the new posting appears immediately
+      responseCache.clearByTable('jobs');
+
+      return this.transformJobData(data);
+    } catch (error) {
+      // Log failed CREATE operation
+      if (req) {
+        await logService.logError({
+          userId: req.user?.id,
+          userEmail: req.user?.email,
+          resourceType: 'job_posting',
+          resourceId: null,
+          operation: 'CREATE',
+          errorMessage: error.message,
+          request: req,
+          routePath: req.path,
+          newValues: jobData
+        });
+      }
+
+      console.error('[ERROR] JobPostingService.createJob:', error.message);
+      throw error;
+    }
+  }
+
+  async patchJob(id, patchData, req = null) {
+    try {
+      const dbData = this.transformJobDataForDB(patchData);
+
+      if (Object.keys(dbData).length === 0) {
+        throw new Error('No valid fields provided for partial update');
+      }
+
+      dbData.updated_at = new Date().toISOString();
+
+      // Get old values for logging
+      const { data: oldData } = await supabase
+        .from('job_postings')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      const { data, error } = await supabase
+        .from('job_postings')
+        .update(dbData)
+        .eq('id', id)
+        .select(JOB_POSTING_FIELDS)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // Job posting not found
+        }
+        console.error('[ERROR] Failed to patch job posting:', error.message);
+        throw new Error(`Failed to patch job posting: ${error.message}`);
+      }
+
+      // Log successful UPDATE operation
+      if (req && oldData) {
+        await logService.logUpdate({
+          userId: req.user?.id,
+          userEmail: req.user?.email,
+          resourceType: 'job_posting',
+          resourceId: data.id,
+          oldValues: oldData,
+          newValues: this.stripJoins(data),
+          request: req,
+          routePath: req.path
+        });
+      }
+
+      // Clear cache to ensure the patched posting appears immediately
+      responseCache.clearByTable('jobs', id);
+
+      return this.transformJobData(data);
+    } catch (error) {
+      // Log failed UPDATE operation
+      if (req) {
+        await logService.logError({
+          userId: req.user?.id,
+          userEmail: req.user?.email,
+          resourceType: 'job_posting',
+          resourceId: typeof id === 'string' && UUID_REGEX.test(id) ? id : null,
+          operation: 'UPDATE',
+          errorMessage: error.message,
+          request: req,
+          routePath: req.path,
+          newValues: patchData
+        });
+      }
+
+      console.error('[ERROR] JobPostingService.patchJob:', error.message);
+      throw error;
+    }
+  }
+
+  async deleteJob(id, req = null) {
+    try {
+      // Get old values for logging before deletion
+      const { data: oldData } = await supabase
+        .from('job_postings')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      const { data, error } = await supabase
+        .from('job_postings')
+        .delete()
+        .eq('id', id)
+        .select('id, title')
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // Job posting not found
+        }
+        console.error('[ERROR] Failed to delete job posting:', error.message);
+        throw new Error(`Failed to delete job posting: ${error.message}`);
+      }
+
+      // Log successful DELETE operation
+      if (req && oldData) {
+        await logService.logDelete({
+          userId: req.user?.id,
+          userEmail: req.user?.email,
+          resourceType: 'job_posting',
+          resourceId: oldData.id,
+          oldValues: oldData,
+          request: req,
+          routePath: req.path
+        });
+      }
+
+      // Clear cache to ensure the deleted posting is removed immediately
+      responseCache.clearByTable('jobs', id);
+
+      return {
+        id: data.id,
+        title: data.title,
+        message: 'Job posting deleted successfully'
+      };
+    } catch (error) {
+      // Log failed DELETE operation
+      if (req) {
+        await logService.logError({
+          userId: req.user?.id,
+          userEmail: req.user?.email,
+          resourceType: 'job_posting',
+          resourceId: typeof id === 'string' && UUID_REGEX.test(id) ? id : null,
+          operation: 'DELETE',
+          errorMessage: error.message,
+          request: req,
+          routePath: req.path,
+          newValues: null
+        });
+      }
+
+      console.error('[ERROR] JobPostingService.deleteJob:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply the list filters shared by the global and per-company listings
+   */
+  applyFilters(query, filters = {}) {
+    if (filters.q) {
+      query = query.or(`title.ilike.%${filters.q}%,description.ilike.%${filters.q}%`);
+    }
+
+    if (filters.skill) {
+      query = query.ilike('required_skills', `%${filters.skill}%`);
+    }
+
+    if (filters.location) {
+      query = query.ilike('location', `%${filters.location}%`);
+    }
+
+    if (filters.remoteMode) {
+      query = query.eq('remote_mode', filters.remoteMode);
+    }
+
+    if (filters.employmentType) {
+      query = query.eq('employment_type', filters.employmentType);
+    }
+
+    return query;
+  }
+
+  async paginate(query, filters, cacheKey, cacheParams) {
+    const page = parseInt(filters.page) || 1;
+    const limit = parseInt(filters.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    query = query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      console.error('[ERROR] Failed to fetch job postings:', error.message);
+      throw new Error('Failed to fetch job postings');
+    }
+
+    const response = {
+      jobs: data.map(job => this.transformJobData(job)),
+      pagination: {
+        page,
+        limit,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limit)
+      }
+    };
+
+    // Cache the response
+    responseCache.setAPIResponse(cacheKey, cacheParams, response);
+
+    return response;
+  }
+
+  /**
+   * Whether the user may update the company's postings ('jobs' 'update' in
+   * config/roles.js); they also see its drafts and closed postings
+   */
+  canUpdate(companyId, currentUser) {
+    return userHasPermission(currentUser, 'jobs', 'update', {
+      userId: currentUser?.id,
+      resourceUserId: companyId
+    });
+  }
+
+  /**
+   * Id of the company owning a posting, for requirePermission's ownerResolver
+   * @returns {Promise<string|null>} null when the posting does not exist
+   */
+  async getCompanyId(id) {
+    const { data, error } = await supabase
+      .from('job_postings')
+      .select('company_id')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      console.error('[ERROR] Failed to fetch job posting owner:', error.message);
+      throw new Error('Failed to fetch job posting');
+    }
+
+    return data.company_id;
+  }
+
+  isPubliclyVisible(job) {
+    if (job.status !== 'open') return false;
+    if (job.companies && job.companies.is_visible === false) return false;
+    if (job.application_deadline && new Date(job.application_deadline) < new Date()) return false;
+    return true;
+  }
+
+  // Remove joined relations before writing row snapshots to the audit log
+  stripJoins(job) {
+    const { companies, ...row } = job;
+    return row;
+  }
+
+  // Transform camelCase input to snake_case (only fields present in the payload)
+  transformJobDataForDB(jobData) {
+    const fieldMap = {
+      title: 'title',
+      description: 'description',
+      requiredSkills: 'required_skills',
+      location: 'location',
+      remoteMode: 'remote_mode',
+      employmentType: 'employment_type',
+      status: 'status',
+      applicationDeadline: 'application_deadline',
+      startDate: 'start_date'
+    };
+
+    const dbData = {};
+
+    Object.keys(fieldMap).forEach(key => {
+      if (jobData[key] !== undefined) {
+        dbData[fieldMap[key]] = jobData[key];
+      }
+    });
+
+    if (dbData.required_skills) {
+      dbData.required_skills = companyService.deduplicateCommaSeparated(dbData.required_skills);
+    }
+
+    return dbData;
+  }
+
+  transformJobData(job) {
+    const deadlinePassed = job.application_deadline
+      ? new Date(job.application_deadline) < new Date()
+      : false;
+
+    return {
+      id: job.id,
+      companyId: job.company_id,
+      companyName: job.companies?.company_name || null,
+      companyLogo: job.companies?.company_logo || null,
+      industry: job.companies?.industry_sector || null,
+      title: job.title,
+      description: job.description,
+      requiredSkills: job.required_skills,
+      location: job.location,
+      remoteMode: job.remote_mode,
+      employmentType: job.employment_type,
+      status: job.status,
+      applicationDeadline: job.application_deadline,
+      startDate: job.start_date,
+      isAcceptingApplications: job.status === 'open' && !deadlinePassed,
+      createdAt: job.created_at,
+      updatedAt: job.updated_at
+    };
+  }
+}
+
+module.exports = new JobPostingService();
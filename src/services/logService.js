@@ -14,7 +14,7 @@ const { v4: uuidv4 } = require('uuid');
 
 /**
  * CRUD Logging Service
- * Handles audit logging for all CREATE, UPDATE, and DELETE operations
+ * Handles audit logging for all CREATE, UPDATE, and DELETE operations and exports
  */
 class LogService {
   /**
@@ -84,6 +84,10 @@ class LogService {
     } else if (resourceType === 'company') {
       if (oldValues.company_name) deletedInfo.company_name = oldValues.company_name;
       if (oldValues.email_address) deletedInfo.email_address = oldValues.email_address;
+    } else if (resourceType === 'file') {
+      if (oldValues.original_name) deletedInfo.original_name = oldValues.original_name;
+      if (oldValues.user_id) deletedInfo.user_id = oldValues.user_id;
+      if (oldValues.scan_result) deletedInfo.scan_result = oldValues.scan_result;
     }
 
     return deletedInfo;
@@ -272,6 +276,110 @@ class LogService {
     }
   }
 
+  /**
+   * Log a spreadsheet export of a directory
+   * @param {Object} params - Log parameters
+   * @param {string} params.userId - User ID who exported
+   * @param {string} params.userEmail - User email
+   * @param {string} params.resourceType - Type of resource exported ('student', 'company')
+   * @param {Object} params.details - Format, filters and number of rows exported
+   * @param {Object} params.request - Express request object (for IP, user agent, etc.)
+   * @param {string} params.routePath - API route path
+   * @param {boolean} params.success - Whether the export completed
+   * @param {string} params.errorMessage - Why the export failed
+   */
+  async logExport({
+    userId,
+    userEmail,
+    resourceType,
+    details,
+    request,
+    routePath,
+    success = true,
+    errorMessage = null
+  }) {
+    try {
+      const logData = {
+        timestamp: new Date().toISOString(),
+        user_id: userId,
+        user_email: userEmail,
+        operation: 'EXPORT',
+        resource_type: resourceType,
+        resource_id: null,
+        old_values: null,
+        new_values: this.sanitizeData(details),
+        ip_address: this.extractIP(request),
+        request_id: request?.requestId || uuidv4(),
+        success,
+        error_message: errorMessage,
+        route_path: routePath,
+        user_agent: request?.headers?.['user-agent'] || null
+      };
+
+      const { error } = await supabaseClient
+        .from('crud_logs')
+        .insert([logData]);
+
+      if (error) {
+        console.error('[ERROR] LogService.logExport: Failed to insert log:', error.message);
+      }
+    } catch (error) {
+      console.error('[ERROR] LogService.logExport: Exception:', error.message);
+    }
+  }
+
+  /**
+   * Log a bulk spreadsheet import into a directory
+   * @param {Object} params - Log parameters
+   * @param {string} params.userId - User ID who imported
+   * @param {string} params.userEmail - User email
+   * @param {string} params.resourceType - Type of resource imported ('student', 'company')
+   * @param {Object} params.details - File, import ID and created/updated/failed row counts
+   * @param {Object} params.request - Express request object (for IP, user agent, etc.)
+   * @param {string} params.routePath - API route path
+   * @param {boolean} params.success - Whether the import completed
+   * @param {string} params.errorMessage - Why the import failed
+   */
+  async logImport({
+    userId,
+    userEmail,
+    resourceType,
+    details,
+    request,
+    routePath,
+    success = true,
+    errorMessage = null
+  }) {
+    try {
+      const logData = {
+        timestamp: new Date().toISOString(),
+        user_id: userId,
+        user_email: userEmail,
+        operation: 'IMPORT',
+        resource_type: resourceType,
+        resource_id: null,
+        old_values: null,
+        new_values: this.sanitizeData(details),
+        ip_address: this.extractIP(request),
+        request_id: request?.requestId || uuidv4(),
+        success,
+        error_message: errorMessage,
+        route_path: routePath,
+        user_agent: request?.headers?.['user-agent'] || null
+      };
+
+      const { error } = await supabaseClient
+        .from('crud_logs')
+        .insert([logData]);
+
+      if (error) {
+        console.error('[ERROR] LogService.logImport: Failed to insert log:', error.message);
+      }
+    } catch (error) {
+      console.error('[ERROR] LogService.logImport: Exception:', error.message);
+    }
+  }
+
   /**
    * Log a failed operation
    * @param {Object} params - Log parameters
@@ -0,0 +1,280 @@
+const { supabase } = require('../db');
+const { HttpError } = require('../middlewares/error-handler');
+
+/**
+ * Lockout policies. After `threshold` consecutive failures the key is locked
+ * for `baseLockMinutes`, doubling with every further failure up to
+ * `maxLockMinutes`. Failures older than the lookback are forgotten.
+ *
+ * IPs count wrong passwords and wrong 2FA codes alike.
+ * Accounts reset on a completed sign-in (`login` is only written once the
+ * second factor, if any, was given); IPs do not, so an attacker cannot
+ * clear their IP's record by signing in to an account of their own.
+ * Wrong 2FA codes at login are counted per account on their own: only a
+ * correct code resets them, so knowing the password does not.
+ */
+const POLICIES = {
+  account: {
+    threshold: 5,
+    baseLockMinutes: 15,
+    maxLockMinutes: 24 * 60,
+    lookbackHours: 24,
+    resetOnSuccess: true
+  },
+  twoFactor: {
+    threshold: 5,
+    baseLockMinutes: 15,
+    maxLockMinutes: 24 * 60,
+    lookbackHours: 24,
+    resetOnSuccess: true
+  },
+  ip: {
+    threshold: 20,
+    baseLockMinutes: 15,
+    maxLockMinutes: 60,
+    lookbackHours: 1,
+    resetOnSuccess: false
+  }
+};
+
+const MAX_EVENTS = 100;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Login Protection Service
+ * Progressive lockout for sign-in, per account (email) and per client IP.
+ * Lock state is derived from the `login` events that authService.signIn
+ * writes to auth_audit_logs and the `login_2fa` events of answered 2FA login
+ * challenges (twoFactorService), so it survives restarts and is shared by
+ * every instance. Admins clear a lock with a `login_unlock` event.
+ */
+class LoginProtectionService {
+  /**
+   * Lock state from audit events, newest first
+   * @returns {{locked:boolean, lockedUntil:string|null, failedAttempts:number, lastFailedAt:string|null}}
+   */
+  computeState(events, policy, now = Date.now()) {
+    let failedAttempts = 0;
+    let lastFailedAt = null;
+
+    for (const event of events) {
+      if (event.action === 'login_unlock') break;
+      if (event.success) {
+        if (policy.resetOnSuccess) break;
+        continue;
+      }
+
+      failedAttempts++;
+      lastFailedAt = lastFailedAt || event.created_at;
+    }
+
+    let lockedUntil = null;
+    if (failedAttempts >= policy.threshold) {
+      const lockMinutes = Math.min(
+        policy.baseLockMinutes * 2 ** (failedAttempts - policy.threshold),
+        policy.maxLockMinutes
+      );
+      lockedUntil = new Date(new Date(lastFailedAt).getTime() + lockMinutes * 60 * 1000);
+    }
+
+    const locked = !!lockedUntil && lockedUntil.getTime() > now;
+
+    return {
+      locked,
+      lockedUntil: locked ? lockedUntil.toISOString() : null,
+      failedAttempts,
+      lastFailedAt
+    };
+  }
+
+  since(policy) {
+    return new Date(Date.now() - policy.lookbackHours * 60 * 60 * 1000).toISOString();
+  }
+
+  /**
+   * Lock state of an account, by sign-in email
+   */
+  async getAccountStatus(email) {
+    return this.getEmailStatus(email, 'login', POLICIES.account);
+  }
+
+  /**
+   * Lock state of an account's second factor, by sign-in email
+   */
+  async getTwoFactorStatus(email) {
+    return this.getEmailStatus(email, 'login_2fa', POLICIES.twoFactor);
+  }
+
+  async getEmailStatus(email, action, policy) {
+    const { data, error } = await supabase
+      .from('auth_audit_logs')
+      .select('action, success, created_at')
+      .in('action', [action, 'login_unlock'])
+      .eq('metadata->>email', normalizeEmail(email))
+      .gte('created_at', this.since(policy))
+      .order('created_at', { ascending: false })
+      .limit(MAX_EVENTS);
+
+    if (error) {
+      console.error('[ERROR] Failed to fetch login attempts:', error.message);
+      throw new Error('Failed to fetch login attempts');
+    }
+
+    return this.computeState(data, policy);
+  }
+
+  /**
+   * Lock state of a client IP
+   */
+  async getIpStatus(ipAddress) {
+    const policy = POLICIES.ip;
+
+    const [failures, unlocks] = await Promise.all([
+      supabase
+        .from('auth_audit_logs')
+        .select('action, success, created_at')
+        .in('action', ['login', 'login_2fa'])
+        .eq('success', false)
+        .eq('ip_address', ipAddress)
+        .gte('created_at', this.since(policy))
+        .order('created_at', { ascending: false })
+        .limit(MAX_EVENTS),
+      // ip_address on an unlock event is the admin's; the unlocked IP is in metadata
+      supabase
+        .from('auth_audit_logs')
+        .select('action, success, created_at')
+        .eq('action', 'login_unlock')
+        .eq('metadata->>ipAddress', ipAddress)
+        .gte('created_at', this.since(policy))
+        .order('created_at', { ascending: false })
+        .limit(1)
+    ]);
+
+    const error = failures.error || unlocks.error;
+    if (error) {
+      console.error('[ERROR] Failed to fetch login attempts:', error.message);
+      throw new Error('Failed to fetch login attempts');
+    }
+
+    const events = [...failures.data, ...unlocks.data]
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+    return this.computeState(events, policy);
+  }
+
+  /**
+   * Reject a sign-in before the password (or 2FA code) is checked when the
+   * account, its second factor or the IP is locked. Blocked attempts are audited as `login_blocked` and do not
+   * extend the lock, so an attacker cannot keep a victim locked out forever.
+   * Fails open if the audit log cannot be read.
+   * @throws {HttpError} 429 with `retryAfter` (seconds)
+   */
+  async assertNotLocked(email, ipAddress, userAgent = null) {
+    let scope = null;
+    let status;
+
+    try {
+      status = await this.getAccountStatus(email);
+      if (status.locked) {
+        scope = 'account';
+      } else if ((status = await this.getTwoFactorStatus(email)).locked) {
+        scope = 'two_factor';
+      } else if (ipAddress) {
+        status = await this.getIpStatus(ipAddress);
+        if (status.locked) scope = 'ip';
+      }
+    } catch (error) {
+      console.error('[ERROR] LoginProtectionService.assertNotLocked:', error.message);
+      return;
+    }
+
+    if (!scope) return;
+
+    const authService = require('./authService');
+    await authService.logAuditEvent({
+      action: 'login_blocked',
+      success: false,
+      ipAddress,
+      userAgent,
+      metadata: {
+        email: normalizeEmail(email),
+        scope,
+        lockedUntil: status.lockedUntil,
+        failedAttempts: status.failedAttempts
+      }
+    });
+
+    throw this.lockedError(scope, status);
+  }
+
+  /**
+   * @returns {HttpError} 429 with `retryAfter` (seconds)
+   */
+  lockedError(scope, status) {
+    const retryAfter = Math.ceil((new Date(status.lockedUntil).getTime() - Date.now()) / 1000);
+    const minutes = Math.ceil(retryAfter / 60);
+    const error = new HttpError(
+      429,
+      `Too many failed sign-in attempts${scope === 'ip' ? ' from this network' : ''}. ` +
+      `Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`
+    );
+    error.retryAfter = retryAfter;
+    return error;
+  }
+
+  /**
+   * Clear an account lock, and optionally an IP lock, by recording a
+   * `login_unlock` event
+   * @param {{id:string, email:string}} user - Account to unlock
+   * @param {Object} req - Request of the admin performing the unlock
+   * @param {string} [ipAddress] - Client IP to unlock as well
+   * @returns {Promise<Object>} Lock state after the unlock
+   */
+  async unlock(user, req, ipAddress = null) {
+    const authService = require('./authService');
+
+    try {
+      const previous = await this.getAccountStatus(user.email);
+
+      const auditId = await authService.logAuditEvent({
+        userId: user.id,
+        action: 'login_unlock',
+        ipAddress: req.ip || null,
+        userAgent: req.headers['user-agent'] || null,
+        metadata: {
+          email: normalizeEmail(user.email),
+          unlockedBy: req.user.id,
+          previousFailedAttempts: previous.failedAttempts,
+          ...(ipAddress && { ipAddress })
+        }
+      });
+
+      if (!auditId) {
+        throw new Error('Failed to record unlock');
+      }
+
+      return this.getLockoutSummary(user.email, ipAddress);
+    } catch (error) {
+      console.error('[ERROR] LoginProtectionService.unlock:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Lock state for the admin user view
+   */
+  async getLockoutSummary(email, ipAddress = null) {
+    const account = await this.getAccountStatus(email);
+
+    return {
+      ...account,
+      twoFactor: await this.getTwoFactorStatus(email),
+      ...(ipAddress && { ip: { ipAddress, ...(await this.getIpStatus(ipAddress)) } })
+    };
+  }
+}
+
+module.exports = new LoginProtectionService();
+module.exports.POLICIES = POLICIES;
+module.exports.normalizeEmail = normalizeEmail;
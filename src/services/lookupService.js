@@ -4,6 +4,7 @@
  */
 
 const { supabase } = require('../db');
+const skillTaxonomyService = require('./skillTaxonomyService');
 
 class LookupService {
   constructor() {
@@ -134,6 +135,57 @@ class LookupService {
     return text.trim().replace(/\s+/g, ' ');
   }
 
+  /**
+   * Count the values of a column across rows, most common first (ties
+   * alphabetically). Shared by the *WithCount lookups and the facet counts
+   * on list endpoints.
+   * @param {Array<Object>} rows
+   * @param {string} column
+   * @param {Object} [options]
+   * @param {boolean} [options.split] - Column holds a comma-separated list
+   * @param {(value:string) => string} [options.normalize] - Map each value (e.g. canonical skill); '' drops it
+   * @returns {Array<{name:string, count:number}>}
+   */
+  countValues(rows, column, options = {}) {
+    const counts = {};
+
+    for (const row of rows) {
+      const raw = row[column];
+      if (!raw || typeof raw !== 'string') continue;
+
+      // Count each value once per row even if listed under several aliases
+      const values = new Set();
+      for (const part of options.split ? raw.split(',') : [raw]) {
+        let value = this.normalizeText(part);
+        if (value && options.normalize) value = options.normalize(value);
+        if (value && value.length > 0) values.add(value);
+      }
+
+      for (const value of values) {
+        counts[value] = (counts[value] || 0) + 1;
+      }
+    }
+
+    return this.sortCounts(counts);
+  }
+
+  /**
+   * Value -> count map as [{ name, count }], most common first (ties
+   * alphabetically)
+   * @param {Object<string, number>} counts
+   * @returns {Array<{name:string, count:number}>}
+   */
+  sortCounts(counts) {
+    return Object.entries(counts)
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => {
+        if (b.count !== a.count) {
+          return b.count - a.count; // Primary sort by count descending
+        }
+        return a.name.localeCompare(b.name); // Secondary sort alphabetically
+      });
+  }
+
   /**
    * Extract unique values from a column
    */
@@ -229,6 +281,8 @@ class LookupService {
     }
 
     try {
+      await skillTaxonomyService.ensureLoaded();
+
       // Optimized query with better performance
       const { data, error } = await supabase
         .from('students')
@@ -250,7 +304,8 @@ class LookupService {
           // Split and process skills in single pass
           const normalizedSkills = skills.split(',');
           for (const skill of normalizedSkills) {
-            const normalizedSkill = this.normalizeText(skill);
+            // Map aliases ("ReactJS", "react.js") onto the canonical skill name
+            const normalizedSkill = skillTaxonomyService.canonicalize(this.normalizeText(skill));
             if (normalizedSkill.length > 0) {
               allSkills.add(normalizedSkill);
             }
@@ -294,35 +349,7 @@ class LookupService {
         throw new Error(`Failed to get industries with count: ${error.message}`);
       }
 
-      // Optimized counting with single-pass processing
-      const industryCounts = {};
-
-      for (const row of data) {
-        const industryValue = row['industry_sector'];
-        if (industryValue && typeof industryValue === 'string') {
-          const normalizedValue = this.normalizeText(industryValue);
-          if (normalizedValue.length > 0) {
-            // Split by comma and process each industry
-            const industries = normalizedValue.split(',');
-            for (const industry of industries) {
-              const normalizedIndustry = this.normalizeText(industry);
-              if (normalizedIndustry.length > 0) {
-                industryCounts[normalizedIndustry] = (industryCounts[normalizedIndustry] || 0) + 1;
-              }
-            }
-          }
-        }
-      }
-
-      // Convert to array and sort by count (descending) with tie-breaker
-      const result = Object.entries(industryCounts)
-        .map(([name, count]) => ({ name, count }))
-        .sort((a, b) => {
-          if (b.count !== a.count) {
-            return b.count - a.count; // Primary sort by count descending
-          }
-          return a.name.localeCompare(b.name); // Secondary sort alphabetically
-        });
+      const result = this.countValues(data, 'industry_sector', { split: true });
 
       // Cache the result
       this.setCachedData(cacheKey, result);
@@ -357,33 +384,11 @@ class LookupService {
         throw new Error(`Failed to get tech roles with count: ${error.message}`);
       }
 
-      // Optimized counting with single-pass processing
-      const roleCounts = {};
-
-      for (const row of data) {
-        const roles = row['tech_roles_interest'];
-        if (roles && typeof roles === 'string') {
-          // Split and process roles in single pass
-          const normalizedRoles = roles.split(',');
-          for (const role of normalizedRoles) {
-            const normalizedRole = this.normalizeText(role);
-            if (normalizedRole.length > 0 && role !== '/' && role !== '\\' && !role.match(/^[/\\]+$/)) {
-              roleCounts[normalizedRole] = (roleCounts[normalizedRole] || 0) + 1;
-            }
-          }
-        }
-      }
-
-      // Convert to array and sort by count (descending) with tie-breaker
-      const result = Object.entries(roleCounts)
-        .map(([name, count]) => ({ name, count }))
-        .sort((a, b) => {
-          if (b.count !== a.count) {
-            return b.count - a.count; // Primary sort by count descending
-          }
-          return a.name.localeCompare(b.name); // Secondary sort alphabetically
-        });
-        
+      // Skip stray separators entered as roles
+      const result = this.countValues(data, 'tech_roles_interest', {
+        split: true,
+        normalize: (role) => (/^[/\\]+$/.test(role) ? '' : role)
+      });
 
       // Cache the result
       this.setCachedData(cacheKey, result);
@@ -408,6 +413,8 @@ class LookupService {
     }
 
     try {
+      await skillTaxonomyService.ensureLoaded();
+
       // Optimized query with better performance
       const { data, error } = await supabase
         .from('students')
@@ -420,32 +427,14 @@ class LookupService {
         throw new Error(`Failed to get tech skills with count: ${error.message}`);
       }
 
-      // Optimized counting with single-pass processing
-      const skillCounts = {};
-
-      for (const row of data) {
-        const skills = row['tech_stack_skills'];
-        if (skills && typeof skills === 'string') {
-          // Split and process skills in single pass
-          const normalizedSkills = skills.split(',');
-          for (const skill of normalizedSkills) {
-            const normalizedSkill = this.normalizeText(skill);
-            if (normalizedSkill.length > 0) {
-              skillCounts[normalizedSkill] = (skillCounts[normalizedSkill] || 0) + 1;
-            }
-          }
-        }
-      }
-
-      // Convert to array and sort by count (descending) with tie-breaker
-      const result = Object.entries(skillCounts)
-        .map(([name, count]) => ({ name, count }))
-        .sort((a, b) => {
-          if (b.count !== a.count) {
-            return b.count - a.count; // Primary sort by count descending
-          }
-          return a.name.localeCompare(b.name); // Secondary sort alphabetically
-        });
+      const result = this.countValues(data, 'tech_stack_skills', {
+        split: true,
+        normalize: (skill) => skillTaxonomyService.canonicalize(skill)
+      }).map(({ name, count }) => ({
+        name,
+        count,
+        category: skillTaxonomyService.resolve(name)?.category || null
+      }));
 
       // Cache the result
       this.setCachedData(cacheKey, result);
@@ -651,35 +640,7 @@ class LookupService {
         throw new Error(`Failed to get preferred industries with count: ${error.message}`);
       }
 
-      // Optimized counting with single-pass processing
-      const industryCounts = {};
-
-      for (const row of data) {
-        const industryValue = row['preferred_industry'];
-        if (industryValue && typeof industryValue === 'string') {
-          const normalizedValue = this.normalizeText(industryValue);
-          if (normalizedValue.length > 0) {
-            // Split by comma and process each industry
-            const industries = normalizedValue.split(',');
-            for (const industry of industries) {
-              const normalizedIndustry = this.normalizeText(industry);
-              if (normalizedIndustry.length > 0) {
-                industryCounts[normalizedIndustry] = (industryCounts[normalizedIndustry] || 0) + 1;
-              }
-            }
-          }
-        }
-      }
-
-      // Convert to array and sort by count (descending) with tie-breaker
-      const result = Object.entries(industryCounts)
-        .map(([name, count]) => ({ name, count }))
-        .sort((a, b) => {
-          if (b.count !== a.count) {
-            return b.count - a.count; // Primary sort by count descending
-          }
-          return a.name.localeCompare(b.name); // Secondary sort alphabetically
-        });
+      const result = this.countValues(data, 'preferred_industry', { split: true });
 
       // Cache the result
       this.setCachedData(cacheKey, result);
@@ -715,25 +676,7 @@ class LookupService {
         throw new Error(`Failed to get universities with count: ${error.message}`);
       }
 
-      // Optimized counting with single-pass processing
-      const universityCounts = {};
-
-      for (const row of data) {
-        const university = this.normalizeText(row['university_institution']);
-        if (university) {
-          universityCounts[university] = (universityCounts[university] || 0) + 1;
-        }
-      }
-
-      // Convert to array and sort by count (descending) with tie-breaker
-      const result = Object.entries(universityCounts)
-        .map(([name, count]) => ({ name, count }))
-        .sort((a, b) => {
-          if (b.count !== a.count) {
-            return b.count - a.count; // Primary sort by count descending
-          }
-          return a.name.localeCompare(b.name); // Secondary sort alphabetically
-        });
+      const result = this.countValues(data, 'university_institution');
 
       // Cache the result
       this.setCachedData(cacheKey, result);
@@ -769,25 +712,7 @@ class LookupService {
         throw new Error(`Failed to get majors with count: ${error.message}`);
       }
 
-      // Optimized counting with single-pass processing
-      const majorCounts = {};
-
-      for (const row of data) {
-        const major = this.normalizeText(row['program_major']);
-        if (major) {
-          majorCounts[major] = (majorCounts[major] || 0) + 1;
-        }
-      }
-
-      // Convert to array and sort by count (descending) with tie-breaker
-      const result = Object.entries(majorCounts)
-        .map(([name, count]) => ({ name, count }))
-        .sort((a, b) => {
-          if (b.count !== a.count) {
-            return b.count - a.count; // Primary sort by count descending
-          }
-          return a.name.localeCompare(b.name); // Secondary sort alphabetically
-        });
+      const result = this.countValues(data, 'program_major');
 
       // Cache the result
       this.setCachedData(cacheKey, result);
@@ -0,0 +1,392 @@
+/**
+ * Malware Scan Service
+ * Scans uploads before fileService stores them. Infected files, and files
+ * that could not be scanned, never reach the public buckets: they are kept
+ * in the private quarantine bucket with a file_metadata row
+ * (scan_status 'quarantined') until an admin releases or purges them.
+ *
+ * The scanner comes from MALWARE_SCANNER (see malwareScanners.js).
+ */
+
+const { supabase } = require('../db');
+const { HttpError } = require('../middlewares/error-handler');
+const logService = require('./logService');
+const { createScannerFromEnv } = require('./malwareScanners');
+
+// Private bucket; quarantined files are only reachable through the admin API
+const QUARANTINE_BUCKET = 'file-quarantine';
+
+const QUARANTINE_FIELDS = `
+  id,
+  bucket,
+  path,
+  original_name,
+  mime_type,
+  size,
+  user_id,
+  student_id,
+  company_id,
+  file_type,
+  scan_status,
+  scan_result,
+  scanner,
+  scanned_at,
+  original_bucket,
+  created_at
+`;
+
+class MalwareScanService {
+  constructor() {
+    this.scanner = null;
+  }
+
+  /**
+   * Scanner in use, created from the environment on first use
+   */
+  getScanner() {
+    if (!this.scanner) {
+      this.scanner = createScannerFromEnv();
+      console.log(`[SCAN] Using ${this.scanner.name} malware scanner`);
+    }
+    return this.scanner;
+  }
+
+  /**
+   * Replace the scanner (e.g. with an EicarScanner in tests)
+   */
+  setScanner(scanner) {
+    this.scanner = scanner;
+  }
+
+  /**
+   * Scan an upload before it is stored
+   * @param {Object} file - File object from multer
+   * @param {Object} options - uploadFile options (bucket, userId, fileType, studentId, companyId)
+   * @returns {Promise<{status:'clean'|'unscanned', scanner:string, result:null}>}
+   *   'unscanned' when scanning is disabled (MALWARE_SCANNER=none)
+   * @throws {HttpError} 422 when malware was found and 503 when the scanner
+   *   failed; the file is quarantined in both cases
+   */
+  async scanUpload(file, options) {
+    const scanner = this.getScanner();
+
+    if (scanner.name === 'none') {
+      return { status: 'unscanned', scanner: scanner.name, result: null };
+    }
+
+    let verdict;
+    try {
+      verdict = await scanner.scan(file.buffer);
+    } catch (error) {
+      console.error('[ERROR] MalwareScanService.scanUpload:', error.message);
+      await this.quarantine(file, options, scanner.name, `Scan failed: ${error.message}`);
+      throw new HttpError(503, 'The file could not be scanned for malware and is held for review');
+    }
+
+    if (!verdict.clean) {
+      console.warn(`[SCAN] ${verdict.signature} found in upload from user ${options.userId}`);
+      await this.quarantine(file, options, scanner.name, verdict.signature);
+      throw new HttpError(422, 'The file was flagged as malware and has been quarantined');
+    }
+
+    return { status: 'clean', scanner: scanner.name, result: null };
+  }
+
+  /**
+   * Store a flagged upload as-is in the quarantine bucket
+   */
+  async quarantine(file, options, scannerName, result) {
+    const { bucket, userId, fileType, studentId, companyId } = options;
+    const fileService = require('./fileService');
+    const path = `${bucket}/${userId}/${Date.now()}_${fileService.sanitizeFilename(file.originalname, fileType)}`;
+
+    const { error: uploadError } = await supabase.storage
+      .from(QUARANTINE_BUCKET)
+      .upload(path, file.buffer, {
+        contentType: 'application/octet-stream', // Never served as its claimed type
+        upsert: false
+      });
+
+    if (uploadError) {
+      console.error('[ERROR] Failed to quarantine file:', uploadError.message);
+      throw new Error(`Failed to quarantine file: ${uploadError.message}`);
+    }
+
+    const { error } = await supabase
+      .from('file_metadata')
+      .insert({
+        bucket: QUARANTINE_BUCKET,
+        path,
+        original_name: file.originalname,
+        mime_type: file.mimetype,
+        size: file.size,
+        user_id: userId,
+        student_id: studentId || null,
+        company_id: companyId || null,
+        file_type: fileType,
+        scan_status: 'quarantined',
+        scan_result: result,
+        scanner: scannerName,
+        scanned_at: new Date().toISOString(),
+        original_bucket: bucket
+      });
+
+    if (error) {
+      console.error('[ERROR] Failed to store quarantine metadata:', error.message);
+      await supabase.storage.from(QUARANTINE_BUCKET).remove([path]);
+      throw new Error(`Failed to quarantine file: ${error.message}`);
+    }
+  }
+
+  /**
+   * List quarantined files, newest first
+   * @param {Object} filters - page, limit
+   */
+  async getQuarantinedFiles(filters = {}) {
+    try {
+      const page = parseInt(filters.page) || 1;
+      const limit = parseInt(filters.limit) || 20;
+      const offset = (page - 1) * limit;
+
+      const { data, error, count } = await supabase
+        .from('file_metadata')
+        .select(QUARANTINE_FIELDS, { count: 'exact' })
+        .eq('scan_status', 'quarantined')
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        console.error('[ERROR] Failed to fetch quarantined files:', error.message);
+        throw new Error('Failed to fetch quarantined files');
+      }
+
+      return {
+        files: data.map(file => this.transformQuarantineData(file)),
+        pagination: {
+          page,
+          limit,
+          total: count || 0,
+          totalPages: Math.ceil((count || 0) / limit)
+        }
+      };
+    } catch (error) {
+      console.error('[ERROR] MalwareScanService.getQuarantinedFiles:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Raw quarantine row, or null when not found
+   */
+  async findQuarantinedFile(id) {
+    const { data, error } = await supabase
+      .from('file_metadata')
+      .select(QUARANTINE_FIELDS)
+      .eq('id', id)
+      .eq('scan_status', 'quarantined')
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found or not quarantined
+      }
+      console.error('[ERROR] Failed to fetch quarantined file:', error.message);
+      throw new Error('Failed to fetch quarantined file');
+    }
+
+    return data;
+  }
+
+  /**
+   * Release a false positive: the file is stored in its original bucket as
+   * if it had just been uploaded (scan_status 'released') and attached to
+   * the owner's profile, unless they have uploaded a newer file of the
+   * same type since
+   * @returns {Promise<Object|null>} The stored file, or null when not found
+   */
+  async releaseFile(id, req) {
+    const currentUser = req.user;
+    const fileService = require('./fileService');
+
+    try {
+      const quarantined = await this.findQuarantinedFile(id);
+      if (!quarantined) {
+        return null;
+      }
+
+      const { data: blob, error: downloadError } = await supabase.storage
+        .from(QUARANTINE_BUCKET)
+        .download(quarantined.path);
+
+      if (downloadError) {
+        console.error('[ERROR] Failed to download quarantined file:', downloadError.message);
+        throw new Error(`Failed to download quarantined file: ${downloadError.message}`);
+      }
+
+      const buffer = Buffer.from(await blob.arrayBuffer());
+      const attach = await this.isLatestUpload(quarantined);
+
+      const released = await fileService.uploadFile({
+        buffer,
+        originalname: quarantined.original_name,
+        mimetype: quarantined.mime_type,
+        size: buffer.length
+      }, {
+        bucket: quarantined.original_bucket,
+        userId: quarantined.user_id,
+        fileType: quarantined.file_type,
+        studentId: quarantined.student_id,
+        companyId: quarantined.company_id,
+        makeCurrent: attach,
+        scan: {
+          status: 'released',
+          scanner: quarantined.scanner,
+          result: quarantined.scan_result
+        }
+      });
+
+      if (attach) {
+        await this.attachToProfile(quarantined, released, req);
+      }
+
+      await supabase.storage.from(QUARANTINE_BUCKET).remove([quarantined.path]);
+      await supabase.from('file_metadata').delete().eq('id', id);
+
+      await logService.logUpdate({
+        userId: currentUser.id,
+        userEmail: currentUser.email,
+        resourceType: 'file',
+        resourceId: id,
+        oldValues: quarantined,
+        newValues: {
+          action: 'RELEASE',
+          scan_status: 'released',
+          released_file_id: released.id,
+          bucket: released.bucket,
+          path: released.path
+        },
+        request: req,
+        routePath: req.path
+      });
+
+      return { ...released, attachedToProfile: attach };
+    } catch (error) {
+      console.error('[ERROR] MalwareScanService.releaseFile:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a quarantined CV, photo or logo should become the owner's
+   * current one: false for other file types, or when the owner has uploaded
+   * a newer file of the same type since
+   */
+  async isLatestUpload(quarantined) {
+    const { file_type: fileType, student_id: studentId, company_id: companyId } = quarantined;
+    const ownerColumn = fileType === 'logo' ? 'company_id' : 'student_id';
+    const ownerId = fileType === 'logo' ? companyId : studentId;
+
+    if (!['cv', 'photo', 'logo'].includes(fileType) || !ownerId) {
+      return false;
+    }
+
+    const { data: newer } = await supabase
+      .from('file_metadata')
+      .select('id')
+      .eq(ownerColumn, ownerId)
+      .eq('file_type', fileType)
+      .is('parent_id', null)
+      .neq('scan_status', 'quarantined')
+      .gt('created_at', quarantined.created_at)
+      .limit(1);
+
+    return !newer || newer.length === 0;
+  }
+
+  /**
+   * Point the owner's CV, photo or logo at a released file
+   */
+  async attachToProfile(quarantined, released, req) {
+    const { file_type: fileType, student_id: studentId, company_id: companyId } = quarantined;
+
+    if (fileType === 'logo') {
+      const companyService = require('./companyService');
+      await companyService.patchCompany(companyId, { logo: released.url }, req);
+    } else {
+      const studentService = require('./studentService');
+      await studentService.patchStudent(studentId, {
+        [fileType === 'cv' ? 'cvUpload' : 'profilePhoto']: released.url
+      }, req);
+    }
+  }
+
+  /**
+   * Permanently delete a quarantined file
+   * @returns {Promise<Object|null>} The deleted file, or null when not found
+   */
+  async purgeFile(id, req) {
+    const currentUser = req.user;
+
+    try {
+      const quarantined = await this.findQuarantinedFile(id);
+      if (!quarantined) {
+        return null;
+      }
+
+      const { error: storageError } = await supabase.storage
+        .from(QUARANTINE_BUCKET)
+        .remove([quarantined.path]);
+
+      if (storageError) {
+        console.error('[ERROR] Failed to remove quarantined file:', storageError.message);
+        throw new Error(`Failed to remove quarantined file: ${storageError.message}`);
+      }
+
+      const { error } = await supabase
+        .from('file_metadata')
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        console.error('[ERROR] Failed to delete quarantine metadata:', error.message);
+        throw new Error(`Failed to delete quarantine metadata: ${error.message}`);
+      }
+
+      await logService.logDelete({
+        userId: currentUser.id,
+        userEmail: currentUser.email,
+        resourceType: 'file',
+        resourceId: id,
+        oldValues: quarantined,
+        request: req,
+        routePath: req.path
+      });
+
+      return this.transformQuarantineData(quarantined);
+    } catch (error) {
+      console.error('[ERROR] MalwareScanService.purgeFile:', error.message);
+      throw error;
+    }
+  }
+
+  transformQuarantineData(file) {
+    return {
+      id: file.id,
+      originalName: file.original_name,
+      mimeType: file.mime_type,
+      size: file.size,
+      fileType: file.file_type,
+      userId: file.user_id,
+      studentId: file.student_id,
+      companyId: file.company_id,
+      originalBucket: file.original_bucket,
+      scanStatus: file.scan_status,
+      scanResult: file.scan_result,
+      scanner: file.scanner,
+      scannedAt: file.scanned_at,
+      createdAt: file.created_at
+    };
+  }
+}
+
+module.exports = new MalwareScanService();
@@ -0,0 +1,372 @@
+const { supabase } = require('../db');
+const { responseCache } = require('./responseCacheService');
+const lookupService = require('./lookupService');
+const studentService = require('./studentService');
+const companyService = require('./companyService');
+const skillTaxonomyService = require('./skillTaxonomyService');
+const cvTextService = require('./cvTextService');
+const { quoteFilterValue } = require('./paginationService');
+
+// Score weights (sum to 100)
+const WEIGHTS = {
+  skills: 70,
+  industry: 20,
+  status: 10
+};
+
+// Scoring runs in memory, so at most this many pre-filtered candidates are scored
+const MAX_CANDIDATES = 500;
+const ID_BATCH_SIZE = 200;
+
+const STUDENT_MATCH_FIELDS = `
+  id,
+  full_name,
+  status,
+  employment_status,
+  university_institution,
+  program_major,
+  preferred_industry,
+  tech_stack_skills,
+  self_introduction,
+  cv_upload,
+  profile_photo,
+  linkedin,
+  portfolio_link,
+  email_address,
+  is_visible,
+  batch,
+  "timestamp"
+`;
+
+const COMPANY_MATCH_FIELDS = `
+  id,
+  company_name,
+  company_summary_description,
+  industry_sector,
+  company_website_link,
+  company_logo,
+  tech_roles_interest,
+  preferred_skillsets,
+  contact_person_name,
+  contact_email,
+  contact_info_visible,
+  email_address,
+  is_visible
+`;
+
+class MatchingService {
+  /**
+   * Rank students for a company by skill overlap, industry fit and status.
+   * Candidates are filtered with the same rules a company sees in the
+   * student list (no hidden students, no employed students).
+   * With `options.includeCv`, skills found in each student's current CV count
+   * towards the skill score as well.
+   */
+  async getRecommendedStudents(companyId, options = {}, currentUser = null) {
+    try {
+      await skillTaxonomyService.ensureLoaded();
+
+      const limit = Math.min(parseInt(options.limit) || 10, 50);
+      const includeCv = options.includeCv === true;
+
+      const cacheKey = 'getRecommendedStudents';
+      const cacheParams = { companyId, limit, includeCv, viewerRole: currentUser?.role || 'anonymous' };
+      const cachedResponse = responseCache.getAPIResponse(cacheKey, cacheParams);
+
+      if (cachedResponse) {
+        return cachedResponse.data;
+      }
+
+      const { data: company, error: companyError } = await supabase
+        .from('companies')
+        .select(COMPANY_MATCH_FIELDS)
+        .eq('id', companyId)
+        .single();
+
+      if (companyError) {
+        if (companyError.code === 'PGRST116') {
+          return null; // Company not found
+        }
+        console.error('[ERROR] Failed to fetch company for matching:', companyError.message);
+        throw new Error('Failed to fetch company');
+      }
+
+      // Only students mentioning one of the company's skills or industries
+      // (or, with includeCv, whose CV mentions one of the skills) can score
+      const companySkills = this.getRequiredSkills(company);
+      const cvStudentIds = includeCv
+        ? await cvTextService.findStudentsWithCvSkills(companySkills.map(skill => skill.label), MAX_CANDIDATES)
+        : [];
+
+      const candidateFilter = this.buildCandidateFilter([
+        ['tech_stack_skills', this.getSpellings(companySkills)],
+        ['preferred_industry', this.splitList(company['industry_sector']).map(industry => industry.label)]
+      ]);
+
+      const students = await this.fetchCandidates(() => supabase
+        .from('students')
+        .select(STUDENT_MATCH_FIELDS)
+        .eq('is_visible', true)
+        .or('employment_status.is.null,employment_status.neq.Employed'), candidateFilter, cvStudentIds, 'students');
+
+      // Evaluate visibility as the company itself would see the student list
+      const companyViewer = { id: companyId, role: 'company' };
+      const candidates = students.filter(student => studentService.canViewStudent(student, companyViewer));
+
+      const cvSkills = includeCv
+        ? await cvTextService.getCvSkills(candidates.map(student => student.id))
+        : new Map();
+
+      const recommendations = candidates
+        .map(student => ({
+          student: studentService.transformStudentDataPublic(student, currentUser?.role, currentUser?.id),
+          ...this.scoreMatch(student, company, cvSkills.get(student.id))
+        }))
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score || (a.student.fullName || '').localeCompare(b.student.fullName || ''))
+        .slice(0, limit);
+
+      const response = {
+        companyId,
+        companyName: company['company_name'],
+        recommendations
+      };
+
+      responseCache.setAPIResponse(cacheKey, cacheParams, response);
+
+      return response;
+    } catch (error) {
+      console.error('[ERROR] MatchingService.getRecommendedStudents:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Rank visible companies for a student by the same scoring as
+   * getRecommendedStudents
+   */
+  async getRecommendedCompanies(studentId, options = {}, currentUser = null) {
+    try {
+      await skillTaxonomyService.ensureLoaded();
+
+      const limit = Math.min(parseInt(options.limit) || 10, 50);
+
+      const cacheKey = 'getRecommendedCompanies';
+      const cacheParams = { studentId, limit, viewerRole: currentUser?.role || 'anonymous' };
+      const cachedResponse = responseCache.getAPIResponse(cacheKey, cacheParams);
+
+      if (cachedResponse) {
+        return cachedResponse.data;
+      }
+
+      const { data: student, error: studentError } = await supabase
+        .from('students')
+        .select(STUDENT_MATCH_FIELDS)
+        .eq('id', studentId)
+        .single();
+
+      if (studentError) {
+        if (studentError.code === 'PGRST116') {
+          return null; // Student not found
+        }
+        console.error('[ERROR] Failed to fetch student for matching:', studentError.message);
+        throw new Error('Failed to fetch student');
+      }
+
+      // Only companies mentioning one of the student's skills or industries can score
+      const studentSkills = this.getSpellings(this.splitList(student['tech_stack_skills']));
+      const candidateFilter = this.buildCandidateFilter([
+        ['preferred_skillsets', studentSkills],
+        ['tech_roles_interest', studentSkills],
+        ['industry_sector', this.splitList(student['preferred_industry']).map(industry => industry.label)]
+      ]);
+
+      const companies = await this.fetchCandidates(() => supabase
+        .from('companies')
+        .select(COMPANY_MATCH_FIELDS)
+        .eq('is_visible', true), candidateFilter, [], 'companies');
+
+      const recommendations = companies
+        .map(company => ({
+          company: companyService.transformCompanyDataPublic(company, currentUser?.role, currentUser?.id),
+          ...this.scoreMatch(student, company)
+        }))
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score || (a.company.companyName || '').localeCompare(b.company.companyName || ''))
+        .slice(0, limit);
+
+      const response = {
+        studentId,
+        studentName: student['full_name'],
+        recommendations
+      };
+
+      responseCache.setAPIResponse(cacheKey, cacheParams, response);
+
+      return response;
+    } catch (error) {
+      console.error('[ERROR] MatchingService.getRecommendedCompanies:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Candidates worth scoring: up to MAX_CANDIDATES rows matching `filter`,
+   * ordered by id, plus the rows in `extraIds` that still fit under the cap
+   * @param {Function} buildQuery - Returns a new query with the base filters
+   * @param {string} filter - PostgREST `or` filter from buildCandidateFilter
+   * @param {string[]} extraIds - Rows to consider even if `filter` misses them
+   * @param {string} label - 'students' or 'companies', for error messages
+   * @returns {Promise<Object[]>}
+   */
+  async fetchCandidates(buildQuery, filter, extraIds, label) {
+    const run = async (query) => {
+      const { data, error } = await query;
+
+      if (error) {
+        console.error(`[ERROR] Failed to fetch ${label} for matching:`, error.message);
+        throw new Error(`Failed to fetch ${label}`);
+      }
+
+      return data;
+    };
+
+    const rows = filter
+      ? await run(buildQuery().or(filter).order('id').limit(MAX_CANDIDATES))
+      : [];
+
+    const fetched = new Set(rows.map(row => row.id));
+    const missingIds = extraIds
+      .filter(id => !fetched.has(id))
+      .slice(0, MAX_CANDIDATES - rows.length);
+
+    for (let i = 0; i < missingIds.length; i += ID_BATCH_SIZE) {
+      rows.push(...await run(buildQuery().in('id', missingIds.slice(i, i + ID_BATCH_SIZE))));
+    }
+
+    return rows;
+  }
+
+  /**
+   * PostgREST `or` filter for rows mentioning any of the terms in the given
+   * columns. Substrings over-match at worst; scoring has the final say.
+   * @param {Array<[string, string[]]>} conditions - Column and terms
+   * @returns {string} Empty when there is nothing to match on
+   */
+  buildCandidateFilter(conditions) {
+    return conditions
+      .flatMap(([column, terms]) => [...new Set(terms)]
+        .map(term => `${column}.ilike.${quoteFilterValue(`%${term}%`)}`))
+      .join(',');
+  }
+
+  /**
+   * Skills a company is matched on: its preferred skillsets, falling back to
+   * its tech roles
+   */
+  getRequiredSkills(company) {
+    const preferredSkills = this.splitList(company['preferred_skillsets']);
+    return preferredSkills.length > 0 ? preferredSkills : this.splitList(company['tech_roles_interest']);
+  }
+
+  /**
+   * Canonical names and aliases of skills from splitList, for matching
+   * profiles that still store an alias
+   */
+  getSpellings(skills) {
+    return skills.flatMap(skill => skillTaxonomyService.getSpellings(skill.label));
+  }
+
+  /**
+   * Score a student/company pair.
+   * Skills: share of the company's preferred skillsets (falling back to tech
+   * roles) that the student lists. Industry: any overlap between the
+   * student's preferred industry and the company's industry sector.
+   * Status: student is open to work.
+   * Skills found in the student's CV (`cvSkills`) count as listed skills;
+   * the ones the profile does not list are reported as `cvMatchedSkills`.
+   * @returns {{score:number, matchedSkills:string[], cvMatchedSkills:string[], missingSkills:string[], industryMatch:boolean, statusMatch:boolean, explanation:string}}
+   */
+  scoreMatch(student, company, cvSkills = []) {
+    const studentSkills = this.splitList(student['tech_stack_skills']);
+    const companySkills = this.getRequiredSkills(company);
+
+    const studentSkillKeys = new Set(studentSkills.map(skill => skill.key));
+    const cvSkillKeys = new Set(this.splitList(cvSkills.join(',')).map(skill => skill.key));
+    const hasSkill = (skill) => studentSkillKeys.has(skill.key) || cvSkillKeys.has(skill.key);
+
+    const matchedSkills = companySkills.filter(hasSkill).map(skill => skill.label);
+    const cvMatchedSkills = companySkills
+      .filter(skill => !studentSkillKeys.has(skill.key) && cvSkillKeys.has(skill.key))
+      .map(skill => skill.label);
+    const missingSkills = companySkills.filter(skill => !hasSkill(skill)).map(skill => skill.label);
+
+    const skillScore = companySkills.length > 0
+      ? (matchedSkills.length / companySkills.length) * WEIGHTS.skills
+      : 0;
+
+    const studentIndustries = this.splitList(student['preferred_industry']);
+    const companyIndustries = this.splitList(company['industry_sector']);
+    const matchedIndustries = companyIndustries.filter(industry =>
+      studentIndustries.some(preferred =>
+        preferred.key === industry.key ||
+        preferred.key.includes(industry.key) ||
+        industry.key.includes(preferred.key)
+      )
+    ).map(industry => industry.label);
+    const industryMatch = matchedIndustries.length > 0;
+
+    const statusMatch = student['employment_status'] !== 'Employed';
+
+    // Status alone is not a match - require at least one skill or industry signal
+    const score = matchedSkills.length > 0 || industryMatch
+      ? Math.round(skillScore + (industryMatch ? WEIGHTS.industry : 0) + (statusMatch ? WEIGHTS.status : 0))
+      : 0;
+
+    const reasons = [];
+    if (companySkills.length > 0) {
+      reasons.push(matchedSkills.length > 0
+        ? `Matches ${matchedSkills.length} of ${companySkills.length} preferred skills (${matchedSkills.join(', ')})`
+        : 'No preferred skills matched');
+    }
+    if (cvMatchedSkills.length > 0) {
+      reasons.push(`Found in CV: ${cvMatchedSkills.join(', ')}`);
+    }
+    if (industryMatch) {
+      reasons.push(`Preferred industry matches ${matchedIndustries.join(', ')}`);
+    }
+    if (statusMatch) {
+      reasons.push('Open to work');
+    }
+
+    return {
+      score,
+      matchedSkills,
+      cvMatchedSkills,
+      missingSkills,
+      industryMatch,
+      statusMatch,
+      explanation: reasons.join('; ')
+    };
+  }
+
+  /**
+   * Split a comma-separated field into unique entries, keeping the first
+   * spelling as label and a lowercased, whitespace-normalised key for comparison.
+   * Skill aliases are mapped onto their canonical taxonomy entry first.
+   */
+  splitList(value) {
+    const deduplicated = studentService.deduplicateCommaSeparated(value);
+    if (!deduplicated) return [];
+
+    const seen = new Set();
+    return deduplicated
+      .split(',')
+      .map(item => skillTaxonomyService.canonicalize(lookupService.normalizeText(item)))
+      .filter(Boolean)
+      .map(label => ({ label, key: label.toLowerCase() }))
+      .filter(entry => !seen.has(entry.key) && seen.add(entry.key));
+  }
+}
+
+module.exports = new MatchingService();
@@ -0,0 +1,579 @@
+const { supabase } = require('../db');
+const logService = require('./logService');
+const { HttpError } = require('../middlewares/error-handler');
+const studentService = require('./studentService');
+const companyService = require('./companyService');
+
+const CONVERSATION_FIELDS = `
+  id,
+  company_id,
+  student_id,
+  last_message_at,
+  last_message_preview,
+  created_at,
+  updated_at,
+  companies (
+    company_name,
+    company_logo
+  ),
+  students (
+    full_name,
+    profile_photo
+  )
+`;
+
+const MESSAGE_FIELDS = `
+  id,
+  conversation_id,
+  sender_id,
+  body,
+  read_at,
+  created_at
+`;
+
+const PREVIEW_LENGTH = 140;
+
+class MessagingService {
+  /**
+   * List conversations for the current company or student user, most recent
+   * activity first, with the number of unread messages in each
+   */
+  async getConversations(filters = {}, currentUser) {
+    try {
+      const column = this.participantColumn(currentUser);
+
+      const page = parseInt(filters.page) || 1;
+      const limit = parseInt(filters.limit) || 20;
+      const offset = (page - 1) * limit;
+
+      const { data, error, count } = await supabase
+        .from('conversations')
+        .select(CONVERSATION_FIELDS, { count: 'exact' })
+        .eq(column, currentUser.id)
+        .order('last_message_at', { ascending: false, nullsFirst: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        console.error('[ERROR] Failed to fetch conversations:', error.message);
+        throw new Error('Failed to fetch conversations');
+      }
+
+      const unreadCounts = await this.countUnread(data.map(conversation => conversation.id), currentUser.id);
+
+      return {
+        conversations: data.map(conversation => ({
+          ...this.transformConversationData(conversation),
+          unreadCount: unreadCounts[conversation.id] || 0
+        })),
+        pagination: {
+          page,
+          limit,
+          total: count || 0,
+          totalPages: Math.ceil((count || 0) / limit)
+        }
+      };
+    } catch (error) {
+      console.error('[ERROR] MessagingService.getConversations:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Total unread messages across all of the user's conversations
+   */
+  async getUnreadCount(currentUser) {
+    try {
+      const column = this.participantColumn(currentUser);
+
+      const { data: conversations, error } = await supabase
+        .from('conversations')
+        .select('id')
+        .eq(column, currentUser.id);
+
+      if (error) {
+        console.error('[ERROR] Failed to fetch conversations:', error.message);
+        throw new Error('Failed to fetch conversations');
+      }
+
+      const unreadCounts = await this.countUnread(conversations.map(conversation => conversation.id), currentUser.id);
+
+      return {
+        total: Object.values(unreadCounts).reduce((sum, value) => sum + value, 0),
+        conversations: Object.keys(unreadCounts).length
+      };
+    } catch (error) {
+      console.error('[ERROR] MessagingService.getUnreadCount:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a conversation (or reuse the existing one for the same company and
+   * student) and send the first message.
+   * Companies can only contact students they can see in GET /api/students;
+   * students can only contact visible companies. Both sides must be approved.
+   */
+  async startConversation(conversationData, req) {
+    const currentUser = req.user;
+
+    try {
+      let companyId;
+      let studentId;
+
+      if (currentUser.role === 'company') {
+        companyId = currentUser.id;
+        studentId = conversationData.studentId;
+
+        if (!studentId) {
+          throw new HttpError(400, 'studentId is required');
+        }
+
+        const student = await studentService.getStudentById(studentId, currentUser);
+        if (!student) {
+          throw new HttpError(404, 'Student not found');
+        }
+      } else if (currentUser.role === 'student') {
+        studentId = currentUser.id;
+        companyId = conversationData.companyId;
+
+        if (!companyId) {
+          throw new HttpError(400, 'companyId is required');
+        }
+
+        const company = await companyService.getCompanyById(companyId, currentUser);
+        if (!company) {
+          throw new HttpError(404, 'Company not found');
+        }
+      } else {
+        throw new HttpError(403, 'Only companies and students can start conversations');
+      }
+
+      await this.assertApproved(currentUser.role === 'company' ? studentId : companyId);
+
+      let conversation = await this.findConversation(companyId, studentId);
+      let created = false;
+
+      if (!conversation) {
+        const { data, error } = await supabase
+          .from('conversations')
+          .insert([{ company_id: companyId, student_id: studentId }])
+          .select(CONVERSATION_FIELDS)
+          .single();
+
+        if (error) {
+          if (error.code !== '23505') {
+            console.error('[ERROR] Failed to create conversation:', error.message);
+            throw new Error(`Failed to create conversation: ${error.message}`);
+          }
+          // Created concurrently by the other participant
+          conversation = await this.findConversation(companyId, studentId);
+        } else {
+          conversation = data;
+          created = true;
+        }
+      }
+
+      const message = await this.sendMessage(conversation.id, conversationData.body, req);
+
+      return {
+        conversation: this.transformConversationData({
+          ...conversation,
+          last_message_at: message.createdAt,
+          last_message_preview: this.preview(message.body)
+        }),
+        message,
+        created
+      };
+    } catch (error) {
+      console.error('[ERROR] MessagingService.startConversation:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a page of messages in a conversation, oldest first within the page.
+   * Returns null when the conversation does not exist or the user is not a participant.
+   */
+  async getMessages(conversationId, filters = {}, currentUser) {
+    try {
+      const conversation = await this.getConversation(conversationId);
+
+      if (!conversation || !this.canView(conversation, currentUser)) {
+        return null;
+      }
+
+      const page = parseInt(filters.page) || 1;
+      const limit = parseInt(filters.limit) || 50;
+      const offset = (page - 1) * limit;
+
+      // Page from the newest message backwards so page 1 is the latest activity
+      const { data, error, count } = await supabase
+        .from('messages')
+        .select(MESSAGE_FIELDS, { count: 'exact' })
+        .eq('conversation_id', conversationId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        console.error('[ERROR] Failed to fetch messages:', error.message);
+        throw new Error('Failed to fetch messages');
+      }
+
+      return {
+        conversation: this.transformConversationData(conversation),
+        messages: data.reverse().map(message => this.transformMessageData(message)),
+        pagination: {
+          page,
+          limit,
+          total: count || 0,
+          totalPages: Math.ceil((count || 0) / limit)
+        }
+      };
+    } catch (error) {
+      console.error('[ERROR] MessagingService.getMessages:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a message in an existing conversation.
+   * Returns null when the conversation does not exist or the user is not a participant.
+   */
+  async sendMessage(conversationId, body, req) {
+    const currentUser = req.user;
+
+    try {
+      const conversation = await this.getConversation(conversationId);
+
+      if (!conversation || !this.isParticipant(conversation, currentUser)) {
+        return null;
+      }
+
+      const { data, error } = await supabase
+        .from('messages')
+        .insert([{
+          conversation_id: conversationId,
+          sender_id: currentUser.id,
+          body: body.trim()
+        }])
+        .select(MESSAGE_FIELDS)
+        .single();
+
+      if (error) {
+        console.error('[ERROR] Failed to send message:', error.message);
+        throw new Error(`Failed to send message: ${error.message}`);
+      }
+
+      const { error: updateError } = await supabase
+        .from('conversations')
+        .update({
+          last_message_at: data.created_at,
+          last_message_preview: this.preview(data.body),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', conversationId);
+
+      if (updateError) {
+        console.error('[ERROR] Failed to update conversation:', updateError.message);
+      }
+
+      // Log successful CREATE operation
+      await logService.logCreate({
+        userId: currentUser.id,
+        userEmail: currentUser.email,
+        resourceType: 'message',
+        resourceId: data.id,
+        newValues: data,
+        request: req,
+        routePath: req.path
+      });
+
+      return this.transformMessageData(data);
+    } catch (error) {
+      // Log failed CREATE operation
+      await logService.logError({
+        userId: currentUser?.id,
+        userEmail: currentUser?.email,
+        resourceType: 'message',
+        resourceId: null,
+        operation: 'CREATE',
+        errorMessage: error.message,
+        request: req,
+        routePath: req.path,
+        newValues: { conversationId, body }
+      });
+
+      console.error('[ERROR] MessagingService.sendMessage:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark every message from the other participant as read.
+   * Returns null when the conversation does not exist or the user is not a participant.
+   */
+  async markAsRead(conversationId, currentUser) {
+    try {
+      const conversation = await this.getConversation(conversationId);
+
+      if (!conversation || !this.isParticipant(conversation, currentUser)) {
+        return null;
+      }
+
+      const { data, error } = await supabase
+        .from('messages')
+        .update({ read_at: new Date().toISOString() })
+        .eq('conversation_id', conversationId)
+        .neq('sender_id', currentUser.id)
+        .is('read_at', null)
+        .select('id');
+
+      if (error) {
+        console.error('[ERROR] Failed to mark messages as read:', error.message);
+        throw new Error('Failed to mark messages as read');
+      }
+
+      return {
+        conversationId,
+        markedAsRead: data.length
+      };
+    } catch (error) {
+      console.error('[ERROR] MessagingService.markAsRead:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Moderation view: all conversations, optionally for one company or student
+   */
+  async getAllConversations(filters = {}) {
+    try {
+      let query = supabase
+        .from('conversations')
+        .select(CONVERSATION_FIELDS, { count: 'exact' });
+
+      if (filters.companyId) {
+        query = query.eq('company_id', filters.companyId);
+      }
+
+      if (filters.studentId) {
+        query = query.eq('student_id', filters.studentId);
+      }
+
+      const page = parseInt(filters.page) || 1;
+      const limit = parseInt(filters.limit) || 20;
+      const offset = (page - 1) * limit;
+
+      const { data, error, count } = await query
+        .order('last_message_at', { ascending: false, nullsFirst: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        console.error('[ERROR] Failed to fetch conversations:', error.message);
+        throw new Error('Failed to fetch conversations');
+      }
+
+      return {
+        conversations: data.map(conversation => this.transformConversationData(conversation)),
+        pagination: {
+          page,
+          limit,
+          total: count || 0,
+          totalPages: Math.ceil((count || 0) / limit)
+        }
+      };
+    } catch (error) {
+      console.error('[ERROR] MessagingService.getAllConversations:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Moderation: remove a message, keeping a copy in crud_logs
+   */
+  async deleteMessage(messageId, req) {
+    const currentUser = req.user;
+
+    try {
+      const { data: oldData, error: fetchError } = await supabase
+        .from('messages')
+        .select(MESSAGE_FIELDS)
+        .eq('id', messageId)
+        .single();
+
+      if (fetchError) {
+        if (fetchError.code === 'PGRST116') {
+          return null; // Message not found
+        }
+        console.error('[ERROR] Failed to fetch message:', fetchError.message);
+        throw new Error('Failed to fetch message');
+      }
+
+      const { error } = await supabase
+        .from('messages')
+        .delete()
+        .eq('id', messageId);
+
+      if (error) {
+        console.error('[ERROR] Failed to delete message:', error.message);
+        throw new Error(`Failed to delete message: ${error.message}`);
+      }
+
+      // Log successful DELETE operation
+      await logService.logDelete({
+        userId: currentUser.id,
+        userEmail: currentUser.email,
+        resourceType: 'message',
+        resourceId: messageId,
+        oldValues: oldData,
+        request: req,
+        routePath: req.path
+      });
+
+      return { id: messageId, conversationId: oldData.conversation_id };
+    } catch (error) {
+      // Log failed DELETE operation
+      await logService.logError({
+        userId: currentUser?.id,
+        userEmail: currentUser?.email,
+        resourceType: 'message',
+        resourceId: messageId,
+        operation: 'DELETE',
+        errorMessage: error.message,
+        request: req,
+        routePath: req.path
+      });
+
+      console.error('[ERROR] MessagingService.deleteMessage:', error.message);
+      throw error;
+    }
+  }
+
+  async getConversation(id) {
+    const { data, error } = await supabase
+      .from('conversations')
+      .select(CONVERSATION_FIELDS)
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Conversation not found
+      }
+      console.error('[ERROR] Failed to fetch conversation:', error.message);
+      throw new Error('Failed to fetch conversation');
+    }
+
+    return data;
+  }
+
+  async findConversation(companyId, studentId) {
+    const { data, error } = await supabase
+      .from('conversations')
+      .select(CONVERSATION_FIELDS)
+      .eq('company_id', companyId)
+      .eq('student_id', studentId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[ERROR] Failed to fetch conversation:', error.message);
+      throw new Error('Failed to fetch conversation');
+    }
+
+    return data;
+  }
+
+  /**
+   * Unread messages per conversation, counting only messages from the other participant
+   * @returns {Object<string, number>} conversationId -> unread count
+   */
+  async countUnread(conversationIds, userId) {
+    if (conversationIds.length === 0) {
+      return {};
+    }
+
+    const { data, error } = await supabase
+      .from('messages')
+      .select('conversation_id')
+      .in('conversation_id', conversationIds)
+      .neq('sender_id', userId)
+      .is('read_at', null);
+
+    if (error) {
+      console.error('[ERROR] Failed to count unread messages:', error.message);
+      throw new Error('Failed to count unread messages');
+    }
+
+    return data.reduce((counts, message) => {
+      counts[message.conversation_id] = (counts[message.conversation_id] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  async assertApproved(userId) {
+    const { data, error } = await supabase
+      .from('users')
+      .select('approved')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[ERROR] Failed to check recipient approval:', error.message);
+      throw new Error('Failed to check recipient approval');
+    }
+
+    if (!data || data.approved === false) {
+      throw new HttpError(400, 'Recipient account is not approved for messaging');
+    }
+  }
+
+  participantColumn(currentUser) {
+    if (currentUser.role === 'company') return 'company_id';
+    if (currentUser.role === 'student') return 'student_id';
+    throw new HttpError(403, 'Only companies and students have conversations');
+  }
+
+  isParticipant(conversation, currentUser) {
+    if (!currentUser) return false;
+    if (currentUser.role === 'company') return conversation.company_id === currentUser.id;
+    if (currentUser.role === 'student') return conversation.student_id === currentUser.id;
+    return false;
+  }
+
+  canView(conversation, currentUser) {
+    return currentUser?.role === 'admin' || this.isParticipant(conversation, currentUser);
+  }
+
+  preview(body) {
+    return body.length > PREVIEW_LENGTH ? `${body.slice(0, PREVIEW_LENGTH - 3)}...` : body;
+  }
+
+  transformConversationData(conversation) {
+    return {
+      id: conversation.id,
+      companyId: conversation.company_id,
+      companyName: conversation.companies?.company_name || null,
+      companyLogo: conversation.companies?.company_logo || null,
+      studentId: conversation.student_id,
+      studentName: conversation.students?.full_name || null,
+      studentPhoto: conversation.students?.profile_photo || null,
+      lastMessageAt: conversation.last_message_at,
+      lastMessagePreview: conversation.last_message_preview,
+      createdAt: conversation.created_at,
+      updatedAt: conversation.updated_at
+    };
+  }
+
+  transformMessageData(message) {
+    return {
+      id: message.id,
+      conversationId: message.conversation_id,
+      senderId: message.sender_id,
+      body: message.body,
+      readAt: message.read_at,
+      createdAt: message.created_at
+    };
+  }
+}
+
+module.exports = new MessagingService();
@@ -0,0 +1,199 @@
+/**
+ * Notification Service
+ * Sends templated transactional emails through a pluggable transport
+ * (see emailTransports.js). Sending never throws: a failed email is logged
+ * and must not fail the request that triggered it.
+ */
+
+const { createTransportFromEnv } = require('./emailTransports');
+
+const frontendUrl = () => process.env.ALLOWED_ORIGINS?.split(',')[1]?.trim() || 'http://localhost:5173';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Email templates. Each returns { subject, paragraphs } for the given data;
+ * render() joins the paragraphs into the text and HTML bodies.
+ */
+const TEMPLATES = {
+  approvalGranted: ({ name, role }) => ({
+    subject: 'Your KADA Connect profile is approved',
+    paragraphs: [
+      `Hi ${name || 'there'},`,
+      role === 'company'
+        ? 'Your company profile has been approved and is now visible to KADA trainees and alumni.'
+        : 'Your profile has been approved and is now visible to companies on KADA Connect.',
+      `Sign in to get started: ${frontendUrl()}/login`
+    ]
+  }),
+
+  approvalRejected: ({ name, reason }) => ({
+    subject: 'Your KADA Connect account was not approved',
+    paragraphs: [
+      `Hi ${name || 'there'},`,
+      'An administrator reviewed your account and could not approve it at this time.',
+      ...(reason ? [`Reason: ${reason}`] : []),
+      'If you have questions, please contact the KADA Connect team.'
+    ]
+  }),
+
+  profileHidden: ({ name, role }) => ({
+    subject: 'Your KADA Connect profile has been hidden',
+    paragraphs: [
+      `Hi ${name || 'there'},`,
+      role === 'company'
+        ? 'An administrator has hidden your company profile. It is no longer visible to trainees.'
+        : 'An administrator has hidden your profile. It is no longer visible to companies.',
+      'If you think this is a mistake, please contact the KADA Connect team.'
+    ]
+  }),
+
+  newApplication: ({ companyName, studentName, jobTitle, coverNote }) => ({
+    subject: jobTitle
+      ? `New application for ${jobTitle}`
+      : `New application from ${studentName || 'a KADA trainee'}`,
+    paragraphs: [
+      `Hi ${companyName || 'there'},`,
+      `${studentName || 'A KADA trainee'} has applied to ${jobTitle ? `your "${jobTitle}" posting` : 'your company'}.`,
+      ...(coverNote ? [`Cover note: ${coverNote}`] : []),
+      `Review the application: ${frontendUrl()}/applications`
+    ]
+  }),
+
+  invitation: ({ role, inviteUrl, expiresAt }) => ({
+    subject: `You're invited to join KADA Connect${role === 'admin' ? ' as an administrator' : ''}`,
+    paragraphs: [
+      'Hi there,',
+      `You have been invited to create ${role === 'admin' ? 'an admin' : `a ${role}`} account on KADA Connect.`,
+      `Register here: ${inviteUrl}`,
+      ...(expiresAt ? [`This invitation can be used once and expires on ${new Date(expiresAt).toUTCString()}.`] : [])
+    ]
+  }),
+
+  savedSearchDigest: ({ companyName, searches }) => {
+    const total = searches.reduce((sum, search) => sum + search.total, 0);
+
+    return {
+      subject: `${total} new student${total === 1 ? '' : 's'} match your saved searches`,
+      paragraphs: [
+        `Hi ${companyName || 'there'},`,
+        'These students are open to work and newly match your saved searches on KADA Connect.',
+        ...searches.map(search => [
+          `${search.name} (${search.total} new):`,
+          ...search.students.map(student => {
+            const details = [student.major, student.university].filter(Boolean).join(', ');
+            return `- ${student.name || 'Unnamed student'}${details ? ` (${details})` : ''}`;
+          }),
+          ...(search.total > search.students.length ? [`...and ${search.total - search.students.length} more`] : [])
+        ].join('\n')),
+        `View them on KADA Connect: ${frontendUrl()}/saved-searches`,
+        'You can turn these alerts off by deleting the saved search.'
+      ]
+    };
+  },
+
+  passwordChanged: ({ email }) => ({
+    subject: 'Your KADA Connect password was changed',
+    paragraphs: [
+      `The password for ${email} was just changed.`,
+      `If you did not make this change, reset your password immediately: ${frontendUrl()}/forgot-password`
+    ]
+  })
+};
+
+class NotificationService {
+  constructor() {
+    this.transport = null;
+    this.from = process.env.EMAIL_FROM || 'KADA Connect <no-reply@kada-connect.local>';
+  }
+
+  /**
+   * Lazily create the transport so configuration errors surface as logged
+   * send failures instead of crashing at startup
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransportFromEnv();
+      console.log(`[EMAIL] Using ${this.transport.name} transport`);
+    }
+    return this.transport;
+  }
+
+  /**
+   * Replace the transport, e.g. with a FileTransport in tests
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  render(templateName, data) {
+    const template = TEMPLATES[templateName];
+    if (!template) {
+      throw new Error(`Unknown email template "${templateName}"`);
+    }
+
+    const { subject, paragraphs } = template(data);
+
+    return {
+      subject,
+      text: paragraphs.join('\n\n'),
+      html: paragraphs.map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>\n')}</p>`).join('\n')
+    };
+  }
+
+  /**
+   * Render and send a template to one recipient
+   * @returns {Promise<boolean>} true when the email was handed to the transport
+   */
+  async send(templateName, to, data = {}) {
+    if (!to) {
+      console.warn(`[EMAIL] Skipping ${templateName}: no recipient address`);
+      return false;
+    }
+
+    try {
+      const email = { from: this.from, to, ...this.render(templateName, data) };
+      await this.getTransport().send(email);
+
+      console.log(`[EMAIL] Sent ${templateName} to ${to}`);
+      return true;
+    } catch (error) {
+      console.error(`[ERROR] NotificationService.send (${templateName} to ${to}):`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Notify every profile in a bulk approve: approval granted when made
+   * visible, profile hidden otherwise
+   * @param {Array<{email:string, name:string}>} recipients
+   * @param {boolean} isVisible
+   * @param {'student'|'company'} role
+   */
+  async notifyVisibilityChange(recipients, isVisible, role) {
+    const templateName = isVisible ? 'approvalGranted' : 'profileHidden';
+
+    for (const recipient of recipients) {
+      await this.send(templateName, recipient.email, { name: recipient.name, role });
+    }
+  }
+
+  async notifyNewApplication(to, data) {
+    return this.send('newApplication', to, data);
+  }
+
+  async notifySavedSearchDigest(to, data) {
+    return this.send('savedSearchDigest', to, data);
+  }
+
+  async notifyPasswordChanged(email) {
+    return this.send('passwordChanged', email, { email });
+  }
+}
+
+module.exports = new NotificationService();
+module.exports.TEMPLATES = TEMPLATES;
@@ -0,0 +1,130 @@
+/**
+ * Pagination Service
+ * Page/limit and cursor (keyset) pagination for list endpoints ordered by a
+ * name column then id. A cursor encodes the name and id of the last row
+ * returned, so the next page starts right after it even when rows are added
+ * or removed in between.
+ */
+
+const { HttpError } = require('../middlewares/error-handler');
+
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Quote a value for a PostgREST logic filter (`or=(...)`) so commas, dots and
+ * parentheses inside it are taken literally
+ */
+const quoteFilterValue = (value) => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+
+class PaginationService {
+  encodeCursor(row, nameColumn) {
+    return Buffer.from(JSON.stringify([row[nameColumn] ?? null, row.id])).toString('base64url');
+  }
+
+  /**
+   * @returns {{name:string|null, id:string}}
+   * @throws {HttpError} 400 when the cursor was not issued by encodeCursor
+   */
+  decodeCursor(cursor) {
+    try {
+      const [name, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if ((name !== null && typeof name !== 'string') || typeof id !== 'string' || !id) {
+        throw new Error('Malformed cursor');
+      }
+      return { name, id };
+    } catch {
+      throw new HttpError(400, 'Invalid cursor');
+    }
+  }
+
+  /**
+   * Read page, limit and cursor from list filters. Cursor mode is on whenever
+   * `cursor` is present; an empty cursor starts from the first row.
+   */
+  parse(filters = {}) {
+    const limit = parseInt(filters.limit) || DEFAULT_LIMIT;
+
+    if (filters.cursor !== undefined) {
+      return {
+        mode: 'cursor',
+        limit,
+        after: filters.cursor ? this.decodeCursor(filters.cursor) : null
+      };
+    }
+
+    const page = parseInt(filters.page) || 1;
+    return { mode: 'page', page, limit, offset: (page - 1) * limit };
+  }
+
+  /**
+   * Order by name then id and restrict the query to the requested page.
+   * Cursor mode fetches one extra row to tell whether another page follows.
+   * Rows with no name sort last, matching Postgres' default NULLS LAST.
+   * @param {Object} query - Supabase query builder
+   * @param {string} nameColumn
+   * @param {Object} paging - Result of parse()
+   * @returns {Object} The paged query
+   */
+  apply(query, nameColumn, paging) {
+    if (paging.mode === 'cursor' && paging.after) {
+      const { name, id } = paging.after;
+      const afterId = `id.gt.${quoteFilterValue(id)}`;
+
+      query = name === null
+        ? query.is(nameColumn, null).gt('id', id)
+        : query.or([
+          `${nameColumn}.gt.${quoteFilterValue(name)}`,
+          `${nameColumn}.is.null`,
+          `and(${nameColumn}.eq.${quoteFilterValue(name)},${afterId})`
+        ].join(','));
+    }
+
+    query = query
+      .order(nameColumn, { ascending: true, nullsFirst: false })
+      .order('id', { ascending: true });
+
+    return paging.mode === 'cursor'
+      ? query.limit(paging.limit + 1)
+      : query.range(paging.offset, paging.offset + paging.limit - 1);
+  }
+
+  /**
+   * Trim the fetched rows to the page and build the pagination block
+   * @param {Array<Object>} rows - Rows as returned by the query from apply()
+   * @param {number|null} count - Exact count of matching rows (page mode)
+   * @returns {{rows: Array<Object>, pagination: Object}}
+   */
+  buildPage(rows, nameColumn, paging, count = null) {
+    if (paging.mode === 'cursor') {
+      const hasMore = rows.length > paging.limit;
+      const pageRows = rows.slice(0, paging.limit);
+
+      return {
+        rows: pageRows,
+        pagination: {
+          limit: paging.limit,
+          hasMore,
+          nextCursor: hasMore ? this.encodeCursor(pageRows[pageRows.length - 1], nameColumn) : null
+        }
+      };
+    }
+
+    const total = count || 0;
+    const hasMore = paging.page * paging.limit < total && rows.length > 0;
+
+    return {
+      rows,
+      pagination: {
+        page: paging.page,
+        limit: paging.limit,
+        total,
+        totalPages: Math.ceil(total / paging.limit),
+        hasMore,
+        nextCursor: hasMore ? this.encodeCursor(rows[rows.length - 1], nameColumn) : null
+      }
+    };
+  }
+}
+
+module.exports = new PaginationService();
+module.exports.quoteFilterValue = quoteFilterValue;
@@ -14,6 +14,7 @@ class RealtimeService {
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 1000; // Start with 1 second
+    this.replicaIdentityWarned = new Set();
   }
 
   /**
@@ -112,6 +113,9 @@ class RealtimeService {
       return;
     }
 
+    // Keep the in-memory search index in step with the table
+    this.syncSearchIndex('students', eventType, newRecord, oldRecord);
+
     // Handle DELETE operations explicitly
     if (eventType === 'DELETE') {
       await this.handleStudentDelete(oldRecord);
@@ -147,7 +151,11 @@ class RealtimeService {
       'timestamp'                    
     ];
 
-    // Detect what changed (only for INSERT/UPDATE operations)
+    // Detect what changed (only for INSERT/UPDATE operations). Needs the full
+    // old row: REPLICA IDENTITY FULL on students (see current_schema.sql)
+    if (eventType === 'UPDATE') {
+      this.checkReplicaIdentity('students', oldRecord);
+    }
     const hasStatusChange = newRecord?.employment_status !== oldRecord?.employment_status;
     const changedColumns = criticalColumns.filter(col =>
       newRecord?.[col] !== oldRecord?.[col]
@@ -173,6 +181,16 @@ class RealtimeService {
         await this.invalidateLookupServiceCache();
       }
 
+      // Drop hidden students from company shortlists and flag employed ones
+      if (eventType === 'UPDATE') {
+        await this.syncStudentShortlists(newRecord);
+      }
+
+      // Alert companies whose saved searches a new or newly available student matches
+      if (eventType === 'INSERT' || hasStatusChange || newRecord?.is_visible !== oldRecord?.is_visible) {
+        await this.matchSavedSearches(newRecord);
+      }
+
     } catch (error) {
       console.error('[REALTIME] Error handling student change:', {
         error: error.message,
@@ -182,6 +200,17 @@ class RealtimeService {
     }
   }
 
+  /**
+   * Warn once when UPDATE payloads only carry the primary key of the old row:
+   * every column then looks changed, and each update re-runs saved searches
+   */
+  checkReplicaIdentity(table, oldRecord) {
+    if (this.replicaIdentityWarned.has(table) || Object.keys(oldRecord || {}).length > 1) return;
+
+    this.replicaIdentityWarned.add(table);
+    console.warn(`[REALTIME] ${table} UPDATE events carry no old values; run "ALTER TABLE public.${table} REPLICA IDENTITY FULL"`);
+  }
+
   /**
    * Handle company table changes with intelligent cache invalidation
    * @param {Object} payload - Supabase change payload
@@ -194,6 +223,9 @@ class RealtimeService {
       return;
     }
 
+    // Keep the in-memory search index in step with the table
+    this.syncSearchIndex('companies', eventType, newRecord, oldRecord);
+
     // Handle DELETE operations explicitly
     if (eventType === 'DELETE') {
       await this.handleCompanyDelete(oldRecord);
@@ -299,6 +331,50 @@ class RealtimeService {
     }
   }
 
+  /**
+   * Apply a row change to the search index
+   * @param {'students'|'companies'} entity
+   */
+  syncSearchIndex(entity, eventType, newRecord, oldRecord) {
+    try {
+      const searchIndexService = require('./searchIndexService');
+
+      if (eventType === 'DELETE') {
+        searchIndexService.remove(entity, oldRecord?.id);
+      } else {
+        searchIndexService.upsert(entity, newRecord);
+      }
+    } catch (error) {
+      console.error('[REALTIME] Error syncing search index:', error.message);
+    }
+  }
+
+  /**
+   * Sync shortlist entries with a student's visibility and employment status
+   * @param {Object} studentRecord - The updated student record
+   */
+  async syncStudentShortlists(studentRecord) {
+    try {
+      const shortlistService = require('./shortlistService');
+      await shortlistService.syncStudentAvailability(studentRecord);
+    } catch (error) {
+      console.error('[REALTIME] Error syncing student shortlists:', error.message);
+    }
+  }
+
+  /**
+   * Record a student against the saved searches they now match
+   * @param {Object} studentRecord - The inserted or updated student record
+   */
+  async matchSavedSearches(studentRecord) {
+    try {
+      const savedSearchService = require('./savedSearchService');
+      await savedSearchService.handleStudentChange(studentRecord);
+    } catch (error) {
+      console.error('[REALTIME] Error matching saved searches:', error.message);
+    }
+  }
+
   /**
    * Handle student DELETE operations with comprehensive cache clearing
    * @param {Object} deletedRecord - The deleted student record
@@ -495,6 +571,9 @@ class RealtimeService {
       // Clean up existing subscriptions
       await this.cleanup();
 
+      // Changes made while disconnected were missed: rebuild the search index
+      require('./searchIndexService').invalidate();
+
       // Reinitialize subscriptions
       await this.initialize();
 
@@ -254,7 +254,7 @@ class ResponseCacheService {
 
   /**
    * Clear cache for specific table/entity type
-   * @param {string} tableType - 'students', 'companies', or 'lookup'
+   * @param {string} tableType - 'students', 'companies', 'jobs', or 'lookup'
    * @param {string} recordId - Optional specific record ID
    * @param {Array} specificPatterns - Optional specific patterns to clear
    */
@@ -270,7 +270,9 @@ class ResponseCacheService {
         'api:privacy-v2:searchStudents:',
         'api:privacy-v2:getStudentsByStatus:',
         'api:privacy-v2:getStudentsStats:',
-        'api:privacy-v2:getFeaturedStudents:'
+        'api:privacy-v2:getFeaturedStudents:',
+        'api:privacy-v2:getRecommendedStudents:',
+        'api:privacy-v2:getRecommendedCompanies:'
       ],
       companies: [
         'api:privacy-v2:getAllCompanies:',
@@ -278,7 +280,18 @@ class ResponseCacheService {
         'api:privacy-v2:searchCompanies:',
         'api:privacy-v2:getCompanyStats:',
         'api:privacy-v2:getIndustries:', 
-        'api:privacy-v2:getTechRoles:'  
+        'api:privacy-v2:getTechRoles:',
+        'api:privacy-v2:getRecommendedStudents:',
+        'api:privacy-v2:getRecommendedCompanies:',
+        // Job postings embed company name, logo and visibility
+        'api:privacy-v2:getAllJobs:',
+        'api:privacy-v2:getCompanyJobs:',
+        'api:privacy-v2:getJobById:'
+      ],
+      jobs: [
+        'api:privacy-v2:getAllJobs:',
+        'api:privacy-v2:getCompanyJobs:',
+        'api:privacy-v2:getJobById:'
       ],
       lookup: [
         'api:privacy-v2:getAllLookupData:',
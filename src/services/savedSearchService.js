@@ -0,0 +1,631 @@
+const { supabase } = require('../db');
+const logService = require('./logService');
+const { HttpError } = require('../middlewares/error-handler');
+const studentService = require('./studentService');
+const searchIndexService = require('./searchIndexService');
+const skillTaxonomyService = require('./skillTaxonomyService');
+const notificationService = require('./notificationService');
+
+const SAVED_SEARCH_FIELDS = `
+  id,
+  company_id,
+  name,
+  query,
+  filters,
+  match,
+  alerts_enabled,
+  last_run_at,
+  last_notified_at,
+  created_at,
+  updated_at
+`;
+
+const STUDENT_FIELDS = `
+  id,
+  full_name,
+  status,
+  employment_status,
+  university_institution,
+  program_major,
+  preferred_industry,
+  tech_stack_skills,
+  batch,
+  is_visible
+`;
+
+const MAX_SAVED_SEARCHES = 20;
+const MAX_MATCHES_PER_RUN = 1000;
+const INSERT_BATCH_SIZE = 500;
+const FETCH_BATCH_SIZE = 200;
+const DIGEST_STUDENTS_PER_SEARCH = 20;
+
+// Realtime matches are held back briefly so a bulk approval sends one digest
+const DIGEST_DEBOUNCE_MS = 5 * 60 * 1000;
+const DEFAULT_DIGEST_INTERVAL_HOURS = 24;
+
+/**
+ * Students a saved search alerts on: visible and open to work
+ */
+const isAvailable = (student) =>
+  student?.is_visible === true && student.employment_status === 'Open to work';
+
+/**
+ * Saved Search Service
+ * Company users save a student search (query text and/or list filters) and
+ * get an email digest of students who newly match it.
+ *
+ * Every student a search has matched is recorded in saved_search_matches,
+ * starting with a baseline when the search is saved, so a student is only
+ * ever reported once per search. New matches are found by the scheduled run
+ * and by realtimeService when a student is inserted or becomes available;
+ * the digest then claims and emails every unreported match of the company.
+ */
+class SavedSearchService {
+  constructor() {
+    this.schedulerInterval = null;
+    this.digestTimers = new Map(); // companyId -> pending debounced digest
+    this.running = false;
+  }
+
+  /**
+   * List the company's saved searches
+   */
+  async getSavedSearches(companyId) {
+    try {
+      const { data, error } = await supabase
+        .from('saved_searches')
+        .select(SAVED_SEARCH_FIELDS)
+        .eq('company_id', companyId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        console.error('[ERROR] Failed to fetch saved searches:', error.message);
+        throw new Error('Failed to fetch saved searches');
+      }
+
+      return data.map(search => this.transformSavedSearchData(search));
+    } catch (error) {
+      console.error('[ERROR] SavedSearchService.getSavedSearches:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a search. Students matching it right now are recorded as already
+   * seen, so the first digest only lists students who match afterwards.
+   */
+  async createSavedSearch(searchData, req) {
+    const currentUser = req.user;
+
+    try {
+      const { count, error: countError } = await supabase
+        .from('saved_searches')
+        .select('id', { count: 'exact', head: true })
+        .eq('company_id', currentUser.id);
+
+      if (countError) {
+        console.error('[ERROR] Failed to count saved searches:', countError.message);
+        throw new Error('Failed to count saved searches');
+      }
+
+      if (count >= MAX_SAVED_SEARCHES) {
+        throw new HttpError(409, `You can save at most ${MAX_SAVED_SEARCHES} searches`);
+      }
+
+      const { data, error } = await supabase
+        .from('saved_searches')
+        .insert([{
+          company_id: currentUser.id,
+          name: searchData.name.trim(),
+          query: searchData.query ? searchData.query.trim() : null,
+          filters: searchData.filters || {},
+          match: searchData.match || 'all',
+          alerts_enabled: searchData.alertsEnabled !== false
+        }])
+        .select(SAVED_SEARCH_FIELDS)
+        .single();
+
+      if (error) {
+        if (error.code === '23505') {
+          throw new HttpError(409, 'A saved search with this name already exists');
+        }
+        console.error('[ERROR] Failed to create saved search:', error.message);
+        throw new Error(`Failed to create saved search: ${error.message}`);
+      }
+
+      // Without the baseline the first digest would report every existing
+      // match as new, so the search is only kept once it is recorded
+      let baseline;
+      let saved;
+      try {
+        baseline = await this.findMatches(data);
+        await this.recordMatches(data, baseline, { notified: true });
+        saved = await this.markRun(data.id);
+      } catch (seedError) {
+        await this.discardSavedSearch(data.id);
+        throw seedError;
+      }
+
+      // Log successful CREATE operation
+      await logService.logCreate({
+        userId: currentUser.id,
+        userEmail: currentUser.email,
+        resourceType: 'saved_search',
+        resourceId: data.id,
+        newValues: data,
+        request: req,
+        routePath: req.path
+      });
+
+      return {
+        ...this.transformSavedSearchData(saved || data),
+        currentMatches: baseline.length
+      };
+    } catch (error) {
+      // Log failed CREATE operation
+      await logService.logError({
+        userId: currentUser?.id,
+        userEmail: currentUser?.email,
+        resourceType: 'saved_search',
+        resourceId: null,
+        operation: 'CREATE',
+        errorMessage: error.message,
+        request: req,
+        routePath: req.path,
+        newValues: searchData
+      });
+
+      console.error('[ERROR] SavedSearchService.createSavedSearch:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a saved search whose baseline could not be recorded; its
+   * recorded matches cascade. Failures are logged, not thrown, so the
+   * original error reaches the caller.
+   */
+  async discardSavedSearch(id) {
+    const { error } = await supabase
+      .from('saved_searches')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      console.error('[ERROR] Failed to discard saved search:', error.message);
+    }
+  }
+
+  /**
+   * Delete a saved search and its match history.
+   * Returns null when the search does not exist or belongs to another company.
+   */
+  async deleteSavedSearch(id, req) {
+    const currentUser = req.user;
+
+    try {
+      const oldData = await this.findOwnedSavedSearch(id, currentUser.id);
+      if (!oldData) {
+        return null;
+      }
+
+      // Matches are removed by ON DELETE CASCADE
+      const { error } = await supabase
+        .from('saved_searches')
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        console.error('[ERROR] Failed to delete saved search:', error.message);
+        throw new Error(`Failed to delete saved search: ${error.message}`);
+      }
+
+      // Log successful DELETE operation
+      await logService.logDelete({
+        userId: currentUser.id,
+        userEmail: currentUser.email,
+        resourceType: 'saved_search',
+        resourceId: id,
+        oldValues: oldData,
+        request: req,
+        routePath: req.path
+      });
+
+      return { id };
+    } catch (error) {
+      // Log failed DELETE operation
+      await logService.logError({
+        userId: currentUser?.id,
+        userEmail: currentUser?.email,
+        resourceType: 'saved_search',
+        resourceId: id,
+        operation: 'DELETE',
+        errorMessage: error.message,
+        request: req,
+        routePath: req.path
+      });
+
+      console.error('[ERROR] SavedSearchService.deleteSavedSearch:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Available students matching a saved search. Searches with query text are
+   * ranked by the search index, as in GET /api/students/search; filter-only
+   * searches run the GET /api/students filters in the database.
+   * @returns {Promise<Array<Object>>} Student rows (snake_case)
+   */
+  async findMatches(search) {
+    await skillTaxonomyService.ensureLoaded();
+    const filters = search.filters || {};
+
+    if (search.query) {
+      const { results } = await searchIndexService.search('students', search.query, {
+        filter: (student) => isAvailable(student) && studentService.matchesListFilters(student, filters),
+        match: search.match,
+        limit: MAX_MATCHES_PER_RUN
+      });
+      return results.map(({ record }) => record);
+    }
+
+    const query = studentService.applyListFilters(
+      supabase
+        .from('students')
+        .select(STUDENT_FIELDS)
+        .eq('is_visible', true)
+        .eq('employment_status', 'Open to work'),
+      filters
+    );
+
+    const { data, error } = await query
+      .order('timestamp', { ascending: false })
+      .limit(MAX_MATCHES_PER_RUN);
+
+    if (error) {
+      console.error('[ERROR] Failed to run saved search:', error.message);
+      throw new Error('Failed to run saved search');
+    }
+
+    return data;
+  }
+
+  /**
+   * Whether one student matches a saved search
+   */
+  async matchesStudent(search, student) {
+    if (!isAvailable(student)) return false;
+
+    await skillTaxonomyService.ensureLoaded();
+    if (!studentService.matchesListFilters(student, search.filters || {})) return false;
+    if (!search.query) return true;
+
+    const { results } = await searchIndexService.search('students', search.query, {
+      filter: (record) => record.id === student.id,
+      match: search.match,
+      limit: 1
+    });
+    return results.length > 0;
+  }
+
+  /**
+   * Record matches, skipping students the search has matched before
+   * @param {Object} search - Saved search row
+   * @param {Array<Object>} students - Matching student rows
+   * @param {Object} [options]
+   * @param {boolean} [options.notified] - Record as already reported (baseline)
+   * @returns {Promise<string[]>} IDs of students matched for the first time
+   */
+  async recordMatches(search, students, { notified = false } = {}) {
+    const inserted = [];
+    const notifiedAt = notified ? new Date().toISOString() : null;
+
+    for (let i = 0; i < students.length; i += INSERT_BATCH_SIZE) {
+      const rows = students.slice(i, i + INSERT_BATCH_SIZE).map(student => ({
+        saved_search_id: search.id,
+        student_id: student.id,
+        notified_at: notifiedAt
+      }));
+
+      const { data, error } = await supabase
+        .from('saved_search_matches')
+        .upsert(rows, { onConflict: 'saved_search_id,student_id', ignoreDuplicates: true })
+        .select('student_id');
+
+      if (error) {
+        console.error('[ERROR] Failed to record saved search matches:', error.message);
+        throw new Error('Failed to record saved search matches');
+      }
+
+      inserted.push(...data.map(row => row.student_id));
+    }
+
+    return inserted;
+  }
+
+  /**
+   * Run a saved search and record its new matches
+   * @returns {Promise<number>} Number of new matches
+   */
+  async runSavedSearch(search) {
+    const matches = await this.findMatches(search);
+    const newMatches = await this.recordMatches(search, matches);
+    await this.markRun(search.id);
+    return newMatches.length;
+  }
+
+  /**
+   * Email the company a digest of every unreported match of its saved
+   * searches. Matches are claimed before sending, so concurrent runs never
+   * report a student twice; students no longer available are dropped.
+   * @returns {Promise<boolean>} true when a digest was sent
+   */
+  async sendDigest(companyId) {
+    try {
+      const { data: searches, error: searchError } = await supabase
+        .from('saved_searches')
+        .select('id, name')
+        .eq('company_id', companyId)
+        .eq('alerts_enabled', true);
+
+      if (searchError) {
+        console.error('[ERROR] Failed to fetch saved searches:', searchError.message);
+        throw new Error('Failed to fetch saved searches');
+      }
+
+      if (searches.length === 0) return false;
+
+      const now = new Date().toISOString();
+      const { data: claimed, error: claimError } = await supabase
+        .from('saved_search_matches')
+        .update({ notified_at: now })
+        .in('saved_search_id', searches.map(search => search.id))
+        .is('notified_at', null)
+        .select('saved_search_id, student_id');
+
+      if (claimError) {
+        console.error('[ERROR] Failed to claim saved search matches:', claimError.message);
+        throw new Error('Failed to claim saved search matches');
+      }
+
+      if (claimed.length === 0) return false;
+
+      const studentIds = [...new Set(claimed.map(match => match.student_id))];
+      const available = new Map();
+
+      for (let i = 0; i < studentIds.length; i += FETCH_BATCH_SIZE) {
+        const { data: students, error: studentError } = await supabase
+          .from('students')
+          .select(STUDENT_FIELDS)
+          .in('id', studentIds.slice(i, i + FETCH_BATCH_SIZE));
+
+        if (studentError) {
+          console.error('[ERROR] Failed to fetch matched students:', studentError.message);
+          throw new Error('Failed to fetch matched students');
+        }
+
+        for (const student of students.filter(isAvailable)) {
+          available.set(student.id, student);
+        }
+      }
+
+      const digest = searches
+        .map(search => {
+          const students = claimed
+            .filter(match => match.saved_search_id === search.id && available.has(match.student_id))
+            .map(match => available.get(match.student_id))
+            .sort((a, b) => String(a.full_name || '').localeCompare(String(b.full_name || '')));
+
+          return {
+            id: search.id,
+            name: search.name,
+            total: students.length,
+            students: students.slice(0, DIGEST_STUDENTS_PER_SEARCH).map(student => ({
+              name: student.full_name,
+              university: student.university_institution,
+              major: student.program_major
+            }))
+          };
+        })
+        .filter(search => search.total > 0);
+
+      if (digest.length === 0) return false;
+
+      const { data: company, error: companyError } = await supabase
+        .from('companies')
+        .select('company_name, contact_email, email_address')
+        .eq('id', companyId)
+        .maybeSingle();
+
+      if (companyError) {
+        console.error('[ERROR] Failed to fetch company:', companyError.message);
+        throw new Error('Failed to fetch company');
+      }
+
+      const sent = await notificationService.notifySavedSearchDigest(
+        company?.contact_email || company?.email_address,
+        { companyName: company?.company_name, searches: digest }
+      );
+
+      await supabase
+        .from('saved_searches')
+        .update({ last_notified_at: now })
+        .in('id', digest.map(search => search.id));
+
+      return sent;
+    } catch (error) {
+      console.error('[ERROR] SavedSearchService.sendDigest:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Scheduled job: run every saved search with alerts on, then send each
+   * company its digest
+   */
+  async runDigests() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const { data: searches, error } = await supabase
+        .from('saved_searches')
+        .select(SAVED_SEARCH_FIELDS)
+        .eq('alerts_enabled', true);
+
+      if (error) {
+        console.error('[ERROR] Failed to fetch saved searches:', error.message);
+        throw new Error('Failed to fetch saved searches');
+      }
+
+      let newMatches = 0;
+      for (const search of searches) {
+        try {
+          newMatches += await this.runSavedSearch(search);
+        } catch (runError) {
+          console.error(`[ERROR] SavedSearchService.runDigests (search ${search.id}):`, runError.message);
+        }
+      }
+
+      let digests = 0;
+      for (const companyId of new Set(searches.map(search => search.company_id))) {
+        if (await this.sendDigest(companyId)) digests++;
+      }
+
+      console.log(`[SAVED SEARCH] Ran ${searches.length} searches: ${newMatches} new matches, ${digests} digests sent`);
+    } catch (error) {
+      console.error('[ERROR] SavedSearchService.runDigests:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Realtime hook: a student was inserted or their visibility or employment
+   * status changed. Records them against every saved search they now match
+   * and schedules a digest for the companies concerned.
+   * @param {Object} student - Student row from the realtime payload
+   */
+  async handleStudentChange(student) {
+    if (!isAvailable(student)) return;
+
+    try {
+      const { data: searches, error } = await supabase
+        .from('saved_searches')
+        .select(SAVED_SEARCH_FIELDS)
+        .eq('alerts_enabled', true);
+
+      if (error) {
+        console.error('[ERROR] Failed to fetch saved searches:', error.message);
+        throw new Error('Failed to fetch saved searches');
+      }
+
+      for (const search of searches) {
+        if (!(await this.matchesStudent(search, student))) continue;
+
+        const inserted = await this.recordMatches(search, [student]);
+        if (inserted.length > 0) {
+          this.scheduleDigest(search.company_id);
+        }
+      }
+    } catch (error) {
+      console.error('[ERROR] SavedSearchService.handleStudentChange:', error.message);
+    }
+  }
+
+  scheduleDigest(companyId) {
+    if (this.digestTimers.has(companyId)) return;
+
+    const timer = setTimeout(() => {
+      this.digestTimers.delete(companyId);
+      this.sendDigest(companyId);
+    }, DIGEST_DEBOUNCE_MS);
+    timer.unref();
+
+    this.digestTimers.set(companyId, timer);
+  }
+
+  /**
+   * Start the scheduled digest run. SAVED_SEARCH_DIGEST_INTERVAL_HOURS sets
+   * the interval (default 24); 0 disables it.
+   */
+  startScheduler() {
+    const hours = Number(process.env.SAVED_SEARCH_DIGEST_INTERVAL_HOURS ?? DEFAULT_DIGEST_INTERVAL_HOURS);
+
+    if (!Number.isFinite(hours) || hours <= 0) {
+      console.log('[SAVED SEARCH] Scheduled digests disabled');
+      return;
+    }
+
+    this.stopScheduler();
+    this.schedulerInterval = setInterval(() => this.runDigests(), hours * 60 * 60 * 1000);
+    this.schedulerInterval.unref();
+
+    console.log(`[SAVED SEARCH] Digests scheduled every ${hours} hour${hours === 1 ? '' : 's'}`);
+  }
+
+  stopScheduler() {
+    if (this.schedulerInterval) {
+      clearInterval(this.schedulerInterval);
+      this.schedulerInterval = null;
+    }
+
+    for (const timer of this.digestTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.digestTimers.clear();
+  }
+
+  async findOwnedSavedSearch(id, companyId) {
+    const { data, error } = await supabase
+      .from('saved_searches')
+      .select(SAVED_SEARCH_FIELDS)
+      .eq('id', id)
+      .eq('company_id', companyId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found or owned by another company
+      }
+      console.error('[ERROR] Failed to fetch saved search:', error.message);
+      throw new Error('Failed to fetch saved search');
+    }
+
+    return data;
+  }
+
+  async markRun(id) {
+    const { data, error } = await supabase
+      .from('saved_searches')
+      .update({ last_run_at: new Date().toISOString() })
+      .eq('id', id)
+      .select(SAVED_SEARCH_FIELDS)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[ERROR] Failed to update saved search:', error.message);
+      throw new Error('Failed to update saved search');
+    }
+
+    return data;
+  }
+
+  transformSavedSearchData(search) {
+    return {
+      id: search.id,
+      companyId: search.company_id,
+      name: search.name,
+      query: search.query,
+      filters: search.filters || {},
+      match: search.match,
+      alertsEnabled: search.alerts_enabled,
+      lastRunAt: search.last_run_at,
+      lastNotifiedAt: search.last_notified_at,
+      createdAt: search.created_at,
+      updatedAt: search.updated_at
+    };
+  }
+}
+
+module.exports = new SavedSearchService();
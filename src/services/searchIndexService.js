@@ -0,0 +1,618 @@
+/**
+ * Search Index Service
+ * In-memory inverted index over students and companies for ranked search
+ * with phrase queries, prefix matching, typo tolerance and weighted fields.
+ *
+ * Each index is loaded from Supabase on first use and kept fresh by
+ * realtimeService, which upserts and removes rows as they change. A periodic
+ * reload covers events missed while realtime was disconnected.
+ *
+ * Student documents also carry the text of their current CV (`cv_text`),
+ * which is only searched when a query opts in to it.
+ */
+
+const { supabase } = require('../db');
+
+/**
+ * Indexed entities. `fields` are the searchable columns and their weights:
+ * names and skills rank above free-text introductions and summaries.
+ */
+const ENTITIES = {
+  students: {
+    table: 'students',
+    nameField: 'full_name',
+    columns: `
+      id,
+      full_name,
+      status,
+      employment_status,
+      university_institution,
+      program_major,
+      preferred_industry,
+      tech_stack_skills,
+      self_introduction,
+      cv_upload,
+      profile_photo,
+      linkedin,
+      portfolio_link,
+      phone_number,
+      email_address,
+      batch,
+      is_visible,
+      timestamp
+    `,
+    fields: {
+      full_name: 3,
+      tech_stack_skills: 3,
+      program_major: 2,
+      university_institution: 1.5,
+      preferred_industry: 1.5,
+      self_introduction: 1,
+      cv_text: 0.5
+    },
+    // Searched only when requested (companies and admins)
+    optInFields: ['cv_text'],
+    // Fields that are not columns of the table, loaded separately
+    extraFields: {
+      cv_text: loadCvText
+    }
+  },
+  companies: {
+    table: 'companies',
+    nameField: 'company_name',
+    columns: `
+      id,
+      company_name,
+      company_summary_description,
+      industry_sector,
+      company_website_link,
+      company_logo,
+      tech_roles_interest,
+      preferred_skillsets,
+      contact_person_name,
+      contact_email,
+      contact_phone_number,
+      contact_info_visible,
+      email_address,
+      is_visible
+    `,
+    fields: {
+      company_name: 3,
+      preferred_skillsets: 2.5,
+      tech_roles_interest: 2.5,
+      industry_sector: 2,
+      company_summary_description: 1
+    }
+  }
+};
+
+const LOAD_BATCH_SIZE = 1000;
+
+// After a failed load, wait before the next one instead of reloading on every
+// search: 5 seconds, doubling with each failure up to 5 minutes
+const RELOAD_BACKOFF_MS = 5 * 1000;
+const MAX_RELOAD_BACKOFF_MS = 5 * 60 * 1000;
+
+// Match quality relative to an exact token match
+const PREFIX_QUALITY = 0.8;
+const TYPO_QUALITY = [1, 0.6, 0.4]; // by edit distance
+const PHRASE_BONUS = 1.5;
+
+const MIN_PREFIX_LENGTH = 2;
+const MIN_TYPO_LENGTH = 4; // shorter terms only match exactly or as a prefix
+
+/**
+ * Lowercase, strip accents and split into tokens. "+" and "#" are kept
+ * inside tokens so "C++" and "C#" stay searchable.
+ */
+function tokenize(text) {
+  if (text === null || text === undefined) return [];
+
+  return String(Array.isArray(text) ? text.join(' ') : text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[a-z0-9][a-z0-9+#]*/g) || [];
+}
+
+/**
+ * Split a query into quoted phrases and loose terms
+ * @returns {{terms: string[], phrases: string[][]}}
+ */
+function parseQuery(query) {
+  const phrases = [];
+  const rest = String(query || '').replace(/"([^"]*)"/g, (match, phrase) => {
+    const tokens = tokenize(phrase);
+    if (tokens.length > 1) {
+      phrases.push(tokens);
+    } else if (tokens.length === 1) {
+      return ` ${tokens[0]} `; // A one-word phrase is just a term
+    }
+    return ' ';
+  });
+
+  return {
+    terms: [...new Set(tokenize(rest))],
+    phrases
+  };
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent
+ * transpositions), giving up once it exceeds maxDistance
+ */
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+}
+
+/**
+ * Extracted text of each student's current CV
+ * @returns {Promise<Map<string, string>>} student id -> text
+ */
+async function loadCvText() {
+  const texts = new Map();
+
+  for (let from = 0; ; from += LOAD_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('file_metadata')
+      .select('id, student_id, extracted_text')
+      .eq('file_type', 'cv')
+      .eq('is_current', true)
+      .not('extracted_text', 'is', null)
+      .order('id')
+      .range(from, from + LOAD_BATCH_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to load CV text: ${error.message}`);
+    }
+
+    data.forEach(row => texts.set(row.student_id, row.extracted_text));
+    if (data.length < LOAD_BATCH_SIZE) break;
+  }
+
+  return texts;
+}
+
+const containsPhrase = (tokens, phrase) => {
+  for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    if (phrase.every((token, offset) => tokens[i + offset] === token)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Inverted index for one entity
+ */
+class SearchIndex {
+  constructor(config) {
+    this.config = config;
+    this.fieldNames = Object.keys(config.fields);
+    this.optInFields = config.optInFields || [];
+    this.docs = new Map();     // id -> { record, fields: { field: tokens[] } }
+    this.postings = new Map(); // token -> Set of ids
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  clear() {
+    this.docs.clear();
+    this.postings.clear();
+  }
+
+  add(record) {
+    this.remove(record.id);
+
+    const fields = {};
+    for (const field of this.fieldNames) {
+      fields[field] = tokenize(record[field]);
+
+      for (const token of fields[field]) {
+        if (!this.postings.has(token)) {
+          this.postings.set(token, new Set());
+        }
+        this.postings.get(token).add(record.id);
+      }
+    }
+
+    this.docs.set(record.id, { record, fields });
+  }
+
+  remove(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return;
+
+    for (const tokens of Object.values(doc.fields)) {
+      for (const token of tokens) {
+        const ids = this.postings.get(token);
+        if (!ids) continue;
+        ids.delete(id);
+        if (ids.size === 0) this.postings.delete(token);
+      }
+    }
+
+    this.docs.delete(id);
+  }
+
+  idf(token) {
+    const df = this.postings.get(token)?.size || 0;
+    return Math.log(1 + this.docs.size / (df + 1));
+  }
+
+  /**
+   * Indexed tokens a query term matches, with the quality of each match:
+   * exact, prefix ("reac" -> "react"), or within 1-2 typos ("pyhton" -> "python")
+   * @returns {Map<string, number>}
+   */
+  expandTerm(term) {
+    const matches = new Map();
+    const maxDistance = term.length >= 8 ? 2 : 1;
+
+    for (const token of this.postings.keys()) {
+      if (token === term) {
+        matches.set(token, 1);
+      } else if (term.length >= MIN_PREFIX_LENGTH && token.startsWith(term)) {
+        matches.set(token, PREFIX_QUALITY);
+      } else if (term.length >= MIN_TYPO_LENGTH) {
+        const distance = editDistance(term, token, maxDistance);
+        if (distance <= maxDistance) {
+          matches.set(token, TYPO_QUALITY[distance]);
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  idsFor(tokens) {
+    const ids = new Set();
+    for (const token of tokens) {
+      for (const id of this.postings.get(token) || []) {
+        ids.add(id);
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Best weighted score of one expanded term within a document
+   */
+  scoreTerm(doc, expansion, fieldNames = this.fieldNames) {
+    let best = 0;
+    let bestField = null;
+
+    for (const field of fieldNames) {
+      const tokens = doc.fields[field];
+      const weight = this.config.fields[field];
+      const counts = new Map();
+      for (const token of tokens) {
+        if (expansion.has(token)) counts.set(token, (counts.get(token) || 0) + 1);
+      }
+
+      for (const [token, tf] of counts) {
+        const score = weight * expansion.get(token) * this.idf(token) * (1 + Math.log(tf));
+        if (score > best) {
+          best = score;
+          bestField = field;
+        }
+      }
+    }
+
+    return { score: best, field: bestField };
+  }
+
+  /**
+   * Rank documents against a query
+   * @param {string} query - Terms and "quoted phrases"
+   * @param {Object} options
+   * @param {(record:Object) => boolean} [options.filter] - Visibility and filter rules
+   * @param {'all'|'any'} [options.match='all'] - Require every term and phrase, or any of them
+   * @param {string[]} [options.includeFields] - Opt-in fields to search as well, e.g. ['cv_text']
+   * @returns {Array<{record:Object, score:number, matchedFields:string[]}>}
+   */
+  search(query, { filter = () => true, match = 'all', includeFields = [] } = {}) {
+    const { terms, phrases } = parseQuery(query);
+    if (terms.length === 0 && phrases.length === 0) return [];
+
+    const fieldNames = this.fieldNames.filter(field =>
+      !this.optInFields.includes(field) || includeFields.includes(field)
+    );
+
+    const expansions = terms.map(term => this.expandTerm(term));
+
+    // Documents containing each term / every token of each phrase
+    const clauseIds = [
+      ...expansions.map(expansion => this.idsFor(expansion.keys())),
+      ...phrases.map(phrase => phrase
+        .map(token => this.postings.get(token) || new Set())
+        .reduce((acc, ids) => new Set([...acc].filter(id => ids.has(id)))))
+    ];
+
+    let candidates;
+    if (match === 'any') {
+      candidates = new Set(clauseIds.flatMap(ids => [...ids]));
+    } else {
+      candidates = clauseIds.reduce((acc, ids) => new Set([...acc].filter(id => ids.has(id))));
+    }
+
+    const results = [];
+
+    for (const id of candidates) {
+      const doc = this.docs.get(id);
+      if (!doc || !filter(doc.record)) continue;
+
+      let score = 0;
+      const matchedFields = new Set();
+
+      // Postings cover every field, so a term may only occur in a field
+      // that is not searched here
+      let termsMatched = true;
+      for (const expansion of expansions) {
+        const term = this.scoreTerm(doc, expansion, fieldNames);
+        score += term.score;
+        if (term.field) {
+          matchedFields.add(term.field);
+        } else {
+          termsMatched = false;
+        }
+      }
+
+      let phrasesMatched = true;
+      for (const phrase of phrases) {
+        const field = fieldNames
+          .filter(name => containsPhrase(doc.fields[name], phrase))
+          .sort((a, b) => this.config.fields[b] - this.config.fields[a])[0];
+
+        if (field) {
+          score += PHRASE_BONUS * this.config.fields[field] *
+            phrase.reduce((sum, token) => sum + this.idf(token), 0);
+          matchedFields.add(field);
+        } else {
+          phrasesMatched = false;
+        }
+      }
+
+      if (match !== 'any' && !(termsMatched && phrasesMatched)) continue;
+      if (score <= 0) continue;
+
+      results.push({
+        record: doc.record,
+        score: Math.round(score * 1000) / 1000,
+        matchedFields: [...matchedFields]
+      });
+    }
+
+    const nameField = this.config.nameField;
+    return results.sort((a, b) =>
+      b.score - a.score ||
+      String(a.record[nameField] || '').localeCompare(String(b.record[nameField] || '')) ||
+      String(a.record.id).localeCompare(String(b.record.id))
+    );
+  }
+}
+
+class SearchIndexService {
+  constructor() {
+    this.indexes = {};
+    this.loadedAt = {};
+    this.stale = {};
+    this.failedLoads = {};
+    this.retryAt = {};
+    this.loadingPromises = {};
+    this.indexTTL = 15 * 60 * 1000; // Safety net for missed realtime events
+
+    for (const [entity, config] of Object.entries(ENTITIES)) {
+      this.indexes[entity] = new SearchIndex(config);
+      this.loadedAt[entity] = 0;
+      this.stale[entity] = false;
+      this.failedLoads[entity] = 0;
+      this.retryAt[entity] = 0;
+    }
+  }
+
+  getIndex(entity) {
+    const index = this.indexes[entity];
+    if (!index) {
+      throw new Error(`Unknown search index "${entity}"`);
+    }
+    return index;
+  }
+
+  /**
+   * Load an index if it is missing or stale. While a failed load backs off,
+   * the last good index is served, or the search fails fast without one.
+   */
+  async ensureLoaded(entity) {
+    this.getIndex(entity);
+
+    if (this.loadedAt[entity] && !this.stale[entity] && Date.now() - this.loadedAt[entity] < this.indexTTL) {
+      return;
+    }
+
+    if (Date.now() < this.retryAt[entity]) {
+      if (this.loadedAt[entity]) return;
+      throw new Error(`Search index for ${entity} is unavailable, try again later`);
+    }
+
+    if (!this.loadingPromises[entity]) {
+      this.loadingPromises[entity] = this.reloadIndex(entity).finally(() => {
+        this.loadingPromises[entity] = null;
+      });
+    }
+
+    await this.loadingPromises[entity];
+  }
+
+  async reloadIndex(entity) {
+    const index = this.getIndex(entity);
+    const { table, columns, extraFields = {} } = ENTITIES[entity];
+    const records = [];
+
+    try {
+      // PostgREST caps each response, so page through the table
+      for (let from = 0; ; from += LOAD_BATCH_SIZE) {
+        const { data, error } = await supabase
+          .from(table)
+          .select(columns)
+          .order('id')
+          .range(from, from + LOAD_BATCH_SIZE - 1);
+
+        if (error) {
+          throw new Error(`Failed to load ${table} search index: ${error.message}`);
+        }
+
+        records.push(...data);
+        if (data.length < LOAD_BATCH_SIZE) break;
+      }
+
+      for (const [field, load] of Object.entries(extraFields)) {
+        const values = await load();
+        records.forEach(record => {
+          record[field] = values.get(record.id) ?? null;
+        });
+      }
+
+      index.clear();
+      records.forEach(record => index.add(record));
+      this.loadedAt[entity] = Date.now();
+      this.stale[entity] = false;
+      this.failedLoads[entity] = 0;
+      this.retryAt[entity] = 0;
+
+      console.log(`[SEARCH] Indexed ${index.size} ${table}`);
+    } catch (error) {
+      this.failedLoads[entity] += 1;
+      const backoff = Math.min(RELOAD_BACKOFF_MS * 2 ** (this.failedLoads[entity] - 1), MAX_RELOAD_BACKOFF_MS);
+      this.retryAt[entity] = Date.now() + backoff;
+
+      console.error(`[ERROR] SearchIndexService.reloadIndex: ${error.message} (retrying in ${backoff / 1000}s)`);
+      // Serve the previous index if there is one
+      if (!this.loadedAt[entity]) throw error;
+    }
+  }
+
+  /**
+   * Add or replace a row, e.g. from a realtime INSERT/UPDATE payload.
+   * Ignored until the index has been loaded; the load will include it.
+   */
+  upsert(entity, record) {
+    if (!this.loadedAt[entity] || !record?.id) return;
+
+    const index = this.getIndex(entity);
+    const columns = ENTITIES[entity].columns.split(',').map(column => column.trim());
+    const picked = {};
+    for (const column of columns) {
+      picked[column] = record[column] ?? null;
+    }
+
+    // Row payloads do not carry extra fields; keep the indexed values
+    const previous = index.docs.get(record.id)?.record;
+    for (const field of Object.keys(ENTITIES[entity].extraFields || {})) {
+      picked[field] = previous?.[field] ?? null;
+    }
+
+    index.add(picked);
+  }
+
+  /**
+   * Replace one field of an indexed document, e.g. `cv_text` after a CV
+   * upload. Ignored until the index has been loaded.
+   */
+  setField(entity, id, field, value) {
+    if (!this.loadedAt[entity] || !id) return;
+
+    const index = this.getIndex(entity);
+    const doc = index.docs.get(id);
+    if (!doc) return;
+
+    index.add({ ...doc.record, [field]: value ?? null });
+  }
+
+  remove(entity, id) {
+    if (!this.loadedAt[entity] || !id) return;
+    this.getIndex(entity).remove(id);
+  }
+
+  /**
+   * Force a full reload on next use; the current index is kept (and
+   * served) until the reload succeeds
+   */
+  invalidate(entity = null) {
+    for (const name of entity ? [entity] : Object.keys(this.indexes)) {
+      this.stale[name] = true;
+    }
+  }
+
+  /**
+   * Ranked, paginated search
+   * @param {'students'|'companies'} entity
+   * @param {string} query - Terms and "quoted phrases"
+   * @param {Object} options - filter, match ('all' | 'any'), includeFields, page, limit
+   * @returns {Promise<{results: Array<{record:Object, score:number, matchedFields:string[]}>, pagination:Object}>}
+   */
+  async search(entity, query, options = {}) {
+    await this.ensureLoaded(entity);
+
+    const matches = this.getIndex(entity).search(query, options);
+
+    const page = parseInt(options.page) || 1;
+    const limit = parseInt(options.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    return {
+      results: matches.slice(offset, offset + limit),
+      pagination: {
+        page,
+        limit,
+        total: matches.length,
+        totalPages: Math.ceil(matches.length / limit)
+      }
+    };
+  }
+
+  getStatus() {
+    return Object.fromEntries(Object.keys(this.indexes).map(entity => [entity, {
+      documents: this.indexes[entity].size,
+      loadedAt: this.loadedAt[entity] ? new Date(this.loadedAt[entity]).toISOString() : null,
+      stale: this.stale[entity],
+      failedLoads: this.failedLoads[entity],
+      retryAt: this.retryAt[entity] > Date.now() ? new Date(this.retryAt[entity]).toISOString() : null
+    }]));
+  }
+}
+
+module.exports = new SearchIndexService();
+module.exports.SearchIndex = SearchIndex;
+module.exports.tokenize = tokenize;
+module.exports.parseQuery = parseQuery;
+module.exports.ENTITIES = ENTITIES;
@@ -0,0 +1,582 @@
+const { supabase } = require('../db');
+const logService = require('./logService');
+const { HttpError } = require('../middlewares/error-handler');
+const studentService = require('./studentService');
+
+const SHORTLIST_FIELDS = `
+  id,
+  company_id,
+  name,
+  description,
+  created_at,
+  updated_at
+`;
+
+const ENTRY_FIELDS = `
+  id,
+  shortlist_id,
+  student_id,
+  note,
+  position,
+  flag,
+  flagged_at,
+  created_at,
+  updated_at,
+  students (
+    full_name,
+    status,
+    employment_status,
+    university_institution,
+    program_major,
+    tech_stack_skills,
+    profile_photo,
+    is_visible
+  )
+`;
+
+class ShortlistService {
+  /**
+   * List the company's shortlists with entry counts
+   */
+  async getShortlists(companyId) {
+    try {
+      const { data, error } = await supabase
+        .from('shortlists')
+        .select(`${SHORTLIST_FIELDS}, shortlist_entries (flag)`)
+        .eq('company_id', companyId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        console.error('[ERROR] Failed to fetch shortlists:', error.message);
+        throw new Error('Failed to fetch shortlists');
+      }
+
+      return data.map(shortlist => {
+        const entries = shortlist.shortlist_entries || [];
+        return {
+          ...this.transformShortlistData(shortlist),
+          entryCount: entries.length,
+          flaggedCount: entries.filter(entry => entry.flag).length
+        };
+      });
+    } catch (error) {
+      console.error('[ERROR] ShortlistService.getShortlists:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a shortlist with its entries in list order.
+   * Returns null when the shortlist does not exist or belongs to another company.
+   */
+  async getShortlistById(id, companyId) {
+    try {
+      const shortlist = await this.findOwnedShortlist(id, companyId);
+      if (!shortlist) {
+        return null;
+      }
+
+      const entries = await this.getEntries(id);
+
+      return {
+        ...this.transformShortlistData(shortlist),
+        entries
+      };
+    } catch (error) {
+      console.error('[ERROR] ShortlistService.getShortlistById:', error.message);
+      throw error;
+    }
+  }
+
+  async createShortlist(shortlistData, req) {
+    const currentUser = req.user;
+
+    try {
+      const { data, error } = await supabase
+        .from('shortlists')
+        .insert([{
+          company_id: currentUser.id,
+          name: shortlistData.name.trim(),
+          description: shortlistData.description || null
+        }])
+        .select(SHORTLIST_FIELDS)
+        .single();
+
+      if (error) {
+        if (error.code === '23505') {
+          throw new HttpError(409, 'A shortlist with this name already exists');
+        }
+        console.error('[ERROR] Failed to create shortlist:', error.message);
+        throw new Error(`Failed to create shortlist: ${error.message}`);
+      }
+
+      // Log successful CREATE operation
+      await logService.logCreate({
+        userId: currentUser.id,
+        userEmail: currentUser.email,
+        resourceType: 'shortlist',
+        resourceId: data.id,
+        newValues: data,
+        request: req,
+        routePath: req.path
+      });
+
+      return {
+        ...this.transformShortlistData(data),
+        entries: []
+      };
+    } catch (error) {
+      // Log failed CREATE operation
+      await logService.logError({
+        userId: currentUser?.id,
+        userEmail: currentUser?.email,
+        resourceType: 'shortlist',
+        resourceId: null,
+        operation: 'CREATE',
+        errorMessage: error.message,
+        request: req,
+        routePath: req.path,
+        newValues: shortlistData
+      });
+
+      console.error('[ERROR] ShortlistService.createShortlist:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a shortlist or change its description
+   */
+  async updateShortlist(id, patchData, req) {
+    const currentUser = req.user;
+
+    try {
+      const oldData = await this.findOwnedShortlist(id, currentUser.id);
+      if (!oldData) {
+        return null;
+      }
+
+      const updateData = { updated_at: new Date().toISOString() };
+      if (patchData.name !== undefined) updateData.name = patchData.name.trim();
+      if (patchData.description !== undefined) updateData.description = patchData.description || null;
+
+      const { data, error } = await supabase
+        .from('shortlists')
+        .update(updateData)
+        .eq('id', id)
+        .select(SHORTLIST_FIELDS)
+        .single();
+
+      if (error) {
+        if (error.code === '23505') {
+          throw new HttpError(409, 'A shortlist with this name already exists');
+        }
+        console.error('[ERROR] Failed to update shortlist:', error.message);
+        throw new Error(`Failed to update shortlist: ${error.message}`);
+      }
+
+      // Log successful UPDATE operation
+      await logService.logUpdate({
+        userId: currentUser.id,
+        userEmail: currentUser.email,
+        resourceType: 'shortlist',
+        resourceId: id,
+        oldValues: oldData,
+        newValues: data,
+        request: req,
+        routePath: req.path
+      });
+
+      return this.transformShortlistData(data);
+    } catch (error) {
+      // Log failed UPDATE operation
+      await logService.logError({
+        userId: currentUser?.id,
+        userEmail: currentUser?.email,
+        resourceType: 'shortlist',
+        resourceId: id,
+        operation: 'UPDATE',
+        errorMessage: error.message,
+        request: req,
+        routePath: req.path,
+        newValues: patchData
+      });
+
+      console.error('[ERROR] ShortlistService.updateShortlist:', error.message);
+      throw error;
+    }
+  }
+
+  async deleteShortlist(id, req) {
+    const currentUser = req.user;
+
+    try {
+      const oldData = await this.findOwnedShortlist(id, currentUser.id);
+      if (!oldData) {
+        return null;
+      }
+
+      // Entries are removed by ON DELETE CASCADE
+      const { error } = await supabase
+        .from('shortlists')
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        console.error('[ERROR] Failed to delete shortlist:', error.message);
+        throw new Error(`Failed to delete shortlist: ${error.message}`);
+      }
+
+      // Log successful DELETE operation
+      await logService.logDelete({
+        userId: currentUser.id,
+        userEmail: currentUser.email,
+        resourceType: 'shortlist',
+        resourceId: id,
+        oldValues: oldData,
+        request: req,
+        routePath: req.path
+      });
+
+      return { id };
+    } catch (error) {
+      // Log failed DELETE operation
+      await logService.logError({
+        userId: currentUser?.id,
+        userEmail: currentUser?.email,
+        resourceType: 'shortlist',
+        resourceId: id,
+        operation: 'DELETE',
+        errorMessage: error.message,
+        request: req,
+        routePath: req.path
+      });
+
+      console.error('[ERROR] ShortlistService.deleteShortlist:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a student to the end of a shortlist.
+   * Only students the company can currently see in GET /api/students can be added.
+   */
+  async addEntry(shortlistId, entryData, currentUser) {
+    try {
+      const shortlist = await this.findOwnedShortlist(shortlistId, currentUser.id);
+      if (!shortlist) {
+        return null;
+      }
+
+      const student = await studentService.getStudentById(entryData.studentId, currentUser);
+      if (!student) {
+        throw new HttpError(404, 'Student not found');
+      }
+
+      const { data: last, error: positionError } = await supabase
+        .from('shortlist_entries')
+        .select('position')
+        .eq('shortlist_id', shortlistId)
+        .order('position', { ascending: false })
+        .limit(1);
+
+      if (positionError) {
+        console.error('[ERROR] Failed to fetch shortlist position:', positionError.message);
+        throw new Error('Failed to fetch shortlist position');
+      }
+
+      const { data, error } = await supabase
+        .from('shortlist_entries')
+        .insert([{
+          shortlist_id: shortlistId,
+          student_id: entryData.studentId,
+          note: entryData.note || null,
+          position: last.length > 0 ? last[0].position + 1 : 0
+        }])
+        .select(ENTRY_FIELDS)
+        .single();
+
+      if (error) {
+        if (error.code === '23505') {
+          throw new HttpError(409, 'Student is already on this shortlist');
+        }
+        console.error('[ERROR] Failed to add shortlist entry:', error.message);
+        throw new Error(`Failed to add shortlist entry: ${error.message}`);
+      }
+
+      await this.touchShortlist(shortlistId);
+
+      return this.transformEntryData(data);
+    } catch (error) {
+      console.error('[ERROR] ShortlistService.addEntry:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the note on a shortlisted student
+   */
+  async updateEntry(shortlistId, studentId, entryData, currentUser) {
+    try {
+      const shortlist = await this.findOwnedShortlist(shortlistId, currentUser.id);
+      if (!shortlist) {
+        return null;
+      }
+
+      const { data, error } = await supabase
+        .from('shortlist_entries')
+        .update({
+          note: entryData.note || null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('shortlist_id', shortlistId)
+        .eq('student_id', studentId)
+        .select(ENTRY_FIELDS)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // Entry not found
+        }
+        console.error('[ERROR] Failed to update shortlist entry:', error.message);
+        throw new Error(`Failed to update shortlist entry: ${error.message}`);
+      }
+
+      return this.transformEntryData(data);
+    } catch (error) {
+      console.error('[ERROR] ShortlistService.updateEntry:', error.message);
+      throw error;
+    }
+  }
+
+  async removeEntry(shortlistId, studentId, currentUser) {
+    try {
+      const shortlist = await this.findOwnedShortlist(shortlistId, currentUser.id);
+      if (!shortlist) {
+        return null;
+      }
+
+      const { data, error } = await supabase
+        .from('shortlist_entries')
+        .delete()
+        .eq('shortlist_id', shortlistId)
+        .eq('student_id', studentId)
+        .select('id');
+
+      if (error) {
+        console.error('[ERROR] Failed to remove shortlist entry:', error.message);
+        throw new Error(`Failed to remove shortlist entry: ${error.message}`);
+      }
+
+      if (data.length === 0) {
+        return null;
+      }
+
+      await this.touchShortlist(shortlistId);
+
+      return { shortlistId, studentId };
+    } catch (error) {
+      console.error('[ERROR] ShortlistService.removeEntry:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Reorder a shortlist. studentIds must list every student on the
+   * shortlist exactly once, in the new order.
+   */
+  async reorderEntries(shortlistId, studentIds, currentUser) {
+    try {
+      const shortlist = await this.findOwnedShortlist(shortlistId, currentUser.id);
+      if (!shortlist) {
+        return null;
+      }
+
+      const { data: current, error: fetchError } = await supabase
+        .from('shortlist_entries')
+        .select('student_id')
+        .eq('shortlist_id', shortlistId);
+
+      if (fetchError) {
+        console.error('[ERROR] Failed to fetch shortlist entries:', fetchError.message);
+        throw new Error('Failed to fetch shortlist entries');
+      }
+
+      const currentIds = new Set(current.map(entry => entry.student_id));
+      const requestedIds = new Set(studentIds);
+
+      if (requestedIds.size !== studentIds.length ||
+          requestedIds.size !== currentIds.size ||
+          studentIds.some(studentId => !currentIds.has(studentId))) {
+        throw new HttpError(400, 'studentIds must contain every student on the shortlist exactly once');
+      }
+
+      const now = new Date().toISOString();
+      const { error } = await supabase
+        .from('shortlist_entries')
+        .upsert(
+          studentIds.map((studentId, position) => ({
+            shortlist_id: shortlistId,
+            student_id: studentId,
+            position,
+            updated_at: now
+          })),
+          { onConflict: 'shortlist_id,student_id' }
+        );
+
+      if (error) {
+        console.error('[ERROR] Failed to reorder shortlist:', error.message);
+        throw new Error(`Failed to reorder shortlist: ${error.message}`);
+      }
+
+      await this.touchShortlist(shortlistId);
+
+      return this.getShortlistById(shortlistId, currentUser.id);
+    } catch (error) {
+      console.error('[ERROR] ShortlistService.reorderEntries:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Keep shortlists in line with a student's availability. Called from the
+   * realtime student change handler:
+   * - hidden students (is_visible=false) are dropped from every shortlist
+   * - employed students stay on the list but are flagged
+   * - the employed flag is cleared when the student is open to work again
+   */
+  async syncStudentAvailability(student) {
+    if (!student?.id) {
+      return;
+    }
+
+    if (student['is_visible'] === false) {
+      const { data, error } = await supabase
+        .from('shortlist_entries')
+        .delete()
+        .eq('student_id', student.id)
+        .select('id');
+
+      if (error) {
+        throw new Error(`Failed to drop hidden student from shortlists: ${error.message}`);
+      }
+
+      if (data.length > 0) {
+        console.log(`[SHORTLIST] Dropped hidden student ${student.id} from ${data.length} shortlist(s)`);
+      }
+      return;
+    }
+
+    if (!('employment_status' in student)) {
+      return;
+    }
+
+    const isEmployed = student['employment_status'] === 'Employed';
+    let query = supabase
+      .from('shortlist_entries')
+      .update({
+        flag: isEmployed ? 'employed' : null,
+        flagged_at: isEmployed ? new Date().toISOString() : null
+      })
+      .eq('student_id', student.id);
+
+    query = isEmployed ? query.is('flag', null) : query.eq('flag', 'employed');
+
+    const { data, error } = await query.select('id');
+
+    if (error) {
+      throw new Error(`Failed to update shortlist flags: ${error.message}`);
+    }
+
+    if (data.length > 0) {
+      console.log(`[SHORTLIST] ${isEmployed ? 'Flagged' : 'Unflagged'} employed student ${student.id} on ${data.length} shortlist(s)`);
+    }
+  }
+
+  async getEntries(shortlistId) {
+    const { data, error } = await supabase
+      .from('shortlist_entries')
+      .select(ENTRY_FIELDS)
+      .eq('shortlist_id', shortlistId)
+      .order('position', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('[ERROR] Failed to fetch shortlist entries:', error.message);
+      throw new Error('Failed to fetch shortlist entries');
+    }
+
+    // Hidden students are normally dropped by syncStudentAvailability; filter
+    // here as well in case a realtime event was missed
+    return data
+      .filter(entry => entry.students?.is_visible !== false)
+      .map(entry => this.transformEntryData(entry));
+  }
+
+  async findOwnedShortlist(id, companyId) {
+    const { data, error } = await supabase
+      .from('shortlists')
+      .select(SHORTLIST_FIELDS)
+      .eq('id', id)
+      .eq('company_id', companyId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found or owned by another company
+      }
+      console.error('[ERROR] Failed to fetch shortlist:', error.message);
+      throw new Error('Failed to fetch shortlist');
+    }
+
+    return data;
+  }
+
+  async touchShortlist(id) {
+    const { error } = await supabase
+      .from('shortlists')
+      .update({ updated_at: new Date().toISOString() })
+      .eq('id', id);
+
+    if (error) {
+      console.error('[ERROR] Failed to update shortlist timestamp:', error.message);
+    }
+  }
+
+  transformShortlistData(shortlist) {
+    return {
+      id: shortlist.id,
+      companyId: shortlist.company_id,
+      name: shortlist.name,
+      description: shortlist.description,
+      createdAt: shortlist.created_at,
+      updatedAt: shortlist.updated_at
+    };
+  }
+
+  transformEntryData(entry) {
+    // An employed flag is derived from the student row as well, so entries
+    // are flagged even before the realtime handler has caught up
+    const flag = entry.flag || (entry.students?.employment_status === 'Employed' ? 'employed' : null);
+
+    return {
+      id: entry.id,
+      studentId: entry.student_id,
+      studentName: entry.students?.full_name || null,
+      status: entry.students?.status || null,
+      employmentStatus: entry.students?.employment_status || null,
+      university: entry.students?.university_institution || null,
+      major: entry.students?.program_major || null,
+      techStack: entry.students?.tech_stack_skills || null,
+      profilePhoto: entry.students?.profile_photo || null,
+      note: entry.note,
+      position: entry.position,
+      flag,
+      flaggedAt: entry.flagged_at,
+      createdAt: entry.created_at,
+      updatedAt: entry.updated_at
+    };
+  }
+}
+
+module.exports = new ShortlistService();
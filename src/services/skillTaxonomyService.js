@@ -0,0 +1,534 @@
+/**
+ * Skill Taxonomy Service
+ * Maps free-text skills ("ReactJS", "react.js", "React") onto canonical
+ * entries managed by admins, so lookups, stats and matching count them once
+ */
+
+const { supabase } = require('../db');
+const { responseCache } = require('./responseCacheService');
+const logService = require('./logService');
+const { HttpError } = require('../middlewares/error-handler');
+
+const SKILL_CATEGORIES = ['frontend', 'backend', 'mobile', 'data', 'devops', 'cloud', 'design', 'testing', 'other'];
+
+const SKILL_FIELDS = 'id, canonical_name, category, aliases, created_at, updated_at';
+
+// Longest n-gram (in words) looked up when finding skills in free text
+const MAX_SKILL_WORDS = 3;
+
+// Skills this short ("C", "R", "Go") only count in free text when written
+// exactly as in the taxonomy, so ordinary words are not taken for skills
+const SHORT_FORM_MAX_LENGTH = 3;
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+class SkillTaxonomyService {
+  constructor() {
+    // normalized key -> { id, name, category, spellings }
+    this.index = new Map();
+    this.shortForms = new Set(); // Names and aliases of SHORT_FORM_MAX_LENGTH or less, as written
+    this.loadedAt = 0;
+    this.indexTTL = 60 * 60 * 1000; // 1 hour, same as lookup data
+    this.loadingPromise = null;
+  }
+
+  /**
+   * Normalize a skill for alias comparison: case, whitespace and the
+   * separators people use inconsistently ("React.js", "react-js", "ReactJS")
+   */
+  normalizeKey(skill) {
+    if (!skill || typeof skill !== 'string') return '';
+    return skill.trim().toLowerCase().replace(/[\s._-]+/g, '');
+  }
+
+  /**
+   * Load the taxonomy into memory if it is missing or stale
+   */
+  async ensureLoaded() {
+    if (this.loadedAt && Date.now() - this.loadedAt < this.indexTTL) {
+      return;
+    }
+
+    if (!this.loadingPromise) {
+      this.loadingPromise = this.reloadIndex().finally(() => {
+        this.loadingPromise = null;
+      });
+    }
+
+    await this.loadingPromise;
+  }
+
+  async reloadIndex() {
+    try {
+      const { data, error } = await supabase
+        .from('skills')
+        .select(SKILL_FIELDS);
+
+      if (error) {
+        throw new Error(`Failed to load skill taxonomy: ${error.message}`);
+      }
+
+      const index = new Map();
+      const shortForms = new Set();
+      for (const skill of data) {
+        const spellings = [skill.canonical_name, ...(skill.aliases || [])];
+        const entry = { id: skill.id, name: skill.canonical_name, category: skill.category, spellings };
+        for (const name of spellings) {
+          const key = this.normalizeKey(name);
+          index.set(key, entry);
+          if (key.length <= SHORT_FORM_MAX_LENGTH) shortForms.add(name.trim());
+        }
+      }
+
+      this.index = index;
+      this.shortForms = shortForms;
+      this.loadedAt = Date.now();
+    } catch (error) {
+      // Keep serving the previous index; free text passes through unmapped
+      console.error('[ERROR] SkillTaxonomyService.reloadIndex:', error.message);
+    }
+  }
+
+  /**
+   * Find the canonical entry for a free-text skill
+   * @returns {{id:string, name:string, category:string}|null}
+   */
+  resolve(skill) {
+    return this.index.get(this.normalizeKey(skill)) || null;
+  }
+
+  /**
+   * Canonical name for a skill, or the trimmed input when it is not mapped
+   */
+  canonicalize(skill) {
+    const entry = this.resolve(skill);
+    if (entry) return entry.name;
+    return typeof skill === 'string' ? skill.trim().replace(/\s+/g, ' ') : skill;
+  }
+
+  /**
+   * Every way a skill may be written in stored profiles: the canonical name
+   * and its aliases, or just the trimmed input when it is not mapped
+   * @returns {string[]}
+   */
+  getSpellings(skill) {
+    const entry = this.resolve(skill);
+    if (entry) return entry.spellings;
+    const name = this.canonicalize(skill);
+    return name ? [name] : [];
+  }
+
+  /**
+   * Find taxonomy skills mentioned in free text such as a CV. Runs of up to
+   * MAX_SKILL_WORDS words are matched against canonical names and aliases,
+   * longest first, so "Machine Learning" is not also counted as "Learning".
+   * @param {string} text
+   * @returns {string[]} Canonical names in order of first mention
+   */
+  findInText(text) {
+    if (!text || typeof text !== 'string') return [];
+
+    const words = text.match(/[A-Za-z0-9][A-Za-z0-9+#.]*[A-Za-z0-9+#]|[A-Za-z0-9]/g) || [];
+    const found = new Map();
+
+    for (let i = 0; i < words.length; i++) {
+      for (let size = Math.min(MAX_SKILL_WORDS, words.length - i); size >= 1; size--) {
+        const phrase = words.slice(i, i + size).join(' ');
+        const key = this.normalizeKey(phrase);
+        const entry = this.index.get(key);
+
+        if (!entry) continue;
+        if (key.length <= SHORT_FORM_MAX_LENGTH && !this.shortForms.has(phrase)) continue;
+
+        if (!found.has(entry.id)) found.set(entry.id, entry.name);
+        i += size - 1;
+        break;
+      }
+    }
+
+    return [...found.values()];
+  }
+
+  /**
+   * Canonicalize a comma-separated skill list, dropping duplicates that
+   * collapse onto the same canonical entry
+   * Example: "ReactJS, react, Node" => "React, Node.js"
+   */
+  canonicalizeList(value) {
+    if (!value || typeof value !== 'string') {
+      return value || null;
+    }
+
+    const seen = new Set();
+    const result = [];
+
+    value.split(',').map(item => this.canonicalize(item)).filter(Boolean).forEach(item => {
+      const key = item.toLowerCase();
+      if (!seen.has(key)) {
+        seen.add(key);
+        result.push(item);
+      }
+    });
+
+    return result.length > 0 ? result.join(', ') : null;
+  }
+
+  async getSkills(filters = {}) {
+    try {
+      let query = supabase
+        .from('skills')
+        .select(SKILL_FIELDS)
+        .order('canonical_name');
+
+      if (filters.category) {
+        query = query.eq('category', filters.category);
+      }
+
+      if (filters.q) {
+        query = query.ilike('canonical_name', `%${filters.q}%`);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        console.error('[ERROR] Failed to fetch skills:', error.message);
+        throw new Error('Failed to fetch skills');
+      }
+
+      return data.map(skill => this.transformSkillData(skill));
+    } catch (error) {
+      console.error('[ERROR] SkillTaxonomyService.getSkills:', error.message);
+      throw error;
+    }
+  }
+
+  async createSkill(skillData, req = null) {
+    try {
+      const dbData = this.transformSkillDataForDB(skillData);
+
+      await this.ensureLoaded();
+      this.assertNoConflicts(dbData, null);
+
+      const { data, error } = await supabase
+        .from('skills')
+        .insert([dbData])
+        .select(SKILL_FIELDS)
+        .single();
+
+      if (error) {
+        if (error.code === '23505') {
+          throw new HttpError(409, `Skill "${dbData.canonical_name}" already exists`);
+        }
+        console.error('[ERROR] Failed to create skill:', error.message);
+        throw new Error(`Failed to create skill: ${error.message}`);
+      }
+
+      // Log successful CREATE operation
+      if (req) {
+        await logService.logCreate({
+          userId: req.user?.id,
+          userEmail: req.user?.email,
+          resourceType: 'skill',
+          resourceId: data.id,
+          newValues: data,
+          request: req,
+          routePath: req.path
+        });
+      }
+
+      await this.invalidate();
+
+      return this.transformSkillData(data);
+    } catch (error) {
+      // Log failed CREATE operation
+      if (req) {
+        await logService.logError({
+          userId: req.user?.id,
+          userEmail: req.user?.email,
+          resourceType: 'skill',
+          resourceId: null,
+          operation: 'CREATE',
+          errorMessage: error.message,
+          request: req,
+          routePath: req.path,
+          newValues: skillData
+        });
+      }
+
+      console.error('[ERROR] SkillTaxonomyService.createSkill:', error.message);
+      throw error;
+    }
+  }
+
+  async updateSkill(id, patchData, req = null) {
+    try {
+      const dbData = this.transformSkillDataForDB(patchData);
+
+      if (Object.keys(dbData).length === 0) {
+        throw new HttpError(400, 'No valid fields provided for partial update');
+      }
+
+      await this.ensureLoaded();
+      this.assertNoConflicts(dbData, id);
+
+      dbData.updated_at = new Date().toISOString();
+
+      // Get old values for logging
+      const { data: oldData } = await supabase
+        .from('skills')
+        .select(SKILL_FIELDS)
+        .eq('id', id)
+        .single();
+
+      const { data, error } = await supabase
+        .from('skills')
+        .update(dbData)
+        .eq('id', id)
+        .select(SKILL_FIELDS)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // Skill not found
+        }
+        if (error.code === '23505') {
+          throw new HttpError(409, `Skill "${dbData.canonical_name}" already exists`);
+        }
+        console.error('[ERROR] Failed to update skill:', error.message);
+        throw new Error(`Failed to update skill: ${error.message}`);
+      }
+
+      // Log successful UPDATE operation
+      if (req && oldData) {
+        await logService.logUpdate({
+          userId: req.user?.id,
+          userEmail: req.user?.email,
+          resourceType: 'skill',
+          resourceId: data.id,
+          oldValues: oldData,
+          newValues: data,
+          request: req,
+          routePath: req.path
+        });
+      }
+
+      await this.invalidate();
+
+      return this.transformSkillData(data);
+    } catch (error) {
+      // Log failed UPDATE operation
+      if (req) {
+        await logService.logError({
+          userId: req.user?.id,
+          userEmail: req.user?.email,
+          resourceType: 'skill',
+          resourceId: typeof id === 'string' && UUID_REGEX.test(id) ? id : null,
+          operation: 'UPDATE',
+          errorMessage: error.message,
+          request: req,
+          routePath: req.path,
+          newValues: patchData
+        });
+      }
+
+      console.error('[ERROR] SkillTaxonomyService.updateSkill:', error.message);
+      throw error;
+    }
+  }
+
+  async deleteSkill(id, req = null) {
+    try {
+      // Get old values for logging before deletion
+      const { data: oldData } = await supabase
+        .from('skills')
+        .select(SKILL_FIELDS)
+        .eq('id', id)
+        .single();
+
+      const { data, error } = await supabase
+        .from('skills')
+        .delete()
+        .eq('id', id)
+        .select('id, canonical_name')
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // Skill not found
+        }
+        console.error('[ERROR] Failed to delete skill:', error.message);
+        throw new Error(`Failed to delete skill: ${error.message}`);
+      }
+
+      // Log successful DELETE operation
+      if (req && oldData) {
+        await logService.logDelete({
+          userId: req.user?.id,
+          userEmail: req.user?.email,
+          resourceType: 'skill',
+          resourceId: oldData.id,
+          oldValues: oldData,
+          request: req,
+          routePath: req.path
+        });
+      }
+
+      await this.invalidate();
+
+      return {
+        id: data.id,
+        canonicalName: data.canonical_name,
+        message: 'Skill deleted successfully'
+      };
+    } catch (error) {
+      // Log failed DELETE operation
+      if (req) {
+        await logService.logError({
+          userId: req.user?.id,
+          userEmail: req.user?.email,
+          resourceType: 'skill',
+          resourceId: typeof id === 'string' && UUID_REGEX.test(id) ? id : null,
+          operation: 'DELETE',
+          errorMessage: error.message,
+          request: req,
+          routePath: req.path,
+          newValues: null
+        });
+      }
+
+      console.error('[ERROR] SkillTaxonomyService.deleteSkill:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Report free-text skills used by students and companies that do not map
+   * onto any taxonomy entry, most frequent first
+   */
+  async getUnmappedSkills() {
+    try {
+      await this.ensureLoaded();
+
+      const [studentsResult, companiesResult] = await Promise.all([
+        supabase
+          .from('students')
+          .select('tech_stack_skills')
+          .not('tech_stack_skills', 'is', null)
+          .not('tech_stack_skills', 'eq', ''),
+        supabase
+          .from('companies')
+          .select('preferred_skillsets')
+          .not('preferred_skillsets', 'is', null)
+          .not('preferred_skillsets', 'eq', '')
+      ]);
+
+      if (studentsResult.error || companiesResult.error) {
+        const message = (studentsResult.error || companiesResult.error).message;
+        console.error('[ERROR] Failed to fetch skills for unmapped report:', message);
+        throw new Error('Failed to build unmapped skills report');
+      }
+
+      // normalized key -> { name, students, companies }
+      const unmapped = new Map();
+
+      const collect = (value, source) => {
+        for (const item of value.split(',')) {
+          const name = item.trim().replace(/\s+/g, ' ');
+          const key = this.normalizeKey(name);
+          if (!key || this.index.has(key)) continue;
+
+          if (!unmapped.has(key)) {
+            unmapped.set(key, { name, students: 0, companies: 0 });
+          }
+          unmapped.get(key)[source]++;
+        }
+      };
+
+      studentsResult.data.forEach(row => collect(row['tech_stack_skills'], 'students'));
+      companiesResult.data.forEach(row => collect(row['preferred_skillsets'], 'companies'));
+
+      return Array.from(unmapped.values())
+        .map(entry => ({ ...entry, count: entry.students + entry.companies }))
+        .sort((a, b) => {
+          if (b.count !== a.count) {
+            return b.count - a.count; // Primary sort by count descending
+          }
+          return a.name.localeCompare(b.name); // Secondary sort alphabetically
+        });
+    } catch (error) {
+      console.error('[ERROR] SkillTaxonomyService.getUnmappedSkills:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Reject canonical names or aliases already claimed by another skill
+   */
+  assertNoConflicts(dbData, currentId) {
+    const names = [];
+    if (dbData.canonical_name) names.push(dbData.canonical_name);
+    if (Array.isArray(dbData.aliases)) names.push(...dbData.aliases);
+
+    for (const name of names) {
+      const existing = this.resolve(name);
+      if (existing && existing.id !== currentId) {
+        throw new HttpError(409, `"${name}" is already mapped to skill "${existing.name}"`);
+      }
+    }
+  }
+
+  /**
+   * Rebuild the index and drop every cached response derived from skills
+   */
+  async invalidate() {
+    this.loadedAt = 0;
+    await this.ensureLoaded();
+
+    // Lazy require to avoid a circular dependency with lookupService
+    const lookupService = require('./lookupService');
+    lookupService.clearCache();
+
+    responseCache.clearByTable('lookup');
+    responseCache.clearByTable('students');
+  }
+
+  transformSkillDataForDB(skillData) {
+    const dbData = {};
+
+    if (skillData.canonicalName !== undefined) {
+      dbData.canonical_name = skillData.canonicalName.trim().replace(/\s+/g, ' ');
+    }
+
+    if (skillData.category !== undefined) {
+      dbData.category = skillData.category;
+    }
+
+    if (skillData.aliases !== undefined) {
+      const seen = new Set();
+      dbData.aliases = (skillData.aliases || [])
+        .map(alias => alias.trim().replace(/\s+/g, ' '))
+        .filter(alias => {
+          const key = this.normalizeKey(alias);
+          if (!key || seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        });
+    }
+
+    return dbData;
+  }
+
+  transformSkillData(skill) {
+    return {
+      id: skill.id,
+      canonicalName: skill.canonical_name,
+      category: skill.category,
+      aliases: skill.aliases || [],
+      createdAt: skill.created_at,
+      updatedAt: skill.updated_at
+    };
+  }
+}
+
+module.exports = new SkillTaxonomyService();
+module.exports.SKILL_CATEGORIES = SKILL_CATEGORIES;
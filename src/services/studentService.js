@@ -1,18 +1,78 @@
 const { supabase } = require('../db');
 const { responseCache } = require('./responseCacheService');
 const logService = require('./logService');
+const skillTaxonomyService = require('./skillTaxonomyService');
+const notificationService = require('./notificationService');
+const searchIndexService = require('./searchIndexService');
+const imageService = require('./imageService');
+const cvAccessService = require('./cvAccessService');
+const lookupService = require('./lookupService');
+const paginationService = require('./paginationService');
+const { quoteFilterValue } = require('./paginationService');
+
+const LIST_FIELDS = `
+  id,
+  full_name,
+  status,
+  employment_status,
+  university_institution,
+  program_major,
+  preferred_industry,
+  tech_stack_skills,
+  self_introduction,
+  cv_upload,
+  profile_photo,
+  linkedin,
+  portfolio_link,
+  phone_number,
+  email_address,
+  is_visible,
+  batch,
+  "timestamp"
+`;
+
+// Rows per export batch; cursor pages fetch one extra row to detect more,
+// so this must stay below the API's 1000-row response cap
+const STREAM_BATCH_SIZE = 500;
+
+// Skills listed in the facet counts
+const TOP_SKILLS_LIMIT = 20;
+
+// Substring list filters and the columns they match
+const LIST_FILTER_COLUMNS = {
+  status: 'status',
+  university: 'university_institution',
+  major: 'program_major',
+  industry: 'preferred_industry'
+};
+
+/**
+ * Multi-value filter from a query param: repeated params (?skills=a&skills=b)
+ * or a comma-separated list (?skills=a,b)
+ * @returns {string[]}
+ */
+const toFilterList = (value) => {
+  if (value === undefined || value === null) return [];
+  const parts = (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+  return [...new Set(parts)];
+};
+
+/**
+ * PostgREST `or` filter matching any of the values as a substring of a column
+ */
+const ilikeAny = (column, values) => values
+  .map(value => `${column}.ilike.${quoteFilterValue(`%${value}%`)}`)
+  .join(',');
 
 class StudentService {
   async getAllStudents(filters = {}, currentUser = null) {
     try {
-      // Add employment status to filters for proper cache key generation
-      // Admin and Student users can see all students, others only "Open to work"
-      const isAdmin = currentUser && currentUser.role === 'admin';
-      const isStudent = currentUser && currentUser.role === 'student';
-
+      // Visibility depends on the viewer, so cache per viewer
       const cacheFilters = {
         ...filters,
-        employmentStatus: 'all', // We now filter at application level
         currentUserId: currentUser?.id || 'anonymous'
       };
 
@@ -24,110 +84,259 @@ class StudentService {
         return cachedResponse.data;
       }
 
+      const paging = paginationService.parse(filters);
+
       let query = supabase
         .from('students')
-        .select(`
-          id,
-          full_name,
-          status,
-          employment_status,
-          university_institution,
-          program_major,
-          preferred_industry,
-          tech_stack_skills,
-          self_introduction,
-          cv_upload,
-          profile_photo,
-          linkedin,
-          portfolio_link,
-          phone_number,
-          email_address,
-          is_visible,
-          batch,
-          "timestamp"
-        `, { count: 'exact' });
+        .select(LIST_FIELDS, paging.mode === 'page' ? { count: 'exact' } : undefined);
 
-      // Apply filters
-      if (filters.status) {
-        query = query.ilike('status', `%${filters.status}%`);
-      }
+      await skillTaxonomyService.ensureLoaded();
+      query = this.applyVisibility(query, currentUser);
+      query = this.applyListFilters(query, filters, currentUser);
 
-      if (filters.university) {
-        query = query.ilike('university_institution', `%${filters.university}%`);
-      }
+      // Visibility is applied in the query, so pages are full and the total
+      // only counts students the caller can see
+      query = paginationService.apply(query, 'full_name', paging);
 
-      if (filters.major) {
-        query = query.ilike('program_major', `%${filters.major}%`);
-      }
+      const { data, error, count } = await query;
 
-      if (filters.industry) {
-        query = query.ilike('preferred_industry', `%${filters.industry}%`);
+      if (error) {
+        console.error('[ERROR] Failed to fetch students:', error.message);
+        throw new Error('Failed to fetch students');
       }
 
-      if (filters.skills) {
-        query = query.ilike('tech_stack_skills', `%${filters.skills}%`);
+      const { rows, pagination } = paginationService.buildPage(data, 'full_name', paging, count);
+
+      // Transform data to camelCase for API consistency
+      const transformedData = rows.map(student =>
+        this.transformStudentDataPublic(student, currentUser?.role, currentUser?.id)
+      );
+
+      const response = {
+        students: transformedData,
+        pagination
+      };
+
+      if (filters.facets === true) {
+        response.facets = await this.getFacets(filters, currentUser);
       }
 
-      // Apply pagination
-      const page = parseInt(filters.page) || 1;
-      const limit = parseInt(filters.limit) || 20;
-      const offset = (page - 1) * limit;
+      // Cache the response
+      responseCache.setAPIResponse(cacheKey, cacheFilters, response);
 
-      query = query
-        .range(offset, offset + limit - 1)
-        .order('full_name');
+      return response;
+    } catch (error) {
+      console.error('[ERROR] StudentService.getAllStudents:', error.message);
+      throw error;
+    }
+  }
 
-      const { data, error, count } = await query;
+  /**
+   * Every student matching the list filters that the viewer may see, in list
+   * order, one batch at a time; for exports too large to hold in memory
+   * @param {Object} filters - Same filters as getAllStudents
+   * @param {Object|null} currentUser
+   * @yields {Array<Object>} Students as in GET /api/students, plus `phone`
+   *   for admins
+   */
+  async *streamStudents(filters = {}, currentUser = null) {
+    const isAdmin = currentUser?.role === 'admin';
+    let paging = { mode: 'cursor', limit: STREAM_BATCH_SIZE, after: null };
+
+    await skillTaxonomyService.ensureLoaded();
+
+    while (true) {
+      let query = this.applyVisibility(supabase.from('students').select(LIST_FIELDS), currentUser);
+      query = this.applyListFilters(query, filters, currentUser);
+      query = paginationService.apply(query, 'full_name', paging);
+
+      const { data, error } = await query;
 
       if (error) {
         console.error('[ERROR] Failed to fetch students:', error.message);
         throw new Error('Failed to fetch students');
       }
 
+      const { rows, pagination } = paginationService.buildPage(data, 'full_name', paging);
 
-      // Filter results consistently
-      // Admin can see all students (including invisible for soft delete)
-      // Students can see all students (including employed for networking) but only visible ones
+      yield rows.map(student => ({
+        ...this.transformStudentDataPublic(student, currentUser?.role, currentUser?.id),
+        ...(isAdmin && { phone: student['phone_number'] })
+      }));
 
-      const filteredData = data.filter(student => {
-        const isEmployed = student['employment_status'] === 'Employed';
-        const isVisible = student['is_visible'] === true;
-        const isOwnData = currentUser && student.id === currentUser.id;
+      if (!pagination.hasMore) return;
+      paging = { ...paging, after: paginationService.decodeCursor(pagination.nextCursor) };
+    }
+  }
 
-        // Check employment status
-        if (isEmployed && !isOwnData && !isAdmin && !isStudent) {
-          return false; 
-        }
+  /**
+   * Restrict a students query to the rows the viewer may see; the query
+   * equivalent of canViewStudent.
+   * - Admins see every student, hidden ones included
+   * - Students see visible students, employed ones included
+   * - Everyone else sees visible students who are not employed
+   * Everyone sees their own profile.
+   * @param {Object} query - Supabase query builder
+   * @param {Object|null} currentUser
+   * @returns {Object} The filtered query
+   */
+  applyVisibility(query, currentUser = null) {
+    const role = currentUser?.role;
+    if (role === 'admin') return query;
+
+    const visible = role === 'student'
+      ? 'is_visible.eq.true'
+      : 'and(is_visible.eq.true,or(employment_status.is.null,employment_status.neq.Employed))';
+
+    return query.or(currentUser?.id
+      ? `${visible},id.eq.${quoteFilterValue(currentUser.id)}`
+      : visible);
+  }
+
+  /**
+   * Apply the list filters to a students query. Every facet takes several
+   * values (OR within a facet, AND across facets); skills can instead require
+   * all values with `skillsMode: 'all'`. Employment status is an admin-only
+   * filter and is ignored for other roles. Skills are matched on canonical
+   * names, so the skill taxonomy must be loaded first.
+   * @param {Object} query - Supabase query builder
+   * @param {Object} filters - status, university, major, industry, batch, skills, skillsMode, employmentStatus
+   * @param {Object|null} currentUser
+   * @returns {Object} The filtered query
+   */
+  applyListFilters(query, filters = {}, currentUser = null) {
+    for (const [filter, column] of Object.entries(LIST_FILTER_COLUMNS)) {
+      const values = toFilterList(filters[filter]);
+      if (values.length === 1) {
+        query = query.ilike(column, `%${values[0]}%`);
+      } else if (values.length > 1) {
+        query = query.or(ilikeAny(column, values));
+      }
+    }
+
+    // Batches are a fixed set, so match them exactly
+    const batches = toFilterList(filters.batch);
+    if (batches.length > 0) {
+      query = query.in('batch', batches);
+    }
+
+    const employmentStatuses = toFilterList(filters.employmentStatus);
+    if (employmentStatuses.length > 0 && currentUser?.role === 'admin') {
+      query = query.in('employment_status', employmentStatuses);
+    }
 
-        // Check visibility
-        if (!isVisible && !isOwnData && !isAdmin) {
-          return false; // Hide invisible students from others
+    const skills = this.getSkillFilters(filters);
+    if (skills.length > 0) {
+      if (filters.skillsMode === 'all' || skills.length === 1) {
+        for (const skill of skills) {
+          query = query.ilike('tech_stack_skills', `%${skill}%`);
         }
+      } else {
+        query = query.or(ilikeAny('tech_stack_skills', skills));
+      }
+    }
 
-        return true;
+    return query;
+  }
+
+  /**
+   * Whether a student row passes the list filters; the in-memory equivalent
+   * of applyListFilters for rows that are already loaded (search index,
+   * realtime payloads). Employment status is left to the caller.
+   * @param {Object} student - Student row (snake_case)
+   * @param {Object} filters - Same filters as applyListFilters
+   * @returns {boolean}
+   */
+  matchesListFilters(student, filters = {}) {
+    const contains = (value, filter) =>
+      String(value || '').toLowerCase().includes(filter.toLowerCase());
+
+    for (const [filter, column] of Object.entries(LIST_FILTER_COLUMNS)) {
+      const values = toFilterList(filters[filter]);
+      if (values.length > 0 && !values.some(value => contains(student[column], value))) {
+        return false;
+      }
+    }
+
+    const batches = toFilterList(filters.batch);
+    if (batches.length > 0 && !batches.includes(student.batch)) {
+      return false;
+    }
+
+    const skills = this.getSkillFilters(filters);
+    if (skills.length > 0) {
+      const hasSkill = (skill) => contains(student.tech_stack_skills, skill);
+      const matched = filters.skillsMode === 'all' ? skills.every(hasSkill) : skills.some(hasSkill);
+      if (!matched) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Skill filter values as canonical names, so "js" finds students who
+   * listed JavaScript
+   */
+  getSkillFilters(filters = {}) {
+    const skills = toFilterList(filters.skills);
+    return [...new Set(skills.map(skill => skillTaxonomyService.canonicalize(skill) || skill))];
+  }
+
+  /**
+   * Facet counts for the sidebar filter: how many of the students matching
+   * `filters` (across all pages, after visibility rules) fall under each
+   * university, major, batch, preferred industry and skill. Admins also get
+   * employment status counts. Counted in the database (student_facets), so
+   * only opt-in list requests pay for it.
+   * @param {Object} filters - Same filters as getAllStudents
+   * @param {Object|null} currentUser
+   * @returns {Promise<Object>} Arrays of { name, count }, most common first
+   */
+  async getFacets(filters = {}, currentUser = null) {
+    try {
+      await skillTaxonomyService.ensureLoaded();
+
+      const { data, error } = await supabase.rpc('student_facets', {
+        viewer_id: currentUser?.id || null,
+        viewer_role: currentUser?.role || null,
+        statuses: toFilterList(filters.status),
+        universities: toFilterList(filters.university),
+        majors: toFilterList(filters.major),
+        industries: toFilterList(filters.industry),
+        batches: toFilterList(filters.batch),
+        employment_statuses: toFilterList(filters.employmentStatus),
+        skills: this.getSkillFilters(filters),
+        skills_all: filters.skillsMode === 'all'
       });
 
-      // Transform data to camelCase for API consistency
-      const transformedData = filteredData.map(student =>
-        this.transformStudentDataPublic(student, currentUser?.role, currentUser?.id)
-      );
+      if (error) {
+        console.error('[ERROR] Failed to fetch student facets:', error.message);
+        throw new Error('Failed to fetch student facets');
+      }
 
-      const response = {
-        students: transformedData,
-        pagination: {
-          page,
-          limit,
-          total: count || 0,
-          totalPages: Math.ceil((count || 0) / limit)
-        }
-      };
+      const counts = { universities: {}, majors: {}, batches: {}, preferredIndustries: {}, skills: {} };
+      if (currentUser?.role === 'admin') {
+        counts.employmentStatuses = {};
+      }
 
-      // Cache the response
-      responseCache.setAPIResponse(cacheKey, cacheFilters, response);
+      for (const row of data) {
+        if (!counts[row.facet]) continue;
 
-      return response;
+        // Skills listed under an alias count towards their canonical name (a
+        // student listing both spellings is counted under each)
+        const name = row.facet === 'skills' ? skillTaxonomyService.canonicalize(row.name) : row.name;
+        if (!name) continue;
+        counts[row.facet][name] = (counts[row.facet][name] || 0) + Number(row.count);
+      }
+
+      const facets = Object.fromEntries(
+        Object.entries(counts).map(([facet, values]) => [facet, lookupService.sortCounts(values)])
+      );
+      facets.skills = facets.skills.slice(0, TOP_SKILLS_LIMIT);
+
+      return facets;
     } catch (error) {
-      console.error('[ERROR] StudentService.getAllStudents:', error.message);
+      console.error('[ERROR] StudentService.getFacets:', error.message);
       throw error;
     }
   }
@@ -213,101 +422,56 @@ class StudentService {
     }
   }
 
-  async searchStudents(searchTerm, filters = {}, currentUser = null) {
+  /**
+   * Ranked full-text search over the in-memory search index
+   * @param {string} searchTerm - Terms and "quoted phrases"
+   * @param {Object} filters - status, university, major, industry, skills (substring match)
+   * @param {Object} currentUser - Viewer, for visibility rules
+   * @param {Object} options - page, limit, match ('all' | 'any'), includeCv (also search CV text)
+   * @returns {Promise<{students: Array, pagination: Object}>} Students best match first,
+   *   each with `relevance: { score, matchedFields }`
+   */
+  async searchStudents(searchTerm, filters = {}, currentUser = null, options = {}) {
     try {
-      // Parse multiple search terms
-      const searchTerms = searchTerm.split(/\s+/).filter(term => term.length > 0);
-
-      if (searchTerms.length === 0) {
-        return [];
-      }
-
       // Determine if current user is a student
       const isStudent = currentUser && currentUser.role === 'student';
       const isAdmin = currentUser && currentUser.role === 'admin';
 
-      let query = supabase
-        .from('students')
-        .select(`
-          id,
-          full_name,
-          status,
-          employment_status,
-          university_institution,
-          program_major,
-          preferred_industry,
-          tech_stack_skills,
-          self_introduction,
-          cv_upload,
-          profile_photo,
-          linkedin,
-          portfolio_link,
-          phone_number,
-          email_address,
-          batch
-        `);
-
-      // Build dynamic OR conditions for multiple search terms
-      if (searchTerms.length === 1) {
-        // Single term search (using unquoted field names like working company service)
-        const singleTermQuery = `full_name.ilike.%${searchTerms[0]}%,self_introduction.ilike.%${searchTerms[0]}%,tech_stack_skills.ilike.%${searchTerms[0]}%,university_institution.ilike.%${searchTerms[0]}%,program_major.ilike.%${searchTerms[0]}%,preferred_industry.ilike.%${searchTerms[0]}%`;
-          query = query.or(singleTermQuery);
-      } else {
-        // Multiple terms search - each term must match at least one field (Supabase handles parentheses automatically)
-        const orConditions = searchTerms.map(term =>
-          `full_name.ilike.%${term}%,self_introduction.ilike.%${term}%,tech_stack_skills.ilike.%${term}%,university_institution.ilike.%${term}%,program_major.ilike.%${term}%,preferred_industry.ilike.%${term}%`
-        );
-        query = query.or(orConditions.join(','));
-      }
+      const contains = (value, filter) =>
+        String(value || '').toLowerCase().includes(String(filter).toLowerCase());
 
-      // Apply additional filters
-      if (filters.status) {
-        query = query.ilike('status', `%${filters.status}%`);
-      }
+      const filter = (student) => {
+        // Filter out invisible students - only admin can see invisible records
+        if (!isAdmin && student.is_visible !== true) return false;
 
-      if (filters.university) {
-        query = query.ilike('university_institution', `%${filters.university}%`);
-      }
+        // Filter out employed students - only show "Open to work" students
+        // Students and admins can search all students
+        if (!isStudent && !isAdmin && student.employment_status !== 'Open to work') return false;
 
-      if (filters.major) {
-        query = query.ilike('program_major', `%${filters.major}%`);
-      }
+        if (filters.status && !contains(student.status, filters.status)) return false;
+        if (filters.university && !contains(student.university_institution, filters.university)) return false;
+        if (filters.major && !contains(student.program_major, filters.major)) return false;
+        if (filters.industry && !contains(student.preferred_industry, filters.industry)) return false;
+        if (filters.skills && !contains(student.tech_stack_skills, filters.skills)) return false;
 
-      if (filters.industry) {
-        query = query.ilike('preferred_industry', `%${filters.industry}%`);
-      }
-
-      if (filters.skills) {
-        query = query.ilike('tech_stack_skills', `%${filters.skills}%`);
-      }
-
-      // Filter out employed students - only show "Open to work" students
-      // Students and admins can search all students
-      if (!isStudent && !isAdmin) {
-        query = query.eq('employment_status', 'Open to work');
-      }
-
-      // Filter out invisible students - only show visible ones in search
-      // Only admin can see invisible records
-      if (!isAdmin) {
-        query = query.eq('is_visible', true);
-      }
-
-      const { data, error } = await query
-        .order('full_name')
-        .limit(50); // Limit search results
+        return true;
+      };
 
-      
-      if (error) {
-        console.error('[ERROR] Failed to search students:', error.message);
-        console.error('[ERROR] Query details:', { searchTerm, searchTerms, filters });
-        throw new Error('Failed to search students');
-      }
+      const { results, pagination } = await searchIndexService.search('students', searchTerm, {
+        filter,
+        match: options.match,
+        includeFields: options.includeCv ? ['cv_text'] : [],
+        page: options.page,
+        limit: options.limit
+      });
 
-      const results = data.map(student =>
-        this.transformStudentDataPublic(student, currentUser?.role, currentUser?.id)
-      );
-      return results;
+      return {
+        students: results.map(({ record, score, matchedFields }) => ({
+          ...this.transformStudentDataPublic(record, currentUser?.role, currentUser?.id),
+          relevance: { score, matchedFields }
+        })),
+        pagination
+      };
     } catch (error) {
       console.error('[ERROR] StudentService.searchStudents:', error.message);
       throw error;
@@ -438,6 +602,8 @@ class StudentService {
 
   async getUniqueSkills() {
     try {
+      await skillTaxonomyService.ensureLoaded();
+
       const { data, error } = await supabase
         .from('students')
         .select('tech_stack_skills, is_visible')
@@ -453,7 +619,7 @@ class StudentService {
       // Split skills by common delimiters and get unique values
       const allSkills = data.map(item => {
         const skills = item['tech_stack_skills'] || '';
-        return skills.split(/[,\/\n|]/).map(skill => skill.trim()).filter(Boolean);
+        return skills.split(/[,\/\n|]/).map(skill => skillTaxonomyService.canonicalize(skill)).filter(Boolean);
       }).flat();
 
       const skills = [...new Set(allSkills)].sort();
@@ -473,6 +639,8 @@ class StudentService {
 
   async getStudentStats() {
     try {
+      await skillTaxonomyService.ensureLoaded();
+
       const { data, error } = await supabase
         .from('students')
         .select('status, employment_status, university_institution, program_major, preferred_industry, tech_stack_skills')
@@ -503,9 +671,10 @@ class StudentService {
       const industries = [...new Set(data.map(student => student['preferred_industry']).filter(Boolean))];
 
       // Get tech skills
+      // Canonicalize and dedupe per student so aliases are counted as one skill
       const allSkills = data.map(student => {
         const skills = student['tech_stack_skills'] || '';
-        return skills.split(/[,\/\n|]/).map(skill => skill.trim()).filter(Boolean);
+        return [...new Set(skills.split(/[,\/\n|]/).map(skill => skillTaxonomyService.canonicalize(skill)).filter(Boolean))];
       }).flat();
       const skills = [...new Set(allSkills)];
 
@@ -535,6 +704,9 @@ class StudentService {
 
   async createStudent(studentData, req = null) {
     try {
+      // Make sure free-text skills can be mapped onto the canonical taxonomy
+      await skillTaxonomyService.ensureLoaded();
+
       // Transform camelCase input to snake_case for database
       const dbData = this.transformStudentDataForDB(studentData);
 
@@ -621,6 +793,9 @@ class StudentService {
         .eq('id', id)
         .single();
 
+      // Make sure free-text skills can be mapped onto the canonical taxonomy
+      await skillTaxonomyService.ensureLoaded();
+
       // Transform camelCase input to snake_case for database
       const dbData = this.transformStudentDataForDB(updateData);
       console.log('[DEBUG StudentService.updateStudent] Transformed data for DB:', dbData);
@@ -722,6 +897,9 @@ class StudentService {
       console.log('[DEBUG] Patch data:', JSON.stringify(patchData, null, 2));
       console.log('[DEBUG] Current user:', req?.user?.id);
 
+      // Make sure free-text skills can be mapped onto the canonical taxonomy
+      await skillTaxonomyService.ensureLoaded();
+
       // Transform camelCase input to snake_case for database (partial update)
       const dbData = this.transformStudentDataForDBPartial(patchData);
 
@@ -937,10 +1115,11 @@ class StudentService {
 
       console.log('[DEBUG] Update data:', updateData);
 
-      // First, get count of students that will be updated
-      const { count: totalCount, error: countError } = await supabase
+      // First, get count of students that will be updated (and their current
+      // visibility, so only actual changes trigger a notification)
+      const { data: existing, count: totalCount, error: countError } = await supabase
         .from('students')
-        .select('*', { count: 'exact', head: true })
+        .select('id, is_visible', { count: 'exact' })
         .in('id', studentIds);
 
       if (countError) {
@@ -952,7 +1131,7 @@ class StudentService {
         .from('students')
         .update(updateData)
         .in('id', studentIds)
-        .select('id, "full_name", is_visible');
+        .select('id, "full_name", email_address, is_visible');
 
       if (error) {
         console.error('[ERROR] Failed to bulk update students:', error.message);
@@ -991,6 +1170,14 @@ class StudentService {
       // Clear cache
       responseCache.clearEmploymentStatusCache('Student bulk approve');
 
+      // Email students whose visibility changed; sent in the background so a
+      // slow mail server does not hold up the response
+      const previouslyVisible = new Map((existing || []).map(row => [row.id, row['is_visible']]));
+      const recipients = (data || [])
+        .filter(s => previouslyVisible.get(s.id) !== s['is_visible'])
+        .map(s => ({ email: s.email_address, name: s['full_name'] }));
+      notificationService.notifyVisibilityChange(recipients, visibleValue, 'student');
+
       console.log('[DEBUG] === BULK APPROVE STUDENTS SUCCESS ===');
 
       return {
@@ -1025,6 +1212,36 @@ class StudentService {
     }
   }
 
+  /**
+   * Visibility rules for a raw student row:
+   * - Admins see every student
+   * - Students always see their own profile
+   * - Employed students are hidden from everyone except admins and students (networking)
+   * - Invisible students are hidden from everyone except admins
+   * @param {Object} student - Student row (snake_case)
+   * @param {Object|null} currentUser - Viewer with id and role
+   * @returns {boolean}
+   */
+  canViewStudent(student, currentUser = null) {
+    const isAdmin = currentUser && currentUser.role === 'admin';
+    const isStudent = currentUser && currentUser.role === 'student';
+    const isOwnData = currentUser && student.id === currentUser.id;
+    const isEmployed = student['employment_status'] === 'Employed';
+    const isVisible = student['is_visible'] === true;
+
+    // Check employment status
+    if (isEmployed && !isOwnData && !isAdmin && !isStudent) {
+      return false;
+    }
+
+    // Check visibility
+    if (!isVisible && !isOwnData && !isAdmin) {
+      return false; // Hide invisible students from others
+    }
+
+    return true;
+  }
+
   /**
    * Deduplicates comma-separated values while preserving order
    * Example: "Java, Javascript, Java" => "Java, Javascript"
@@ -1060,7 +1277,7 @@ class StudentService {
       'university_institution': studentData.university,
       'program_major': studentData.major,
       'preferred_industry': this.deduplicateCommaSeparated(studentData.preferredIndustry),
-      'tech_stack_skills': this.deduplicateCommaSeparated(studentData.techStack),
+      'tech_stack_skills': skillTaxonomyService.canonicalizeList(studentData.techStack),
       'self_introduction': studentData.selfIntroduction,
       'cv_upload': studentData.cvUpload || null,
       'profile_photo': studentData.profilePhoto || null,
@@ -1120,7 +1337,7 @@ class StudentService {
     if (patchData.techStack !== undefined) {
       // Ensure tech stack is always a string to avoid JSON conflicts
       // Also deduplicate values to prevent duplicates like "Java, Javascript, Java"
-      dbData['tech_stack_skills'] = patchData.techStack ? this.deduplicateCommaSeparated(String(patchData.techStack)) : null;
+      dbData['tech_stack_skills'] = patchData.techStack ? skillTaxonomyService.canonicalizeList(String(patchData.techStack)) : null;
     }
     if (patchData.selfIntroduction !== undefined) {
       dbData['self_introduction'] = patchData.selfIntroduction;
@@ -1196,6 +1413,7 @@ class StudentService {
       status: student['status'],
       batch: student['batch'],
       profilePhoto: student['profile_photo'],
+      profilePhotoVariants: imageService.variantUrls(student['profile_photo']),
       linkedin: student['linkedin'],
       portfolioLink: student['portfolio_link'],
       email: student['email_address'],
@@ -1215,7 +1433,7 @@ class StudentService {
       preferredIndustry: student['preferred_industry'],
       techStack: student['tech_stack_skills'],
       selfIntroduction: student['self_introduction'],
-      cvUpload: student['cv_upload'],
+      cvUpload: cvAccessService.publicCvUrl(student),
       status: student['status'],
       timestamp: student['timestamp'],
       completionRate: this.calculateCompletionRate(student)
@@ -1256,8 +1474,9 @@ class StudentService {
       preferredIndustry: student['preferred_industry'],
       techStack: student['tech_stack_skills'],
       selfIntroduction: student['self_introduction'],
-      cvUpload: student['cv_upload'],
+      cvUpload: cvAccessService.publicCvUrl(student),
       profilePhoto: student['profile_photo'],
+      profilePhotoVariants: imageService.variantUrls(student['profile_photo']),
       linkedin: student['linkedin'],
       portfolioLink: student['portfolio_link'],
       phone: student['phone_number'],
@@ -0,0 +1,771 @@
+/**
+ * Two-Factor Authentication Service
+ * TOTP (RFC 6238) second factor with backup codes, per-role policies and
+ * the pending-login challenges used by authController.login.
+ *
+ * Login flow for a user with 2FA enabled (or required by their role):
+ *  1. Password sign-in succeeds; the Supabase session is held here under a
+ *     random challenge token instead of being returned to the client
+ *  2. The client answers the challenge with a TOTP or backup code
+ *     (or, when enrollment is required, enrolls and answers with its first code)
+ *  3. The held session is released to the client
+ *
+ * Sessions are checked on every request (requireAuth): for these users only
+ * sessions whose sign-in passed the second factor are accepted, so signing
+ * in at Supabase directly does not get around 2FA or the login lockout.
+ */
+
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const QRCode = require('qrcode');
+const { supabase } = require('../db');
+const authService = require('./authService');
+const loginProtectionService = require('./loginProtectionService');
+const { HttpError } = require('../middlewares/error-handler');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'KADA Connect';
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // accept one step of clock drift either way
+
+const BACKUP_CODE_COUNT = 10;
+
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+// How long requireAuth remembers a session check; also how long enabling
+// 2FA or a stricter role policy takes to reach sessions already checked
+const SESSION_CHECK_TTL_SECONDS = 60;
+
+const POLICY_ROLES = ['student', 'company', 'admin'];
+
+// Admins can bulk-hide profiles and read every CRUD log: 2FA is not optional
+const ALWAYS_REQUIRED_ROLES = ['admin'];
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/=+$/, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+function hotp(key, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+  return String(code).padStart(TOTP_DIGITS, '0');
+}
+
+const safeEqual = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+const hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+class TwoFactorService {
+  constructor() {
+    // Pending logins: challenge token -> held session. In-memory like the
+    // response cache, so a challenge must be answered on the same instance
+    this.challenges = new NodeCache({
+      stdTTL: CHALLENGE_TTL_SECONDS,
+      checkperiod: 60,
+      useClones: false
+    });
+
+    // An unanswered challenge must not leave a live session behind
+    this.challenges.on('expired', (key, challenge) => {
+      this.revokeSession(challenge.session);
+    });
+
+    // Session checks: `${userId}:${sessionId}` -> whether the session may be used
+    this.sessionChecks = new NodeCache({
+      stdTTL: SESSION_CHECK_TTL_SECONDS,
+      checkperiod: 120
+    });
+  }
+
+  // ============== TOTP ==============
+
+  /**
+   * Find the time step a code belongs to, within the drift window
+   * @returns {number|null} Matching step, or null if the code is wrong
+   */
+  findTotpStep(secret, code, now = Date.now()) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+      return null;
+    }
+
+    const key = base32Decode(secret);
+    const currentStep = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+      if (safeEqual(hotp(key, currentStep + offset), normalized)) {
+        return currentStep + offset;
+      }
+    }
+
+    return null;
+  }
+
+  generateBackupCodes() {
+    return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+  }
+
+  // ============== STATUS & POLICIES ==============
+
+  async getSettings(userId) {
+    const { data, error } = await supabase
+      .from('user_two_factor')
+      .select('user_id, secret, enabled_at, backup_codes, last_used_step, created_at, updated_at')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[ERROR] Failed to fetch two-factor settings:', error.message);
+      throw new Error('Failed to fetch two-factor settings');
+    }
+
+    return data;
+  }
+
+  /**
+   * Whether the role must use 2FA: always for admins, otherwise per policy
+   */
+  async isRequiredForRole(role) {
+    if (ALWAYS_REQUIRED_ROLES.includes(role)) {
+      return true;
+    }
+
+    const { data, error } = await supabase
+      .from('two_factor_policies')
+      .select('required')
+      .eq('role', role)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[ERROR] Failed to fetch two-factor policy:', error.message);
+      throw new Error('Failed to fetch two-factor policy');
+    }
+
+    return data?.required === true;
+  }
+
+  /**
+   * 2FA state for a user
+   * @returns {Promise<{enabled:boolean, pending:boolean, required:boolean, enabledAt:string|null, backupCodesRemaining:number}>}
+   */
+  async getStatus(userId, role) {
+    try {
+      const [settings, required] = await Promise.all([
+        this.getSettings(userId),
+        this.isRequiredForRole(role)
+      ]);
+
+      return {
+        enabled: !!settings?.enabled_at,
+        pending: !!settings && !settings.enabled_at,
+        required,
+        enabledAt: settings?.enabled_at || null,
+        backupCodesRemaining: settings?.enabled_at ? (settings.backup_codes || []).length : 0
+      };
+    } catch (error) {
+      console.error('[ERROR] TwoFactorService.getStatus:', error.message);
+      throw error;
+    }
+  }
+
+  async getPolicies() {
+    try {
+      const { data, error } = await supabase
+        .from('two_factor_policies')
+        .select('role, required, updated_by, updated_at');
+
+      if (error) {
+        console.error('[ERROR] Failed to fetch two-factor policies:', error.message);
+        throw new Error('Failed to fetch two-factor policies');
+      }
+
+      return POLICY_ROLES.map(role => {
+        const policy = data.find(p => p.role === role);
+        return {
+          role,
+          required: ALWAYS_REQUIRED_ROLES.includes(role) || policy?.required === true,
+          locked: ALWAYS_REQUIRED_ROLES.includes(role),
+          updatedBy: policy?.updated_by || null,
+          updatedAt: policy?.updated_at || null
+        };
+      });
+    } catch (error) {
+      console.error('[ERROR] TwoFactorService.getPolicies:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Require (or stop requiring) 2FA for every account with a role
+   * @throws {HttpError} 400 when trying to make 2FA optional for admins
+   */
+  async setPolicy(role, required, req) {
+    if (!POLICY_ROLES.includes(role)) {
+      throw new HttpError(400, `Role must be one of: ${POLICY_ROLES.join(', ')}`);
+    }
+
+    if (ALWAYS_REQUIRED_ROLES.includes(role) && !required) {
+      throw new HttpError(400, `Two-factor authentication is always required for ${role} accounts`);
+    }
+
+    try {
+      const { error } = await supabase
+        .from('two_factor_policies')
+        .upsert({
+          role,
+          required,
+          updated_by: req.user.id,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'role' });
+
+      if (error) {
+        console.error('[ERROR] Failed to update two-factor policy:', error.message);
+        throw new Error(`Failed to update two-factor policy: ${error.message}`);
+      }
+
+      await authService.logAuditEvent({
+        userId: req.user.id,
+        action: '2fa_policy_update',
+        ipAddress: req.ip || null,
+        userAgent: req.headers['user-agent'] || null,
+        metadata: { role, required }
+      });
+
+      const policies = await this.getPolicies();
+      return policies.find(policy => policy.role === role);
+    } catch (error) {
+      console.error('[ERROR] TwoFactorService.setPolicy:', error.message);
+      throw error;
+    }
+  }
+
+  // ============== ENROLLMENT ==============
+
+  /**
+   * Start (or restart) enrollment with a fresh secret. 2FA is not active
+   * until confirmEnrollment succeeds with a code from the authenticator app.
+   * @param {{id:string, email:string}} user
+   * @param {{ipAddress?:string, userAgent?:string}} context - For audit logging
+   * @returns {Promise<{secret:string, otpauthUrl:string, qrCode:string}>}
+   * @throws {HttpError} 409 when 2FA is already enabled
+   */
+  async startEnrollment(user, context = {}) {
+    try {
+      const existing = await this.getSettings(user.id);
+      if (existing?.enabled_at) {
+        throw new HttpError(409, 'Two-factor authentication is already enabled');
+      }
+
+      const secret = base32Encode(crypto.randomBytes(20));
+
+      const { error } = await supabase
+        .from('user_two_factor')
+        .upsert({
+          user_id: user.id,
+          secret,
+          enabled_at: null,
+          backup_codes: [],
+          last_used_step: null,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'user_id' });
+
+      if (error) {
+        console.error('[ERROR] Failed to start two-factor enrollment:', error.message);
+        throw new Error(`Failed to start two-factor enrollment: ${error.message}`);
+      }
+
+      await authService.logAuditEvent({
+        userId: user.id,
+        action: '2fa_enroll_start',
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+      const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+        `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+
+      return {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+      };
+    } catch (error) {
+      console.error('[ERROR] TwoFactorService.startEnrollment:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Activate 2FA with the first code from the authenticator app
+   * @returns {Promise<{backupCodes:string[]}>} Backup codes, shown only once
+   * @throws {HttpError} 400 when there is no pending enrollment or the code is wrong
+   */
+  async confirmEnrollment(userId, code, context = {}) {
+    try {
+      const settings = await this.getSettings(userId);
+
+      if (!settings) {
+        throw new HttpError(400, 'Start two-factor enrollment first');
+      }
+
+      if (settings.enabled_at) {
+        throw new HttpError(409, 'Two-factor authentication is already enabled');
+      }
+
+      const step = this.findTotpStep(settings.secret, code);
+      if (step === null) {
+        await authService.logAuditEvent({
+          userId,
+          action: '2fa_enable',
+          success: false,
+          ipAddress: context.ipAddress,
+          userAgent: context.userAgent,
+          errorMessage: 'Invalid authentication code'
+        });
+        throw new HttpError(400, 'Invalid authentication code');
+      }
+
+      const backupCodes = this.generateBackupCodes();
+      const now = new Date().toISOString();
+
+      const { error } = await supabase
+        .from('user_two_factor')
+        .update({
+          enabled_at: now,
+          backup_codes: backupCodes.map(hashBackupCode),
+          last_used_step: step,
+          updated_at: now
+        })
+        .eq('user_id', userId);
+
+      if (error) {
+        console.error('[ERROR] Failed to enable two-factor authentication:', error.message);
+        throw new Error(`Failed to enable two-factor authentication: ${error.message}`);
+      }
+
+      // The session 2FA was enabled from counts as verified (isSessionVerified)
+      await authService.logAuditEvent({
+        userId,
+        action: '2fa_enable',
+        sessionId: context.sessionId || null,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return { backupCodes };
+    } catch (error) {
+      console.error('[ERROR] TwoFactorService.confirmEnrollment:', error.message);
+      throw error;
+    }
+  }
+
+  // ============== VERIFICATION ==============
+
+  /**
+   * Check a TOTP code (rejecting reuse of an already accepted code) or
+   * consume a backup code. Every attempt is written to the auth audit log.
+   * @param {{code?:string, backupCode?:string}} credentials
+   * @param {{ipAddress?:string, userAgent?:string, purpose?:string}} context
+   * @returns {Promise<boolean>}
+   */
+  async verify(userId, credentials, context = {}) {
+    const settings = await this.getSettings(userId);
+    if (!settings?.enabled_at) {
+      return false;
+    }
+
+    let method = 'totp';
+    let valid = false;
+
+    if (credentials.code) {
+      const step = this.findTotpStep(settings.secret, credentials.code);
+
+      if (step !== null && (settings.last_used_step === null || step > settings.last_used_step)) {
+        // Only advance if no concurrent request used this step first
+        let query = supabase
+          .from('user_two_factor')
+          .update({ last_used_step: step, updated_at: new Date().toISOString() })
+          .eq('user_id', userId);
+
+        query = settings.last_used_step === null
+          ? query.is('last_used_step', null)
+          : query.eq('last_used_step', settings.last_used_step);
+
+        const { data, error } = await query.select('user_id');
+
+        if (error) {
+          console.error('[ERROR] Failed to record two-factor code use:', error.message);
+          throw new Error('Failed to verify authentication code');
+        }
+
+        valid = data.length > 0;
+      }
+    } else if (credentials.backupCode) {
+      method = 'backup_code';
+      const hash = hashBackupCode(credentials.backupCode);
+      const remaining = (settings.backup_codes || []).filter(stored => stored !== hash);
+
+      if (remaining.length < (settings.backup_codes || []).length) {
+        const { data, error } = await supabase
+          .from('user_two_factor')
+          .update({ backup_codes: remaining, updated_at: new Date().toISOString() })
+          .eq('user_id', userId)
+          .contains('backup_codes', [hash]) // Each backup code works once
+          .select('user_id');
+
+        if (error) {
+          console.error('[ERROR] Failed to consume backup code:', error.message);
+          throw new Error('Failed to verify backup code');
+        }
+
+        valid = data.length > 0;
+      }
+    }
+
+    await authService.logAuditEvent({
+      userId,
+      action: '2fa_verify',
+      success: valid,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      errorMessage: valid ? null : 'Invalid authentication code',
+      metadata: { method, purpose: context.purpose || 'login' }
+    });
+
+    return valid;
+  }
+
+  // ============== DISABLE & BACKUP CODES ==============
+
+  /**
+   * Turn 2FA off after re-authenticating with password and a current code
+   * @throws {HttpError} 403 when the role requires 2FA, 401 on failed re-auth
+   */
+  async disable(user, { password, code, backupCode }, context = {}) {
+    try {
+      if (await this.isRequiredForRole(user.role)) {
+        throw new HttpError(403, `Two-factor authentication is required for ${user.role} accounts`);
+      }
+
+      const settings = await this.getSettings(user.id);
+      if (!settings) {
+        throw new HttpError(400, 'Two-factor authentication is not enabled');
+      }
+
+      await this.reauthenticate(user, password, context, '2fa_disable');
+
+      if (settings.enabled_at) {
+        const valid = await this.verify(user.id, { code, backupCode }, { ...context, purpose: 'disable' });
+        if (!valid) {
+          throw new HttpError(401, 'Invalid authentication code');
+        }
+      }
+
+      const { error } = await supabase
+        .from('user_two_factor')
+        .delete()
+        .eq('user_id', user.id);
+
+      if (error) {
+        console.error('[ERROR] Failed to disable two-factor authentication:', error.message);
+        throw new Error(`Failed to disable two-factor authentication: ${error.message}`);
+      }
+
+      await authService.logAuditEvent({
+        userId: user.id,
+        action: '2fa_disable',
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+    } catch (error) {
+      console.error('[ERROR] TwoFactorService.disable:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace all backup codes. Needs a current authenticator code, so a
+   * leaked backup code cannot be used to mint new ones.
+   * @returns {Promise<{backupCodes:string[]}>}
+   */
+  async regenerateBackupCodes(userId, code, context = {}) {
+    try {
+      const valid = await this.verify(userId, { code }, { ...context, purpose: 'backup_codes' });
+      if (!valid) {
+        throw new HttpError(401, 'Invalid authentication code');
+      }
+
+      const backupCodes = this.generateBackupCodes();
+
+      const { error } = await supabase
+        .from('user_two_factor')
+        .update({
+          backup_codes: backupCodes.map(hashBackupCode),
+          updated_at: new Date().toISOString()
+        })
+        .eq('user_id', userId);
+
+      if (error) {
+        console.error('[ERROR] Failed to regenerate backup codes:', error.message);
+        throw new Error(`Failed to regenerate backup codes: ${error.message}`);
+      }
+
+      await authService.logAuditEvent({
+        userId,
+        action: '2fa_backup_codes_regenerate',
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return { backupCodes };
+    } catch (error) {
+      console.error('[ERROR] TwoFactorService.regenerateBackupCodes:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm the password of a signed-in user. The extra session created by
+   * the check is revoked straight away.
+   * @throws {HttpError} 401 when the password is wrong
+   */
+  async reauthenticate(user, password, context, action) {
+    const { data, error } = await supabase.auth.signInWithPassword({
+      email: user.email,
+      password
+    });
+
+    if (error || !data?.session) {
+      await authService.logAuditEvent({
+        userId: user.id,
+        action,
+        success: false,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        errorMessage: 'Password confirmation failed'
+      });
+      throw new HttpError(401, 'Password is incorrect');
+    }
+
+    await this.revokeSession(data.session);
+  }
+
+  // ============== LOGIN CHALLENGES ==============
+
+  /**
+   * Hold a password-authenticated session until the second factor is given
+   * @param {{session:Object, user:Object, role:string, enrollmentRequired:boolean}} pending
+   * @returns {string} Challenge token for the client
+   */
+  createLoginChallenge(pending) {
+    const challengeToken = crypto.randomBytes(32).toString('base64url');
+
+    this.challenges.set(challengeToken, pending);
+
+    return challengeToken;
+  }
+
+  getLoginChallenge(challengeToken) {
+    const challenge = challengeToken ? this.challenges.get(challengeToken) : undefined;
+
+    if (!challenge) {
+      throw new HttpError(401, 'Login challenge is invalid or has expired, please sign in again');
+    }
+
+    return challenge;
+  }
+
+  /**
+   * Enrollment details for a user whose role requires 2FA but who has not
+   * set it up yet, so they can enroll before their first login completes
+   */
+  async startLoginEnrollment(challengeToken, context = {}) {
+    const challenge = this.getLoginChallenge(challengeToken);
+
+    if (!challenge.enrollmentRequired) {
+      throw new HttpError(409, 'Two-factor authentication is already enabled');
+    }
+
+    return this.startEnrollment(challenge.user, context);
+  }
+
+  /**
+   * Answer a login challenge. When enrollment was required, the code also
+   * confirms the enrollment and the new backup codes are returned.
+   * Wrong codes count towards the account's lockout (loginProtectionService),
+   * not the challenge, so signing in again does not give fresh attempts.
+   * @returns {Promise<{session:Object, user:Object, role:string, backupCodes?:string[]}>}
+   * @throws {HttpError} 401 on a wrong code; 429 once the account is locked,
+   *   which also drops the challenge
+   */
+  async completeLoginChallenge(challengeToken, credentials, context = {}) {
+    const challenge = this.getLoginChallenge(challengeToken);
+    const email = challenge.user.email;
+    let backupCodes;
+    let valid;
+
+    try {
+      await loginProtectionService.assertNotLocked(email, context.ipAddress, context.userAgent);
+    } catch (error) {
+      await this.dropLoginChallenge(challengeToken, challenge);
+      throw error;
+    }
+
+    if (challenge.enrollmentRequired) {
+      try {
+        ({ backupCodes } = await this.confirmEnrollment(challenge.user.id, credentials.code, context));
+        valid = true;
+      } catch (error) {
+        if (error.statusCode !== 400) throw error;
+        valid = false;
+      }
+    } else {
+      valid = await this.verify(challenge.user.id, credentials, { ...context, purpose: 'login' });
+    }
+
+    await authService.logAuditEvent({
+      userId: challenge.user.id,
+      action: 'login_2fa',
+      success: valid,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      errorMessage: valid ? null : 'Invalid authentication code',
+      metadata: { email: loginProtectionService.normalizeEmail(email) }
+    });
+
+    if (!valid) {
+      const status = await loginProtectionService.getTwoFactorStatus(email)
+        .catch(() => ({ locked: false }));
+
+      if (status.locked) {
+        await this.dropLoginChallenge(challengeToken, challenge);
+        throw loginProtectionService.lockedError('two_factor', status);
+      }
+
+      throw new HttpError(401, 'Invalid authentication code');
+    }
+
+    this.challenges.del(challengeToken);
+    await authService.recordLogin(challenge.user, challenge.session, context);
+
+    return {
+      session: challenge.session,
+      user: challenge.user,
+      role: challenge.role,
+      ...(backupCodes && { backupCodes })
+    };
+  }
+
+  /**
+   * Whether a session may be used. For users with 2FA enabled or required
+   * by their role, the session must come from a sign-in that passed the
+   * second factor (its `login` event, see authService.recordLogin) or be
+   * the one 2FA was enabled from. Token refreshes keep the session id.
+   * @param {{id:string, role:string}} user
+   * @param {string|null} sessionId - session_id claim of the access token
+   * @returns {Promise<boolean>}
+   */
+  async isSessionVerified(user, sessionId) {
+    const cacheKey = `${user.id}:${sessionId}`;
+    const cached = this.sessionChecks.get(cacheKey);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const status = await this.getStatus(user.id, user.role);
+    let verified = !status.enabled && !status.required;
+
+    if (!verified && sessionId) {
+      const { data, error } = await supabase
+        .from('auth_audit_logs')
+        .select('id')
+        .eq('user_id', user.id)
+        .eq('session_id', sessionId)
+        .eq('success', true)
+        .in('action', ['login', '2fa_enable'])
+        .limit(1);
+
+      if (error) {
+        console.error('[ERROR] Failed to check session sign-in:', error.message);
+        throw new Error('Failed to verify session');
+      }
+
+      verified = data.length > 0;
+    }
+
+    this.sessionChecks.set(cacheKey, verified);
+    return verified;
+  }
+
+  async dropLoginChallenge(challengeToken, challenge) {
+    this.challenges.del(challengeToken);
+    await this.revokeSession(challenge.session);
+  }
+
+  async revokeSession(session) {
+    if (!session?.access_token) return;
+
+    const { error } = await supabase.auth.admin.signOut(session.access_token, 'local');
+    if (error) {
+      console.warn('[WARN] Failed to revoke held session:', error.message);
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
+module.exports.POLICY_ROLES = POLICY_ROLES;
+module.exports.CHALLENGE_TTL_SECONDS = CHALLENGE_TTL_SECONDS;
@@ -0,0 +1,377 @@
+const { supabase } = require('../db');
+const logService = require('./logService');
+const notificationService = require('./notificationService');
+const studentService = require('./studentService');
+const companyService = require('./companyService');
+const loginProtectionService = require('./loginProtectionService');
+const { HttpError } = require('../middlewares/error-handler');
+
+const USER_FIELDS = `
+  id,
+  email,
+  full_name,
+  role,
+  approved,
+  profile_completed,
+  approval_reason,
+  reviewed_by,
+  reviewed_at,
+  disabled_at,
+  disabled_reason,
+  created_at,
+  updated_at
+`;
+
+const ROLES = ['student', 'company', 'admin'];
+
+// Supabase Auth ban used to block sign-in and token refresh for disabled accounts
+const DISABLED_BAN_DURATION = '876000h'; // ~100 years
+
+/**
+ * User Service
+ * Admin management of accounts in public.users: approval, roles and disabling
+ */
+class UserService {
+  /**
+   * List users with filters:
+   * role, approved, profileCompleted, disabled, createdFrom, createdTo, q (email or name)
+   */
+  async getUsers(filters = {}) {
+    try {
+      let query = supabase
+        .from('users')
+        .select(USER_FIELDS, { count: 'exact' });
+
+      if (filters.role) {
+        query = query.eq('role', filters.role);
+      }
+
+      if (filters.approved !== undefined) {
+        query = query.eq('approved', filters.approved);
+      }
+
+      if (filters.profileCompleted !== undefined) {
+        query = query.eq('profile_completed', filters.profileCompleted);
+      }
+
+      if (filters.disabled !== undefined) {
+        query = filters.disabled
+          ? query.not('disabled_at', 'is', null)
+          : query.is('disabled_at', null);
+      }
+
+      if (filters.createdFrom) {
+        query = query.gte('created_at', filters.createdFrom);
+      }
+
+      if (filters.createdTo) {
+        query = query.lte('created_at', filters.createdTo);
+      }
+
+      if (filters.q) {
+        const term = filters.q.replace(/[%,()]/g, '');
+        query = query.or(`email.ilike.%${term}%,full_name.ilike.%${term}%`);
+      }
+
+      const page = parseInt(filters.page) || 1;
+      const limit = parseInt(filters.limit) || 20;
+      const offset = (page - 1) * limit;
+
+      query = query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      const { data, error, count } = await query;
+
+      if (error) {
+        console.error('[ERROR] Failed to fetch users:', error.message);
+        throw new Error('Failed to fetch users');
+      }
+
+      return {
+        users: data.map(user => this.transformUserData(user)),
+        pagination: {
+          page,
+          limit,
+          total: count || 0,
+          totalPages: Math.ceil((count || 0) / limit)
+        }
+      };
+    } catch (error) {
+      console.error('[ERROR] UserService.getUsers:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user with their student/company profile and recent auth audit events
+   */
+  async getUserById(id, options = {}) {
+    try {
+      const user = await this.findUser(id);
+      if (!user) {
+        return null;
+      }
+
+      const adminViewer = { role: 'admin' };
+      let profile = null;
+
+      if (user.role === 'student') {
+        profile = await studentService.getStudentById(id, adminViewer);
+      } else if (user.role === 'company') {
+        profile = await companyService.getCompanyById(id, adminViewer);
+      }
+
+      const { data: auditLogs, error } = await supabase
+        .from('auth_audit_logs')
+        .select('id, action, success, ip_address, user_agent, session_id, metadata, created_at')
+        .eq('user_id', id)
+        .order('created_at', { ascending: false })
+        .limit(Math.min(parseInt(options.auditLimit) || 20, 100));
+
+      if (error) {
+        console.error('[ERROR] Failed to fetch auth audit logs:', error.message);
+        throw new Error('Failed to fetch auth audit logs');
+      }
+
+      return {
+        ...this.transformUserData(user),
+        profile,
+        loginLockout: await loginProtectionService.getLockoutSummary(user.email),
+        recentAuthEvents: auditLogs.map(log => ({
+          id: log.id,
+          action: log.action,
+          success: log.success,
+          ipAddress: log.ip_address,
+          userAgent: log.user_agent,
+          sessionId: log.session_id,
+          metadata: log.metadata,
+          createdAt: log.created_at
+        }))
+      };
+    } catch (error) {
+      console.error('[ERROR] UserService.getUserById:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve an account so it passes requireApproval, and email the user
+   */
+  async approveUser(id, reason, req) {
+    const existing = await this.findUser(id);
+    if (!existing) {
+      return null;
+    }
+
+    const user = await this.updateUser(id, {
+      approved: true,
+      approval_reason: reason || null
+    }, req, 'APPROVE');
+
+    if (user && !existing.approved) {
+      notificationService.send('approvalGranted', user.email, { name: user.fullName, role: user.role });
+    }
+
+    return user;
+  }
+
+  /**
+   * Reject (or revoke) approval with a reason, and email the user
+   */
+  async rejectUser(id, reason, req) {
+    const user = await this.updateUser(id, {
+      approved: false,
+      approval_reason: reason
+    }, req, 'REJECT');
+
+    if (user) {
+      notificationService.send('approvalRejected', user.email, { name: user.fullName, reason });
+    }
+
+    return user;
+  }
+
+  async changeRole(id, role, req) {
+    if (!ROLES.includes(role)) {
+      throw new HttpError(400, `Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    if (id === req.user.id) {
+      throw new HttpError(400, 'You cannot change your own role');
+    }
+
+    return this.updateUser(id, { role }, req, 'CHANGE_ROLE');
+  }
+
+  /**
+   * Disable an account: flagged in public.users (rejected by requireAuth) and
+   * banned in Supabase Auth so the user cannot sign in or refresh tokens
+   */
+  async disableUser(id, reason, req) {
+    if (id === req.user.id) {
+      throw new HttpError(400, 'You cannot disable your own account');
+    }
+
+    const user = await this.updateUser(id, {
+      disabled_at: new Date().toISOString(),
+      disabled_reason: reason || null
+    }, req, 'DISABLE');
+
+    if (user) {
+      await this.setAuthBan(id, DISABLED_BAN_DURATION);
+    }
+
+    return user;
+  }
+
+  async enableUser(id, req) {
+    const user = await this.updateUser(id, {
+      disabled_at: null,
+      disabled_reason: null
+    }, req, 'ENABLE');
+
+    if (user) {
+      await this.setAuthBan(id, 'none');
+    }
+
+    return user;
+  }
+
+  /**
+   * Clear a sign-in lockout after repeated failed logins, optionally for a
+   * client IP as well
+   * @returns {Promise<Object|null>} Lock state after the unlock, or null when not found
+   */
+  async unlockUser(id, ipAddress, req) {
+    try {
+      const user = await this.findUser(id);
+      if (!user) {
+        return null;
+      }
+
+      return await loginProtectionService.unlock(user, req, ipAddress);
+    } catch (error) {
+      console.error('[ERROR] UserService.unlockUser:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply an admin change to a users row and log it with resource_type 'user'
+   * @param {string} action - Admin action recorded in the log (APPROVE, REJECT, ...)
+   * @returns {Promise<Object|null>} Updated user, or null when not found
+   */
+  async updateUser(id, changes, req, action) {
+    const currentUser = req.user;
+
+    try {
+      const oldData = await this.findUser(id);
+      if (!oldData) {
+        return null;
+      }
+
+      const now = new Date().toISOString();
+      const { data, error } = await supabase
+        .from('users')
+        .update({
+          ...changes,
+          reviewed_by: currentUser.id,
+          reviewed_at: now,
+          updated_at: now
+        })
+        .eq('id', id)
+        .select(USER_FIELDS)
+        .single();
+
+      if (error) {
+        console.error(`[ERROR] Failed to ${action.toLowerCase()} user:`, error.message);
+        throw new Error(`Failed to update user: ${error.message}`);
+      }
+
+      // Log successful UPDATE operation
+      await logService.logUpdate({
+        userId: currentUser.id,
+        userEmail: currentUser.email,
+        resourceType: 'user',
+        resourceId: id,
+        oldValues: oldData,
+        newValues: { ...data, action },
+        request: req,
+        routePath: req.path
+      });
+
+      // Role and approval are read per request, but cached responses may
+      // still reflect the old state
+      const authService = require('./authService');
+      await authService.clearUserCache(id);
+
+      return this.transformUserData(data);
+    } catch (error) {
+      // Log failed UPDATE operation
+      await logService.logError({
+        userId: currentUser?.id,
+        userEmail: currentUser?.email,
+        resourceType: 'user',
+        resourceId: id,
+        operation: 'UPDATE',
+        errorMessage: error.message,
+        request: req,
+        routePath: req.path,
+        newValues: { ...changes, action }
+      });
+
+      console.error(`[ERROR] UserService.updateUser (${action}):`, error.message);
+      throw error;
+    }
+  }
+
+  async setAuthBan(id, banDuration) {
+    const { error } = await supabase.auth.admin.updateUserById(id, { ban_duration: banDuration });
+
+    if (error) {
+      console.error('[ERROR] Failed to update auth ban:', error.message);
+      throw new Error(`Failed to update sign-in access: ${error.message}`);
+    }
+  }
+
+  async findUser(id) {
+    const { data, error } = await supabase
+      .from('users')
+      .select(USER_FIELDS)
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // User not found
+      }
+      console.error('[ERROR] Failed to fetch user:', error.message);
+      throw new Error('Failed to fetch user');
+    }
+
+    return data;
+  }
+
+  transformUserData(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      fullName: user.full_name,
+      role: user.role,
+      approved: user.approved,
+      profileCompleted: user.profile_completed,
+      approvalReason: user.approval_reason,
+      reviewedBy: user.reviewed_by,
+      reviewedAt: user.reviewed_at,
+      disabled: !!user.disabled_at,
+      disabledAt: user.disabled_at,
+      disabledReason: user.disabled_reason,
+      createdAt: user.created_at,
+      updatedAt: user.updated_at
+    };
+  }
+}
+
+module.exports = new UserService();
+module.exports.ROLES = ROLES;
@@ -372,6 +372,462 @@ const lookupSchemas = {
   }),
 };
 
+const jobPostingSchemas = {
+  create: Joi.object({
+    title: Joi.string().min(3).max(200).required().messages({
+      "string.min": "Job title must be at least 3 characters",
+      "string.max": "Job title cannot exceed 200 characters",
+      "any.required": "Job title is required",
+    }),
+    description: Joi.string().min(20).max(5000).required().messages({
+      "string.min": "Job description must be at least 20 characters",
+      "string.max": "Job description cannot exceed 5000 characters",
+      "any.required": "Job description is required",
+    }),
+    requiredSkills: Joi.string().max(1000).optional().messages({
+      "string.max": "Required skills cannot exceed 1000 characters",
+    }),
+    location: Joi.string().max(200).optional().allow("", null).messages({
+      "string.max": "Location cannot exceed 200 characters",
+    }),
+    remoteMode: Joi.string()
+      .valid("onsite", "remote", "hybrid")
+      .required()
+      .messages({
+        "any.only": "Remote mode must be one of: onsite, remote, hybrid",
+        "any.required": "Remote mode is required",
+      }),
+    employmentType: Joi.string()
+      .valid("full-time", "part-time", "contract", "internship")
+      .required()
+      .messages({
+        "any.only": "Employment type must be one of: full-time, part-time, contract, internship",
+        "any.required": "Employment type is required",
+      }),
+    status: Joi.string().valid("draft", "open", "closed").optional().messages({
+      "any.only": "Status must be one of: draft, open, closed",
+    }),
+    applicationDeadline: Joi.date().iso().optional().allow(null).messages({
+      "date.format": "Application deadline must be an ISO 8601 date",
+    }),
+    startDate: Joi.date().iso().optional().allow(null).messages({
+      "date.format": "Start date must be an ISO 8601 date",
+    }),
+  }),
+
+  update: Joi.object({
+    title: Joi.string().min(3).max(200).optional().messages({
+      "string.min": "Job title must be at least 3 characters",
+      "string.max": "Job title cannot exceed 200 characters",
+    }),
+    description: Joi.string().min(20).max(5000).optional().messages({
+      "string.min": "Job description must be at least 20 characters",
+      "string.max": "Job description cannot exceed 5000 characters",
+    }),
+    requiredSkills: Joi.string().max(1000).optional().allow("", null).messages({
+      "string.max": "Required skills cannot exceed 1000 characters",
+    }),
+    location: Joi.string().max(200).optional().allow("", null).messages({
+      "string.max": "Location cannot exceed 200 characters",
+    }),
+    remoteMode: Joi.string().valid("onsite", "remote", "hybrid").optional().messages({
+      "any.only": "Remote mode must be one of: onsite, remote, hybrid",
+    }),
+    employmentType: Joi.string()
+      .valid("full-time", "part-time", "contract", "internship")
+      .optional()
+      .messages({
+        "any.only": "Employment type must be one of: full-time, part-time, contract, internship",
+      }),
+    status: Joi.string().valid("draft", "open", "closed").optional().messages({
+      "any.only": "Status must be one of: draft, open, closed",
+    }),
+    applicationDeadline: Joi.date().iso().optional().allow(null).messages({
+      "date.format": "Application deadline must be an ISO 8601 date",
+    }),
+    startDate: Joi.date().iso().optional().allow(null).messages({
+      "date.format": "Start date must be an ISO 8601 date",
+    }),
+  }),
+
+  list: Joi.object({
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional(),
+    q: Joi.string().max(100).optional(),
+    skill: Joi.string().max(100).optional(),
+    location: Joi.string().max(100).optional(),
+    companyId: Joi.string().guid().optional().messages({
+      "string.guid": "Company ID must be a valid UUID",
+    }),
+    remoteMode: Joi.string().valid("onsite", "remote", "hybrid").optional().messages({
+      "any.only": "Remote mode must be one of: onsite, remote, hybrid",
+    }),
+    employmentType: Joi.string()
+      .valid("full-time", "part-time", "contract", "internship")
+      .optional()
+      .messages({
+        "any.only": "Employment type must be one of: full-time, part-time, contract, internship",
+      }),
+    status: Joi.string().valid("draft", "open", "closed").optional().messages({
+      "any.only": "Status must be one of: draft, open, closed",
+    }),
+  }),
+};
+
+const applicationSchemas = {
+  create: Joi.object({
+    studentId: Joi.string().guid().optional().messages({
+      "string.guid": "Student ID must be a valid UUID",
+    }),
+    companyId: Joi.string().guid().optional().messages({
+      "string.guid": "Company ID must be a valid UUID",
+    }),
+    jobPostingId: Joi.string().guid().optional().messages({
+      "string.guid": "Job posting ID must be a valid UUID",
+    }),
+    coverNote: Joi.string().max(2000).optional().allow("", null).messages({
+      "string.max": "Cover note cannot exceed 2000 characters",
+    }),
+    source: Joi.string().valid("student", "company").optional().messages({
+      "any.only": "Source must be either student or company",
+    }),
+  }).or("companyId", "jobPostingId").messages({
+    "object.missing": "Either companyId or jobPostingId is required",
+  }),
+
+  changeStage: Joi.object({
+    stage: Joi.string()
+      .valid("applied", "screening", "interview", "offer", "hired", "rejected")
+      .required()
+      .messages({
+        "any.only": "Stage must be one of: applied, screening, interview, offer, hired, rejected",
+        "any.required": "Stage is required",
+      }),
+    note: Joi.string().max(1000).optional().allow("", null).messages({
+      "string.max": "Note cannot exceed 1000 characters",
+    }),
+  }),
+
+  list: Joi.object({
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional(),
+    stage: Joi.string()
+      .valid("applied", "screening", "interview", "offer", "hired", "rejected")
+      .optional()
+      .messages({
+        "any.only": "Stage must be one of: applied, screening, interview, offer, hired, rejected",
+      }),
+    jobPostingId: Joi.string().guid().optional(),
+    studentId: Joi.string().guid().optional(),
+    companyId: Joi.string().guid().optional(),
+  }),
+};
+
+const skillSchemas = {
+  create: Joi.object({
+    canonicalName: Joi.string().min(1).max(100).required().messages({
+      "string.min": "Canonical name cannot be empty",
+      "string.max": "Canonical name cannot exceed 100 characters",
+      "any.required": "Canonical name is required",
+    }),
+    category: Joi.string()
+      .valid("frontend", "backend", "mobile", "data", "devops", "cloud", "design", "testing", "other")
+      .required()
+      .messages({
+        "any.only": "Category must be one of: frontend, backend, mobile, data, devops, cloud, design, testing, other",
+        "any.required": "Category is required",
+      }),
+    aliases: Joi.array().items(Joi.string().min(1).max(100)).max(50).optional().messages({
+      "array.max": "A skill cannot have more than 50 aliases",
+    }),
+  }),
+
+  update: Joi.object({
+    canonicalName: Joi.string().min(1).max(100).optional().messages({
+      "string.min": "Canonical name cannot be empty",
+      "string.max": "Canonical name cannot exceed 100 characters",
+    }),
+    category: Joi.string()
+      .valid("frontend", "backend", "mobile", "data", "devops", "cloud", "design", "testing", "other")
+      .optional()
+      .messages({
+        "any.only": "Category must be one of: frontend, backend, mobile, data, devops, cloud, design, testing, other",
+      }),
+    aliases: Joi.array().items(Joi.string().min(1).max(100)).max(50).optional().messages({
+      "array.max": "A skill cannot have more than 50 aliases",
+    }),
+  }),
+
+  acceptSuggestions: Joi.object({
+    skills: Joi.array().items(Joi.string().trim().min(1).max(100)).min(1).max(50).required().messages({
+      "array.min": "At least one skill is required",
+      "array.max": "Cannot accept more than 50 skills at once",
+      "any.required": "Skills are required",
+    }),
+  }),
+};
+
+const shortlistSchemas = {
+  create: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required().messages({
+      "string.empty": "Shortlist name cannot be empty",
+      "string.max": "Shortlist name cannot exceed 100 characters",
+      "any.required": "Shortlist name is required",
+    }),
+    description: Joi.string().max(500).optional().allow("", null).messages({
+      "string.max": "Description cannot exceed 500 characters",
+    }),
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional().messages({
+      "string.empty": "Shortlist name cannot be empty",
+      "string.max": "Shortlist name cannot exceed 100 characters",
+    }),
+    description: Joi.string().max(500).optional().allow("", null).messages({
+      "string.max": "Description cannot exceed 500 characters",
+    }),
+  }).min(1).messages({
+    "object.min": "No fields provided for partial update",
+  }),
+
+  addEntry: Joi.object({
+    studentId: Joi.string().guid().required().messages({
+      "string.guid": "Student ID must be a valid UUID",
+      "any.required": "Student ID is required",
+    }),
+    note: Joi.string().max(1000).optional().allow("", null).messages({
+      "string.max": "Note cannot exceed 1000 characters",
+    }),
+  }),
+
+  updateEntry: Joi.object({
+    note: Joi.string().max(1000).required().allow("", null).messages({
+      "string.max": "Note cannot exceed 1000 characters",
+      "any.required": "Note is required",
+    }),
+  }),
+
+  reorder: Joi.object({
+    studentIds: Joi.array().items(Joi.string().guid()).max(500).required().messages({
+      "string.guid": "Student IDs must be valid UUIDs",
+      "array.max": "A shortlist cannot have more than 500 students",
+      "any.required": "studentIds is required",
+    }),
+  }),
+};
+
+// A filter value: one string, comma-separated values or an array of values
+const savedSearchFilterValue = Joi.alternatives().try(
+  Joi.string().trim().max(200),
+  Joi.array().items(Joi.string().trim().max(100)).max(20)
+);
+
+const savedSearchSchemas = {
+  create: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required().messages({
+      "string.empty": "Saved search name cannot be empty",
+      "string.max": "Saved search name cannot exceed 100 characters",
+      "any.required": "Saved search name is required",
+    }),
+    query: Joi.string().trim().max(100).optional().allow("", null).messages({
+      "string.max": "Search query must be 100 characters or less",
+    }),
+    filters: Joi.object({
+      status: savedSearchFilterValue,
+      university: savedSearchFilterValue,
+      major: savedSearchFilterValue,
+      industry: savedSearchFilterValue,
+      batch: savedSearchFilterValue,
+      skills: savedSearchFilterValue,
+      skillsMode: Joi.string().valid("all", "any"),
+    }).optional().messages({
+      "object.unknown": "Unknown filter {#label}",
+      "any.only": 'skillsMode must be "all" or "any"',
+    }),
+    match: Joi.string().valid("all", "any").optional().messages({
+      "any.only": 'match must be "all" or "any"',
+    }),
+    alertsEnabled: Joi.boolean().optional(),
+  }).or("query", "filters").messages({
+    "object.missing": "A saved search needs query text or filters",
+  }),
+};
+
+const messagingSchemas = {
+  startConversation: Joi.object({
+    studentId: Joi.string().guid().optional().messages({
+      "string.guid": "Student ID must be a valid UUID",
+    }),
+    companyId: Joi.string().guid().optional().messages({
+      "string.guid": "Company ID must be a valid UUID",
+    }),
+    body: Joi.string().trim().min(1).max(5000).required().messages({
+      "string.empty": "Message cannot be empty",
+      "string.max": "Message cannot exceed 5000 characters",
+      "any.required": "Message body is required",
+    }),
+  }).xor("studentId", "companyId").messages({
+    "object.missing": "Either studentId or companyId is required",
+    "object.xor": "Provide either studentId or companyId, not both",
+  }),
+
+  sendMessage: Joi.object({
+    body: Joi.string().trim().min(1).max(5000).required().messages({
+      "string.empty": "Message cannot be empty",
+      "string.max": "Message cannot exceed 5000 characters",
+      "any.required": "Message body is required",
+    }),
+  }),
+
+  list: Joi.object({
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional(),
+  }),
+
+  adminList: Joi.object({
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional(),
+    companyId: Joi.string().guid().optional(),
+    studentId: Joi.string().guid().optional(),
+  }),
+};
+
+const userSchemas = {
+  list: Joi.object({
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional(),
+    role: Joi.string().valid("student", "company", "admin").optional().messages({
+      "any.only": "Role must be student, company or admin",
+    }),
+    approved: Joi.boolean().optional(),
+    profileCompleted: Joi.boolean().optional(),
+    disabled: Joi.boolean().optional(),
+    createdFrom: Joi.date().iso().optional().messages({
+      "date.format": "createdFrom must be an ISO date",
+    }),
+    createdTo: Joi.date().iso().optional().messages({
+      "date.format": "createdTo must be an ISO date",
+    }),
+    q: Joi.string().max(100).optional(),
+  }),
+
+  approve: Joi.object({
+    reason: Joi.string().max(500).optional().allow("", null).messages({
+      "string.max": "Reason cannot exceed 500 characters",
+    }),
+  }),
+
+  reject: Joi.object({
+    reason: Joi.string().trim().min(1).max(500).required().messages({
+      "string.empty": "Reason cannot be empty",
+      "string.max": "Reason cannot exceed 500 characters",
+      "any.required": "A reason is required to reject an account",
+    }),
+  }),
+
+  changeRole: Joi.object({
+    role: Joi.string().valid("student", "company", "admin").required().messages({
+      "any.only": "Role must be student, company or admin",
+      "any.required": "Role is required",
+    }),
+  }),
+
+  disable: Joi.object({
+    reason: Joi.string().max(500).optional().allow("", null).messages({
+      "string.max": "Reason cannot exceed 500 characters",
+    }),
+  }),
+
+  unlock: Joi.object({
+    ipAddress: Joi.string().ip({ cidr: "forbidden" }).optional().allow(null).messages({
+      "string.ip": "ipAddress must be a valid IP address",
+      "string.ipVersion": "ipAddress must be a valid IP address",
+    }),
+  }),
+};
+
+const inviteSchemas = {
+  create: Joi.object({
+    role: Joi.string().valid("student", "company", "admin").optional().messages({
+      "any.only": "Role must be student, company or admin",
+    }),
+    email: Joi.string().email().optional().allow(null).messages({
+      "string.email": "Email must be valid",
+    }),
+    expiresInHours: Joi.number().integer().min(1).max(720).optional().messages({
+      "number.min": "Invites must be valid for at least 1 hour",
+      "number.max": "Invites cannot be valid for more than 720 hours (30 days)",
+    }),
+  }),
+
+  list: Joi.object({
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional(),
+    status: Joi.string().valid("pending", "used", "revoked", "expired").optional().messages({
+      "any.only": "Status must be pending, used, revoked or expired",
+    }),
+    role: Joi.string().valid("student", "company", "admin").optional().messages({
+      "any.only": "Role must be student, company or admin",
+    }),
+  }),
+};
+
+const totpCode = Joi.string().pattern(/^\d{6}$/).messages({
+  "string.pattern.base": "Code must be the 6-digit code from your authenticator app",
+  "any.required": "Authentication code is required",
+});
+
+const backupCode = Joi.string().max(20).messages({
+  "string.max": "Backup code is invalid",
+});
+
+const twoFactorSchemas = {
+  verify: Joi.object({
+    code: totpCode.required(),
+  }),
+
+  loginSetup: Joi.object({
+    challengeToken: Joi.string().max(200).required().messages({
+      "any.required": "Challenge token is required",
+    }),
+  }),
+
+  login: Joi.object({
+    challengeToken: Joi.string().max(200).required().messages({
+      "any.required": "Challenge token is required",
+    }),
+    code: totpCode,
+    backupCode,
+  })
+    .xor("code", "backupCode")
+    .messages({
+      "object.missing": "Provide either an authentication code or a backup code",
+      "object.xor": "Provide either an authentication code or a backup code, not both",
+    }),
+
+  regenerateBackupCodes: Joi.object({
+    code: totpCode.required(),
+  }),
+
+  disable: Joi.object({
+    password: Joi.string().required().messages({
+      "any.required": "Password is required",
+    }),
+    code: totpCode,
+    backupCode,
+  }).oxor("code", "backupCode").messages({
+    "object.oxor": "Provide either an authentication code or a backup code, not both",
+  }),
+
+  updatePolicy: Joi.object({
+    required: Joi.boolean().required().messages({
+      "any.required": "required must be true or false",
+      "boolean.base": "required must be true or false",
+    }),
+  }),
+};
+
 const authSchemas = {
   register: Joi.object({
     email: Joi.string().email().required().messages({
@@ -388,6 +844,14 @@ const authSchemas = {
     role: Joi.string().valid('student', 'company', 'admin').messages({
       'any.only': 'Role must be student, company or admin',
     }),
+    inviteToken: Joi.string().max(200).when('role', {
+      is: 'admin',
+      then: Joi.required(),
+      otherwise: Joi.optional(),
+    }).messages({
+      'any.required': 'An invite is required to register as admin',
+      'string.max': 'Invite token is invalid',
+    }),
   })
   .custom((value, helpers) => {
     if (value.role === 'company') {
@@ -426,6 +890,11 @@ const authSchemas = {
       "any.required": "Password is required",
     }),
   }),
+  refresh: Joi.object({
+    refresh_token: Joi.string().required().messages({
+      "any.required": "Refresh token is required",
+    }),
+  }),
   forgotPassword: Joi.object({
     email: Joi.string().email().required().messages({
       "string.email": "Email must be valid",
@@ -443,9 +912,35 @@ const authSchemas = {
   }),
 };
 
+const importSchemas = {
+  list: Joi.object({
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional(),
+    entity: Joi.string().valid("students", "companies").optional().messages({
+      "any.only": "Entity must be one of: students, companies",
+    }),
+    status: Joi.string()
+      .valid("running", "completed", "completed_with_errors", "failed")
+      .optional()
+      .messages({
+        "any.only": "Status must be one of: running, completed, completed_with_errors, failed",
+      }),
+  }),
+};
+
 module.exports = {
   companySchemas,
   studentSchemas,
   lookupSchemas,
+  jobPostingSchemas,
+  applicationSchemas,
+  skillSchemas,
+  shortlistSchemas,
+  savedSearchSchemas,
+  messagingSchemas,
+  userSchemas,
+  inviteSchemas,
+  importSchemas,
+  twoFactorSchemas,
   authSchemas,
 };
@@ -0,0 +1,70 @@
+/**
+ * In-memory stand-in for the Supabase client. Require it before any service
+ * so src/db and logService get the stub from createClient instead of a live
+ * client. Every query records its table and builder calls in `queries`;
+ * `respond` decides what each query resolves to.
+ */
+
+const Module = require('module');
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'test-service-key';
+
+const queries = [];
+let responder = () => ({ data: [], error: null });
+
+const createQuery = (table, calls = []) => {
+  const query = { table, calls };
+  queries.push(query);
+
+  const builder = new Proxy({}, {
+    get(target, method) {
+      if (method === 'then') {
+        return (resolve, reject) => Promise.resolve()
+          .then(() => responder(query))
+          .then(resolve, reject);
+      }
+      return (...args) => {
+        query.calls.push([method, ...args]);
+        return builder;
+      };
+    }
+  });
+
+  return builder;
+};
+
+const supabase = {
+  from: (table) => createQuery(table),
+  rpc: (fn, args) => createQuery(`rpc:${fn}`, [['rpc', args]]),
+  auth: { admin: {} },
+  storage: { from: (bucket) => createQuery(`storage:${bucket}`) }
+};
+
+const clientPath = require.resolve('@supabase/supabase-js');
+const clientModule = new Module(clientPath);
+clientModule.filename = clientPath;
+clientModule.loaded = true;
+clientModule.exports = { createClient: () => supabase };
+require.cache[clientPath] = clientModule;
+
+/**
+ * Arguments of the first call to `method` on a recorded query
+ */
+const callArgs = (query, method) => query.calls.find(([name]) => name === method)?.slice(1);
+
+module.exports = {
+  supabase,
+  queries,
+  callArgs,
+  /**
+   * @param {Function} handler - (query) => { data, error, count }
+   */
+  respond(handler) {
+    responder = handler;
+  },
+  reset() {
+    queries.length = 0;
+    responder = () => ({ data: [], error: null });
+  }
+};
@@ -0,0 +1,105 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('../helpers/supabase');
+const applicationService = require('../../src/services/applicationService');
+
+const COMPANY = { id: 'company-1', role: 'company', email: 'hr@example.com' };
+
+const application = (stage) => ({
+  id: 'application-1',
+  student_id: 'student-1',
+  company_id: COMPANY.id,
+  job_posting_id: null,
+  stage
+});
+
+const request = (user = COMPANY) => ({ user, path: '/api/applications/application-1/stage', headers: {} });
+
+/**
+ * Serve `current` as the stored application; the update resolves to the
+ * new stage unless `conflict` simulates another request changing it first
+ */
+const serveApplication = (current, { conflict = false } = {}) => {
+  db.respond((query) => {
+    if (query.table !== 'applications') return { data: [], error: null };
+
+    const update = db.callArgs(query, 'update');
+    if (!update) return { data: current, error: null };
+    if (conflict) return { data: null, error: { code: 'PGRST116', message: 'No rows' } };
+    return { data: { ...current, ...update[0] }, error: null };
+  });
+};
+
+describe('applicationService.changeStage', () => {
+  beforeEach(() => {
+    db.reset();
+    mock.method(console, 'error', () => {});
+  });
+
+  it('moves forward, skipping stages', async () => {
+    serveApplication(application('applied'));
+
+    const result = await applicationService.changeStage('application-1', 'offer', 'Strong interview', request());
+
+    assert.equal(result.stage, 'offer');
+    const history = db.queries.find(query => query.table === 'application_stage_history' && db.callArgs(query, 'insert'));
+    assert.deepEqual(
+      db.callArgs(history, 'insert')[0][0],
+      { application_id: 'application-1', from_stage: 'applied', to_stage: 'offer', changed_by: COMPANY.id, note: 'Strong interview' }
+    );
+  });
+
+  it('guards the update on the stage it was read in', async () => {
+    serveApplication(application('screening'));
+
+    await applicationService.changeStage('application-1', 'interview', null, request());
+
+    const update = db.queries.find(query => db.callArgs(query, 'update'));
+    assert.ok(update.calls.some(([method, ...args]) => method === 'eq' && args[0] === 'stage' && args[1] === 'screening'));
+  });
+
+  for (const [from, to] of [['interview', 'screening'], ['offer', 'applied'], ['hired', 'rejected'], ['rejected', 'screening'], ['applied', 'applied']]) {
+    it(`rejects ${from} -> ${to}`, async () => {
+      serveApplication(application(from));
+
+      await assert.rejects(
+        applicationService.changeStage('application-1', to, null, request()),
+        { statusCode: 400, message: `Cannot move application from "${from}" to "${to}"` }
+      );
+      assert.ok(!db.queries.some(query => db.callArgs(query, 'update')));
+    });
+  }
+
+  it('lets any open application be rejected', async () => {
+    for (const stage of ['applied', 'screening', 'interview', 'offer']) {
+      assert.ok(applicationService.STAGE_TRANSITIONS[stage].includes('rejected'), stage);
+    }
+  });
+
+  it('reports a concurrent change as a conflict', async () => {
+    serveApplication(application('applied'), { conflict: true });
+
+    await assert.rejects(
+      applicationService.changeStage('application-1', 'screening', null, request()),
+      { statusCode: 409 }
+    );
+  });
+
+  it('only lets the company or an admin change the stage', async () => {
+    serveApplication(application('applied'));
+
+    await assert.rejects(
+      applicationService.changeStage('application-1', 'screening', null, request({ id: 'student-1', role: 'student' })),
+      { statusCode: 403 }
+    );
+  });
+
+  it('hides applications of other companies', async () => {
+    serveApplication(application('applied'));
+
+    const result = await applicationService.changeStage('application-1', 'screening', null, request({ id: 'company-2', role: 'company' }));
+
+    assert.equal(result, null);
+  });
+});
@@ -0,0 +1,181 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('../helpers/supabase');
+const cvAccessService = require('../../src/services/cvAccessService');
+
+const TTL_SECONDS = parseInt(process.env.CV_SIGNED_URL_TTL_SECONDS) || 300;
+
+const STORED_CV = 'student-cvs/student-1/cv.pdf';
+const LEGACY_CV = 'https://project.supabase.co/storage/v1/object/public/student-cvs/student-1/cv.pdf';
+
+const student = (fields = {}) => ({
+  id: 'student-1',
+  is_visible: true,
+  employment_status: 'Open to work',
+  cv_upload: STORED_CV,
+  ...fields
+});
+
+const company = { id: 'company-1', role: 'company' };
+
+describe('cvAccessService.publicCvUrl', () => {
+  it('points stored CVs to the download endpoint', () => {
+    assert.equal(cvAccessService.publicCvUrl(student()), '/api/students/student-1/cv');
+    assert.equal(cvAccessService.publicCvUrl(student({ cv_upload: LEGACY_CV })), '/api/students/student-1/cv');
+  });
+
+  it('returns external links as they are', () => {
+    const link = 'https://drive.google.com/file/d/abc/view';
+    assert.equal(cvAccessService.publicCvUrl(student({ cv_upload: link })), link);
+    assert.equal(cvAccessService.publicCvUrl(student({ cv_upload: null })), null);
+  });
+});
+
+describe('cvAccessService.checkAccess', () => {
+  let approved;
+
+  beforeEach(() => {
+    db.reset();
+    approved = true;
+    db.respond((query) => query.table === 'users'
+      ? { data: approved === null ? null : { approved }, error: null }
+      : { data: [], error: null });
+  });
+
+  it('lets admins and the student in', async () => {
+    assert.deepEqual(await cvAccessService.checkAccess(student({ is_visible: false }), { id: 'admin-1', role: 'admin' }), { allowed: true, visible: true });
+    assert.deepEqual(await cvAccessService.checkAccess(student({ is_visible: false }), { id: 'student-1', role: 'student' }), { allowed: true, visible: true });
+  });
+
+  it('lets approved companies download CVs of students open to work', async () => {
+    assert.deepEqual(await cvAccessService.checkAccess(student(), company), { allowed: true, visible: true });
+  });
+
+  it('refuses companies pending approval', async () => {
+    approved = false;
+    assert.deepEqual(
+      await cvAccessService.checkAccess(student(), company),
+      { allowed: false, visible: true, reason: 'Your account is pending admin approval' }
+    );
+
+    approved = null;
+    assert.equal((await cvAccessService.checkAccess(student(), company)).allowed, false);
+  });
+
+  it('hides students a company cannot list', async () => {
+    assert.deepEqual(await cvAccessService.checkAccess(student({ is_visible: false }), company), { allowed: false, visible: false });
+    assert.deepEqual(await cvAccessService.checkAccess(student({ employment_status: 'Employed' }), company), { allowed: false, visible: false });
+  });
+
+  it('refuses CVs of listed students who are not open to work', async () => {
+    const access = await cvAccessService.checkAccess(student({ employment_status: null }), company);
+
+    assert.equal(access.allowed, false);
+    assert.equal(access.visible, true);
+  });
+
+  it('refuses other students', async () => {
+    const access = await cvAccessService.checkAccess(student(), { id: 'student-2', role: 'student' });
+
+    assert.equal(access.allowed, false);
+    assert.equal(access.visible, true);
+  });
+});
+
+describe('cvAccessService.getCvDownload', () => {
+  /**
+   * @param {Object} options
+   * @param {Object|null} options.row - Student row, null for a missing student
+   * @param {Array} options.files - Current CV file_metadata rows
+   */
+  const serve = ({ row = student(), files = [{ id: 'file-1', bucket: 'student-cvs', path: 'student-1/cv.pdf', original_name: 'Jane CV.pdf' }] } = {}) => {
+    db.respond((query) => {
+      switch (query.table) {
+        case 'students':
+          return row ? { data: row, error: null } : { data: null, error: { code: 'PGRST116', message: 'No rows' } };
+        case 'users':
+          return { data: { approved: true }, error: null };
+        case 'file_metadata':
+          return { data: files, error: null };
+        case 'storage:student-cvs':
+          return { data: { signedUrl: 'https://storage.example/signed?token=abc' }, error: null };
+        default:
+          return { data: null, error: null };
+      }
+    });
+  };
+
+  const request = (user) => ({ user, ip: '203.0.113.7', headers: { 'user-agent': 'test' } });
+  const downloads = () => db.queries.filter(query => query.table === 'cv_downloads');
+
+  beforeEach(() => {
+    db.reset();
+    mock.method(console, 'error', () => {});
+  });
+
+  it('signs the current CV for a short time and records the company download', async () => {
+    serve();
+
+    const result = await cvAccessService.getCvDownload('student-1', request(company));
+
+    assert.equal(result.cv.url, 'https://storage.example/signed?token=abc');
+    assert.equal(result.cv.external, false);
+
+    const signing = db.queries.find(query => query.table === 'storage:student-cvs');
+    assert.deepEqual(db.callArgs(signing, 'createSignedUrl'), ['student-1/cv.pdf', TTL_SECONDS, { download: 'Jane CV.pdf' }]);
+    assert.ok(Date.parse(result.cv.expiresAt) - Date.now() <= TTL_SECONDS * 1000);
+
+    const lookup = db.queries.find(query => query.table === 'file_metadata');
+    assert.ok(lookup.calls.some(([method, column, value]) => method === 'eq' && column === 'is_current' && value === true));
+    assert.ok(lookup.calls.some(([method, column, value]) => method === 'neq' && column === 'scan_status' && value === 'quarantined'));
+
+    assert.equal(downloads().length, 1);
+    assert.deepEqual(db.callArgs(downloads()[0], 'insert')[0], {
+      student_id: 'student-1',
+      file_id: 'file-1',
+      viewer_id: 'company-1',
+      viewer_role: 'company',
+      ip_address: '203.0.113.7',
+      user_agent: 'test'
+    });
+  });
+
+  it('does not record the student downloading their own CV', async () => {
+    serve();
+
+    await cvAccessService.getCvDownload('student-1', request({ id: 'student-1', role: 'student' }));
+
+    assert.equal(downloads().length, 0);
+  });
+
+  it('answers 403 when the company may see the student but not the CV', async () => {
+    serve({ row: student({ employment_status: null }) });
+
+    await assert.rejects(cvAccessService.getCvDownload('student-1', request(company)), { statusCode: 403 });
+    assert.ok(!db.queries.some(query => query.table === 'storage:student-cvs'));
+  });
+
+  it('returns null for missing students and students hidden from the viewer', async () => {
+    serve({ row: null });
+    assert.equal(await cvAccessService.getCvDownload('student-1', request(company)), null);
+
+    serve({ row: student({ is_visible: false }) });
+    assert.equal(await cvAccessService.getCvDownload('student-1', request(company)), null);
+  });
+
+  it('returns external links unsigned', async () => {
+    serve({ row: student({ cv_upload: 'https://drive.google.com/file/d/abc/view' }) });
+
+    const result = await cvAccessService.getCvDownload('student-1', request(company));
+
+    assert.deepEqual(result, { cv: { url: 'https://drive.google.com/file/d/abc/view', external: true, expiresAt: null } });
+    assert.ok(!db.queries.some(query => query.table === 'file_metadata'));
+  });
+
+  it('has no CV when no stored version is current', async () => {
+    serve({ files: [] });
+
+    assert.deepEqual(await cvAccessService.getCvDownload('student-1', request(company)), { cv: null });
+  });
+});
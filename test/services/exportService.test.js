@@ -0,0 +1,129 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('node:stream');
+
+require('../helpers/supabase');
+const exportService = require('../../src/services/exportService');
+const studentService = require('../../src/services/studentService');
+const logService = require('../../src/services/logService');
+
+const ADMIN = { id: 'admin-1', role: 'admin', email: 'admin@example.com' };
+const COMPANY = { id: 'company-1', role: 'company', email: 'hr@example.com' };
+
+/**
+ * Express-like response that collects what is written to it
+ */
+const createResponse = () => {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    }
+  });
+  res.headers = {};
+  res.setHeader = (name, value) => {
+    res.headers[name] = value;
+  };
+  res.body = () => Buffer.concat(chunks);
+  return res;
+};
+
+const student = (fields) => ({ id: 'student-1', fullName: 'Jane Doe', ...fields });
+
+const exportStudents = async (batches, user = ADMIN, format = 'csv') => {
+  mock.method(studentService, 'streamStudents', async function* () {
+    yield* batches;
+  });
+
+  const res = createResponse();
+  const rowCount = await exportService.exportDirectory(res, {
+    entity: 'students',
+    format,
+    filters: {},
+    req: { user, path: '/api/students/export', headers: {} }
+  });
+
+  return { res, rowCount };
+};
+
+const csvLines = (res) => res.body().toString('utf8').replace(/^\uFEFF/, '').split('\r\n').filter(Boolean);
+
+describe('exportService.exportDirectory (csv)', () => {
+  let exportLogs;
+
+  beforeEach(() => {
+    exportLogs = [];
+    mock.restoreAll();
+    mock.method(console, 'error', () => {});
+    mock.method(logService, 'logExport', async (entry) => {
+      exportLogs.push(entry);
+    });
+  });
+
+  it('neutralises text that spreadsheets would run as a formula', async () => {
+    const payloads = ['=HYPERLINK("http://evil.example","x")', '+1+1', '-2+3', '@SUM(A1)', '\tcmd', '\rcmd'];
+    const { res } = await exportStudents([payloads.map((fullName, i) => student({ id: `student-${i}`, fullName }))]);
+
+    const names = csvLines(res).slice(1).map(line => line.split(',')[1]);
+    assert.deepEqual(names.slice(1, 4), ["'+1+1", "'-2+3", "'@SUM(A1)"]);
+    assert.ok(names[0].startsWith('"\'=HYPERLINK('), names[0]);
+    assert.ok(res.body().toString('utf8').includes("'\tcmd"));
+    assert.ok(res.body().toString('utf8').includes("\"'\rcmd\""));
+  });
+
+  it('leaves numbers and ordinary text alone', async () => {
+    const { res } = await exportStudents([[student({ fullName: 'Jane-Doe', completionRate: -5 })]]);
+
+    const header = csvLines(res)[0].split(',');
+    const values = csvLines(res)[1].split(',');
+    assert.equal(values[header.indexOf('Full Name')], 'Jane-Doe');
+    assert.equal(values[header.indexOf('Profile Completion (%)')], '-5');
+  });
+
+  it('quotes fields with commas, quotes and line breaks', async () => {
+    const { res } = await exportStudents([[student({ fullName: 'Doe, "JD"', selfIntroduction: 'Line 1\nLine 2' })]]);
+
+    const body = res.body().toString('utf8');
+    assert.ok(body.includes('"Doe, ""JD"""'));
+    assert.ok(body.includes('"Line 1\nLine 2"'));
+  });
+
+  it('writes a UTF-8 byte order mark, headers and every batch', async () => {
+    const { res, rowCount } = await exportStudents([[student({ id: 'a' })], [student({ id: 'b' }), student({ id: 'c' })]]);
+
+    assert.equal(res.body().toString('utf8')[0], '\uFEFF');
+    assert.equal(res.headers['Content-Type'], 'text/csv; charset=utf-8');
+    assert.match(res.headers['Content-Disposition'], /^attachment; filename="kada-students-\d{4}-\d{2}-\d{2}\.csv"$/);
+    assert.equal(rowCount, 3);
+    assert.equal(csvLines(res).length, 4);
+    assert.equal(exportLogs[0].details.rowCount, 3);
+  });
+
+  it('leaves admin-only columns out for other roles', async () => {
+    const { res } = await exportStudents([[student({ phone: '0812', isVisible: true })]], COMPANY);
+
+    const header = csvLines(res)[0].split(',');
+    assert.ok(!header.includes('Phone'));
+    assert.ok(!header.includes('Visible'));
+
+    const { res: adminRes } = await exportStudents([[student({ phone: '0812', isVisible: true })]], ADMIN);
+    const adminHeader = csvLines(adminRes)[0].split(',');
+    assert.ok(adminHeader.includes('Phone'));
+    assert.ok(adminHeader.includes('Visible'));
+  });
+
+  it('sends no headers and logs a failed export when the first batch fails', async () => {
+    mock.method(studentService, 'streamStudents', async function* () {
+      throw new Error('Failed to fetch students');
+    });
+    const res = createResponse();
+
+    await assert.rejects(
+      exportService.exportDirectory(res, { entity: 'students', format: 'csv', filters: {}, req: { user: ADMIN, path: '/', headers: {} } }),
+      /Failed to fetch students/
+    );
+    assert.deepEqual(res.headers, {});
+    assert.equal(exportLogs[0].success, false);
+  });
+});
@@ -0,0 +1,198 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('../helpers/supabase');
+const importService = require('../../src/services/importService');
+const logService = require('../../src/services/logService');
+const { responseCache } = require('../../src/services/responseCacheService');
+
+const ADMIN = { id: 'admin-1', role: 'admin', email: 'admin@example.com' };
+
+const HEADER = 'Email,Full Name,Status,Employment Status,University,Major,Preferred Industry,Tech Stack,Self Introduction,Batch,Phone,Visible';
+
+const studentRow = (email, overrides = {}) => {
+  const fields = {
+    email,
+    fullName: 'Jane Doe',
+    status: 'Alumni',
+    employmentStatus: 'Open to work',
+    university: 'MIT',
+    major: 'Computer Science',
+    preferredIndustry: 'Technology',
+    techStack: 'JavaScript',
+    selfIntroduction: 'Backend developer who likes databases',
+    batch: 'Batch 1',
+    phone: '081234567890',
+    visible: 'yes',
+    ...overrides
+  };
+  return Object.values(fields).join(',');
+};
+
+const csvFile = (lines, name = 'students.csv') => ({
+  originalname: name,
+  mimetype: 'text/csv',
+  buffer: Buffer.from(lines.join('\r\n'))
+});
+
+/**
+ * @param {Object} options
+ * @param {Array} options.existing - Profiles returned by the email lookup
+ * @param {Function} options.onInsert - (records) => error or null
+ */
+const serve = ({ existing = [], onInsert = () => null } = {}) => {
+  db.respond((query) => {
+    if (query.table === 'migration_progress' && db.callArgs(query, 'insert')) {
+      return { data: { id: 7, step_name: 'import_students', status: 'running' }, error: null };
+    }
+    if (query.table === 'students' && db.callArgs(query, 'insert')) {
+      return { data: null, error: onInsert(db.callArgs(query, 'insert')[0]) };
+    }
+    if (query.table === 'students' && db.callArgs(query, 'or')) {
+      return { data: existing, error: null };
+    }
+    return { data: [], error: null };
+  });
+};
+
+const writes = (table, method) => db.queries.filter(query => query.table === table && db.callArgs(query, method));
+
+const runImport = (file, options = {}) =>
+  importService.importFile('students', file, options, { user: ADMIN, path: '/api/admin/import/students', headers: {} });
+
+describe('importService.importFile (students)', () => {
+  beforeEach(() => {
+    db.reset();
+    mock.restoreAll();
+    mock.method(console, 'error', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(logService, 'logImport', async () => {});
+    mock.method(responseCache, 'clearEmploymentStatusCache', () => {});
+  });
+
+  it('previews creates and updates on a dry run without writing', async () => {
+    serve({ existing: [{ id: 'student-2', email_address: 'Existing@Example.com' }] });
+
+    const result = await runImport(csvFile([HEADER, studentRow('new@example.com'), studentRow('EXISTING@example.com')]), { dryRun: true });
+
+    assert.equal(result.imported, false);
+    assert.deepEqual(result.summary, { total: 2, valid: 2, invalid: 0, create: 1, update: 1 });
+    assert.deepEqual(result.rows, [
+      { row: 2, email: 'new@example.com', action: 'create', id: null },
+      { row: 3, email: 'existing@example.com', action: 'update', id: 'student-2' }
+    ]);
+    assert.equal(writes('students', 'insert').length + writes('students', 'update').length, 0);
+    assert.equal(writes('migration_progress', 'insert').length, 0);
+  });
+
+  it('reports every problem of a row and writes nothing while any row is invalid', async () => {
+    serve();
+
+    const result = await runImport(csvFile([
+      HEADER,
+      studentRow('ok@example.com'),
+      studentRow('not-an-email', { status: 'Graduate', visible: 'maybe' }),
+      studentRow('OK@example.com')
+    ]));
+
+    assert.equal(result.imported, false);
+    assert.deepEqual(result.summary, { total: 3, valid: 1, invalid: 2, create: 1, update: 0 });
+
+    const [, invalid, duplicate] = result.rows;
+    assert.equal(invalid.action, 'error');
+    assert.equal(invalid.errors.length, 3);
+    assert.ok(invalid.errors.includes('Email must be a valid email'));
+    assert.deepEqual(duplicate.errors, ['Duplicate email, already used on row 2']);
+    assert.equal(writes('students', 'insert').length, 0);
+  });
+
+  it('rejects files missing a required column', async () => {
+    serve();
+    const header = HEADER.replace(',University', '');
+    const row = studentRow('a@example.com').replace(',MIT', '');
+
+    await assert.rejects(runImport(csvFile([header, row])), { statusCode: 400, message: 'Missing required columns: university' });
+  });
+
+  it('reads semicolon files with a byte order mark, header aliases and leading zeros', async () => {
+    serve();
+    const header = '\uFEFFemail_address;name;status;employment_status;institution;program;industry;skills;introduction;phone_number;is_visible';
+    const row = 'jane@example.com;Jane Doe;Alumni;Open to work;MIT;CS;Tech;Node;Likes building APIs;081234567890;No';
+
+    const result = await runImport(csvFile([header, row]), { dryRun: true });
+
+    assert.equal(result.summary.valid, 1);
+    assert.deepEqual(result.columns.ignored, []);
+    assert.equal(result.columns.mapped.phone_number, 'phoneNumber');
+  });
+
+  it('creates new profiles and updates existing ones with the filled-in columns only', async () => {
+    serve({ existing: [{ id: 'student-2', email_address: 'existing@example.com' }] });
+
+    const result = await runImport(csvFile([
+      HEADER,
+      studentRow('new@example.com'),
+      studentRow('existing@example.com', { batch: '', phone: '' })
+    ]));
+
+    assert.equal(result.imported, true);
+    assert.equal(result.importId, 7);
+    assert.equal(result.summary.created, 1);
+    assert.equal(result.summary.updated, 1);
+
+    const [insert] = writes('students', 'insert');
+    const [record] = db.callArgs(insert, 'insert')[0];
+    assert.equal(record.id, result.rows[0].id);
+    assert.equal(record.email_address, 'new@example.com');
+    assert.equal(record.phone_number, '081234567890');
+    assert.equal(record.is_visible, true);
+
+    const [update] = writes('students', 'update');
+    const changes = db.callArgs(update, 'update')[0];
+    assert.deepEqual(db.callArgs(update, 'eq'), ['id', 'student-2']);
+    assert.equal(changes.full_name, 'Jane Doe');
+    assert.ok(!('batch' in changes));
+    assert.ok(!('phone_number' in changes));
+
+    const [progressUpdate] = writes('migration_progress', 'update').slice(-1);
+    assert.equal(db.callArgs(progressUpdate, 'update')[0].status, 'completed');
+  });
+
+  it('retries a failed batch insert row by row and reports the failing row', async () => {
+    serve({
+      onInsert: (records) => records.some(record => record.email_address === 'bad@example.com')
+        ? { message: 'duplicate key value violates unique constraint' }
+        : null
+    });
+
+    const result = await runImport(csvFile([HEADER, studentRow('good@example.com'), studentRow('bad@example.com')]));
+
+    assert.equal(writes('students', 'insert').length, 3);
+    assert.equal(result.summary.created, 1);
+    assert.equal(result.summary.failed, 1);
+    assert.equal(result.rows[0].errors, undefined);
+    assert.deepEqual(result.rows[1], {
+      row: 3,
+      email: 'bad@example.com',
+      action: 'create',
+      id: null,
+      errors: ['Failed to create profile: duplicate key value violates unique constraint']
+    });
+
+    const [progressUpdate] = writes('migration_progress', 'update').slice(-1);
+    assert.equal(db.callArgs(progressUpdate, 'update')[0].status, 'completed_with_errors');
+  });
+
+  it('refuses to pick between profiles that share an email', async () => {
+    serve({
+      existing: [
+        { id: 'student-2', email_address: 'twin@example.com' },
+        { id: 'student-3', email_address: 'Twin@example.com' }
+      ]
+    });
+
+    const result = await runImport(csvFile([HEADER, studentRow('twin@example.com')]), { dryRun: true });
+
+    assert.deepEqual(result.rows[0].errors, ['2 existing profiles share this email; merge them before importing']);
+  });
+});
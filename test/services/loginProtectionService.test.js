@@ -0,0 +1,177 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('../helpers/supabase');
+const loginProtectionService = require('../../src/services/loginProtectionService');
+const authService = require('../../src/services/authService');
+
+const { POLICIES } = loginProtectionService;
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+const MINUTE = 60 * 1000;
+
+/**
+ * `count` failed attempts one minute apart, newest first, the newest
+ * `minutesAgo` before NOW
+ */
+const failures = (count, minutesAgo = 0, action = 'login') => Array.from({ length: count }, (_, i) => ({
+  action,
+  success: false,
+  created_at: new Date(NOW - (minutesAgo + i) * MINUTE).toISOString()
+}));
+
+const event = (action, success, minutesAgo) => ({
+  action,
+  success,
+  created_at: new Date(NOW - minutesAgo * MINUTE).toISOString()
+});
+
+describe('loginProtectionService.computeState', () => {
+  it('does not lock below the threshold', () => {
+    const state = loginProtectionService.computeState(failures(4), POLICIES.account, NOW);
+
+    assert.equal(state.locked, false);
+    assert.equal(state.lockedUntil, null);
+    assert.equal(state.failedAttempts, 4);
+  });
+
+  it('locks for the base time from the last failure at the threshold', () => {
+    const state = loginProtectionService.computeState(failures(5, 2), POLICIES.account, NOW);
+
+    assert.equal(state.locked, true);
+    assert.equal(state.lockedUntil, new Date(NOW - 2 * MINUTE + 15 * MINUTE).toISOString());
+    assert.equal(state.lastFailedAt, new Date(NOW - 2 * MINUTE).toISOString());
+  });
+
+  it('doubles the lock with every further failure', () => {
+    const state = loginProtectionService.computeState(failures(7), POLICIES.account, NOW);
+
+    assert.equal(state.lockedUntil, new Date(NOW + 60 * MINUTE).toISOString());
+  });
+
+  it('caps the lock at the maximum', () => {
+    const account = loginProtectionService.computeState(failures(20), POLICIES.account, NOW);
+    const ip = loginProtectionService.computeState(failures(30), POLICIES.ip, NOW);
+
+    assert.equal(account.lockedUntil, new Date(NOW + 24 * 60 * MINUTE).toISOString());
+    assert.equal(ip.lockedUntil, new Date(NOW + 60 * MINUTE).toISOString());
+  });
+
+  it('unlocks once the lock has run out', () => {
+    const state = loginProtectionService.computeState(failures(5, 16), POLICIES.account, NOW);
+
+    assert.equal(state.locked, false);
+    assert.equal(state.lockedUntil, null);
+    assert.equal(state.failedAttempts, 5);
+  });
+
+  it('resets account failures on a completed sign-in', () => {
+    const events = [...failures(2), event('login', true, 5), ...failures(10, 6)];
+    const state = loginProtectionService.computeState(events, POLICIES.account, NOW);
+
+    assert.equal(state.failedAttempts, 2);
+    assert.equal(state.locked, false);
+  });
+
+  it('keeps counting IP failures across successful sign-ins', () => {
+    const events = [...failures(10), event('login', true, 10), ...failures(10, 11)];
+    const state = loginProtectionService.computeState(events, POLICIES.ip, NOW);
+
+    assert.equal(state.failedAttempts, 20);
+    assert.equal(state.locked, true);
+  });
+
+  it('stops counting at an admin unlock', () => {
+    const events = [...failures(1), event('login_unlock', true, 2), ...failures(10, 3)];
+    const state = loginProtectionService.computeState(events, POLICIES.account, NOW);
+
+    assert.equal(state.failedAttempts, 1);
+    assert.equal(state.locked, false);
+  });
+});
+
+describe('loginProtectionService.assertNotLocked', () => {
+  let audited;
+
+  /**
+   * Serve audit events per action: `login`, `login_2fa`, and IP failures
+   */
+  const serve = ({ login = [], twoFactor = [], ip = [], error = null }) => {
+    db.respond((query) => {
+      if (error) return { data: null, error };
+
+      const ipLookup = query.calls.some(([method, column]) => method === 'eq' && column === 'ip_address');
+      if (ipLookup) return { data: ip, error: null };
+
+      const actions = db.callArgs(query, 'in')?.[1] || [];
+      if (actions.includes('login_2fa')) return { data: twoFactor, error: null };
+      if (actions.includes('login')) return { data: login, error: null };
+      return { data: [], error: null };
+    });
+  };
+
+  const recentFailures = (count, action) => Array.from({ length: count }, (_, i) => ({
+    action,
+    success: false,
+    created_at: new Date(Date.now() - i * 1000).toISOString()
+  }));
+
+  beforeEach(() => {
+    db.reset();
+    audited = [];
+    mock.method(console, 'error', () => {});
+    mock.method(authService, 'logAuditEvent', async (entry) => {
+      audited.push(entry);
+      return 'audit-1';
+    });
+  });
+
+  it('lets unlocked sign-ins through', async () => {
+    serve({ login: recentFailures(4, 'login') });
+
+    await loginProtectionService.assertNotLocked('User@Example.com', '203.0.113.7');
+
+    assert.equal(audited.length, 0);
+  });
+
+  it('blocks a locked account with 429 and audits the attempt', async () => {
+    serve({ login: recentFailures(5, 'login') });
+
+    await assert.rejects(
+      loginProtectionService.assertNotLocked('User@Example.com', '203.0.113.7'),
+      (error) => error.statusCode === 429 && error.retryAfter > 14 * 60 && error.retryAfter <= 15 * 60
+    );
+
+    assert.equal(audited.length, 1);
+    assert.equal(audited[0].action, 'login_blocked');
+    assert.deepEqual(
+      { email: audited[0].metadata.email, scope: audited[0].metadata.scope, failedAttempts: audited[0].metadata.failedAttempts },
+      { email: 'user@example.com', scope: 'account', failedAttempts: 5 }
+    );
+  });
+
+  it('blocks an account whose second factor is locked', async () => {
+    serve({ twoFactor: recentFailures(5, 'login_2fa') });
+
+    await assert.rejects(loginProtectionService.assertNotLocked('user@example.com', null), { statusCode: 429 });
+    assert.equal(audited[0].metadata.scope, 'two_factor');
+  });
+
+  it('blocks a locked IP', async () => {
+    serve({ ip: recentFailures(20, 'login') });
+
+    await assert.rejects(
+      loginProtectionService.assertNotLocked('user@example.com', '203.0.113.7'),
+      { statusCode: 429, message: 'Too many failed sign-in attempts from this network. Try again in 15 minutes' }
+    );
+    assert.equal(audited[0].metadata.scope, 'ip');
+  });
+
+  it('fails open when the audit log cannot be read', async () => {
+    serve({ error: { message: 'connection refused' } });
+
+    await loginProtectionService.assertNotLocked('user@example.com', '203.0.113.7');
+
+    assert.equal(audited.length, 0);
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('../helpers/supabase');
+const paginationService = require('../../src/services/paginationService');
+
+const rows = (count, start = 0) => Array.from({ length: count }, (_, i) => ({
+  id: `id-${start + i}`,
+  company_name: `Company ${start + i}`
+}));
+
+describe('paginationService cursors', () => {
+  it('round-trips the name and id of a row', () => {
+    const cursor = paginationService.encodeCursor({ id: 'abc', company_name: 'Tech, Corp (ID)' }, 'company_name');
+
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(paginationService.decodeCursor(cursor), { name: 'Tech, Corp (ID)', id: 'abc' });
+  });
+
+  it('keeps rows without a name', () => {
+    const cursor = paginationService.encodeCursor({ id: 'abc', company_name: null }, 'company_name');
+
+    assert.deepEqual(paginationService.decodeCursor(cursor), { name: null, id: 'abc' });
+  });
+
+  it('rejects cursors it did not issue', () => {
+    const forged = [
+      'not-a-cursor',
+      Buffer.from('{"name":"x"}').toString('base64url'),
+      Buffer.from('[1,"abc"]').toString('base64url'),
+      Buffer.from('["x",""]').toString('base64url')
+    ];
+
+    for (const cursor of forged) {
+      assert.throws(() => paginationService.decodeCursor(cursor), { statusCode: 400, message: 'Invalid cursor' }, cursor);
+    }
+  });
+});
+
+describe('paginationService.parse', () => {
+  it('uses page mode by default', () => {
+    assert.deepEqual(paginationService.parse({ page: '3', limit: '10' }), { mode: 'page', page: 3, limit: 10, offset: 20 });
+    assert.deepEqual(paginationService.parse({}), { mode: 'page', page: 1, limit: 20, offset: 0 });
+  });
+
+  it('switches to cursor mode when a cursor is given, even an empty one', () => {
+    assert.deepEqual(paginationService.parse({ cursor: '', limit: '5' }), { mode: 'cursor', limit: 5, after: null });
+
+    const cursor = paginationService.encodeCursor({ id: 'abc', company_name: 'Acme' }, 'company_name');
+    assert.deepEqual(paginationService.parse({ cursor }).after, { name: 'Acme', id: 'abc' });
+  });
+});
+
+describe('paginationService.apply', () => {
+  beforeEach(() => db.reset());
+
+  const applied = (paging) => {
+    paginationService.apply(db.supabase.from('companies').select('*'), 'company_name', paging);
+    return db.queries[0];
+  };
+
+  it('starts after the cursor row, with quoted values and nulls last', () => {
+    const query = applied({ mode: 'cursor', limit: 10, after: { name: 'Tech, "Corp"', id: 'abc' } });
+
+    assert.deepEqual(db.callArgs(query, 'or'), [
+      'company_name.gt."Tech, \\"Corp\\"",company_name.is.null,and(company_name.eq."Tech, \\"Corp\\"",id.gt."abc")'
+    ]);
+    assert.deepEqual(
+      query.calls.filter(([method]) => method === 'order'),
+      [['order', 'company_name', { ascending: true, nullsFirst: false }], ['order', 'id', { ascending: true }]]
+    );
+    assert.deepEqual(db.callArgs(query, 'limit'), [11]);
+  });
+
+  it('continues among unnamed rows by id', () => {
+    const query = applied({ mode: 'cursor', limit: 10, after: { name: null, id: 'abc' } });
+
+    assert.deepEqual(db.callArgs(query, 'is'), ['company_name', null]);
+    assert.deepEqual(db.callArgs(query, 'gt'), ['id', 'abc']);
+    assert.equal(db.callArgs(query, 'or'), undefined);
+  });
+
+  it('uses a range in page mode', () => {
+    const query = applied({ mode: 'page', page: 3, limit: 10, offset: 20 });
+
+    assert.deepEqual(db.callArgs(query, 'range'), [20, 29]);
+    assert.equal(db.callArgs(query, 'limit'), undefined);
+  });
+});
+
+describe('paginationService.buildPage', () => {
+  it('trims the extra cursor row and points the next cursor at the last row returned', () => {
+    const page = paginationService.buildPage(rows(11), 'company_name', { mode: 'cursor', limit: 10 });
+
+    assert.equal(page.rows.length, 10);
+    assert.equal(page.pagination.hasMore, true);
+    assert.deepEqual(paginationService.decodeCursor(page.pagination.nextCursor), { name: 'Company 9', id: 'id-9' });
+  });
+
+  it('ends cursor paging on a short page', () => {
+    const page = paginationService.buildPage(rows(4), 'company_name', { mode: 'cursor', limit: 10 });
+
+    assert.deepEqual(page.pagination, { limit: 10, hasMore: false, nextCursor: null });
+  });
+
+  it('reports totals in page mode', () => {
+    const page = paginationService.buildPage(rows(10, 10), 'company_name', { mode: 'page', page: 2, limit: 10, offset: 10 }, 25);
+
+    assert.equal(page.pagination.total, 25);
+    assert.equal(page.pagination.totalPages, 3);
+    assert.equal(page.pagination.hasMore, true);
+    assert.deepEqual(paginationService.decodeCursor(page.pagination.nextCursor), { name: 'Company 19', id: 'id-19' });
+  });
+
+  it('has no next page on the last page', () => {
+    const page = paginationService.buildPage(rows(5, 20), 'company_name', { mode: 'page', page: 3, limit: 10, offset: 20 }, 25);
+
+    assert.equal(page.pagination.hasMore, false);
+    assert.equal(page.pagination.nextCursor, null);
+  });
+});
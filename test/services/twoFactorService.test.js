@@ -0,0 +1,133 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('../helpers/supabase');
+const twoFactorService = require('../../src/services/twoFactorService');
+
+// RFC 6238 test secret "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const at = (seconds) => seconds * 1000;
+
+describe('twoFactorService.findTotpStep', () => {
+  // RFC 6238 appendix B (SHA-1), last six digits
+  for (const [seconds, code] of [[59, '287082'], [1111111109, '081804'], [1234567890, '005924'], [2000000000, '279037']]) {
+    it(`accepts the RFC 6238 code at T=${seconds}`, () => {
+      assert.equal(twoFactorService.findTotpStep(RFC_SECRET, code, at(seconds)), Math.floor(seconds / 30));
+    });
+  }
+
+  it('accepts one step of clock drift either way', () => {
+    const step = Math.floor(1111111109 / 30);
+    assert.equal(twoFactorService.findTotpStep(RFC_SECRET, '081804', at(1111111109 + 30)), step);
+    assert.equal(twoFactorService.findTotpStep(RFC_SECRET, '081804', at(1111111109 - 30)), step);
+  });
+
+  it('rejects codes two steps away', () => {
+    assert.equal(twoFactorService.findTotpStep(RFC_SECRET, '081804', at(1111111109 + 60)), null);
+    assert.equal(twoFactorService.findTotpStep(RFC_SECRET, '081804', at(1111111109 - 60)), null);
+  });
+
+  it('ignores spaces in the code', () => {
+    assert.equal(twoFactorService.findTotpStep(RFC_SECRET, '287 082', at(59)), 1);
+  });
+
+  it('rejects codes of the wrong shape', () => {
+    for (const code of ['28708', '2870822', 'abcdef', '', null]) {
+      assert.equal(twoFactorService.findTotpStep(RFC_SECRET, code, at(59)), null, String(code));
+    }
+  });
+
+  it('decodes lowercase and padded secrets', () => {
+    assert.equal(twoFactorService.findTotpStep(`${RFC_SECRET.toLowerCase()}====`, '287082', at(59)), 1);
+  });
+
+  it('rejects secrets outside the base32 alphabet', () => {
+    assert.throws(() => twoFactorService.findTotpStep('GEZDGNBV1', '287082', at(59)), /Invalid base32 secret/);
+  });
+});
+
+describe('twoFactorService.isSessionVerified', () => {
+  const user = { id: 'user-1', role: 'company' };
+
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled - User has 2FA enabled
+   * @param {boolean} options.required - Policy requires 2FA for the role
+   * @param {Array} options.signIns - auth_audit_logs rows for the session
+   */
+  const serve = ({ enabled = false, required = false, signIns = [] }) => {
+    db.respond((query) => {
+      switch (query.table) {
+        case 'user_two_factor':
+          return { data: enabled ? { user_id: user.id, enabled_at: '2026-01-01T00:00:00Z', backup_codes: [] } : null, error: null };
+        case 'two_factor_policies':
+          return { data: { required }, error: null };
+        case 'auth_audit_logs':
+          return { data: signIns, error: null };
+        default:
+          return { data: [], error: null };
+      }
+    });
+  };
+
+  const auditLookups = () => db.queries.filter(query => query.table === 'auth_audit_logs');
+
+  beforeEach(() => {
+    db.reset();
+    twoFactorService.sessionChecks.flushAll();
+    mock.method(console, 'error', () => {});
+  });
+
+  it('accepts any session of users without 2FA', async () => {
+    serve({});
+
+    assert.equal(await twoFactorService.isSessionVerified(user, 'session-1'), true);
+    assert.equal(auditLookups().length, 0);
+  });
+
+  it('accepts sessions whose sign-in completed 2FA', async () => {
+    serve({ enabled: true, signIns: [{ id: 'log-1' }] });
+
+    assert.equal(await twoFactorService.isSessionVerified(user, 'session-1'), true);
+
+    const lookup = auditLookups()[0];
+    assert.deepEqual(db.callArgs(lookup, 'in'), ['action', ['login', '2fa_enable']]);
+    assert.ok(lookup.calls.some(([method, column, value]) => method === 'eq' && column === 'session_id' && value === 'session-1'));
+    assert.ok(lookup.calls.some(([method, column, value]) => method === 'eq' && column === 'success' && value === true));
+  });
+
+  it('rejects sessions without a completed sign-in when 2FA is enabled', async () => {
+    serve({ enabled: true });
+
+    assert.equal(await twoFactorService.isSessionVerified(user, 'session-1'), false);
+  });
+
+  it('rejects sessions without a completed sign-in when the role requires 2FA', async () => {
+    serve({ required: true });
+
+    assert.equal(await twoFactorService.isSessionVerified(user, 'session-1'), false);
+  });
+
+  it('always requires 2FA for admins', async () => {
+    serve({});
+
+    assert.equal(await twoFactorService.isSessionVerified({ id: 'admin-1', role: 'admin' }, 'session-1'), false);
+  });
+
+  it('rejects tokens without a session id', async () => {
+    serve({ enabled: true, signIns: [{ id: 'log-1' }] });
+
+    assert.equal(await twoFactorService.isSessionVerified(user, null), false);
+    assert.equal(auditLookups().length, 0);
+  });
+
+  it('caches the result per session', async () => {
+    serve({ enabled: true, signIns: [{ id: 'log-1' }] });
+
+    await twoFactorService.isSessionVerified(user, 'session-1');
+    await twoFactorService.isSessionVerified(user, 'session-1');
+
+    assert.equal(auditLookups().length, 1);
+  });
+});